@@ -0,0 +1,538 @@
+/**
+ * ═══════════════════════════════════════════════════════════════════════════
+ *  Access Grant Controller — Patient 360°
+ *  ─────────────────────────────────────────────────────────────────────────
+ *  Patient-controlled record sharing. Patients (or the parent of a child)
+ *  grant time-limited read access to a doctor, dentist, pharmacy,
+ *  laboratory or every clinician at a hospital, and can revoke it at any
+ *  time. Clinicians without a grant can open a record in an emergency
+ *  ("break-glass") by giving a reason; the patient is notified at once.
+ *  Patients can also see who viewed or changed their record (AuditLog).
+ *
+ *  Mounted from routes/patient.js:
+ *    GET   /me/access-grants                  — list my grants
+ *    POST  /me/access-grants                  — grant / extend access
+ *    PATCH /me/access-grants/:grantId/revoke  — revoke
+ *    (same three under /children/:childId/... for a parent)
+ *    GET   /me/access-log                     — who viewed / changed my record
+ *    (same under /children/:childId/... for a parent)
+ *    POST  /:identifier/break-glass           — clinician emergency access
+ *
+ *  Functions:
+ *    1. getMyGrants         — Grants on the patient's record (?status=)
+ *    2. createGrant         — Grant or extend consent for one grantee
+ *    3. revokeGrant         — Revoke a consent or break-glass grant
+ *    4. breakGlassAccess    — Emergency access with reason + notification
+ *    5. getMyAccessLog      — AuditLog entries by other accounts on my record
+ *
+ *  Conventions kept:
+ *    - Arabic error messages, emoji-marked console logs
+ *    - { success, message, [data] } response shape
+ *    - Try/catch in every async function
+ *    - AuditLog.record() for every grant change (never throws)
+ * ═══════════════════════════════════════════════════════════════════════════
+ */
+
+const mongoose = require('mongoose');
+const {
+  AccessGrant, Doctor, Dentist, Pharmacy, Laboratory, Hospital,
+  Person, Account, AuditLog
+} = require('../models');
+const accessGrantService = require('../services/accessGrantService');
+const { findPatientAccounts, notifyPatient } = require('../services/notificationService');
+
+// ============================================================================
+// HELPERS
+// ============================================================================
+
+const DEFAULT_CONSENT_DAYS = 30;
+const MIN_BREAK_GLASS_REASON = 20;
+
+/**
+ * Grantee lookup per provider type. Individuals must be verified;
+ * facilities must be active.
+ */
+const GRANTEE_TYPES = {
+  doctor: { Model: Doctor, baseQuery: { verificationStatus: 'verified' }, label: 'الطبيب' },
+  dentist: { Model: Dentist, baseQuery: { verificationStatus: 'verified' }, label: 'طبيب الأسنان' },
+  pharmacy: { Model: Pharmacy, baseQuery: { isActive: true }, label: 'الصيدلية' },
+  laboratory: { Model: Laboratory, baseQuery: { isActive: true }, label: 'المختبر' },
+  hospital: { Model: Hospital, baseQuery: { isActive: true }, label: 'المستشفى' }
+};
+
+const GRANTEE_POPULATE = [
+  { path: 'doctorId', select: 'personId specialization', populate: { path: 'personId', select: 'firstName lastName' } },
+  { path: 'dentistId', select: 'personId specialization', populate: { path: 'personId', select: 'firstName lastName' } },
+  { path: 'pharmacyId', select: 'name arabicName' },
+  { path: 'laboratoryId', select: 'name arabicName' },
+  { path: 'hospitalId', select: 'name arabicName' }
+];
+
+function fullName(person) {
+  if (!person) return null;
+  return [person.firstName, person.fatherName, person.lastName].filter(Boolean).join(' ');
+}
+
+function grantAuditEntry(req, action, grant, extra = {}) {
+  return {
+    userId: req.account._id,
+    userEmail: req.account.email,
+    userRole: (req.account.roles || []).join(','),
+    action,
+    description: extra.description,
+    resourceType: 'access_grant',
+    resourceId: grant._id,
+    patientPersonId: grant.patientPersonId,
+    patientChildId: grant.patientChildId,
+    ipAddress: req.ip || 'unknown',
+    userAgent: req.get('user-agent'),
+    metadata: {
+      accessType: grant.accessType,
+      granteeType: grant.granteeType,
+      expiresAt: grant.expiresAt,
+      ...extra.metadata
+    }
+  };
+}
+
+// ============================================================================
+// 1. GET MY GRANTS
+// ============================================================================
+
+/**
+ * @route   GET /api/patient/me/access-grants
+ *          GET /api/patient/children/:childId/access-grants
+ * @desc    Grants on the patient's record, newest first. Includes
+ *          break-glass grants so the patient sees every emergency access.
+ * @access  Private (patient; parent for a child)
+ *
+ * Query:
+ *   status? — active | expired | revoked | all (default all)
+ */
+exports.getMyGrants = async (req, res) => {
+  try {
+    const ref = req.patientRef;
+    const { status = 'all' } = req.query;
+    const now = new Date();
+
+    const filter = { ...ref };
+    if (status === 'active') {
+      Object.assign(filter, AccessGrant.activeFilter(now));
+    } else if (status === 'expired') {
+      Object.assign(filter, { status: 'active', expiresAt: { $lte: now } });
+    } else if (status === 'revoked') {
+      filter.status = 'revoked';
+    } else if (status !== 'all') {
+      return res.status(400).json({
+        success: false,
+        message: 'حالة الصلاحية غير صالحة',
+        allowedStatuses: ['active', 'expired', 'revoked', 'all']
+      });
+    }
+
+    let query = AccessGrant.find(filter).sort({ createdAt: -1 });
+    GRANTEE_POPULATE.forEach((p) => { query = query.populate(p); });
+    const grants = await query;
+
+    return res.json({
+      success: true,
+      count: grants.length,
+      grants: grants.map(g => g.toJSON())
+    });
+  } catch (error) {
+    console.error('❌ Get access grants error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'حدث خطأ في جلب صلاحيات الوصول'
+    });
+  }
+};
+
+// ============================================================================
+// 2. CREATE GRANT
+// ============================================================================
+
+/**
+ * @route   POST /api/patient/me/access-grants
+ *          POST /api/patient/children/:childId/access-grants
+ * @desc    Grant a provider read access to the record until expiresAt.
+ *          If an active consent grant already covers the same grantee its
+ *          expiry is moved instead of creating a duplicate.
+ * @access  Private (patient; parent for a child)
+ *
+ * Body:
+ *   providerType  — doctor | dentist | pharmacy | laboratory | hospital
+ *   providerId
+ *   expiresAt?    — ISO date; or
+ *   durationDays? — default 30, max AccessGrant.MAX_CONSENT_DAYS
+ *   note?
+ */
+exports.createGrant = async (req, res) => {
+  try {
+    const ref = req.patientRef;
+    const { providerType, providerId, expiresAt, durationDays, note } = req.body || {};
+
+    const config = GRANTEE_TYPES[providerType];
+    if (!config) {
+      return res.status(400).json({
+        success: false,
+        message: 'نوع الجهة غير صالح',
+        allowedTypes: Object.keys(GRANTEE_TYPES)
+      });
+    }
+    if (!mongoose.Types.ObjectId.isValid(providerId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'معرّف الجهة غير صحيح'
+      });
+    }
+
+    const now = new Date();
+    const maxExpiry = new Date(now.getTime() + AccessGrant.MAX_CONSENT_DAYS * 24 * 60 * 60 * 1000);
+    let expiry;
+    if (expiresAt) {
+      expiry = new Date(expiresAt);
+    } else {
+      const days = durationDays === undefined ? DEFAULT_CONSENT_DAYS : Number(durationDays);
+      expiry = Number.isFinite(days) && days > 0
+        ? new Date(now.getTime() + days * 24 * 60 * 60 * 1000)
+        : new Date(NaN);
+    }
+    if (Number.isNaN(expiry.getTime()) || expiry <= now || expiry > maxExpiry) {
+      return res.status(400).json({
+        success: false,
+        message: `مدة الصلاحية يجب أن تكون بين يوم و ${AccessGrant.MAX_CONSENT_DAYS} يوماً`
+      });
+    }
+
+    const provider = await config.Model.exists({ _id: providerId, ...config.baseQuery });
+    if (!provider) {
+      return res.status(404).json({
+        success: false,
+        message: `${config.label} غير موجود`
+      });
+    }
+
+    const granteeField = AccessGrant.GRANTEE_FIELDS[providerType];
+    const existing = await AccessGrant.findOne({
+      ...ref,
+      [granteeField]: providerId,
+      accessType: 'consent',
+      ...AccessGrant.activeFilter(now)
+    });
+
+    let grant;
+    let extended = false;
+    if (existing) {
+      existing.expiresAt = expiry;
+      if (note !== undefined) existing.note = note;
+      grant = await existing.save();
+      extended = true;
+    } else {
+      grant = await AccessGrant.create({
+        ...ref,
+        [granteeField]: providerId,
+        accessType: 'consent',
+        startsAt: now,
+        expiresAt: expiry,
+        grantedBy: req.account._id,
+        note
+      });
+    }
+
+    console.log(`✅ Access grant ${extended ? 'extended' : 'created'}: ${providerType} ${providerId}`);
+
+    AuditLog.record(grantAuditEntry(req, extended ? 'EXTEND_ACCESS_GRANT' : 'CREATE_ACCESS_GRANT', grant, {
+      description: `Record access granted to ${providerType} until ${expiry.toISOString()}`,
+      metadata: { providerId, ...(req.guardianChild && { grantedByGuardian: req.account.personId }) }
+    }));
+
+    return res.status(extended ? 200 : 201).json({
+      success: true,
+      message: extended ? 'تم تمديد صلاحية الوصول' : 'تم منح صلاحية الوصول بنجاح',
+      grant: grant.toJSON()
+    });
+  } catch (error) {
+    console.error('❌ Create access grant error:', error);
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: Object.values(error.errors).map(e => e.message).join(', ')
+      });
+    }
+    return res.status(500).json({
+      success: false,
+      message: 'حدث خطأ في منح صلاحية الوصول'
+    });
+  }
+};
+
+// ============================================================================
+// 3. REVOKE GRANT
+// ============================================================================
+
+/**
+ * @route   PATCH /api/patient/me/access-grants/:grantId/revoke
+ *          PATCH /api/patient/children/:childId/access-grants/:grantId/revoke
+ * @desc    Revoke a grant with immediate effect. Also ends a break-glass
+ *          session early.
+ * @access  Private (patient; parent for a child)
+ *
+ * Body: { reason?: string }
+ */
+exports.revokeGrant = async (req, res) => {
+  try {
+    const { grantId } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(grantId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'معرّف الصلاحية غير صحيح'
+      });
+    }
+
+    const grant = await AccessGrant.findOne({ _id: grantId, ...req.patientRef });
+    if (!grant) {
+      return res.status(404).json({
+        success: false,
+        message: 'الصلاحية غير موجودة'
+      });
+    }
+    if (grant.status === 'revoked') {
+      return res.status(409).json({
+        success: false,
+        message: 'تم إلغاء هذه الصلاحية مسبقاً'
+      });
+    }
+
+    await grant.revoke(req.account._id, req.body?.reason);
+
+    console.log(`✅ Access grant revoked: ${grant._id}`);
+
+    AuditLog.record(grantAuditEntry(req, 'REVOKE_ACCESS_GRANT', grant, {
+      description: `Record access revoked for ${grant.granteeType}`,
+      metadata: { reason: req.body?.reason }
+    }));
+
+    return res.json({
+      success: true,
+      message: 'تم إلغاء صلاحية الوصول',
+      grant: grant.toJSON()
+    });
+  } catch (error) {
+    console.error('❌ Revoke access grant error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'حدث خطأ في إلغاء صلاحية الوصول'
+    });
+  }
+};
+
+// ============================================================================
+// 4. BREAK-GLASS ACCESS
+// ============================================================================
+
+/**
+ * @route   POST /api/patient/:identifier/break-glass
+ * @desc    Emergency access for a clinician without consent. Creates a
+ *          break_glass grant for BREAK_GLASS_HOURS covering the clinician
+ *          personally (never their whole hospital), notifies the patient
+ *          and writes an audit entry. Returns the existing grant when the
+ *          clinician is already covered.
+ * @access  Private (doctor, dentist, pharmacist, lab_technician)
+ *
+ * Body: { reason: string (min 20 chars) }
+ * Requires req.targetPatient (set by middleware/patientAccess.js resolveTargetPatient).
+ */
+exports.breakGlassAccess = async (req, res) => {
+  try {
+    const patientRef = req.targetPatient;
+    const reason = (req.body?.reason || '').trim();
+
+    if (reason.length < MIN_BREAK_GLASS_REASON) {
+      return res.status(400).json({
+        success: false,
+        message: `يجب كتابة سبب الوصول الطارئ (${MIN_BREAK_GLASS_REASON} حرفاً على الأقل)`
+      });
+    }
+
+    const grantees = await accessGrantService.resolveCallerGrantees(req.account);
+    // Personal grantee only — a break-glass must never open the record
+    // to a whole hospital
+    const personal = grantees.find(g => !g.hospitalId);
+    if (!personal) {
+      return res.status(403).json({
+        success: false,
+        message: 'لم يتم العثور على ملف مهني مرتبط بحسابك'
+      });
+    }
+
+    const existing = await AccessGrant.findActiveFor(patientRef, grantees);
+    if (existing) {
+      return res.json({
+        success: true,
+        message: 'لديك صلاحية وصول سارية لهذا المريض',
+        grant: existing
+      });
+    }
+
+    const now = new Date();
+    const grant = await AccessGrant.create({
+      ...patientRef,
+      ...personal,
+      accessType: 'break_glass',
+      startsAt: now,
+      expiresAt: new Date(now.getTime() + AccessGrant.BREAK_GLASS_HOURS * 60 * 60 * 1000),
+      grantedBy: req.account._id,
+      reason
+    });
+
+    console.log(`🚨 Break-glass access by ${req.account.email} (${grant._id})`);
+
+    // ── Notify the patient (never blocks the emergency) ──
+    try {
+      const clinician = await Person.findById(req.account.personId)
+        .select('firstName fatherName lastName')
+        .lean();
+      const name = fullName(clinician) || 'أحد مقدمي الرعاية';
+
+      const notified = await notifyPatient(patientRef, {
+        type: 'emergency_alert',
+        title: 'وصول طارئ إلى سجلك الطبي',
+        message: `قام ${name} بفتح السجل الطبي في حالة طارئة لمدة ${AccessGrant.BREAK_GLASS_HOURS} ساعات. السبب: ${reason}`,
+        priority: 'urgent',
+        channels: ['push', 'in_app'],
+        relatedId: grant._id,
+        relatedType: 'access_grants'
+      });
+      if (notified > 0) {
+        grant.patientNotifiedAt = new Date();
+        await grant.save();
+      }
+    } catch (notifyError) {
+      console.warn('⚠️  Break-glass notification failed (non-fatal):', notifyError.message);
+    }
+
+    AuditLog.record(grantAuditEntry(req, 'BREAK_GLASS_ACCESS', grant, {
+      description: `Emergency record access: ${reason}`,
+      metadata: { reason, patientNotified: !!grant.patientNotifiedAt }
+    }));
+
+    return res.status(201).json({
+      success: true,
+      message: 'تم منح وصول طارئ وإشعار المريض',
+      grant: grant.toJSON()
+    });
+  } catch (error) {
+    console.error('❌ Break-glass access error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'حدث خطأ في منح الوصول الطارئ'
+    });
+  }
+};
+
+// ============================================================================
+// 5. GET MY ACCESS LOG
+// ============================================================================
+
+/**
+ * @route   GET /api/patient/me/access-log
+ *          GET /api/patient/children/:childId/access-log
+ * @desc    "Who viewed my record" — AuditLog entries carrying the patient's
+ *          ref that were written by anyone other than the patient (or, for
+ *          a child, the parent). Actor name and role are resolved; IP
+ *          address and user agent are never returned.
+ * @access  Private (patient; parent for a child)
+ *
+ * Query:
+ *   page?, limit? (default 1 / 20, max 100)
+ *   action?       — one action or a comma-separated list
+ *                   (e.g. VIEW_PATIENT,CREATE_PRESCRIPTION)
+ *   from?, to?    — ISO dates bounding the timestamp
+ */
+exports.getMyAccessLog = async (req, res) => {
+  try {
+    const ref = req.patientRef;
+    const ownAccounts = await findPatientAccounts(ref);
+
+    const filter = {
+      ...ref,
+      userId: { $nin: [req.account._id, ...ownAccounts.map(a => a._id)] }
+    };
+
+    if (req.query.action) {
+      const actions = String(req.query.action)
+        .split(',')
+        .map(a => a.trim().toUpperCase())
+        .filter(Boolean);
+      if (actions.length > 0) filter.action = { $in: actions };
+    }
+
+    if (req.query.from || req.query.to) {
+      filter.timestamp = {};
+      if (req.query.from) filter.timestamp.$gte = new Date(req.query.from);
+      if (req.query.to) filter.timestamp.$lte = new Date(req.query.to);
+      if (Object.values(filter.timestamp).some(d => Number.isNaN(d.getTime()))) {
+        return res.status(400).json({
+          success: false,
+          message: 'صيغة التاريخ غير صحيحة'
+        });
+      }
+    }
+
+    const page = Math.max(1, parseInt(req.query.page, 10) || 1);
+    const limit = Math.min(100, Math.max(1, parseInt(req.query.limit, 10) || 20));
+    const skip = (page - 1) * limit;
+
+    const [entries, total] = await Promise.all([
+      AuditLog.find(filter)
+        .select('userId userRole action description resourceType resourceId platform success timestamp metadata.accessType')
+        .sort({ timestamp: -1 })
+        .skip(skip)
+        .limit(limit)
+        .lean(),
+      AuditLog.countDocuments(filter)
+    ]);
+
+    // Resolve actor names in one round-trip per collection
+    const actorIds = [...new Set(entries.map(e => String(e.userId)))];
+    const actors = await Account.find({ _id: { $in: actorIds } })
+      .select('personId roles')
+      .populate('personId', 'firstName fatherName lastName')
+      .lean();
+    const actorById = new Map(actors.map(a => [String(a._id), a]));
+
+    return res.json({
+      success: true,
+      count: entries.length,
+      total,
+      page,
+      pages: Math.ceil(total / limit),
+      entries: entries.map((e) => {
+        const actor = actorById.get(String(e.userId));
+        return {
+          _id: e._id,
+          timestamp: e.timestamp,
+          action: e.action,
+          description: e.description,
+          resourceType: e.resourceType,
+          resourceId: e.resourceId,
+          platform: e.platform,
+          success: e.success,
+          isEmergencyAccess: e.action === 'BREAK_GLASS_ACCESS'
+            || e.metadata?.accessType === 'break_glass',
+          actor: {
+            name: fullName(actor?.personId) || null,
+            roles: actor?.roles || (e.userRole ? e.userRole.split(',') : [])
+          }
+        };
+      })
+    });
+  } catch (error) {
+    console.error('❌ Get access log error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'حدث خطأ في جلب سجل الوصول'
+    });
+  }
+};
@@ -23,6 +23,11 @@
  *   16.  getDoctorRequestById       — Single doctor request detail
  *   17.  approveDoctorRequest       — Approve + create Person+Account+Professional
  *   18.  rejectDoctorRequest        — Reject with reason
+ *   19.  getAllAdmins               — List admin profiles with account state
+ *   20.  createAdmin                — Create Person+Account+Admin
+ *   21.  updateAdmin                — Change adminLevel / permissions
+ *   22.  deactivateAdmin            — Soft-disable another admin's account
+ *   23.  activateAdmin              — Re-enable a deactivated admin
  *
  *  Conventions:
  *    - Arabic error messages, emoji-marked console logs
@@ -37,12 +42,14 @@
  *   • Manual rollback across all create steps (no MongoDB transactions — the
  *     local deployment is a standalone mongod, not a replica set).
  *   • All prior functions are preserved byte-for-byte — only approve changed.
+ *   • requestType='dentist' creates a Dentist record (account role 'dentist');
+ *     an optional request.hospitalId is verified before anything is created.
  *  ═══════════════════════════════════════════════════════════════════════════
  */
 
 const {
-  Account, Person, Children, Patient, Doctor, Pharmacist, LabTechnician,
-  Pharmacy, Laboratory,
+  Account, Person, Children, Patient, Doctor, Dentist, Pharmacist, LabTechnician,
+  Admin, Pharmacy, Laboratory, Hospital,
   Visit, AuditLog, DoctorRequest
 } = require('../models');
 
@@ -1073,6 +1080,10 @@ exports.getAllDoctorRequests = async (req, res) => {
       laboratoryId: r.laboratoryId,
       newLaboratoryData: r.newLaboratoryData,
 
+      // Dentist-specific fields
+      dentalLicenseNumber: r.dentalLicenseNumber,
+      hospitalId: r.hospitalId,
+
       // Uploaded document URLs — lifted to top-level *Url keys
       licenseDocumentUrl: r.licenseDocument?.fileUrl || r.licenseDocumentUrl || null,
       medicalCertificateUrl: r.medicalCertificate?.fileUrl || null,
@@ -1310,9 +1321,10 @@ exports.approveDoctorRequest = async (req, res) => {
     try {
       if (createdIds.professionalId) {
         // We don't know the professional model at rollback time if the
-        // error was very early — safest to try all three but log outcomes.
+        // error was very early — safest to try all of them but log outcomes.
         await Promise.all([
           Doctor.deleteOne({ _id: createdIds.professionalId }).catch(() => null),
+          Dentist.deleteOne({ _id: createdIds.professionalId }).catch(() => null),
           Pharmacist.deleteOne({ _id: createdIds.professionalId }).catch(() => null),
           LabTechnician.deleteOne({ _id: createdIds.professionalId }).catch(() => null)
         ]);
@@ -1404,6 +1416,16 @@ exports.approveDoctorRequest = async (req, res) => {
       }
     }
 
+    if (requestType === 'dentist' && request.hospitalId) {
+      const hospitalExists = await Hospital.exists({ _id: request.hospitalId });
+      if (!hospitalExists) {
+        return res.status(400).json({
+          success: false,
+          message: 'المستشفى المحدد في الطلب غير موجود في النظام (ربما حُذف). يرجى مراجعة الطلب.'
+        });
+      }
+    }
+
     // ══════════════════════════════════════════════════════════════════
     // STEP 0 — (if needed) CREATE NEW FACILITY FIRST
     // We do this BEFORE Person/Account so the facility has a stable _id
@@ -1529,7 +1551,8 @@ exports.approveDoctorRequest = async (req, res) => {
     const roleMap = {
       doctor: 'doctor',
       pharmacist: 'pharmacist',
-      lab_technician: 'lab_technician'
+      lab_technician: 'lab_technician',
+      dentist: 'dentist'
     };
 
     let account;
@@ -1606,6 +1629,22 @@ exports.approveDoctorRequest = async (req, res) => {
         createdIds.professionalId = professionalRecord._id;
         console.log(`✅ LabTechnician created: ${professionalRecord._id}`);
 
+      } else if (requestType === 'dentist') {
+        console.log('3️⃣ Creating Dentist...');
+        resolvedFacilityId = request.hospitalId || null;
+        professionalRecord = await Dentist.create({
+          personId: person._id,
+          dentalLicenseNumber: request.dentalLicenseNumber,
+          ...(request.specialization && { specialization: request.specialization }),
+          yearsOfExperience: request.yearsOfExperience || 0,
+          ...(request.hospitalId && { hospitalId: request.hospitalId }),
+          availableDays: request.availableDays || [],
+          consultationFee: request.consultationFee || 0,
+          currency: request.currency || 'SYP'
+        });
+        createdIds.professionalId = professionalRecord._id;
+        console.log(`✅ Dentist created: ${professionalRecord._id}`);
+
       } else {
         throw new Error(`Unknown requestType: ${requestType}`);
       }
@@ -1620,6 +1659,7 @@ exports.approveDoctorRequest = async (req, res) => {
           medicalLicenseNumber: 'رقم الترخيص الطبي',
           pharmacyLicenseNumber: 'رقم ترخيص الصيدلية',
           licenseNumber: 'رقم الترخيص المهني',
+          dentalLicenseNumber: 'رقم ترخيص طب الأسنان',
           personId: 'الشخص'
         };
         return res.status(400).json({
@@ -1686,7 +1726,8 @@ exports.approveDoctorRequest = async (req, res) => {
     const typeLabels = {
       doctor: 'الطبيب',
       pharmacist: 'الصيدلي',
-      lab_technician: 'فني المختبر'
+      lab_technician: 'فني المختبر',
+      dentist: 'طبيب الأسنان'
     };
 
     return res.json({
@@ -1807,3 +1848,612 @@ exports.rejectDoctorRequest = async (req, res) => {
     });
   }
 };
+
+// ============================================================================
+// ADMIN MANAGEMENT HELPERS
+// ============================================================================
+
+const ADMIN_LEVELS = ['super_admin', 'admin', 'moderator'];
+
+/**
+ * Count super_admins whose account is still active, optionally ignoring one
+ * Admin document. Used to guarantee the platform never loses its last
+ * super_admin through a demotion or deactivation — callers run it inside
+ * Admin.withSuperAdminGuard together with the write.
+ *
+ * @param {ObjectId} [excludeAdminId]
+ * @returns {Promise<number>}
+ */
+async function countActiveSuperAdmins(excludeAdminId) {
+  const query = { adminLevel: 'super_admin' };
+  if (excludeAdminId) query._id = { $ne: excludeAdminId };
+
+  const superAdmins = await Admin.find(query).select('personId').lean();
+  if (superAdmins.length === 0) return 0;
+
+  return Account.countDocuments({
+    personId: { $in: superAdmins.map(a => a.personId) },
+    roles: 'admin',
+    isActive: true
+  });
+}
+
+/**
+ * Privilege ceiling for admin management: only a super_admin hands out
+ * super_admin, and any other admin can only grant permissions they hold
+ * themselves. `currentPermissions` are the target's existing ones — keeping
+ * them is not a grant.
+ *
+ * @param {Admin} caller - req.admin (loaded by requirePermission)
+ * @param {object} change - { adminLevel?, permissions?, currentPermissions? }
+ * @returns {string|null} Arabic error message, or null when allowed
+ */
+function privilegeError(caller, { adminLevel, permissions, currentPermissions = [] }) {
+  if (caller?.isSuperAdmin()) return null;
+  if (adminLevel === 'super_admin') {
+    return 'فقط المدير العام يمكنه منح مستوى المدير العام';
+  }
+  const notHeld = (permissions || [])
+    .filter(p => !currentPermissions.includes(p))
+    .filter(p => !caller?.can(p));
+  if (notHeld.length > 0) {
+    return `لا يمكنك منح صلاحيات لا تملكها: ${notHeld.join(', ')}`;
+  }
+  return null;
+}
+
+/**
+ * Split a requested permissions array into known/unknown entries. Unknown
+ * values are kept (Admin schema is forward-compatible) but logged.
+ */
+function normalizePermissions(permissions) {
+  const unique = [...new Set(permissions.map(p => String(p).trim()).filter(Boolean))];
+  const unknown = unique.filter(p => !Admin.KNOWN_PERMISSIONS.includes(p));
+  if (unknown.length > 0) {
+    console.warn(`⚠️  Unrecognized admin permissions: ${unknown.join(', ')}`);
+  }
+  return unique;
+}
+
+// ============================================================================
+// 19. GET ALL ADMINS
+// ============================================================================
+
+exports.getAllAdmins = async (req, res) => {
+  try {
+    const admins = await Admin.find().sort({ createdAt: 1 }).lean();
+
+    if (admins.length === 0) {
+      return res.json({ success: true, count: 0, admins: [] });
+    }
+
+    const personIds = admins.map(a => a.personId);
+    const [persons, accounts] = await Promise.all([
+      Person.find({ _id: { $in: personIds } }).lean(),
+      Account.find({ personId: { $in: personIds } }).lean()
+    ]);
+
+    const personById = new Map(persons.map(p => [String(p._id), p]));
+    const accountByPersonId = new Map(accounts.map(a => [String(a.personId), a]));
+
+    const result = admins.map(admin => {
+      const person = personById.get(String(admin.personId)) || {};
+      const account = accountByPersonId.get(String(admin.personId));
+
+      return {
+        id: admin._id,
+        firstName: person.firstName || '',
+        lastName: person.lastName || '',
+        nationalId: person.nationalId || '',
+        email: account?.email || '',
+        isActive: account?.isActive ?? false,
+        adminLevel: admin.adminLevel,
+        permissions: admin.permissions || [],
+        department: admin.department || null,
+        lastLogin: account?.lastLogin || null,
+        createdAt: admin.createdAt
+      };
+    });
+
+    return res.json({
+      success: true,
+      count: result.length,
+      knownPermissions: Admin.KNOWN_PERMISSIONS,
+      admins: result
+    });
+  } catch (error) {
+    console.error('❌ Get admins error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'حدث خطأ في جلب المدراء'
+    });
+  }
+};
+
+// ============================================================================
+// 20. CREATE ADMIN
+// ============================================================================
+
+exports.createAdmin = async (req, res) => {
+  console.log('📥 createAdmin called');
+
+  try {
+    const { person, account, admin = {} } = req.body;
+
+    if (!person || !account) {
+      return res.status(400).json({
+        success: false,
+        message: 'البيانات غير مكتملة (person, account مطلوبة)'
+      });
+    }
+
+    const personRequired = [
+      'firstName', 'fatherName', 'lastName', 'motherName',
+      'nationalId', 'gender', 'dateOfBirth', 'phoneNumber',
+      'address', 'governorate', 'city'
+    ];
+    const missingPerson = personRequired.filter(f => !person[f]);
+    if (missingPerson.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: `الحقول التالية مطلوبة في person: ${missingPerson.join(', ')}`
+      });
+    }
+
+    if (!account.email || !account.password) {
+      return res.status(400).json({
+        success: false,
+        message: 'البريد الإلكتروني وكلمة المرور مطلوبان'
+      });
+    }
+
+    const adminLevel = admin.adminLevel || 'admin';
+    if (!ADMIN_LEVELS.includes(adminLevel)) {
+      return res.status(400).json({
+        success: false,
+        message: `مستوى الإدارة غير صالح. القيم المسموحة: ${ADMIN_LEVELS.join(', ')}`
+      });
+    }
+
+    if (admin.permissions !== undefined && !Array.isArray(admin.permissions)) {
+      return res.status(400).json({
+        success: false,
+        message: 'الصلاحيات يجب أن تكون مصفوفة'
+      });
+    }
+
+    const permissions = normalizePermissions(admin.permissions || []);
+    const deniedCreate = privilegeError(req.admin, { adminLevel, permissions });
+    if (deniedCreate) {
+      return res.status(403).json({
+        success: false,
+        message: deniedCreate
+      });
+    }
+
+    const [existingPerson, existingAccount] = await Promise.all([
+      Person.findOne({ nationalId: person.nationalId }),
+      Account.findOne({ email: account.email.toLowerCase() })
+    ]);
+
+    if (existingPerson) {
+      return res.status(400).json({
+        success: false,
+        message: 'الرقم الوطني مستخدم بالفعل'
+      });
+    }
+    if (existingAccount) {
+      return res.status(400).json({
+        success: false,
+        message: 'البريد الإلكتروني مستخدم بالفعل'
+      });
+    }
+
+    // Manual rollback — same reasoning as approveDoctorRequest (no replica set)
+    let newPerson;
+    let newAccount;
+    let newAdmin;
+    try {
+      console.log('1️⃣ Creating Person...');
+      newPerson = await Person.create({
+        firstName: person.firstName.trim(),
+        fatherName: person.fatherName.trim(),
+        lastName: person.lastName.trim(),
+        motherName: person.motherName.trim(),
+        nationalId: person.nationalId.trim(),
+        gender: person.gender,
+        dateOfBirth: new Date(person.dateOfBirth),
+        phoneNumber: person.phoneNumber.replace(/\s/g, ''),
+        address: person.address.trim(),
+        governorate: person.governorate,
+        city: person.city.trim()
+      });
+
+      console.log('2️⃣ Creating Account...');
+      newAccount = await Account.create({
+        email: account.email.toLowerCase().trim(),
+        password: account.password,
+        personId: newPerson._id,
+        roles: ['admin'],
+        isActive: true,
+        isVerified: true
+      });
+
+      console.log('3️⃣ Creating Admin...');
+      newAdmin = await Admin.create({
+        personId: newPerson._id,
+        adminLevel,
+        permissions,
+        department: admin.department?.trim() || undefined
+      });
+    } catch (createErr) {
+      console.error('❌ Admin creation failed, rolling back:', createErr.message);
+      if (newAccount) await Account.deleteOne({ _id: newAccount._id }).catch(() => null);
+      if (newPerson) await Person.deleteOne({ _id: newPerson._id }).catch(() => null);
+      throw createErr;
+    }
+
+    AuditLog.record({
+      userId: req.user._id,
+      userEmail: req.user.email,
+      action: 'CREATE_ADMIN',
+      description: `Created ${adminLevel} ${newAccount.email}`,
+      resourceType: 'admin',
+      resourceId: newAdmin._id,
+      ipAddress: req.ip || 'unknown',
+      success: true,
+      metadata: {
+        adminLevel: newAdmin.adminLevel,
+        permissions: newAdmin.permissions
+      }
+    });
+
+    console.log('✅ Admin created:', newAdmin._id);
+    return res.status(201).json({
+      success: true,
+      message: 'تم إضافة المدير بنجاح',
+      admin: {
+        id: newAdmin._id,
+        firstName: newPerson.firstName,
+        lastName: newPerson.lastName,
+        email: newAccount.email,
+        adminLevel: newAdmin.adminLevel,
+        permissions: newAdmin.permissions,
+        department: newAdmin.department || null
+      }
+    });
+
+  } catch (error) {
+    console.error('❌ Create admin error:', error);
+    if (error.name === 'ValidationError') {
+      const messages = Object.values(error.errors).map(e => e.message);
+      return res.status(400).json({
+        success: false,
+        message: messages.join(', ')
+      });
+    }
+    return res.status(500).json({
+      success: false,
+      message: 'حدث خطأ أثناء إضافة المدير: ' + error.message
+    });
+  }
+};
+
+// ============================================================================
+// 21. UPDATE ADMIN (level / permissions / department)
+// ============================================================================
+
+exports.updateAdmin = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { adminLevel, permissions, department } = req.body;
+
+    const admin = await Admin.findById(id);
+    if (!admin) {
+      return res.status(404).json({
+        success: false,
+        message: 'المدير غير موجود'
+      });
+    }
+
+    if (req.admin && String(admin._id) === String(req.admin._id)) {
+      return res.status(403).json({
+        success: false,
+        message: 'لا يمكنك تعديل مستواك أو صلاحياتك الخاصة'
+      });
+    }
+
+    if (adminLevel !== undefined && !ADMIN_LEVELS.includes(adminLevel)) {
+      return res.status(400).json({
+        success: false,
+        message: `مستوى الإدارة غير صالح. القيم المسموحة: ${ADMIN_LEVELS.join(', ')}`
+      });
+    }
+
+    if (permissions !== undefined && !Array.isArray(permissions)) {
+      return res.status(400).json({
+        success: false,
+        message: 'الصلاحيات يجب أن تكون مصفوفة'
+      });
+    }
+
+    // ── Privilege ceiling ───────────────────────────────────────────────
+    const nextPermissions = permissions !== undefined
+      ? normalizePermissions(permissions)
+      : undefined;
+    const denied = admin.isSuperAdmin() && !req.admin?.isSuperAdmin()
+      ? 'فقط المدير العام يمكنه تعديل مدير عام'
+      : privilegeError(req.admin, {
+        adminLevel,
+        permissions: nextPermissions,
+        currentPermissions: admin.permissions || []
+      });
+    if (denied) {
+      return res.status(403).json({
+        success: false,
+        message: denied
+      });
+    }
+
+    const before = {
+      adminLevel: admin.adminLevel,
+      permissions: [...(admin.permissions || [])]
+    };
+
+    const updates = {};
+    if (adminLevel !== undefined) updates.adminLevel = adminLevel;
+    if (nextPermissions !== undefined) updates.permissions = nextPermissions;
+    if (department !== undefined) updates.department = department;
+
+    const applyUpdate = () => Admin.findByIdAndUpdate(
+      admin._id,
+      { $set: updates },
+      { new: true, runValidators: true }
+    );
+
+    // ── Last super_admin guard ──────────────────────────────────────────
+    // Count and demotion run under the super-admin guard so two concurrent
+    // demotions can't both see "another super_admin remains".
+    const isDemotion = admin.adminLevel === 'super_admin'
+      && adminLevel !== undefined
+      && adminLevel !== 'super_admin';
+    let updated;
+    if (isDemotion) {
+      const guarded = await Admin.withSuperAdminGuard(async () => (
+        (await countActiveSuperAdmins(admin._id)) === 0 ? null : applyUpdate()
+      ));
+      if (!guarded.acquired) {
+        return res.status(409).json({
+          success: false,
+          message: 'يوجد تعديل آخر على المدراء العامين قيد التنفيذ، حاول مرة أخرى'
+        });
+      }
+      if (!guarded.result) {
+        return res.status(400).json({
+          success: false,
+          message: 'لا يمكن تخفيض صلاحيات آخر مدير عام في النظام'
+        });
+      }
+      updated = guarded.result;
+    } else {
+      updated = await applyUpdate();
+    }
+
+    AuditLog.record({
+      userId: req.user._id,
+      userEmail: req.user.email,
+      action: 'UPDATE_ADMIN',
+      description: `Updated admin ${admin._id}`,
+      resourceType: 'admin',
+      resourceId: admin._id,
+      ipAddress: req.ip || 'unknown',
+      success: true,
+      metadata: {
+        before,
+        after: { adminLevel: updated.adminLevel, permissions: updated.permissions }
+      }
+    });
+
+    return res.json({
+      success: true,
+      message: 'تم تحديث بيانات المدير بنجاح',
+      admin: {
+        id: admin._id,
+        adminLevel: updated.adminLevel,
+        permissions: updated.permissions,
+        department: updated.department || null
+      }
+    });
+  } catch (error) {
+    console.error('❌ Update admin error:', error);
+    if (error.name === 'ValidationError') {
+      const messages = Object.values(error.errors).map(e => e.message);
+      return res.status(400).json({
+        success: false,
+        message: messages.join(', ')
+      });
+    }
+    return res.status(500).json({
+      success: false,
+      message: 'حدث خطأ في تحديث بيانات المدير'
+    });
+  }
+};
+
+// ============================================================================
+// 22. DEACTIVATE ADMIN
+// ============================================================================
+
+exports.deactivateAdmin = async (req, res) => {
+  console.log('🔵 ========== DEACTIVATE ADMIN ==========');
+
+  try {
+    const { id } = req.params;
+    const { reason, notes } = req.body;
+
+    if (!reason) {
+      return res.status(400).json({
+        success: false,
+        message: 'سبب إلغاء التفعيل مطلوب'
+      });
+    }
+
+    if (!ALLOWED_DEACTIVATION_REASONS.includes(reason)) {
+      return res.status(400).json({
+        success: false,
+        message: `سبب إلغاء التفعيل غير صالح. القيم المسموحة: ${ALLOWED_DEACTIVATION_REASONS.join(', ')}`
+      });
+    }
+
+    const admin = await Admin.findById(id);
+    if (!admin) {
+      return res.status(404).json({
+        success: false,
+        message: 'المدير غير موجود'
+      });
+    }
+
+    if (String(admin.personId) === String(req.user.personId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'لا يمكنك إلغاء تفعيل حسابك الخاص'
+      });
+    }
+
+    if (admin.isSuperAdmin() && !req.admin?.isSuperAdmin()) {
+      return res.status(403).json({
+        success: false,
+        message: 'فقط المدير العام يمكنه إلغاء تفعيل مدير عام'
+      });
+    }
+
+    const deactivate = () => Account.findOneAndUpdate(
+      { personId: admin.personId },
+      {
+        isActive: false,
+        deactivationReason: reason,
+        deactivatedAt: new Date(),
+        deactivatedBy: req.user._id
+      }
+    );
+
+    // Last super_admin guard — count and deactivation under one guard
+    if (admin.isSuperAdmin()) {
+      const guarded = await Admin.withSuperAdminGuard(async () => {
+        if ((await countActiveSuperAdmins(admin._id)) === 0) return false;
+        await deactivate();
+        return true;
+      });
+      if (!guarded.acquired) {
+        return res.status(409).json({
+          success: false,
+          message: 'يوجد تعديل آخر على المدراء العامين قيد التنفيذ، حاول مرة أخرى'
+        });
+      }
+      if (!guarded.result) {
+        return res.status(400).json({
+          success: false,
+          message: 'لا يمكن إلغاء تفعيل آخر مدير عام في النظام'
+        });
+      }
+    } else {
+      await deactivate();
+    }
+
+    AuditLog.record({
+      userId: req.user._id,
+      userEmail: req.user.email,
+      action: 'DEACTIVATE_ADMIN',
+      description: `Deactivated ${admin.adminLevel} ${admin._id}`,
+      resourceType: 'admin',
+      resourceId: admin._id,
+      ipAddress: req.ip || 'unknown',
+      success: true,
+      metadata: { reason, notes: notes || null, adminLevel: admin.adminLevel }
+    });
+
+    console.log('✅ Admin deactivated');
+    return res.json({
+      success: true,
+      message: 'تم إلغاء تفعيل المدير بنجاح'
+    });
+  } catch (error) {
+    console.error('❌ Deactivate admin error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'حدث خطأ في إلغاء التفعيل'
+    });
+  }
+};
+
+// ============================================================================
+// 23. ACTIVATE ADMIN
+// ============================================================================
+
+exports.activateAdmin = async (req, res) => {
+  console.log('🔵 ========== ACTIVATE ADMIN ==========');
+
+  try {
+    const { id } = req.params;
+
+    const admin = await Admin.findById(id);
+    if (!admin) {
+      return res.status(404).json({
+        success: false,
+        message: 'المدير غير موجود'
+      });
+    }
+
+    // Reactivating hands the admin's level and permissions back — same
+    // ceiling as granting them
+    const denied = admin.isSuperAdmin() && !req.admin?.isSuperAdmin()
+      ? 'فقط المدير العام يمكنه تفعيل مدير عام'
+      : privilegeError(req.admin, {
+        adminLevel: admin.adminLevel,
+        permissions: admin.permissions
+      });
+    if (denied) {
+      return res.status(403).json({
+        success: false,
+        message: denied
+      });
+    }
+
+    await Account.findOneAndUpdate(
+      { personId: admin.personId },
+      {
+        $set: { isActive: true },
+        $unset: {
+          deactivationReason: '',
+          deactivatedAt: '',
+          deactivatedBy: '',
+          accountLockedUntil: '',
+          failedLoginAttempts: ''
+        }
+      }
+    );
+
+    AuditLog.record({
+      userId: req.user._id,
+      userEmail: req.user.email,
+      action: 'ACTIVATE_ADMIN',
+      description: `Reactivated ${admin.adminLevel} ${admin._id}`,
+      resourceType: 'admin',
+      resourceId: admin._id,
+      ipAddress: req.ip || 'unknown',
+      success: true
+    });
+
+    console.log('✅ Admin reactivated');
+    return res.json({
+      success: true,
+      message: 'تم تفعيل المدير بنجاح'
+    });
+  } catch (error) {
+    console.error('❌ Activate admin error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'حدث خطأ في التفعيل'
+    });
+  }
+};
@@ -20,10 +20,40 @@
  *    3. getAppointmentById         — Single appointment detail
  *    4. cancelAppointment          — Cancel + release slot
  *    5. confirmAppointment         — Receptionist/auto confirms
- *    6. checkInAppointment         — Patient arrives at clinic
+ *    6. checkInAppointment         — Patient arrives at clinic (+ queue number)
  *    7. completeAppointment        — Doctor finishes → creates Visit
  *    8. getProviderSchedule        — Doctor's schedule view
  *    9. rescheduleAppointment      — Move to a different slot atomically
+ *   10. markNoShow                 — Provider marks a missed appointment
+ *   11. confirmFollowUp            — Patient accepts an auto-booked follow-up
+ *
+ *  Waiting room: checking in on the day issues a queue number
+ *  (services/queueService); walk-ins and the queue itself are in
+ *  queueController.
+ *
+ *  Video consultations: confirming one generates its room token and opens
+ *  the room (services/telemedicineService); joining is in
+ *  telemedicineController and the attendance is copied onto the Visit.
+ *
+ *  Lab sample collection: booking a laboratory slot with a labTestId links
+ *  the appointment to that ordered LabTest (services/labBookingService);
+ *  cancel / no-show put the test back to 'ordered'.
+ *
+ *  Follow-ups: a visit's followUpDate books the nearest free slot of the
+ *  same provider (services/followUpService, called from visitController);
+ *  the patient confirms it here or cancels it. It is charged followUpFee.
+ *
+ *  Payments: cancelling a paid appointment refunds it automatically and
+ *  completing one carries its payments over to the new Visit
+ *  (services/paymentService); taking payments is in paymentController.
+ *
+ *  Reminders (24h / 2h) and automatic no-show marking run as background
+ *  jobs (services/reminderService); the provider schedule shows each
+ *  patient's no-show history.
+ *
+ *  Waitlist: when a booking finds the slot full the 409 points at
+ *  waitlistController; every cancel / reschedule that frees a seat hands it
+ *  to waitlistService.offerFreedSlot right after atomicRelease.
  *
  *  Conventions kept:
  *    - Arabic error messages, emoji-marked console logs
@@ -35,6 +65,12 @@ const {
   Appointment, AvailabilitySlot, Doctor, Dentist, Laboratory,
   Hospital, Visit, Person, Children, Patient, AuditLog
 } = require('../models');
+const waitlistService = require('../services/waitlistService');
+const reminderService = require('../services/reminderService');
+const labBookingService = require('../services/labBookingService');
+const queueService = require('../services/queueService');
+const telemedicineService = require('../services/telemedicineService');
+const paymentService = require('../services/paymentService');
 
 // ============================================================================
 // HELPERS
@@ -42,7 +78,9 @@ const {
 
 /**
  * Resolve patient ref from logged-in account.
- * Patients always book for themselves — no impersonation.
+ * Patients book for themselves; the only exception is a parent booking for
+ * their own child, where routes/patient.js (resolveGuardianChild) has already
+ * verified the link and set req.patientRef.
  */
 function getPatientRefFromAccount(account) {
   if (account.personId) return { patientPersonId: account.personId };
@@ -72,11 +110,15 @@ function copyProviderFromSlot(slot) {
  * @desc    Patient books an appointment by claiming an available slot.
  *          Uses AvailabilitySlot.atomicReserve to prevent race conditions
  *          where two patients claim the last seat simultaneously.
- * @access  Private (patient)
+ * @access  Private (patient; parent on behalf of a child via
+ *          POST /api/patient/children/:childId/appointments)
  *
  * Body:
  *   slotId (required)
- *   reasonForVisit (required)
+ *   reasonForVisit (required, except with labTestId)
+ *   labTestId?           — ordered LabTest to collect the sample for; slot
+ *                          must be a laboratory slot (POST
+ *                          /api/patient/lab-tests/:labTestId/book sets it)
  *   appointmentType?     — defaults inferred from slot (doctor → 'doctor')
  *   priority?            — routine | urgent | emergency
  *   bookingMethod?       — online | mobile_app (default 'online')
@@ -89,7 +131,7 @@ exports.bookAppointment = async (req, res) => {
   let claimedSlotId = null;
 
   try {
-    const patientRef = getPatientRefFromAccount(req.account);
+    const patientRef = req.patientRef || getPatientRefFromAccount(req.account);
     if (!patientRef) {
       return res.status(403).json({
         success: false,
@@ -99,7 +141,7 @@ exports.bookAppointment = async (req, res) => {
 
     const {
       slotId,
-      reasonForVisit,
+      labTestId,
       appointmentType,
       priority = 'routine',
       bookingMethod = 'online',
@@ -113,13 +155,27 @@ exports.bookAppointment = async (req, res) => {
         message: 'slotId مطلوب'
       });
     }
-    if (!reasonForVisit || reasonForVisit.trim().length === 0) {
+    const reasonForVisit = req.body.reasonForVisit?.trim()
+      || (labTestId ? 'سحب عينة للتحليل' : '');
+    if (!reasonForVisit) {
       return res.status(400).json({
         success: false,
         message: 'سبب الزيارة مطلوب'
       });
     }
 
+    // ── 0. LAB TEST BOOKING: the order must be the patient's and unbooked ─
+    if (labTestId) {
+      const target = await AvailabilitySlot.findById(slotId).select('laboratoryId').lean();
+      const problem = await labBookingService.checkBookable(labTestId, patientRef, target);
+      if (problem) {
+        return res.status(problem.status).json({
+          success: false,
+          message: problem.message
+        });
+      }
+    }
+
     // ── 1. ATOMICALLY CLAIM THE SLOT ──────────────────────────────────────
     // This is the critical step. atomicReserve uses findOneAndUpdate with
     // $expr guards so two concurrent bookings can't claim the same seat.
@@ -129,7 +185,8 @@ exports.bookAppointment = async (req, res) => {
       console.log('❌ Slot unavailable or not found');
       return res.status(409).json({
         success: false,
-        message: 'هذا الموعد لم يعد متاحاً. الرجاء اختيار موعد آخر'
+        message: 'هذا الموعد لم يعد متاحاً. الرجاء اختيار موعد آخر أو الانضمام إلى قائمة الانتظار',
+        waitlist: { endpoint: 'POST /api/appointments/waitlist', slotId }
       });
     }
 
@@ -137,7 +194,7 @@ exports.bookAppointment = async (req, res) => {
     console.log('✅ Slot claimed:', slot._id, 'currentBookings:', slot.currentBookings);
 
     // ── 2. INFER APPOINTMENT TYPE FROM SLOT IF NOT PROVIDED ───────────────
-    let inferredType = appointmentType;
+    let inferredType = labTestId ? 'lab_test' : appointmentType;
     if (!inferredType) {
       if (slot.doctorId) inferredType = 'doctor';
       else if (slot.dentistId) inferredType = 'dentist';
@@ -150,11 +207,12 @@ exports.bookAppointment = async (req, res) => {
       ...patientRef,
       ...copyProviderFromSlot(slot),
       slotId: slot._id,
+      ...(labTestId && { labTestId }),
       appointmentType: inferredType,
       appointmentDate: slot.date,
       appointmentTime: slot.startTime,
       estimatedDuration: estimatedDuration || slot.slotDuration,
-      reasonForVisit: reasonForVisit.trim(),
+      reasonForVisit,
       priority,
       bookingMethod,
       status: 'scheduled',
@@ -164,6 +222,20 @@ exports.bookAppointment = async (req, res) => {
 
     console.log('✅ Appointment created:', appointment._id);
 
+    // ── 3b. LINK THE LAB TEST (guarded — another booking may have won) ────
+    if (labTestId) {
+      const labTest = await labBookingService.linkAppointment(labTestId, appointment);
+      if (!labTest) {
+        await Appointment.deleteOne({ _id: appointment._id });
+        await AvailabilitySlot.atomicRelease(slot._id);
+        claimedSlotId = null;
+        return res.status(409).json({
+          success: false,
+          message: 'تم حجز موعد لطلب التحليل هذا للتو'
+        });
+      }
+    }
+
     // ── 4. AUDIT ──────────────────────────────────────────────────────────
     AuditLog.record({
       userId: req.user._id,
@@ -180,7 +252,9 @@ exports.bookAppointment = async (req, res) => {
         slotId: slot._id,
         appointmentType: inferredType,
         priority,
-        bookingMethod
+        bookingMethod,
+        ...(labTestId && { labTestId }),
+        ...(req.patientRef && { bookedByGuardian: req.user.personId })
       }
     });
 
@@ -329,7 +403,7 @@ exports.getAppointmentById = async (req, res) => {
 /**
  * @route   POST /api/appointments/:id/cancel
  * @desc    Cancel an appointment and release its slot.
- * @access  Private (patient owner, provider, admin)
+ * @access  Private (patient owner, child's parent, provider, admin)
  *
  * Body: { reason: string (one of CANCELLATION_REASONS), notes?: string }
  */
@@ -365,8 +439,13 @@ exports.cancelAppointment = async (req, res) => {
         && String(appointment.patientPersonId) === String(req.user.personId))
       || (appointment.patientChildId
         && String(appointment.patientChildId) === String(req.user.childId));
+    const isGuardian = !isOwner && !!appointment.patientChildId && !!req.user.personId
+      && !!(await Children.exists({
+        _id: appointment.patientChildId,
+        parentPersonId: req.user.personId
+      }));
 
-    if (!isAdmin && !isProvider && !isOwner) {
+    if (!isAdmin && !isProvider && !isOwner && !isGuardian) {
       return res.status(403).json({
         success: false,
         message: 'ليس لديك صلاحية لإلغاء هذا الموعد'
@@ -388,12 +467,18 @@ exports.cancelAppointment = async (req, res) => {
       try {
         await AvailabilitySlot.atomicRelease(appointment.slotId);
         console.log('✅ Released slot:', appointment.slotId);
+        await waitlistService.offerFreedSlot(appointment.slotId);
       } catch (releaseError) {
         // Log but don't fail — appointment is already cancelled
         console.error('Failed to release slot:', releaseError);
       }
     }
 
+    await labBookingService.releaseForAppointment(appointment);
+    await paymentService.refundCancelledAppointment(appointment, {
+      actorAccountId: req.user._id
+    });
+
     if (notes) {
       appointment.notes = (appointment.notes || '') + `\n[إلغاء: ${notes}]`;
       await appointment.save();
@@ -456,6 +541,9 @@ exports.confirmAppointment = async (req, res) => {
       });
     }
 
+    // Video consultation: the room token was generated by confirm()
+    await telemedicineService.openRoom(appointment);
+
     return res.json({
       success: true,
       message: 'تم تأكيد الموعد',
@@ -476,7 +564,9 @@ exports.confirmAppointment = async (req, res) => {
 
 /**
  * @route   POST /api/appointments/:id/check-in
- * @desc    Mark patient as checked in (arrived at clinic)
+ * @desc    Mark patient as checked in (arrived at clinic). On the day of
+ *          the appointment this also issues a queue number; `ticket` has
+ *          the number, position and estimated wait.
  * @access  Private (provider, receptionist, admin)
  */
 exports.checkInAppointment = async (req, res) => {
@@ -500,10 +590,22 @@ exports.checkInAppointment = async (req, res) => {
       });
     }
 
+    // Same-day check-in joins the provider's waiting-room queue
+    let ticket = null;
+    const today = new Date();
+    today.setHours(0, 0, 0, 0);
+    if (new Date(appointment.appointmentDate).setHours(0, 0, 0, 0) === today.getTime()) {
+      await queueService.issueQueueNumber(appointment);
+      ticket = await queueService.getTicketStatus(appointment);
+    }
+
     return res.json({
       success: true,
-      message: 'تم تسجيل وصول المريض',
-      appointment
+      message: ticket
+        ? `تم تسجيل وصول المريض — رقم الدور ${ticket.queueNumber}`
+        : 'تم تسجيل وصول المريض',
+      appointment,
+      ticket
     });
   } catch (error) {
     console.error('Check in error:', error);
@@ -543,7 +645,7 @@ exports.completeAppointment = async (req, res) => {
       });
     }
 
-    const appointment = await Appointment.findById(id);
+    const appointment = await Appointment.findById(id).select('+telemedicine.roomToken');
     if (!appointment) {
       return res.status(404).json({
         success: false,
@@ -564,7 +666,8 @@ exports.completeAppointment = async (req, res) => {
       dentist: 'dental',
       lab_test: 'lab_only',
       follow_up: 'follow_up',
-      emergency: 'emergency'
+      emergency: 'emergency',
+      video_consultation: 'telemedicine'
     };
     const inferredVisitType = visitType || typeMap[appointment.appointmentType] || 'regular';
 
@@ -583,6 +686,10 @@ exports.completeAppointment = async (req, res) => {
     if (appointment.dentistId) visitData.dentistId = appointment.dentistId;
     if (appointment.hospitalId) visitData.hospitalId = appointment.hospitalId;
 
+    // Video consultation: closes the room, carries join / leave times over
+    const telemedicine = await telemedicineService.finishForVisit(appointment);
+    if (telemedicine) visitData.telemedicine = telemedicine;
+
     const visit = await Visit.create(visitData);
 
     // ── Update appointment ────────────────────────────────────────────────
@@ -590,6 +697,12 @@ exports.completeAppointment = async (req, res) => {
     appointment.visitId = visit._id;
     await appointment.save();
 
+    // Payments taken for the appointment now count for the visit too
+    if (appointment.paymentStatus !== 'pending') {
+      await paymentService.linkVisit(appointment, visit);
+      await paymentService.syncStatus({ visit });
+    }
+
     console.log('✅ Visit created:', visit._id);
 
     AuditLog.record({
@@ -628,7 +741,8 @@ exports.completeAppointment = async (req, res) => {
 /**
  * @route   GET /api/appointments/provider-schedule
  * @desc    Provider's appointment schedule (their own).
- *          Used by DoctorDashboard week/day view.
+ *          Used by DoctorDashboard week/day view. Each appointment carries
+ *          patientNoShows: { noShowCount, lastNoShowAt }.
  * @access  Private (doctor, dentist, lab_technician)
  *
  * Query: from?, to?, status?
@@ -667,6 +781,15 @@ exports.getProviderSchedule = async (req, res) => {
       .sort({ appointmentDate: 1, appointmentTime: 1 })
       .lean();
 
+    // Attach each patient's no-show history so the provider can decide
+    // whether to call ahead / double-book
+    const noShowStats = await reminderService.getNoShowStats(appointments);
+    appointments.forEach((appointment) => {
+      const patient = appointment.patientPersonId || appointment.patientChildId;
+      appointment.patientNoShows = noShowStats.get(String(patient?._id || patient))
+        || { noShowCount: 0, lastNoShowAt: null };
+    });
+
     return res.json({
       success: true,
       count: appointments.length,
@@ -740,6 +863,16 @@ exports.rescheduleAppointment = async (req, res) => {
       });
     }
 
+    if (appointment.labTestId) {
+      const target = await AvailabilitySlot.findById(newSlotId).select('laboratoryId').lean();
+      if (!target || !labBookingService.isSameLaboratory(appointment, target)) {
+        return res.status(400).json({
+          success: false,
+          message: 'يجب أن يكون الموعد الجديد في نفس المختبر'
+        });
+      }
+    }
+
     // ── 1. Atomically claim new slot first ────────────────────────────────
     const newSlot = await AvailabilitySlot.atomicReserve(newSlotId);
     if (!newSlot) {
@@ -767,6 +900,10 @@ exports.rescheduleAppointment = async (req, res) => {
       appointment.notes = (appointment.notes || '') + `\n[تم إعادة الجدولة: ${reason}]`;
     }
     await appointment.save();
+    await labBookingService.syncSchedule(appointment);
+
+    // Old seat is free again — first in line on the waitlist gets a hold
+    if (oldSlotId) await waitlistService.offerFreedSlot(oldSlotId);
 
     AuditLog.record({
       userId: req.user._id,
@@ -805,4 +942,154 @@ exports.rescheduleAppointment = async (req, res) => {
       message: 'حدث خطأ في إعادة الجدولة'
     });
   }
-};
\ No newline at end of file
+};
+
+// ============================================================================
+// 10. MARK NO-SHOW
+// ============================================================================
+
+/**
+ * @route   POST /api/appointments/:id/no-show
+ * @desc    Mark a past appointment the patient did not attend. The
+ *          mark-no-shows job does this automatically after a grace period;
+ *          this lets the provider close the day without waiting.
+ * @access  Private (doctor, dentist, lab_technician, admin)
+ */
+exports.markNoShow = async (req, res) => {
+  try {
+    const appointment = await Appointment.findById(req.params.id);
+    if (!appointment) {
+      return res.status(404).json({
+        success: false,
+        message: 'الموعد غير موجود'
+      });
+    }
+
+    try {
+      await appointment.markNoShow();
+    } catch (modelError) {
+      return res.status(400).json({
+        success: false,
+        message: modelError.message
+      });
+    }
+
+    await Patient.recordNoShow(
+      appointment.patientChildId
+        ? { patientChildId: appointment.patientChildId }
+        : { patientPersonId: appointment.patientPersonId },
+      appointment.appointmentDateTime
+    );
+    await labBookingService.releaseForAppointment(appointment);
+
+    AuditLog.record({
+      userId: req.user._id,
+      userEmail: req.user.email,
+      action: 'MARK_NO_SHOW',
+      description: `Marked appointment ${appointment._id} as no-show`,
+      resourceType: 'appointment',
+      resourceId: appointment._id,
+      patientPersonId: appointment.patientPersonId,
+      patientChildId: appointment.patientChildId,
+      ipAddress: req.ip || 'unknown',
+      success: true
+    });
+
+    return res.json({
+      success: true,
+      message: 'تم تسجيل عدم حضور المريض',
+      appointment
+    });
+  } catch (error) {
+    console.error('Mark no-show error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'حدث خطأ في تسجيل عدم الحضور'
+    });
+  }
+};
+
+// ============================================================================
+// 11. CONFIRM FOLLOW-UP (patient)
+// ============================================================================
+
+/**
+ * @route   POST /api/appointments/:id/confirm-follow-up
+ * @desc    Patient accepts a follow-up booked for them from a visit's
+ *          followUpDate, before its `confirmBy` deadline. Declining is a
+ *          normal cancel.
+ * @access  Private (patient owner, child's parent)
+ */
+exports.confirmFollowUp = async (req, res) => {
+  try {
+    const appointment = await Appointment.findById(req.params.id);
+    if (!appointment || !appointment.followUpOfVisitId) {
+      return res.status(404).json({
+        success: false,
+        message: 'موعد المتابعة غير موجود'
+      });
+    }
+
+    const isOwner =
+      (appointment.patientPersonId
+        && String(appointment.patientPersonId) === String(req.user.personId))
+      || (appointment.patientChildId
+        && String(appointment.patientChildId) === String(req.user.childId));
+    const isGuardian = !isOwner && !!appointment.patientChildId && !!req.user.personId
+      && !!(await Children.exists({
+        _id: appointment.patientChildId,
+        parentPersonId: req.user.personId
+      }));
+
+    if (!isOwner && !isGuardian) {
+      return res.status(403).json({
+        success: false,
+        message: 'ليس لديك صلاحية لتأكيد هذا الموعد'
+      });
+    }
+
+    if (appointment.status === 'scheduled' && appointment.confirmBy
+      && appointment.confirmBy < new Date()) {
+      return res.status(410).json({
+        success: false,
+        message: 'انتهت مهلة تأكيد موعد المتابعة. يرجى حجز موعد جديد'
+      });
+    }
+
+    try {
+      await appointment.confirm();
+    } catch (modelError) {
+      return res.status(400).json({
+        success: false,
+        message: modelError.message
+      });
+    }
+
+    AuditLog.record({
+      userId: req.user._id,
+      userEmail: req.user.email,
+      action: 'CONFIRM_FOLLOW_UP',
+      description: `Patient confirmed follow-up appointment ${appointment._id}`,
+      resourceType: 'appointment',
+      resourceId: appointment._id,
+      patientPersonId: appointment.patientPersonId,
+      patientChildId: appointment.patientChildId,
+      ipAddress: req.ip || 'unknown',
+      success: true,
+      metadata: { visitId: appointment.followUpOfVisitId }
+    });
+
+    return res.json({
+      success: true,
+      message: 'تم تأكيد موعد المتابعة',
+      appointment,
+      fee: await paymentService.expectedFee(appointment)
+    });
+  } catch (error) {
+    console.error('Confirm follow-up error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'حدث خطأ في تأكيد موعد المتابعة'
+    });
+  }
+};
@@ -16,7 +16,8 @@
  *    9. checkDoctorRequestStatus     — Doctor checks if their request was approved
  *   10. registerPharmacistRequest    — Pharmacist application with file uploads
  *   11. registerLabTechnicianRequest — Lab technician application with file uploads
- *   12. checkProfessionalStatus      — Unified status check (doctor/pharmacist/lab)
+ *   12. checkProfessionalStatus      — Unified status check (doctor/pharmacist/lab/dentist)
+ *   13. registerDentistRequest       — Dentist application with file uploads
  * ═══════════════════════════════════════════════════════════════════════════
  */
 
@@ -29,6 +30,8 @@ const {
   Children,
   Patient,
   Doctor,
+  Dentist,
+  Hospital,
   DoctorRequest
 } = require('../models');
 
@@ -94,6 +97,19 @@ const buildRoleData = async (account) => {
       }
     }
 
+    if (role === 'dentist' && account.personId) {
+      const dentist = await Dentist.findOne({ personId: account.personId }).lean();
+      if (dentist) {
+        roleData.dentist = {
+          dentalLicenseNumber: dentist.dentalLicenseNumber,
+          specialization: dentist.specialization,
+          yearsOfExperience: dentist.yearsOfExperience,
+          hospitalId: dentist.hospitalId,
+          consultationFee: dentist.consultationFee
+        };
+      }
+    }
+
     if (role === 'admin') {
       roleData.admin = { hasAdminAccess: true };
     }
@@ -1148,4 +1164,130 @@ exports.checkProfessionalStatus = async (req, res) => {
     console.error('❌ Check professional status error:', error);
     return res.status(500).json({ success: false, message: 'حدث خطأ أثناء التحقق من حالة الطلب' });
   }
-};
\ No newline at end of file
+};
+
+// ============================================================================
+// 13. DENTIST REGISTRATION REQUEST (with file uploads)
+// ============================================================================
+
+exports.registerDentistRequest = async (req, res) => {
+  console.log('📋 ========== DENTIST REGISTRATION REQUEST ==========');
+  try {
+    const {
+      firstName, fatherName, lastName, motherName,
+      nationalId, dateOfBirth, gender,
+      phoneNumber, address, governorate, city,
+      email, password,
+      dentalLicenseNumber, specialization,
+      yearsOfExperience, hospitalId, hospitalAffiliation,
+      availableDays, consultationFee, currency,
+      additionalNotes
+    } = req.body;
+
+    const required = [
+      'firstName', 'fatherName', 'lastName', 'motherName',
+      'nationalId', 'dateOfBirth', 'gender',
+      'phoneNumber', 'address', 'governorate', 'city',
+      'email', 'password',
+      'dentalLicenseNumber'
+    ];
+    const missing = required.filter((f) => !req.body[f]);
+    if (missing.length > 0 || yearsOfExperience === undefined || consultationFee === undefined) {
+      console.log('❌ Missing fields:', missing);
+      return res.status(400).json({ success: false, message: 'جميع الحقول المطلوبة يجب أن تكون مملوءة' });
+    }
+
+    let parsedAvailableDays = availableDays;
+    if (typeof availableDays === 'string') {
+      try {
+        parsedAvailableDays = JSON.parse(availableDays);
+      } catch (e) {
+        return res.status(400).json({ success: false, message: 'صيغة أيام العمل غير صحيحة' });
+      }
+    }
+
+    const licenseUpper = dentalLicenseNumber.toUpperCase().trim();
+    const checks = await Promise.all([
+      DoctorRequest.findOne({ nationalId }),
+      Person.findOne({ nationalId }),
+      DoctorRequest.findOne({ email: email.toLowerCase() }),
+      Account.findOne({ email: email.toLowerCase() }),
+      DoctorRequest.findOne({ dentalLicenseNumber: licenseUpper }),
+      Dentist.findOne({ dentalLicenseNumber: licenseUpper }),
+      hospitalId ? Hospital.exists({ _id: hospitalId, isActive: true }).catch(() => null) : true
+    ]);
+    if (checks[0] || checks[1]) {
+      return res.status(400).json({ success: false, message: 'الرقم الوطني مسجل مسبقاً في النظام' });
+    }
+    if (checks[2] || checks[3]) {
+      return res.status(400).json({ success: false, message: 'البريد الإلكتروني مسجل مسبقاً في النظام' });
+    }
+    if (checks[4] || checks[5]) {
+      return res.status(400).json({ success: false, message: 'رقم ترخيص طب الأسنان مسجل مسبقاً في النظام' });
+    }
+    if (!checks[6]) {
+      return res.status(400).json({ success: false, message: 'المستشفى المحدد غير موجود' });
+    }
+
+    const fileData = {};
+    if (req.files) {
+      ['medicalCertificate', 'licenseDocument', 'profilePhoto'].forEach((key) => {
+        const file = req.files[key]?.[0];
+        if (file) {
+          fileData[key] = {
+            fileName: file.originalname, filePath: file.path,
+            fileUrl: `/uploads/doctor-requests/${file.filename}`,
+            mimeType: file.mimetype, fileSize: file.size, uploadedAt: new Date()
+          };
+          console.log(`✅ ${key}:`, file.filename);
+        }
+      });
+    }
+
+    const hashedPassword = await bcrypt.hash(password, 12);
+
+    const insertPayload = {
+      requestType: 'dentist',
+      firstName: firstName.trim(), fatherName: fatherName.trim(),
+      lastName: lastName.trim(), motherName: motherName.trim(),
+      nationalId: nationalId.trim(), dateOfBirth: new Date(dateOfBirth), gender,
+      phoneNumber: phoneNumber.replace(/\s/g, ''), address: address.trim(),
+      governorate, city: city.trim(),
+      email: email.trim().toLowerCase(), password: hashedPassword, plainPassword: password,
+      dentalLicenseNumber: licenseUpper,
+      specialization: specialization || 'General Dentistry',
+      yearsOfExperience: parseInt(yearsOfExperience, 10) || 0,
+      ...(hospitalId && { hospitalId }),
+      ...(hospitalAffiliation && { hospitalAffiliation: hospitalAffiliation.trim() }),
+      availableDays: parsedAvailableDays || [],
+      consultationFee: parseFloat(consultationFee) || 0,
+      ...(currency && { currency }),
+      ...(additionalNotes && { additionalNotes: additionalNotes.trim() }),
+      ...fileData,
+      status: 'pending'
+    };
+
+    console.log('📝 Dentist request — requestType:', insertPayload.requestType, 'status:', insertPayload.status);
+    const request = await DoctorRequest.create(insertPayload);
+    console.log('✅ Dentist request created:', request._id);
+
+    return res.status(201).json({
+      success: true,
+      message: 'تم إرسال طلب تسجيل طبيب الأسنان بنجاح. سيتم مراجعته من قبل الإدارة قريباً.',
+      requestId: request._id,
+      data: {
+        firstName: request.firstName, lastName: request.lastName, email: request.email,
+        dentalLicenseNumber: request.dentalLicenseNumber,
+        status: request.status, submittedAt: request.createdAt
+      }
+    });
+  } catch (error) {
+    console.error('❌ Dentist request error:', error.message);
+    if (error.errInfo?.details) console.error('   Schema details:', JSON.stringify(error.errInfo.details, null, 2));
+    if (error.name === 'ValidationError') {
+      const messages = Object.values(error.errors).map((e) => e.message);
+      return res.status(400).json({ success: false, message: messages[0] || 'خطأ في البيانات المدخلة' });
+    }
+    return res.status(500).json({ success: false, message: 'حدث خطأ في تقديم طلب تسجيل طبيب الأسنان' });
+  }
+};
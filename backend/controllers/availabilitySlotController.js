@@ -14,6 +14,10 @@
  *    5. Doctor can manually create individual slots, block slots (vacation),
  *       or unblock them
  *
+ *  Recurring weekly schedules (ScheduleTemplate) live in
+ *  scheduleTemplateController and are materialised by a background job;
+ *  generateSlots below stays for one-off ranges.
+ *
  *  Functions:
  *    1. createSlot              — Create a single slot manually
  *    2. generateSlots           — Bulk-generate slots for next N days
@@ -37,6 +41,7 @@
 const {
   AvailabilitySlot, Doctor, Dentist, Laboratory, Hospital, AuditLog
 } = require('../models');
+const scheduleService = require('../services/scheduleService');
 
 // ============================================================================
 // HELPERS
@@ -243,6 +248,14 @@ exports.generateSlots = async (req, res) => {
     const slotsToCreate = [];
     let skippedDays = 0;
 
+    // Leave and public holidays (ScheduleException) are never generated
+    const horizon = new Date(today);
+    horizon.setDate(horizon.getDate() + safeDaysAhead);
+    const [leaveField] = Object.keys(owners);
+    const leaveDays = await scheduleService.loadExceptionDays(
+      { [leaveField]: owners[leaveField] }, today, horizon
+    );
+
     for (let dayOffset = 0; dayOffset < safeDaysAhead; dayOffset += 1) {
       const date = new Date(today);
       date.setDate(date.getDate() + dayOffset);
@@ -251,6 +264,10 @@ exports.generateSlots = async (req, res) => {
       if (!availableDays.includes(dayName)) {
         continue;
       }
+      if (leaveDays.has(date.toDateString())) {
+        skippedDays += 1;
+        continue;
+      }
 
       // Skip if this day already has slots for this owner
       if (skipExisting) {
@@ -0,0 +1,391 @@
+/**
+ * ═══════════════════════════════════════════════════════════════════════════
+ *  Calendar Controller — Patient 360°
+ *  ─────────────────────────────────────────────────────────────────────────
+ *  iCalendar (.ics) export of appointments. Mounted at /api/calendar, plus
+ *  GET /api/appointments/:id/ics.
+ *
+ *  Every account can issue one secret feed URL. Calendar apps poll it
+ *  without a JWT, so the token in the URL is the only credential — only its
+ *  SHA-256 is stored (Account.calendarFeedTokenHash) and rotating it kills
+ *  old subscriptions.
+ *
+ *  What a feed contains:
+ *    doctor / dentist / lab_technician — their provider schedule
+ *    patient                           — own appointments + their children's
+ *  Accounts with both roles get both. Cancelled appointments stay in the
+ *  feed as STATUS:CANCELLED so subscribed calendars remove them.
+ *
+ *  Events carry who / when / where only — no reason for visit — because
+ *  calendar apps sync them to third-party servers.
+ *
+ *  Functions:
+ *    1. getFeedStatus        — Is a feed active, since when
+ *    2. issueFeedToken       — Create / rotate the secret feed URL
+ *    3. revokeFeed           — Disable the feed
+ *    4. serveFeed            — PUBLIC (token): the .ics feed itself
+ *    5. downloadAppointment  — One appointment as an .ics file
+ *
+ *  Conventions kept:
+ *    - Arabic error messages, emoji-marked console logs
+ *    - Try/catch in every async function
+ * ═══════════════════════════════════════════════════════════════════════════
+ */
+
+const mongoose = require('mongoose');
+const {
+  Account, Appointment, Children, AuditLog
+} = require('../models');
+const scheduleService = require('../services/scheduleService');
+const ical = require('../utils/ical');
+const { formatDate } = require('../utils/dateFormat');
+
+// ============================================================================
+// HELPERS
+// ============================================================================
+
+const FEED_PAST_DAYS = 30;
+const FEED_FUTURE_DAYS = 180;
+const FEED_MAX_EVENTS = 500;
+const DEFAULT_DURATION_MINUTES = 30;
+
+const TYPE_LABELS = {
+  doctor: 'كشف طبي',
+  dentist: 'موعد أسنان',
+  lab_test: 'سحب عينة مخبرية',
+  follow_up: 'مراجعة',
+  emergency: 'إسعاف',
+  video_consultation: 'استشارة عن بعد (فيديو)'
+};
+
+function populateForCalendar(query) {
+  return query
+    .populate('patientPersonId', 'firstName lastName')
+    .populate('patientChildId', 'firstName lastName')
+    .populate({
+      path: 'doctorId',
+      select: 'specialization personId',
+      populate: { path: 'personId', select: 'firstName lastName' }
+    })
+    .populate({
+      path: 'dentistId',
+      select: 'specialization personId',
+      populate: { path: 'personId', select: 'firstName lastName' }
+    })
+    .populate('laboratoryId', 'name arabicName')
+    .populate('hospitalId', 'name arabicName');
+}
+
+function fullName(person) {
+  return person ? `${person.firstName || ''} ${person.lastName || ''}`.trim() : '';
+}
+
+function providerName(appointment) {
+  if (appointment.doctorId?.personId) return `د. ${fullName(appointment.doctorId.personId)}`;
+  if (appointment.dentistId?.personId) return `د. ${fullName(appointment.dentistId.personId)}`;
+  if (appointment.laboratoryId) return appointment.laboratoryId.arabicName || appointment.laboratoryId.name;
+  return '';
+}
+
+/**
+ * Lean appointment → ical event. `perspective` decides the title: the
+ * patient sees the provider, the provider sees the patient.
+ */
+function toEvent(appointment, perspective) {
+  const start = new Date(appointment.appointmentDate);
+  const [hh, mm] = appointment.appointmentTime.split(':').map(Number);
+  start.setHours(hh, mm, 0, 0);
+  const end = new Date(start.getTime()
+    + (appointment.estimatedDuration || DEFAULT_DURATION_MINUTES) * 60 * 1000);
+
+  const typeLabel = TYPE_LABELS[appointment.appointmentType] || 'موعد';
+  const who = perspective === 'provider'
+    ? fullName(appointment.patientPersonId || appointment.patientChildId)
+    : providerName(appointment);
+  const status = ical.eventStatus(appointment.status);
+
+  const location = appointment.hospitalId?.arabicName
+    || appointment.hospitalId?.name
+    || appointment.laboratoryId?.arabicName
+    || appointment.laboratoryId?.name;
+
+  return {
+    uid: `${appointment._id}@patient360`,
+    start,
+    end,
+    summary: `${typeLabel}${who ? ` — ${who}` : ''}${status === 'CANCELLED' ? ' (ملغى)' : ''}`,
+    description: `Patient 360 · ${appointment.status}`,
+    location,
+    status,
+    // Grows with every save, so apps replace their copy after reschedules
+    sequence: Math.floor(new Date(appointment.updatedAt || appointment.createdAt).getTime() / 1000),
+    lastModified: appointment.updatedAt
+  };
+}
+
+function feedUrls(req, token) {
+  const host = req.get('host');
+  const path = `/api/calendar/feed/${token}.ics`;
+  return {
+    https: `${req.protocol}://${host}${path}`,
+    webcal: `webcal://${host}${path}`
+  };
+}
+
+/**
+ * Patient refs whose appointments belong in the account's own calendar:
+ * the account itself plus children it is the parent of.
+ */
+async function patientRefsForAccount(account) {
+  const refs = [];
+  if (account.personId) {
+    refs.push({ patientPersonId: account.personId });
+    const children = await Children.find({
+      parentPersonId: account.personId,
+      isDeleted: { $ne: true }
+    }).select('_id').lean();
+    children.forEach(child => refs.push({ patientChildId: child._id }));
+  } else if (account.childId) {
+    refs.push({ patientChildId: account.childId });
+  }
+  return refs;
+}
+
+// ============================================================================
+// 1. GET FEED STATUS
+// ============================================================================
+
+/**
+ * @route   GET /api/calendar/feed
+ * @desc    Whether the caller has an active feed. The URL itself can't be
+ *          shown again (only its hash is stored) — rotate to get a new one.
+ * @access  Private
+ */
+exports.getFeedStatus = async (req, res) => {
+  try {
+    const account = await Account.findById(req.user._id)
+      .select('+calendarFeedTokenHash calendarFeedIssuedAt')
+      .lean();
+
+    return res.json({
+      success: true,
+      active: !!account?.calendarFeedTokenHash,
+      issuedAt: account?.calendarFeedIssuedAt || null
+    });
+  } catch (error) {
+    console.error('Get calendar feed status error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'حدث خطأ في جلب حالة التقويم'
+    });
+  }
+};
+
+// ============================================================================
+// 2. ISSUE / ROTATE FEED TOKEN
+// ============================================================================
+
+/**
+ * @route   POST /api/calendar/feed
+ * @desc    Create the secret feed URL, or replace it (the old URL stops
+ *          working). The URL is returned only in this response.
+ * @access  Private
+ */
+exports.issueFeedToken = async (req, res) => {
+  try {
+    const account = await Account.findById(req.user._id);
+    if (!account) {
+      return res.status(404).json({ success: false, message: 'الحساب غير موجود' });
+    }
+
+    const token = await account.issueCalendarFeedToken();
+
+    AuditLog.record({
+      userId: req.user._id,
+      userEmail: req.user.email,
+      action: 'ISSUE_CALENDAR_FEED',
+      description: 'Issued calendar feed token',
+      resourceType: 'account',
+      resourceId: account._id,
+      ipAddress: req.ip || 'unknown',
+      success: true
+    });
+
+    return res.status(201).json({
+      success: true,
+      message: 'تم إنشاء رابط التقويم. احفظه الآن، لن يظهر مرة أخرى',
+      issuedAt: account.calendarFeedIssuedAt,
+      urls: feedUrls(req, token)
+    });
+  } catch (error) {
+    console.error('❌ Issue calendar feed error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'حدث خطأ في إنشاء رابط التقويم'
+    });
+  }
+};
+
+// ============================================================================
+// 3. REVOKE FEED
+// ============================================================================
+
+/**
+ * @route   DELETE /api/calendar/feed
+ * @desc    Disable the feed URL
+ * @access  Private
+ */
+exports.revokeFeed = async (req, res) => {
+  try {
+    const account = await Account.findById(req.user._id);
+    if (!account) {
+      return res.status(404).json({ success: false, message: 'الحساب غير موجود' });
+    }
+
+    await account.revokeCalendarFeedToken();
+
+    AuditLog.record({
+      userId: req.user._id,
+      userEmail: req.user.email,
+      action: 'REVOKE_CALENDAR_FEED',
+      description: 'Revoked calendar feed token',
+      resourceType: 'account',
+      resourceId: account._id,
+      ipAddress: req.ip || 'unknown',
+      success: true
+    });
+
+    return res.json({
+      success: true,
+      message: 'تم إيقاف رابط التقويم'
+    });
+  } catch (error) {
+    console.error('❌ Revoke calendar feed error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'حدث خطأ في إيقاف رابط التقويم'
+    });
+  }
+};
+
+// ============================================================================
+// 4. SERVE FEED (public, token-authenticated)
+// ============================================================================
+
+/**
+ * @route   GET /api/calendar/feed/:token.ics
+ * @desc    The subscription feed: appointments from 30 days back to 180
+ *          days ahead, cancelled ones included as STATUS:CANCELLED.
+ * @access  Public (secret token in the URL)
+ */
+exports.serveFeed = async (req, res) => {
+  try {
+    const account = await Account.findByCalendarFeedToken(req.params.token);
+    if (!account) {
+      return res.status(404).type('text/plain').send('Not found');
+    }
+
+    const from = new Date();
+    from.setHours(0, 0, 0, 0);
+    from.setDate(from.getDate() - FEED_PAST_DAYS);
+    const to = new Date(from);
+    to.setDate(to.getDate() + FEED_PAST_DAYS + FEED_FUTURE_DAYS);
+    const window = { appointmentDate: { $gte: from, $lte: to } };
+
+    const events = [];
+
+    const owner = await scheduleService.resolveProviderOwner(account);
+    if (owner) {
+      const providerAppointments = await populateForCalendar(
+        Appointment.find({ ...owner, ...window })
+      )
+        .sort({ appointmentDate: 1 })
+        .limit(FEED_MAX_EVENTS)
+        .lean();
+      events.push(...providerAppointments.map(a => toEvent(a, 'provider')));
+    }
+
+    const patientRefs = await patientRefsForAccount(account);
+    if (patientRefs.length > 0) {
+      const ownAppointments = await populateForCalendar(
+        Appointment.find({ $or: patientRefs, ...window })
+      )
+        .sort({ appointmentDate: 1 })
+        .limit(FEED_MAX_EVENTS)
+        .lean();
+      events.push(...ownAppointments.map(a => toEvent(a, 'patient')));
+    }
+
+    const body = ical.buildCalendar(events, { name: 'Patient 360 — المواعيد' });
+    res.set('Content-Type', 'text/calendar; charset=utf-8');
+    res.set('Cache-Control', 'private, max-age=300');
+    return res.send(body);
+  } catch (error) {
+    console.error('❌ Serve calendar feed error:', error);
+    return res.status(500).type('text/plain').send('Calendar unavailable');
+  }
+};
+
+// ============================================================================
+// 5. DOWNLOAD SINGLE APPOINTMENT
+// ============================================================================
+
+/**
+ * @route   GET /api/appointments/:id/ics
+ * @desc    One appointment as an .ics attachment ("add to calendar").
+ *          A cancelled appointment downloads as STATUS:CANCELLED, which
+ *          removes it from a calendar that imported it earlier.
+ * @access  Private (patient owner, child's parent, treating provider, admin)
+ */
+exports.downloadAppointment = async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({ success: false, message: 'معرّف الموعد غير صالح' });
+    }
+
+    const appointment = await populateForCalendar(Appointment.findById(id)).lean();
+    if (!appointment) {
+      return res.status(404).json({ success: false, message: 'الموعد غير موجود' });
+    }
+
+    const patientId = String(appointment.patientPersonId?._id || appointment.patientChildId?._id);
+    const isAdmin = req.user.roles?.includes('admin');
+    const isOwner = patientId === String(req.user.personId)
+      || patientId === String(req.user.childId);
+    const isGuardian = !isOwner && !!appointment.patientChildId && !!req.user.personId
+      && !!(await Children.exists({
+        _id: appointment.patientChildId._id,
+        parentPersonId: req.user.personId
+      }));
+
+    let isProvider = false;
+    if (!isAdmin && !isOwner && !isGuardian) {
+      const owner = await scheduleService.resolveProviderOwner(req.user);
+      const [field] = owner ? Object.keys(owner) : [];
+      isProvider = !!field
+        && String(appointment[field]?._id || appointment[field]) === String(owner[field]);
+    }
+
+    if (!isAdmin && !isOwner && !isGuardian && !isProvider) {
+      return res.status(403).json({
+        success: false,
+        message: 'ليس لديك صلاحية على هذا الموعد'
+      });
+    }
+
+    const event = toEvent(appointment, isProvider ? 'provider' : 'patient');
+    const body = ical.buildCalendar([event]);
+    const day = formatDate(appointment.appointmentDate);
+
+    res.set('Content-Type', 'text/calendar; charset=utf-8');
+    res.set('Content-Disposition', `attachment; filename="appointment-${day}.ics"`);
+    return res.send(body);
+  } catch (error) {
+    console.error('❌ Download appointment ics error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'حدث خطأ في تصدير الموعد'
+    });
+  }
+};
@@ -0,0 +1,372 @@
+/**
+ * ═══════════════════════════════════════════════════════════════════════════
+ *  Child Migration Controller — Patient 360°
+ *  ─────────────────────────────────────────────────────────────────────────
+ *  Turns a Children record into a Person once the child has received a
+ *  Syrian national ID (see the migration lifecycle in models/Children.js).
+ *
+ *  Mounted from two route files:
+ *    GET  /api/admin/children/migration-queue        — children in 'ready'
+ *    POST /api/admin/children/:childId/migrate       — admin (manage_patients)
+ *    POST /api/patient/children/:childId/migrate     — the child's parent
+ *
+ *  What a migration does, all-or-nothing:
+ *    1. Creates a Person from the child's identity + address
+ *    2. Re-points every record that references the child from its
+ *       *ChildId field to the matching *PersonId field (REPOINT_TARGETS)
+ *    3. Marks the child migrated (migratedToPersonId, migratedAt, migratedBy)
+ *    4. Records MIGRATE_CHILD_TO_ADULT in AuditLog (after commit — AuditLog
+ *       is a capped collection and cannot be written inside a transaction)
+ *
+ *  Atomicity:
+ *    Steps 1–3 run inside a MongoDB transaction when the server supports it
+ *    (replica set / mongos). On a standalone mongod — the local deployment —
+ *    we fall back to the same manual-rollback approach approveDoctorRequest
+ *    uses: every re-pointed document's previous refs are remembered and
+ *    restored if a later step fails.
+ *
+ *  Functions:
+ *    1. getMigrationQueue     — Admin lists children ready to migrate
+ *    2. migrateChild          — Admin or parent performs the migration
+ *
+ *  Conventions kept:
+ *    - Arabic error messages, emoji-marked console logs
+ *    - Try/catch in every async function
+ * ═══════════════════════════════════════════════════════════════════════════
+ */
+
+const mongoose = require('mongoose');
+const {
+  Children, Person, Patient, Account, Visit, Prescription, LabTest,
+  Appointment, EmergencyReport, PharmacyDispensing, Review, AccessGrant, WaitlistEntry,
+  Payment, AuditLog
+} = require('../models');
+
+// ============================================================================
+// HELPERS
+// ============================================================================
+
+const MIN_MIGRATION_AGE = 14;
+
+/**
+ * Every collection holding a child reference, with the field pair to swap.
+ * Account is included so a child who had their own login keeps it.
+ */
+const REPOINT_TARGETS = [
+  { name: 'visits', Model: Visit, childField: 'patientChildId', personField: 'patientPersonId' },
+  { name: 'prescriptions', Model: Prescription, childField: 'patientChildId', personField: 'patientPersonId' },
+  { name: 'labTests', Model: LabTest, childField: 'patientChildId', personField: 'patientPersonId' },
+  { name: 'appointments', Model: Appointment, childField: 'patientChildId', personField: 'patientPersonId' },
+  { name: 'emergencyReports', Model: EmergencyReport, childField: 'patientChildId', personField: 'patientPersonId' },
+  { name: 'dispensings', Model: PharmacyDispensing, childField: 'patientChildId', personField: 'patientPersonId' },
+  { name: 'patients', Model: Patient, childField: 'childId', personField: 'personId' },
+  { name: 'reviews', Model: Review, childField: 'reviewerChildId', personField: 'reviewerPersonId' },
+  { name: 'accessGrants', Model: AccessGrant, childField: 'patientChildId', personField: 'patientPersonId' },
+  { name: 'waitlistEntries', Model: WaitlistEntry, childField: 'patientChildId', personField: 'patientPersonId' },
+  { name: 'payments', Model: Payment, childField: 'patientChildId', personField: 'patientPersonId' },
+  { name: 'accounts', Model: Account, childField: 'childId', personField: 'personId' }
+];
+
+/** Mongo error raised when transactions are used against a standalone server */
+function isTransactionUnsupported(error) {
+  return error
+    && (error.code === 20 || error.codeName === 'IllegalOperation')
+    && /replica set|Transaction numbers/i.test(error.message || '');
+}
+
+function buildPersonPayload(child, parent, overrides) {
+  return {
+    nationalId: child.nationalId,
+    firstName: child.firstName,
+    fatherName: child.fatherName,
+    lastName: child.lastName,
+    motherName: child.motherName,
+    dateOfBirth: child.dateOfBirth,
+    gender: child.gender,
+    phoneNumber: overrides.phoneNumber || child.phoneNumber || parent?.phoneNumber,
+    alternativePhoneNumber: child.alternativePhoneNumber,
+    ...(overrides.email && { email: overrides.email }),
+    governorate: child.governorate,
+    city: child.city,
+    district: child.district,
+    street: child.street,
+    building: child.building,
+    address: child.address,
+    ...(child.profilePhoto?.url && { profilePhoto: child.profilePhoto })
+  };
+}
+
+/**
+ * Runs steps 1–3. With a session every write joins the transaction; without
+ * one, `undo` collects compensating actions for manual rollback.
+ *
+ * @returns {Promise<{ person, counts }>}
+ */
+async function performMigration(child, actorAccountId, personPayload, session, undo) {
+  const opts = session ? { session } : {};
+
+  const [person] = await Person.create([personPayload], opts);
+  if (undo) undo.push(() => Person.deleteOne({ _id: person._id }));
+
+  const counts = {};
+  for (const target of REPOINT_TARGETS) {
+    const { Model, childField, personField } = target;
+    const filter = { [childField]: child._id };
+
+    // Remember the previous person ref per document — EmergencyReport keeps
+    // the reporting parent in patientPersonId, so restoring needs the value.
+    const previous = await Model.find(filter, { [personField]: 1 }, opts).lean();
+    counts[target.name] = previous.length;
+    if (previous.length === 0) continue;
+
+    await Model.collection.updateMany(
+      { _id: { $in: previous.map(d => d._id) } },
+      { $set: { [personField]: person._id }, $unset: { [childField]: '' } },
+      opts
+    );
+
+    if (undo) {
+      undo.push(() => Model.collection.bulkWrite(previous.map(doc => ({
+        updateOne: {
+          filter: { _id: doc._id },
+          update: doc[personField]
+            ? { $set: { [childField]: child._id, [personField]: doc[personField] } }
+            : { $set: { [childField]: child._id }, $unset: { [personField]: '' } }
+        }
+      }))));
+    }
+  }
+
+  await Children.collection.updateOne(
+    { _id: child._id },
+    {
+      $set: {
+        migrationStatus: 'migrated',
+        migratedToPersonId: person._id,
+        migratedAt: new Date(),
+        migratedBy: actorAccountId,
+        hasReceivedNationalId: true,
+        updatedAt: new Date()
+      }
+    },
+    opts
+  );
+
+  return { person, counts };
+}
+
+/**
+ * Transaction first; manual rollback on servers without transaction support.
+ */
+async function runMigration(child, actorAccountId, personPayload) {
+  const session = await mongoose.startSession();
+  try {
+    let result;
+    await session.withTransaction(async () => {
+      result = await performMigration(child, actorAccountId, personPayload, session, null);
+    });
+    return { ...result, transactional: true };
+  } catch (error) {
+    if (!isTransactionUnsupported(error)) throw error;
+    console.warn('⚠️  Transactions unavailable — migrating with manual rollback');
+  } finally {
+    await session.endSession();
+  }
+
+  const undo = [];
+  try {
+    const result = await performMigration(child, actorAccountId, personPayload, null, undo);
+    return { ...result, transactional: false };
+  } catch (error) {
+    console.error(`🔄 Rolling back child migration ${child._id}: ${error.message}`);
+    for (const step of undo.reverse()) {
+      await step().catch(e => console.error('⚠️  Rollback step failed:', e.message));
+    }
+    throw error;
+  }
+}
+
+// ============================================================================
+// 1. MIGRATION QUEUE (admin)
+// ============================================================================
+
+/**
+ * @route   GET /api/admin/children/migration-queue
+ * @desc    Children with a national ID that have not been migrated yet.
+ * @access  Private (Admin — manage_patients)
+ */
+exports.getMigrationQueue = async (req, res) => {
+  try {
+    const children = await Children.find()
+      .pendingMigration()
+      .select('childRegistrationNumber nationalId nationalIdReceivedAt firstName fatherName lastName '
+        + 'dateOfBirth gender parentNationalId parentPersonId migrationStatus')
+      .sort({ nationalIdReceivedAt: 1 });
+
+    return res.json({
+      success: true,
+      count: children.length,
+      children: children.map(c => ({
+        ...c.toObject(),
+        age: c.age,
+        isReadyToMigrate: c.isReadyToMigrate
+      }))
+    });
+  } catch (error) {
+    console.error('❌ Get migration queue error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'حدث خطأ في جلب قائمة الأطفال الجاهزين للترحيل'
+    });
+  }
+};
+
+// ============================================================================
+// 2. MIGRATE CHILD
+// ============================================================================
+
+/**
+ * @route   POST /api/admin/children/:childId/migrate
+ * @route   POST /api/patient/children/:childId/migrate
+ * @desc    Create a Person from the child and move every record to it.
+ * @access  Private (Admin — manage_patients, or the child's parent)
+ *
+ * Body (all optional):
+ *   nationalId   — set on the child first if it has none yet
+ *   phoneNumber  — the new adult's own number (falls back to the child's,
+ *                  then the parent's)
+ *   email        — stored on the new Person
+ */
+exports.migrateChild = async (req, res) => {
+  console.log('🔵 ========== MIGRATE CHILD TO ADULT ==========');
+
+  try {
+    const { childId } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(childId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'معرّف الطفل غير صالح'
+      });
+    }
+
+    const child = await Children.findOne({ _id: childId }).notDeleted();
+    if (!child) {
+      return res.status(404).json({
+        success: false,
+        message: 'سجل الطفل غير موجود'
+      });
+    }
+
+    const isAdmin = req.user.roles?.includes('admin');
+    if (!isAdmin && String(child.parentPersonId) !== String(req.user.personId)) {
+      return res.status(403).json({
+        success: false,
+        message: 'يمكن لولي الأمر فقط ترحيل سجل هذا الطفل'
+      });
+    }
+
+    if (child.migrationStatus === 'migrated') {
+      return res.status(409).json({
+        success: false,
+        message: 'تم ترحيل هذا السجل مسبقاً',
+        migratedToPersonId: child.migratedToPersonId
+      });
+    }
+
+    // ── National ID: already on the child, or supplied now ────────────────
+    const { nationalId, phoneNumber, email } = req.body || {};
+    if (!child.nationalId) {
+      if (!nationalId) {
+        return res.status(400).json({
+          success: false,
+          message: 'الرقم الوطني مطلوب لترحيل سجل الطفل'
+        });
+      }
+      child.nationalId = String(nationalId).trim();
+      try {
+        await child.save(); // pre-save flips hasReceivedNationalId + migrationStatus='ready'
+      } catch (saveErr) {
+        if (saveErr.code === 11000) {
+          return res.status(409).json({ success: false, message: 'الرقم الوطني مسجل مسبقاً في النظام' });
+        }
+        if (saveErr.name === 'ValidationError') {
+          const messages = Object.values(saveErr.errors).map(e => e.message);
+          return res.status(400).json({ success: false, message: messages.join(', ') });
+        }
+        throw saveErr;
+      }
+    }
+
+    if (child.age === null || child.age < MIN_MIGRATION_AGE) {
+      return res.status(400).json({
+        success: false,
+        message: `لا يمكن الترحيل قبل بلوغ ${MIN_MIGRATION_AGE} عاماً`
+      });
+    }
+
+    if (await Person.exists({ nationalId: child.nationalId })) {
+      return res.status(409).json({
+        success: false,
+        message: 'يوجد شخص مسجل بهذا الرقم الوطني مسبقاً'
+      });
+    }
+
+    const parent = await Person.findById(child.parentPersonId).select('phoneNumber').lean();
+    const personPayload = buildPersonPayload(child, parent, { phoneNumber, email });
+
+    // Validate up front so a bad payload fails before anything is written
+    try {
+      await new Person(personPayload).validate();
+    } catch (validationErr) {
+      const messages = Object.values(validationErr.errors || {}).map(e => e.message);
+      return res.status(400).json({
+        success: false,
+        message: messages.join(', ') || 'بيانات الشخص غير صالحة'
+      });
+    }
+
+    const { person, counts, transactional } = await runMigration(child, req.user._id, personPayload);
+
+    AuditLog.record({
+      userId: req.user._id,
+      userEmail: req.user.email,
+      action: 'MIGRATE_CHILD_TO_ADULT',
+      description: `Migrated child ${child.childRegistrationNumber} to person ${person._id}`,
+      resourceType: 'patient',
+      resourceId: person._id,
+      patientPersonId: person._id,
+      patientChildId: child._id,
+      ipAddress: req.ip || 'unknown',
+      success: true,
+      metadata: {
+        childRegistrationNumber: child.childRegistrationNumber,
+        parentPersonId: child.parentPersonId,
+        performedAs: isAdmin ? 'admin' : 'parent',
+        transactional,
+        repointed: counts
+      }
+    });
+
+    console.log(`✅ Child ${child._id} migrated to person ${person._id}`, counts);
+
+    return res.json({
+      success: true,
+      message: 'تم ترحيل سجل الطفل إلى سجل بالغ بنجاح',
+      personId: person._id,
+      nationalId: person.nationalId,
+      repointed: counts
+    });
+  } catch (error) {
+    console.error('❌ Migrate child error:', error);
+    if (error.code === 11000) {
+      return res.status(409).json({
+        success: false,
+        message: 'تعارض في البيانات الفريدة أثناء الترحيل — لم يتم تغيير أي سجل'
+      });
+    }
+    return res.status(500).json({
+      success: false,
+      message: 'حدث خطأ أثناء ترحيل سجل الطفل'
+    });
+  }
+};
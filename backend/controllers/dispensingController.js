@@ -15,6 +15,8 @@
  *         - Mark prescription line item as dispensed
  *      4. Create pharmacy_dispensing record with batch traceability
  *      5. Update prescription.status (active → partially_dispensed → dispensed)
+ *      6. Repeat prescriptions: once the refill interval has passed a
+ *         dispensed Rx is dispensed again against the same record
  *
  *  (B) OTC dispensing:
  *      1. Pharmacist selects medications (must have requiresPrescription=false)
@@ -48,6 +50,7 @@ const {
   PharmacyDispensing, Prescription, Pharmacist,
   PharmacyInventory, Medication, AuditLog
 } = require('../models');
+const safetyScreeningService = require('../services/safetyScreeningService');
 
 // ============================================================================
 // HELPER: Get pharmacist record from logged-in account
@@ -122,11 +125,20 @@ async function decrementInventory(pharmacyId, medicationId, quantity) {
  *     }
  *   paymentMethod?    — cash | card | insurance | free (default cash)
  *   patientSignature? — base64 signature (optional)
+ *   safetyOverrideReason? — required when a line matches a recorded allergy
+ *                           or is contraindicated by a chronic disease and
+ *                           the prescriber didn't already override it
+ *                           (409 with safetyWarnings otherwise)
+ *
+ * A fully dispensed Rx with a due repeat (Prescription.refillStateOf) is
+ * dispensed again: the repeat is claimed just before stock moves and given
+ * back if nothing could be dispensed.
  */
 exports.dispensePrescription = async (req, res) => {
   console.log('🔵 ========== DISPENSE PRESCRIPTION ==========');
 
   let createdDispensing = null; // Track for rollback
+  let claimedRefill = null;     // { prescriptionId, number } — released on failure
 
   try {
     const pharmacist = await getPharmacistFromAccount(req.account);
@@ -134,7 +146,8 @@ exports.dispensePrescription = async (req, res) => {
       prescriptionId,
       medications,
       paymentMethod = 'cash',
-      patientSignature
+      patientSignature,
+      safetyOverrideReason
     } = req.body;
 
     // ── 1. VALIDATION ────────────────────────────────────────────────────
@@ -152,7 +165,7 @@ exports.dispensePrescription = async (req, res) => {
     }
 
     // ── 2. LOAD PRESCRIPTION ─────────────────────────────────────────────
-    const prescription = await Prescription.findById(prescriptionId);
+    let prescription = await Prescription.findById(prescriptionId);
     if (!prescription) {
       return res.status(404).json({
         success: false,
@@ -173,10 +186,12 @@ exports.dispensePrescription = async (req, res) => {
         message: 'انتهت صلاحية الوصفة'
       });
     }
-    if (prescription.status === 'dispensed') {
+    const refill = Prescription.refillStateOf(prescription);
+    if (prescription.status === 'dispensed' && !refill.due) {
       return res.status(400).json({
         success: false,
-        message: 'تم صرف الوصفة بالكامل مسبقاً'
+        message: Prescription.refillRejectionMessage(refill),
+        refill
       });
     }
     if (prescription.expiryDate && new Date(prescription.expiryDate) < new Date()) {
@@ -198,7 +213,7 @@ exports.dispensePrescription = async (req, res) => {
         });
       }
       const rxLine = prescription.medications[idx];
-      if (rxLine.isDispensed) {
+      if (rxLine.isDispensed && !refill.due) {
         return res.status(400).json({
           success: false,
           message: `تم صرف ${rxLine.medicationName} مسبقاً`
@@ -212,6 +227,39 @@ exports.dispensePrescription = async (req, res) => {
       }
     }
 
+    // ── 4b. ALLERGY / CONTRAINDICATION SCREENING ─────────────────────────
+    // Checked again at the counter — the record may have changed since the
+    // Rx was written. Warnings the prescriber already overrode don't stop
+    // the pharmacist; new ones stop here, before any stock moves.
+    const safetyWarnings = safetyScreeningService.notOverridden(
+      await safetyScreeningService.screenForPatient(
+        prescription,
+        medications.map(item => prescription.medications[item.medicationIndex])
+      ),
+      prescription.safetyOverride
+    );
+    const safetyReason = safetyOverrideReason?.trim();
+    if (safetyWarnings.length > 0 && !safetyReason) {
+      return res.status(409).json({
+        success: false,
+        message: 'الدواء يتعارض مع حساسية أو مرض مزمن مسجل للمريض. راجع الطبيب أو اذكر سبب المتابعة (safetyOverrideReason)',
+        requiresOverride: true,
+        safetyWarnings
+      });
+    }
+
+    // ── 4c. CLAIM THE REPEAT ─────────────────────────────────────────────
+    if (refill.due) {
+      prescription = await Prescription.atomicClaimRefill(prescription._id, refill.refillsUsed);
+      if (!prescription) {
+        return res.status(409).json({
+          success: false,
+          message: 'تم صرف إعادة الصرف هذه للتو من صيدلية أخرى'
+        });
+      }
+      claimedRefill = { prescriptionId: prescription._id, number: refill.refillsUsed + 1 };
+    }
+
     // ── 5. CREATE DISPENSING RECORD (without medicationsDispensed yet) ───
     // We create the record first to get an _id, then fill in batches as we
     // decrement inventory. If any inventory step fails, we delete this record.
@@ -276,6 +324,9 @@ exports.dispensePrescription = async (req, res) => {
         if (createdDispensing) {
           await PharmacyDispensing.findByIdAndDelete(createdDispensing._id);
         }
+        if (claimedRefill) {
+          await Prescription.atomicReleaseRefill(claimedRefill.prescriptionId, claimedRefill.number);
+        }
         return res.status(400).json({
           success: false,
           message: `${rxLine.medicationName}: ${invError.message}`
@@ -298,8 +349,11 @@ exports.dispensePrescription = async (req, res) => {
       patientSignature
     });
 
-    // Link dispensing back to prescription
+    // Link dispensing back to prescription (and to the repeat it filled)
     prescription.dispensingId = createdDispensing._id;
+    if (claimedRefill) {
+      prescription.refills[prescription.refills.length - 1].dispensingId = createdDispensing._id;
+    }
     await prescription.save();
 
     // ── 8. UPDATE PHARMACIST STATS ───────────────────────────────────────
@@ -320,10 +374,32 @@ exports.dispensePrescription = async (req, res) => {
       metadata: {
         dispensingNumber: createdDispensing.dispensingNumber,
         itemCount: medicationsDispensed.length,
-        totalCost
+        totalCost,
+        ...(claimedRefill && { refillNumber: claimedRefill.number })
       }
     });
 
+    if (safetyWarnings.length > 0) {
+      AuditLog.record({
+        userId: req.user._id,
+        userEmail: req.user.email,
+        action: 'OVERRIDE_SAFETY_WARNING',
+        description: `Dispensed Rx ${prescription.prescriptionNumber} through ${safetyWarnings.length} allergy/contraindication warning(s)`,
+        resourceType: 'prescription',
+        resourceId: prescription._id,
+        patientPersonId: prescription.patientPersonId,
+        patientChildId: prescription.patientChildId,
+        ipAddress: req.ip || 'unknown',
+        success: true,
+        metadata: {
+          stage: 'dispensing',
+          dispensingNumber: createdDispensing.dispensingNumber,
+          reason: safetyReason,
+          warnings: safetyWarnings
+        }
+      });
+    }
+
     console.log('✅ Dispensing complete:', createdDispensing.dispensingNumber);
 
     return res.status(201).json({
@@ -333,6 +409,7 @@ exports.dispensePrescription = async (req, res) => {
         _id: createdDispensing._id,
         dispensingNumber: createdDispensing.dispensingNumber,
         prescriptionStatus: prescription.status,
+        refill: Prescription.refillStateOf(prescription),
         totalCost: createdDispensing.totalCost,
         medicationsDispensed: createdDispensing.medicationsDispensed
       }
@@ -349,6 +426,10 @@ exports.dispensePrescription = async (req, res) => {
         console.error('Rollback failed:', cleanupErr);
       }
     }
+    if (claimedRefill) {
+      await Prescription.atomicReleaseRefill(claimedRefill.prescriptionId, claimedRefill.number)
+        .catch(cleanupErr => console.error('Refill release failed:', cleanupErr));
+    }
 
     return res.status(500).json({
       success: false,
@@ -0,0 +1,548 @@
+/**
+ * ═══════════════════════════════════════════════════════════════════════════
+ *  Hospital Controller — Patient 360°
+ *  ─────────────────────────────────────────────────────────────────────────
+ *  Hospital registry management + patient-facing hospital directory.
+ *
+ *  Mounted from two route files:
+ *    /api/admin/hospitals   — admin CRUD, gated by manage_hospitals (routes/admin.js)
+ *    /api/hospitals         — search, details, staff directory (routes/hospital.js)
+ *
+ *  Functions:
+ *    1. getAllHospitals        — Admin list (filters, includes inactive)
+ *    2. getHospitalById        — Admin single hospital + staff counts
+ *    3. createHospital         — Admin registers a hospital
+ *    4. updateHospital         — Admin updates registry fields
+ *    5. deactivateHospital     — Soft-disable (isActive=false)
+ *    6. activateHospital       — Re-enable
+ *    7. searchHospitals        — Search active hospitals by governorate/city/service
+ *    8. getPublicHospital      — Active hospital details
+ *    9. getHospitalStaff       — Verified doctors + dentists at a hospital
+ *
+ *  Notes:
+ *    - Hospitals are never hard-deleted: visits, appointments and slots keep
+ *      referencing hospitalId for history.
+ *    - `service` search matches servicesOffered / specializations text, or
+ *      one of the boolean facility flags (emergency, icu, laboratory,
+ *      pharmacy, radiology).
+ *
+ *  Conventions kept:
+ *    - Arabic error messages, emoji-marked console logs
+ *    - Try/catch in every async function
+ * ═══════════════════════════════════════════════════════════════════════════
+ */
+
+const mongoose = require('mongoose');
+const { Hospital, Doctor, Dentist } = require('../models');
+
+// ============================================================================
+// HELPERS
+// ============================================================================
+
+/**
+ * Fields an admin may set on create/update. Ratings are derived from reviews
+ * and isActive goes through deactivate/activate, so neither is listed.
+ */
+const EDITABLE_FIELDS = [
+  'name', 'arabicName', 'registrationNumber', 'hospitalLicense', 'hospitalType',
+  'specializations', 'phoneNumber', 'emergencyPhoneNumber', 'email', 'website',
+  'address', 'governorate', 'city', 'district',
+  'numberOfBeds', 'numberOfOperatingRooms',
+  'hasEmergency', 'hasICU', 'hasLaboratory', 'hasPharmacy', 'hasRadiology',
+  'operatingHours', 'servicesOffered', 'accreditations', 'isAcceptingPatients'
+];
+
+/** service query values that map onto the boolean facility flags */
+const SERVICE_FLAGS = {
+  emergency: 'hasEmergency',
+  icu: 'hasICU',
+  laboratory: 'hasLaboratory',
+  pharmacy: 'hasPharmacy',
+  radiology: 'hasRadiology'
+};
+
+const PUBLIC_FIELDS = '-hospitalLicense -accreditations.issuedBy';
+
+const STAFF_PERSON_FIELDS = 'firstName fatherName lastName gender profilePhoto';
+
+// ?specialization= on the staff directory — doctor or dental specialization
+const STAFF_SPECIALIZATIONS = [
+  ...Doctor.schema.path('specialization').enumValues,
+  ...Dentist.schema.path('specialization').enumValues
+];
+
+function escapeRegex(value) {
+  return String(value).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function pickEditable(body) {
+  const picked = {};
+  EDITABLE_FIELDS.forEach((field) => {
+    if (body[field] !== undefined) picked[field] = body[field];
+  });
+  return picked;
+}
+
+function validateObjectId(id, res) {
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    res.status(400).json({
+      success: false,
+      message: 'معرّف المستشفى غير صالح'
+    });
+    return false;
+  }
+  return true;
+}
+
+/**
+ * Maps save() failures to 400 responses. Returns true when handled.
+ */
+function handleWriteError(error, res) {
+  if (error.name === 'ValidationError') {
+    const messages = Object.values(error.errors).map(e => e.message);
+    res.status(400).json({
+      success: false,
+      message: messages.join(', ')
+    });
+    return true;
+  }
+  if (error.code === 11000) {
+    const field = Object.keys(error.keyPattern || {})[0];
+    const arabicFields = {
+      registrationNumber: 'رقم التسجيل',
+      hospitalLicense: 'رقم ترخيص المستشفى'
+    };
+    res.status(409).json({
+      success: false,
+      message: `${arabicFields[field] || field} موجود مسبقاً في النظام`
+    });
+    return true;
+  }
+  return false;
+}
+
+/**
+ * Builds the Hospital filter shared by the admin list and the public search.
+ * Only string query values are used — a repeated parameter (?city=a&city=b)
+ * arrives as an array and is ignored.
+ */
+function buildHospitalFilter(query) {
+  const filter = {};
+  const text = value => (typeof value === 'string' ? value.trim() : '');
+
+  if (text(query.governorate)) filter.governorate = text(query.governorate);
+  if (text(query.city)) filter.city = new RegExp(`^${escapeRegex(text(query.city))}$`, 'i');
+  if (text(query.hospitalType)) filter.hospitalType = text(query.hospitalType);
+
+  const and = [];
+
+  if (text(query.q)) {
+    const regex = new RegExp(escapeRegex(text(query.q)), 'i');
+    and.push({ $or: [{ name: regex }, { arabicName: regex }, { registrationNumber: regex }] });
+  }
+
+  if (text(query.service)) {
+    const service = text(query.service);
+    const flag = SERVICE_FLAGS[service.toLowerCase()];
+    const regex = new RegExp(escapeRegex(service), 'i');
+    const serviceOr = [{ servicesOffered: regex }, { specializations: regex }];
+    if (flag) serviceOr.push({ [flag]: true });
+    and.push({ $or: serviceOr });
+  }
+
+  if (and.length > 0) filter.$and = and;
+  return filter;
+}
+
+function paginate(query) {
+  const page = Math.max(1, parseInt(query.page, 10) || 1);
+  const limit = Math.min(100, Math.max(1, parseInt(query.limit, 10) || 20));
+  return { page, limit, skip: (page - 1) * limit };
+}
+
+// ============================================================================
+// 1. GET ALL HOSPITALS (admin)
+// ============================================================================
+
+/**
+ * @route   GET /api/admin/hospitals
+ * @desc    All hospitals (active and inactive) with optional filters.
+ * @access  Private (Admin — manage_hospitals)
+ *
+ * Query: governorate?, city?, hospitalType?, service?, q?,
+ *        isActive? ('true'|'false'), page?, limit?
+ */
+exports.getAllHospitals = async (req, res) => {
+  try {
+    const filter = buildHospitalFilter(req.query);
+    if (req.query.isActive === 'true') filter.isActive = true;
+    if (req.query.isActive === 'false') filter.isActive = false;
+
+    const { page, limit, skip } = paginate(req.query);
+
+    const [hospitals, total] = await Promise.all([
+      Hospital.find(filter).sort({ name: 1 }).skip(skip).limit(limit).lean(),
+      Hospital.countDocuments(filter)
+    ]);
+
+    return res.json({
+      success: true,
+      count: hospitals.length,
+      total,
+      page,
+      pages: Math.ceil(total / limit),
+      hospitals
+    });
+  } catch (error) {
+    console.error('❌ Get hospitals error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'حدث خطأ في جلب المستشفيات'
+    });
+  }
+};
+
+// ============================================================================
+// 2. GET HOSPITAL BY ID (admin)
+// ============================================================================
+
+/**
+ * @route   GET /api/admin/hospitals/:id
+ * @desc    Full hospital record plus affiliated doctor/dentist counts and
+ *          an expired-accreditation flag.
+ * @access  Private (Admin — manage_hospitals)
+ */
+exports.getHospitalById = async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!validateObjectId(id, res)) return;
+
+    const hospital = await Hospital.findById(id);
+    if (!hospital) {
+      return res.status(404).json({
+        success: false,
+        message: 'المستشفى غير موجود'
+      });
+    }
+
+    const [doctorCount, dentistCount] = await Promise.all([
+      Doctor.countDocuments({ hospitalId: id }),
+      Dentist.countDocuments({ hospitalId: id })
+    ]);
+
+    return res.json({
+      success: true,
+      hospital,
+      hasExpiredAccreditation: hospital.hasExpiredAccreditation(),
+      staff: { doctors: doctorCount, dentists: dentistCount }
+    });
+  } catch (error) {
+    console.error('❌ Get hospital error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'حدث خطأ في جلب بيانات المستشفى'
+    });
+  }
+};
+
+// ============================================================================
+// 3. CREATE HOSPITAL (admin)
+// ============================================================================
+
+/**
+ * @route   POST /api/admin/hospitals
+ * @desc    Register a hospital. name, registrationNumber, phoneNumber,
+ *          address, governorate and city are required by the schema.
+ * @access  Private (Admin — manage_hospitals)
+ */
+exports.createHospital = async (req, res) => {
+  try {
+    const hospital = await Hospital.create(pickEditable(req.body));
+
+    console.log(`✅ Hospital created: ${hospital.name} (${hospital._id})`);
+    return res.status(201).json({
+      success: true,
+      message: 'تم إضافة المستشفى بنجاح',
+      hospital
+    });
+  } catch (error) {
+    console.error('❌ Create hospital error:', error);
+    if (handleWriteError(error, res)) return;
+    return res.status(500).json({
+      success: false,
+      message: 'حدث خطأ أثناء إضافة المستشفى'
+    });
+  }
+};
+
+// ============================================================================
+// 4. UPDATE HOSPITAL (admin)
+// ============================================================================
+
+/**
+ * @route   PATCH /api/admin/hospitals/:id
+ * @desc    Update registry fields (see EDITABLE_FIELDS).
+ * @access  Private (Admin — manage_hospitals)
+ */
+exports.updateHospital = async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!validateObjectId(id, res)) return;
+
+    const hospital = await Hospital.findById(id);
+    if (!hospital) {
+      return res.status(404).json({
+        success: false,
+        message: 'المستشفى غير موجود'
+      });
+    }
+
+    const updates = pickEditable(req.body);
+    if (Object.keys(updates).length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'لا توجد حقول للتحديث'
+      });
+    }
+
+    hospital.set(updates);
+    await hospital.save();
+
+    return res.json({
+      success: true,
+      message: 'تم تحديث بيانات المستشفى بنجاح',
+      hospital
+    });
+  } catch (error) {
+    console.error('❌ Update hospital error:', error);
+    if (handleWriteError(error, res)) return;
+    return res.status(500).json({
+      success: false,
+      message: 'حدث خطأ في تحديث بيانات المستشفى'
+    });
+  }
+};
+
+// ============================================================================
+// 5 + 6. DEACTIVATE / ACTIVATE HOSPITAL (admin)
+// ============================================================================
+
+async function setHospitalActive(req, res, isActive) {
+  const { id } = req.params;
+  if (!validateObjectId(id, res)) return;
+
+  const hospital = await Hospital.findById(id);
+  if (!hospital) {
+    return res.status(404).json({
+      success: false,
+      message: 'المستشفى غير موجود'
+    });
+  }
+
+  if (hospital.isActive === isActive) {
+    return res.status(400).json({
+      success: false,
+      message: isActive ? 'المستشفى مفعّل بالفعل' : 'المستشفى معطّل بالفعل'
+    });
+  }
+
+  hospital.isActive = isActive;
+  await hospital.save();
+
+  return res.json({
+    success: true,
+    message: isActive ? 'تم تفعيل المستشفى بنجاح' : 'تم تعطيل المستشفى بنجاح',
+    hospital: { _id: hospital._id, name: hospital.name, isActive: hospital.isActive }
+  });
+}
+
+/**
+ * @route   PATCH /api/admin/hospitals/:id/deactivate
+ * @desc    Hide the hospital from search. Existing references are untouched.
+ * @access  Private (Admin — manage_hospitals)
+ */
+exports.deactivateHospital = async (req, res) => {
+  try {
+    return await setHospitalActive(req, res, false);
+  } catch (error) {
+    console.error('❌ Deactivate hospital error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'حدث خطأ في تعطيل المستشفى'
+    });
+  }
+};
+
+/**
+ * @route   PATCH /api/admin/hospitals/:id/activate
+ * @access  Private (Admin — manage_hospitals)
+ */
+exports.activateHospital = async (req, res) => {
+  try {
+    return await setHospitalActive(req, res, true);
+  } catch (error) {
+    console.error('❌ Activate hospital error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'حدث خطأ في تفعيل المستشفى'
+    });
+  }
+};
+
+// ============================================================================
+// 7. SEARCH HOSPITALS (patient-facing)
+// ============================================================================
+
+/**
+ * @route   GET /api/hospitals
+ * @desc    Active hospitals, best-rated first.
+ * @access  Private (any authenticated role)
+ *
+ * Query: governorate?, city?, service?, hospitalType?, q?,
+ *        acceptingOnly? ('true'), page?, limit?
+ */
+exports.searchHospitals = async (req, res) => {
+  try {
+    const filter = buildHospitalFilter(req.query);
+    filter.isActive = true;
+    if (req.query.acceptingOnly === 'true') filter.isAcceptingPatients = true;
+
+    const { page, limit, skip } = paginate(req.query);
+
+    const [hospitals, total] = await Promise.all([
+      Hospital.find(filter)
+        .select(PUBLIC_FIELDS)
+        .sort({ averageRating: -1, totalReviews: -1, name: 1 })
+        .skip(skip)
+        .limit(limit)
+        .lean(),
+      Hospital.countDocuments(filter)
+    ]);
+
+    return res.json({
+      success: true,
+      count: hospitals.length,
+      total,
+      page,
+      pages: Math.ceil(total / limit),
+      hospitals
+    });
+  } catch (error) {
+    console.error('❌ Search hospitals error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'حدث خطأ في البحث عن المستشفيات'
+    });
+  }
+};
+
+// ============================================================================
+// 8. GET PUBLIC HOSPITAL
+// ============================================================================
+
+/**
+ * @route   GET /api/hospitals/:id
+ * @access  Private (any authenticated role)
+ */
+exports.getPublicHospital = async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!validateObjectId(id, res)) return;
+
+    const hospital = await Hospital.findOne({ _id: id, isActive: true })
+      .select(PUBLIC_FIELDS)
+      .lean();
+    if (!hospital) {
+      return res.status(404).json({
+        success: false,
+        message: 'المستشفى غير موجود'
+      });
+    }
+
+    return res.json({ success: true, hospital });
+  } catch (error) {
+    console.error('❌ Get public hospital error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'حدث خطأ في جلب بيانات المستشفى'
+    });
+  }
+};
+
+// ============================================================================
+// 9. HOSPITAL STAFF DIRECTORY
+// ============================================================================
+
+/**
+ * @route   GET /api/hospitals/:id/doctors
+ * @desc    Verified doctors and dentists whose hospitalId is this hospital.
+ * @access  Private (any authenticated role)
+ *
+ * Query: specialization? (a doctor or dental specialization, 400 otherwise),
+ *        acceptingOnly? ('true')
+ */
+exports.getHospitalStaff = async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!validateObjectId(id, res)) return;
+
+    const hospital = await Hospital.findOne({ _id: id, isActive: true })
+      .select('name arabicName governorate city')
+      .lean();
+    if (!hospital) {
+      return res.status(404).json({
+        success: false,
+        message: 'المستشفى غير موجود'
+      });
+    }
+
+    const { specialization } = req.query;
+    if (specialization && !STAFF_SPECIALIZATIONS.includes(specialization)) {
+      return res.status(400).json({
+        success: false,
+        message: 'التخصص غير صالح'
+      });
+    }
+
+    const filter = { hospitalId: id, verificationStatus: 'verified', isAvailable: true };
+    if (req.query.acceptingOnly === 'true') filter.isAcceptingNewPatients = true;
+    if (specialization) filter.specialization = specialization;
+
+    const [doctors, dentists] = await Promise.all([
+      Doctor.find(filter)
+        .select('personId specialization subSpecialization yearsOfExperience consultationFee '
+          + 'followUpFee currency availableDays isAcceptingNewPatients averageRating totalReviews')
+        .populate('personId', STAFF_PERSON_FIELDS)
+        .sort({ averageRating: -1, totalReviews: -1 })
+        .lean(),
+      Dentist.find(filter)
+        .select('personId specialization yearsOfExperience consultationFee currency '
+          + 'availableDays isAcceptingNewPatients averageRating totalReviews')
+        .populate('personId', STAFF_PERSON_FIELDS)
+        .sort({ averageRating: -1, totalReviews: -1 })
+        .lean()
+    ]);
+
+    const flatten = (p) => ({
+      ...p,
+      fullName: [p.personId?.firstName, p.personId?.fatherName, p.personId?.lastName]
+        .filter(Boolean).join(' '),
+      gender: p.personId?.gender,
+      profilePhoto: p.personId?.profilePhoto
+    });
+
+    return res.json({
+      success: true,
+      hospital,
+      count: doctors.length + dentists.length,
+      doctors: doctors.map(flatten),
+      dentists: dentists.map(flatten)
+    });
+  } catch (error) {
+    console.error('❌ Get hospital staff error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'حدث خطأ في جلب أطباء المستشفى'
+    });
+  }
+};
@@ -9,7 +9,8 @@
  *    2. getMyDashboardStats      — Today's tests, pending tests, KPIs
  *    3. getMyTestsPerformed      — Lab tech's test completion history
  *    4. getLabPendingOrders      — All pending orders visible to this lab tech
- *    5. getLabTodaySchedule      — Tests scheduled for today, visible to lab
+ *    5. getLabTodaySchedule      — Tests scheduled for today, visible to lab,
+ *                                  plus today's sample-collection appointments
  *
  *  Lab tech account → Person → LabTechnician record relationship:
  *    Account.personId → Person._id ← LabTechnician.personId → LabTechnician.laboratoryId
@@ -33,7 +34,7 @@
  */
 
 const {
-  LabTechnician, Laboratory, LabTest, AuditLog
+  LabTechnician, Laboratory, LabTest, Appointment, AuditLog
 } = require('../models');
 
 // ============================================================================
@@ -359,6 +360,9 @@ exports.getLabPendingOrders = async (req, res) => {
  * @route   GET /api/lab-technician/today-schedule
  * @desc    Tests scheduled or active today, visible to this lab tech.
  *          Includes tests pre-assigned to their lab AND free-floating orders.
+ *          `appointments` lists the sample-collection appointments patients
+ *          booked at this lab for today, in time order, with the linked
+ *          lab test.
  * @access  Private (lab_technician)
  */
 exports.getLabTodaySchedule = async (req, res) => {
@@ -390,10 +394,25 @@ exports.getLabTodaySchedule = async (req, res) => {
       .sort({ scheduledDate: 1, orderDate: 1 })
       .lean();
 
+    const appointments = await Appointment.find({
+      laboratoryId: labTech.laboratoryId,
+      appointmentType: 'lab_test',
+      appointmentDate: { $gte: startOfToday, $lte: endOfToday },
+      status: { $ne: 'cancelled' }
+    })
+      .select('patientPersonId patientChildId labTestId appointmentDate appointmentTime estimatedDuration status reasonForVisit priority')
+      .populate('patientPersonId', 'firstName lastName nationalId phoneNumber')
+      .populate('patientChildId', 'firstName lastName childRegistrationNumber')
+      .populate('labTestId', 'testNumber testsOrdered sampleType priority status')
+      .sort({ appointmentTime: 1 })
+      .lean();
+
     return res.json({
       success: true,
       count: tests.length,
-      tests
+      tests,
+      appointmentCount: appointments.length,
+      appointments
     });
   } catch (error) {
     console.error('Get today schedule error:', error);
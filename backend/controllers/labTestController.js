@@ -235,7 +235,8 @@ const labTest = await LabTest.create({
 /**
  * @route   GET /api/lab-tests/:id
  * @desc    Single lab test detail
- * @access  Private (patient owner, ordering doctor, lab tech, admin)
+ * @access  Private (patient owner, ordering doctor, lab tech of the running
+ *          lab, admin; other clinical staff need a consent grant)
  */
 exports.getLabTestById = async (req, res) => {
   try {
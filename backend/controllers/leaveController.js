@@ -0,0 +1,491 @@
+/**
+ * ═══════════════════════════════════════════════════════════════════════════
+ *  Leave & Holiday Calendar Controller — Patient 360°
+ *  ─────────────────────────────────────────────────────────────────────────
+ *  Provider leave and Syrian public holidays (ScheduleException). Creating
+ *  an entry blocks every slot in range, cancels booked appointments with
+ *  reason 'doctor_unavailable', notifies each patient and offers them the
+ *  nearest free slot (services/leaveService). Recurring templates skip
+ *  these days when materialising.
+ *
+ *  Provider routes (/api/slots/leave):
+ *    1. getMyLeave          — Own leave + upcoming national holidays
+ *    2. createLeave         — Add leave (?preview=true → impact only)
+ *    3. withdrawLeave       — Withdraw; unblocks the slots it blocked
+ *
+ *  Public route:
+ *    4. getHolidays         — GET /api/slots/holidays?year=
+ *
+ *  Admin routes (/api/admin/holidays, manage_schedules):
+ *    5. createHoliday       — Add a national holiday (?preview=true)
+ *    6. withdrawHoliday     — Withdraw a national holiday
+ *    7. seedSyrianHolidays  — Add a year's fixed-date Syrian holidays
+ *
+ *  Conventions kept:
+ *    - Arabic error messages, emoji-marked console logs
+ *    - Try/catch in every async function
+ * ═══════════════════════════════════════════════════════════════════════════
+ */
+
+const mongoose = require('mongoose');
+const { ScheduleException, AuditLog } = require('../models');
+const leaveService = require('../services/leaveService');
+const scheduleService = require('../services/scheduleService');
+
+// ============================================================================
+// HELPERS
+// ============================================================================
+
+const UPCOMING_HOLIDAYS_DAYS = 90;
+
+function isPreview(req) {
+  return req.query.preview === 'true' || req.body?.preview === true;
+}
+
+function recordLeaveAudit(req, action, exception, metadata = {}) {
+  AuditLog.record({
+    userId: req.user._id,
+    userEmail: req.user.email,
+    userRole: (req.user.roles || []).join(','),
+    action,
+    description: `${action}: ${exception.title}`,
+    resourceType: 'schedule_exception',
+    resourceId: exception._id,
+    ipAddress: req.ip || 'unknown',
+    metadata: {
+      scope: exception.scope,
+      ...exception.owner,
+      startDate: exception.startDate,
+      endDate: exception.endDate,
+      ...metadata
+    }
+  });
+}
+
+function validationResponse(error, res) {
+  const message = error.name === 'ValidationError'
+    ? Object.values(error.errors).map(e => e.message).join(', ')
+    : error.message;
+  return res.status(400).json({ success: false, message });
+}
+
+/**
+ * Shared create flow for leave and holidays: validate, return the impact
+ * when previewing, otherwise save, apply and audit.
+ */
+async function createAndApply(req, res, payload, auditAction) {
+  const exception = new ScheduleException({ ...payload, createdBy: req.user._id });
+  try {
+    await exception.validate();
+  } catch (validationError) {
+    return validationResponse(validationError, res);
+  }
+
+  if (isPreview(req)) {
+    const impact = await leaveService.previewException(exception);
+    return res.json({
+      success: true,
+      preview: true,
+      message: `سيتم حجب ${impact.slotsToBlock} موعد وإلغاء ${impact.appointmentsToCancel} حجز`,
+      impact
+    });
+  }
+
+  await exception.save();
+  const result = await leaveService.applyException(exception, req.user._id);
+  recordLeaveAudit(req, auditAction, exception, {
+    blockedSlots: result.blockedSlots,
+    cancelledAppointments: result.cancelledAppointments
+  });
+
+  return res.status(201).json({
+    success: true,
+    message: `تمت الإضافة: حجب ${result.blockedSlots} موعد وإلغاء ${result.cancelledAppointments} حجز`,
+    exception,
+    impact: result
+  });
+}
+
+/**
+ * Loads :id and checks it is an active entry of the expected scope owned
+ * by the caller (admins own everything). Responds and returns null on
+ * failure.
+ */
+async function loadActiveException(req, res, scope) {
+  const { id } = req.params;
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    res.status(400).json({ success: false, message: 'المعرّف غير صحيح' });
+    return null;
+  }
+
+  const exception = await ScheduleException.findOne({ _id: id, scope });
+  if (!exception) {
+    res.status(404).json({ success: false, message: 'الإجازة غير موجودة' });
+    return null;
+  }
+  if (exception.status !== 'active') {
+    res.status(409).json({ success: false, message: 'تم سحب هذه الإجازة مسبقاً' });
+    return null;
+  }
+
+  if (scope === 'provider' && !req.user.roles.includes('admin')) {
+    const owner = await scheduleService.resolveProviderOwner(req.user);
+    const [field] = owner ? Object.keys(owner) : [];
+    if (!field || String(exception[field]) !== String(owner[field])) {
+      res.status(403).json({ success: false, message: 'ليس لديك صلاحية على هذه الإجازة' });
+      return null;
+    }
+  }
+  return exception;
+}
+
+/**
+ * Owner for provider leave: from the caller's profile, or — admins only —
+ * the single owner field in the body.
+ */
+async function resolveLeaveOwner(req) {
+  if (req.user.roles.includes('admin')) {
+    const owner = {};
+    ScheduleException.OWNER_FIELDS.forEach((field) => {
+      if (req.body[field]) owner[field] = req.body[field];
+    });
+    const keys = Object.keys(owner);
+    if (keys.length === 1 && mongoose.Types.ObjectId.isValid(owner[keys[0]])) return owner;
+  }
+  return scheduleService.resolveProviderOwner(req.user);
+}
+
+// ============================================================================
+// 1. GET MY LEAVE
+// ============================================================================
+
+/**
+ * @route   GET /api/slots/leave
+ * @desc    Caller's leave entries (newest first) plus national holidays in
+ *          the next 90 days.
+ * @access  Private (doctor, dentist, lab_technician)
+ *
+ * Query: includeWithdrawn? — 'true' to include withdrawn entries
+ */
+exports.getMyLeave = async (req, res) => {
+  try {
+    const owner = await scheduleService.resolveProviderOwner(req.user);
+    if (!owner) {
+      return res.status(403).json({
+        success: false,
+        message: 'الحساب غير مرتبط بطبيب أو طبيب أسنان أو مختبر'
+      });
+    }
+
+    const filter = { scope: 'provider', ...owner };
+    if (req.query.includeWithdrawn !== 'true') filter.status = 'active';
+
+    const today = new Date();
+    today.setHours(0, 0, 0, 0);
+    const horizon = new Date(today);
+    horizon.setDate(horizon.getDate() + UPCOMING_HOLIDAYS_DAYS);
+
+    const [leave, holidays] = await Promise.all([
+      ScheduleException.find(filter).sort({ startDate: -1 }).lean(),
+      ScheduleException.findOverlapping(null, today, horizon)
+    ]);
+
+    return res.json({
+      success: true,
+      count: leave.length,
+      leave,
+      upcomingHolidays: holidays.sort((a, b) => a.startDate - b.startDate)
+    });
+  } catch (error) {
+    console.error('Get leave error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'حدث خطأ في جلب الإجازات'
+    });
+  }
+};
+
+// ============================================================================
+// 2. CREATE LEAVE
+// ============================================================================
+
+/**
+ * @route   POST /api/slots/leave
+ * @desc    Add a leave range. Blocks slots, cancels booked appointments in
+ *          range and notifies patients with the nearest alternative slot.
+ *          With ?preview=true nothing is saved and the impact is returned.
+ * @access  Private (doctor, dentist, lab_technician, admin)
+ *
+ * Body:
+ *   startDate, endDate  — inclusive whole days
+ *   title               — shown to patients in the cancellation notice
+ *   leaveType?          — vacation | sick_leave | conference | personal | other
+ *   notes?
+ *   doctorId | dentistId | laboratoryId | hospitalId (admin only)
+ */
+exports.createLeave = async (req, res) => {
+  try {
+    const owner = await resolveLeaveOwner(req);
+    if (!owner) {
+      return res.status(400).json({
+        success: false,
+        message: 'تعذر تحديد مقدم الخدمة'
+      });
+    }
+
+    const { startDate, endDate, title, leaveType, notes } = req.body || {};
+    if (leaveType === 'public_holiday') {
+      return res.status(400).json({
+        success: false,
+        message: 'العطل الرسمية يضيفها المشرف فقط'
+      });
+    }
+
+    // Refuse overlapping leave of the same provider
+    if (startDate && endDate) {
+      const from = new Date(startDate);
+      const to = new Date(endDate);
+      to.setDate(to.getDate() + 1);
+      const overlap = await ScheduleException.findOne({
+        scope: 'provider',
+        ...owner,
+        status: 'active',
+        startDate: { $lt: to },
+        endDate: { $gte: from }
+      }).lean();
+      if (overlap) {
+        return res.status(409).json({
+          success: false,
+          message: 'توجد إجازة مسجلة تتداخل مع هذه الفترة',
+          existing: overlap
+        });
+      }
+    }
+
+    return await createAndApply(req, res, {
+      scope: 'provider',
+      ...owner,
+      startDate,
+      endDate,
+      title: title || 'إجازة',
+      leaveType,
+      notes
+    }, 'CREATE_PROVIDER_LEAVE');
+  } catch (error) {
+    console.error('❌ Create leave error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'حدث خطأ في إضافة الإجازة'
+    });
+  }
+};
+
+// ============================================================================
+// 3. WITHDRAW LEAVE
+// ============================================================================
+
+/**
+ * @route   DELETE /api/slots/leave/:id
+ * @desc    Withdraw leave: future slots it blocked become bookable again
+ *          and template slots are refilled. Cancelled appointments are
+ *          not restored.
+ * @access  Private (leave owner, admin)
+ */
+exports.withdrawLeave = async (req, res) => {
+  try {
+    const exception = await loadActiveException(req, res, 'provider');
+    if (!exception) return;
+
+    const result = await leaveService.withdrawException(exception, req.user._id);
+    recordLeaveAudit(req, 'WITHDRAW_PROVIDER_LEAVE', exception, result);
+
+    return res.json({
+      success: true,
+      message: 'تم سحب الإجازة',
+      ...result
+    });
+  } catch (error) {
+    console.error('❌ Withdraw leave error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'حدث خطأ في سحب الإجازة'
+    });
+  }
+};
+
+// ============================================================================
+// 4. GET HOLIDAYS (public)
+// ============================================================================
+
+/**
+ * @route   GET /api/slots/holidays
+ * @desc    Active national holidays of a year (default: current year)
+ * @access  Public
+ */
+exports.getHolidays = async (req, res) => {
+  try {
+    const year = parseInt(req.query.year, 10) || new Date().getFullYear();
+    const from = new Date(year, 0, 1);
+    const to = new Date(year + 1, 0, 1);
+
+    const holidays = await ScheduleException.findOverlapping(null, from, to);
+
+    return res.json({
+      success: true,
+      year,
+      count: holidays.length,
+      holidays: holidays.sort((a, b) => a.startDate - b.startDate)
+    });
+  } catch (error) {
+    console.error('Get holidays error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'حدث خطأ في جلب العطل الرسمية'
+    });
+  }
+};
+
+// ============================================================================
+// 5. CREATE HOLIDAY (admin)
+// ============================================================================
+
+/**
+ * @route   POST /api/admin/holidays
+ * @desc    Add a national holiday for every provider. Same effect as
+ *          provider leave, platform-wide. ?preview=true returns the impact.
+ * @access  Private (Admin — manage_schedules)
+ *
+ * Body: { date | (startDate, endDate), title, notes? }
+ */
+exports.createHoliday = async (req, res) => {
+  try {
+    const { date, startDate, endDate, title, notes } = req.body || {};
+
+    return await createAndApply(req, res, {
+      scope: 'national',
+      startDate: startDate || date,
+      endDate: endDate || startDate || date,
+      title,
+      notes
+    }, 'CREATE_NATIONAL_HOLIDAY');
+  } catch (error) {
+    console.error('❌ Create holiday error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'حدث خطأ في إضافة العطلة'
+    });
+  }
+};
+
+// ============================================================================
+// 6. WITHDRAW HOLIDAY (admin)
+// ============================================================================
+
+/**
+ * @route   DELETE /api/admin/holidays/:id
+ * @desc    Withdraw a national holiday
+ * @access  Private (Admin — manage_schedules)
+ */
+exports.withdrawHoliday = async (req, res) => {
+  try {
+    const exception = await loadActiveException(req, res, 'national');
+    if (!exception) return;
+
+    const result = await leaveService.withdrawException(exception, req.user._id);
+    recordLeaveAudit(req, 'WITHDRAW_NATIONAL_HOLIDAY', exception, result);
+
+    return res.json({
+      success: true,
+      message: 'تم سحب العطلة',
+      ...result
+    });
+  } catch (error) {
+    console.error('❌ Withdraw holiday error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'حدث خطأ في سحب العطلة'
+    });
+  }
+};
+
+// ============================================================================
+// 7. SEED SYRIAN HOLIDAYS (admin)
+// ============================================================================
+
+/**
+ * @route   POST /api/admin/holidays/seed
+ * @desc    Add the fixed-date Syrian official holidays of a year
+ *          (ScheduleException.SYRIAN_FIXED_HOLIDAYS). Dates already on the
+ *          national calendar are skipped, so the call is idempotent.
+ *          Lunar / movable holidays still need createHoliday each year.
+ * @access  Private (Admin — manage_schedules)
+ *
+ * Body: { year: number }
+ */
+exports.seedSyrianHolidays = async (req, res) => {
+  try {
+    const year = parseInt(req.body?.year, 10);
+    const currentYear = new Date().getFullYear();
+    if (!year || year < currentYear || year > currentYear + 5) {
+      return res.status(400).json({
+        success: false,
+        message: `السنة يجب أن تكون بين ${currentYear} و ${currentYear + 5}`
+      });
+    }
+
+    const created = [];
+    let skipped = 0;
+    let cancelledAppointments = 0;
+
+    for (const holiday of ScheduleException.SYRIAN_FIXED_HOLIDAYS) {
+      const day = new Date(year, holiday.month - 1, holiday.day);
+      const exists = await ScheduleException.exists({
+        scope: 'national',
+        status: 'active',
+        startDate: { $lte: day },
+        endDate: { $gte: day }
+      });
+      if (exists) {
+        skipped += 1;
+        continue;
+      }
+
+      const exception = await ScheduleException.create({
+        scope: 'national',
+        startDate: day,
+        endDate: day,
+        title: holiday.title,
+        createdBy: req.user._id
+      });
+      const result = await leaveService.applyException(exception, req.user._id);
+      cancelledAppointments += result.cancelledAppointments;
+      created.push(exception);
+    }
+
+    AuditLog.record({
+      userId: req.user._id,
+      userEmail: req.user.email,
+      userRole: (req.user.roles || []).join(','),
+      action: 'SEED_NATIONAL_HOLIDAYS',
+      description: `Seeded ${created.length} Syrian holidays for ${year}`,
+      resourceType: 'schedule_exception',
+      ipAddress: req.ip || 'unknown',
+      metadata: { year, created: created.length, skipped, cancelledAppointments }
+    });
+
+    return res.status(201).json({
+      success: true,
+      message: `تمت إضافة ${created.length} عطلة رسمية لعام ${year}`,
+      created: created.length,
+      skipped,
+      cancelledAppointments,
+      holidays: created
+    });
+  } catch (error) {
+    console.error('❌ Seed holidays error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'حدث خطأ في إضافة العطل الرسمية'
+    });
+  }
+};
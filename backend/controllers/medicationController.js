@@ -23,6 +23,9 @@
  *    5. listMedications         — Paginated list with filters
  *    6. searchMedications       — Search by trade/scientific name
  *    7. getMedicationCategories — Distinct categories for dropdown
+ *    8. listInteractions        — Browse the drug-interaction knowledge base
+ *    9. saveInteraction         — Admin creates / updates an ingredient pair
+ *   10. deactivateInteraction   — Admin stops checking a pair
  *
  *  Conventions kept:
  *    - Arabic error messages, emoji-marked console logs
@@ -31,7 +34,7 @@
  * ═══════════════════════════════════════════════════════════════════════════
  */
 
-const { Medication, AuditLog } = require('../models');
+const { Medication, DrugInteraction, AuditLog } = require('../models');
 
 // ============================================================================
 // 1. CREATE MEDICATION (admin)
@@ -67,7 +70,9 @@ exports.createMedication = async (req, res) => {
       sideEffects,
       requiresPrescription,
       controlledSubstance,
-      storageConditions
+      storageConditions,
+      dosingRanges,
+      maxDailyDoseMg
     } = req.body;
 
     // ── 1. VALIDATE REQUIRED FIELDS ───────────────────────────────────────
@@ -117,6 +122,8 @@ exports.createMedication = async (req, res) => {
       requiresPrescription: requiresPrescription !== false,
       controlledSubstance: !!controlledSubstance,
       storageConditions: storageConditions?.trim(),
+      dosingRanges: Array.isArray(dosingRanges) ? dosingRanges : [],
+      maxDailyDoseMg: maxDailyDoseMg ?? undefined,
       isAvailable: true,
       isDiscontinued: false
     });
@@ -155,6 +162,9 @@ exports.createMedication = async (req, res) => {
         message: messages[0] || 'خطأ في البيانات'
       });
     }
+    if (error.message && /[؀-ۿ]/.test(error.message)) {
+      return res.status(400).json({ success: false, message: error.message });
+    }
 
     if (error.code === 11000) {
       const field = Object.keys(error.keyPattern || {})[0] || 'الحقل';
@@ -200,7 +210,7 @@ exports.updateMedication = async (req, res) => {
       'manufacturer', 'countryOfOrigin', 'strength', 'dosageForm', 'category',
       'activeIngredients', 'interactions', 'contraindications', 'sideEffects',
       'requiresPrescription', 'controlledSubstance', 'storageConditions',
-      'isAvailable'
+      'dosingRanges', 'maxDailyDoseMg', 'isAvailable'
     ];
 
     let changedFields = [];
@@ -246,6 +256,9 @@ exports.updateMedication = async (req, res) => {
         message: messages[0] || 'خطأ في البيانات'
       });
     }
+    if (error.message && /[؀-ۿ]/.test(error.message)) {
+      return res.status(400).json({ success: false, message: error.message });
+    }
     return res.status(500).json({
       success: false,
       message: 'حدث خطأ في تحديث الدواء'
@@ -498,4 +511,190 @@ exports.getMedicationCategories = async (req, res) => {
       message: 'حدث خطأ في جلب التصنيفات'
     });
   }
-};
\ No newline at end of file
+};
+// ============================================================================
+// 8. LIST DRUG INTERACTIONS (knowledge base)
+// ============================================================================
+
+/**
+ * @route   GET /api/medications/interactions
+ * @desc    Browse the drug-interaction knowledge base.
+ * @access  Private (any authenticated clinical role)
+ *
+ * Query: ingredient (any side of the pair), severity, includeInactive,
+ *        page, limit
+ */
+exports.listInteractions = async (req, res) => {
+  try {
+    const {
+      ingredient, severity, includeInactive, page = 1, limit = 50
+    } = req.query;
+
+    const safePage = Math.max(parseInt(page, 10) || 1, 1);
+    const safeLimit = Math.min(parseInt(limit, 10) || 50, 200);
+
+    const query = {};
+    if (includeInactive !== 'true') query.isActive = true;
+    if (severity) query.severity = severity;
+    if (ingredient) {
+      const key = DrugInteraction.normalizeIngredient(ingredient);
+      query.$or = [{ ingredientA: key }, { ingredientB: key }];
+    }
+
+    const [interactions, total] = await Promise.all([
+      DrugInteraction.find(query)
+        .sort({ ingredientA: 1, ingredientB: 1 })
+        .skip((safePage - 1) * safeLimit)
+        .limit(safeLimit)
+        .lean(),
+      DrugInteraction.countDocuments(query)
+    ]);
+
+    return res.json({
+      success: true,
+      count: total,
+      page: safePage,
+      pages: Math.ceil(total / safeLimit),
+      interactions
+    });
+  } catch (error) {
+    console.error('List interactions error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'حدث خطأ في جلب التفاعلات الدوائية'
+    });
+  }
+};
+
+// ============================================================================
+// 9. SAVE DRUG INTERACTION (admin — create or update the pair)
+// ============================================================================
+
+/**
+ * @route   PUT /api/medications/interactions
+ * @desc    Create or update the interaction of an active-ingredient pair.
+ *          The pair is the key, in either order.
+ * @access  Private (admin only)
+ *
+ * Body:
+ *   ingredientA, ingredientB (required) — active ingredients (INN)
+ *   severity (required)                 — minor | moderate | major | contraindicated
+ *   advice: { ar, en } (required)
+ *   mechanism?, source?, isActive?
+ */
+exports.saveInteraction = async (req, res) => {
+  try {
+    const {
+      ingredientA, ingredientB, severity, mechanism, advice, source, isActive
+    } = req.body;
+
+    if (!ingredientA || !ingredientB) {
+      return res.status(400).json({
+        success: false,
+        message: 'يجب تحديد المادتين الفعالتين'
+      });
+    }
+
+    const [first, second] = [
+      DrugInteraction.normalizeIngredient(ingredientA),
+      DrugInteraction.normalizeIngredient(ingredientB)
+    ].sort();
+
+    let interaction = await DrugInteraction.findOne({ ingredientA: first, ingredientB: second });
+    const isNew = !interaction;
+    if (isNew) interaction = new DrugInteraction({ ingredientA: first, ingredientB: second });
+
+    interaction.set({
+      severity,
+      mechanism: mechanism?.trim(),
+      advice: { ar: advice?.ar?.trim(), en: advice?.en?.trim() },
+      source: source?.trim(),
+      ...(isActive !== undefined && { isActive: !!isActive }),
+      updatedBy: req.user._id
+    });
+    await interaction.save();
+
+    AuditLog.record({
+      userId: req.user._id,
+      userEmail: req.user.email,
+      action: isNew ? 'CREATE_DRUG_INTERACTION' : 'UPDATE_DRUG_INTERACTION',
+      description: `${interaction.ingredientA} + ${interaction.ingredientB}: ${interaction.severity}`,
+      resourceType: 'drug_interaction',
+      resourceId: interaction._id,
+      ipAddress: req.ip || 'unknown',
+      success: true
+    });
+
+    return res.status(isNew ? 201 : 200).json({
+      success: true,
+      message: isNew ? 'تمت إضافة التفاعل الدوائي' : 'تم تحديث التفاعل الدوائي',
+      interaction
+    });
+  } catch (error) {
+    console.error('Save interaction error:', error);
+
+    if (error.name === 'ValidationError') {
+      const messages = Object.values(error.errors).map(e => e.message);
+      return res.status(400).json({
+        success: false,
+        message: messages[0] || 'خطأ في البيانات'
+      });
+    }
+    if (error.message && /[؀-ۿ]/.test(error.message)) {
+      return res.status(400).json({ success: false, message: error.message });
+    }
+
+    return res.status(500).json({
+      success: false,
+      message: 'حدث خطأ في حفظ التفاعل الدوائي'
+    });
+  }
+};
+
+// ============================================================================
+// 10. DEACTIVATE DRUG INTERACTION (admin)
+// ============================================================================
+
+/**
+ * @route   DELETE /api/medications/interactions/:id
+ * @desc    Stop checking an interaction. Kept (isActive=false) because
+ *          prescriptions may reference it in their override record.
+ * @access  Private (admin only)
+ */
+exports.deactivateInteraction = async (req, res) => {
+  try {
+    const interaction = await DrugInteraction.findByIdAndUpdate(
+      req.params.id,
+      { $set: { isActive: false, updatedBy: req.user._id } },
+      { new: true }
+    );
+    if (!interaction) {
+      return res.status(404).json({
+        success: false,
+        message: 'التفاعل الدوائي غير موجود'
+      });
+    }
+
+    AuditLog.record({
+      userId: req.user._id,
+      userEmail: req.user.email,
+      action: 'DEACTIVATE_DRUG_INTERACTION',
+      description: `${interaction.ingredientA} + ${interaction.ingredientB}`,
+      resourceType: 'drug_interaction',
+      resourceId: interaction._id,
+      ipAddress: req.ip || 'unknown',
+      success: true
+    });
+
+    return res.json({
+      success: true,
+      message: 'تم إيقاف التفاعل الدوائي'
+    });
+  } catch (error) {
+    console.error('Deactivate interaction error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'حدث خطأ في إيقاف التفاعل الدوائي'
+    });
+  }
+};
@@ -1,4 +1,5 @@
 const patientService = require('../services/patientService');
+const { Person, Patient, Account } = require('../models');
 
 /**
  * Patient Controller
@@ -79,4 +80,118 @@ exports.getMedicalHistory = async (req, res) => {
       message: 'حدث خطأ أثناء جلب التاريخ الطبي'
     });
   }
-};
\ No newline at end of file
+};
+
+/**
+ * @route   GET /api/doctor/search/:nationalId
+ * @route   GET /api/dentist/search/:nationalId
+ * @desc    Clinician looks up a patient by national ID — identity, medical
+ *          profile and account metadata flattened into one object
+ * @access  Private (Doctor / Dentist)
+ */
+exports.searchPatientByNationalId = async (req, res) => {
+  try {
+    const { nationalId } = req.params;
+    console.log('🔍 Searching for:', nationalId);
+
+    const person = await Person.findOne({
+      $or: [
+        { nationalId: nationalId },
+        { childId: nationalId }
+      ]
+    }).lean();
+
+    console.log('📥 Person found:', person ? '✅' : '❌');
+
+    if (!person) {
+      return res.status(404).json({
+        success: false,
+        message: 'لم يتم العثور على المريض'
+      });
+    }
+
+    const patient = await Patient.findOne({ personId: person._id }).lean();
+    if (!patient) {
+      return res.status(404).json({
+        success: false,
+        message: 'لم يتم العثور على بيانات المريض'
+      });
+    }
+
+    const account = await Account.findOne({ personId: person._id }).select('-password').lean();
+
+    // Explicit merge — do NOT rely on spread ordering, which can behave
+    // unexpectedly when either document contains nested ObjectIds or arrays.
+    // We build the response field-by-field so every medical attribute the
+    // doctor's profile view reads is guaranteed to be at the top level.
+    const patientData = {
+      // ── Identity (from persons collection) ────────────────────────────────
+      _id: person._id,
+      nationalId: person.nationalId,
+      firstName: person.firstName,
+      fatherName: person.fatherName,
+      lastName: person.lastName,
+      motherName: person.motherName,
+      dateOfBirth: person.dateOfBirth,
+      gender: person.gender,
+      maritalStatus: person.maritalStatus,
+      occupation: person.occupation,
+      education: person.education,
+      phoneNumber: person.phoneNumber,
+      alternativePhoneNumber: person.alternativePhoneNumber,
+      governorate: person.governorate,
+      city: person.city,
+      district: person.district,
+      street: person.street,
+      building: person.building,
+      address: person.address,
+      profilePhoto: person.profilePhoto,
+      isActive: person.isActive,
+
+      // ── Medical profile (from patients collection) ────────────────────────
+      patientRecordId: patient._id,
+      bloodType: patient.bloodType,
+      rhFactor: patient.rhFactor,
+      height: patient.height,
+      weight: patient.weight,
+      bmi: patient.bmi,
+      smokingStatus: patient.smokingStatus,
+      alcoholConsumption: patient.alcoholConsumption,
+      exerciseFrequency: patient.exerciseFrequency,
+      dietType: patient.dietType,
+      chronicDiseases: patient.chronicDiseases || [],
+      allergies: patient.allergies || [],
+      familyHistory: patient.familyHistory || [],
+      currentMedications: patient.currentMedications || [],
+      previousSurgeries: patient.previousSurgeries || [],
+      emergencyContact: patient.emergencyContact,
+      medicalCardNumber: patient.medicalCardNumber,
+      totalVisits: patient.totalVisits || 0,
+      lastVisitDate: patient.lastVisitDate,
+
+      // ── Account metadata ──────────────────────────────────────────────────
+      email: account?.email,
+      accountActive: account?.isActive,
+      registrationDate: account?.createdAt,
+
+      // ── Misc the frontend may reference ───────────────────────────────────
+      createdAt: person.createdAt,
+      updatedAt: patient.updatedAt || person.updatedAt
+    };
+
+    console.log(
+      '📤 Patient search response keys:',
+      Object.keys(patientData).length,
+      '| bloodType:', patientData.bloodType,
+      '| allergies:', Array.isArray(patientData.allergies) ? patientData.allergies.length : 'not array'
+    );
+
+    return res.json({ success: true, patient: patientData });
+  } catch (error) {
+    console.error('Search patient error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'حدث خطأ في البحث عن المريض'
+    });
+  }
+};
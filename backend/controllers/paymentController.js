@@ -0,0 +1,500 @@
+/**
+ * ═══════════════════════════════════════════════════════════════════════════
+ *  Payment Controller — Patient 360°
+ *  ─────────────────────────────────────────────────────────────────────────
+ *  Payments and refunds for appointments / visits. Mounted at /api/payments.
+ *
+ *  Staff of the provider (the appointment's doctor / dentist / laboratory)
+ *  or an admin take payments and issue refunds; patients see their own
+ *  payments and receipts. Cancelling a paid appointment refunds it
+ *  automatically (services/paymentService.refundCancelledAppointment).
+ *
+ *  Functions:
+ *    1. recordPayment       — Take a payment (cash / card / insurance / free)
+ *    2. getPayments         — Ledger + balance of one appointment or visit
+ *    3. getMyPayments       — Patient's own payments
+ *    4. refundPayment       — Refund all or part of a payment
+ *    5. getReceipt          — Printable receipt (HTML; ?format=json)
+ *
+ *  Conventions kept:
+ *    - Arabic error messages, emoji-marked console logs
+ *    - Try/catch in every async function
+ * ═══════════════════════════════════════════════════════════════════════════
+ */
+
+const mongoose = require('mongoose');
+const {
+  Payment, Appointment, Visit, Person, Children, Doctor, Dentist,
+  Laboratory, Hospital, AuditLog
+} = require('../models');
+const paymentService = require('../services/paymentService');
+const scheduleService = require('../services/scheduleService');
+const { buildReceiptHtml } = require('../utils/receipt');
+const { formatDate } = require('../utils/dateFormat');
+const { AppError } = require('../utils/errorHandler');
+
+// ============================================================================
+// HELPERS
+// ============================================================================
+
+const DETAIL_FIELDS = [
+  'cardLast4', 'transactionReference', 'insuranceProvider',
+  'insurancePolicyNumber', 'insuranceClaimNumber', 'description', 'notes'
+];
+
+/**
+ * Whether the caller runs the practice the record belongs to (or is admin).
+ */
+async function isStaffFor(user, record) {
+  if (user.roles?.includes('admin')) return true;
+  const owner = await scheduleService.resolveProviderOwner(user);
+  if (!owner) return false;
+  const [field, value] = Object.entries(owner)[0];
+  return !!record[field] && String(record[field]) === String(value);
+}
+
+/**
+ * Whether the caller is the patient on the record or their parent.
+ */
+async function isPatientFor(user, record) {
+  if (record.patientPersonId && String(record.patientPersonId) === String(user.personId)) return true;
+  if (record.patientChildId && String(record.patientChildId) === String(user.childId)) return true;
+  return !!record.patientChildId && !!user.personId
+    && !!(await Children.exists({ _id: record.patientChildId, parentPersonId: user.personId }));
+}
+
+/**
+ * Loads the appointment and/or visit named by appointmentId / visitId.
+ * Responds and returns null on failure.
+ */
+async function loadTarget(source, res) {
+  const { appointmentId, visitId } = source;
+  if (!appointmentId && !visitId) {
+    res.status(400).json({ success: false, message: 'appointmentId أو visitId مطلوب' });
+    return null;
+  }
+  if ((appointmentId && !mongoose.Types.ObjectId.isValid(appointmentId))
+    || (visitId && !mongoose.Types.ObjectId.isValid(visitId))) {
+    res.status(400).json({ success: false, message: 'المعرّف غير صحيح' });
+    return null;
+  }
+
+  const visit = visitId ? await Visit.findById(visitId) : null;
+  const appointment = appointmentId
+    ? await Appointment.findById(appointmentId)
+    : null;
+
+  if ((visitId && !visit) || (appointmentId && !appointment)) {
+    res.status(404).json({ success: false, message: 'الموعد أو الزيارة غير موجودة' });
+    return null;
+  }
+  if (visit && appointment && String(visit.appointmentId) !== String(appointment._id)) {
+    res.status(400).json({ success: false, message: 'الزيارة لا تخص هذا الموعد' });
+    return null;
+  }
+  return { appointment, visit };
+}
+
+async function providerNameOf(payment) {
+  if (payment.doctorId || payment.dentistId) {
+    const Model = payment.doctorId ? Doctor : Dentist;
+    const provider = await Model.findById(payment.doctorId || payment.dentistId)
+      .populate('personId', 'firstName lastName')
+      .select('personId')
+      .lean();
+    const person = provider?.personId;
+    return person ? `د. ${person.firstName} ${person.lastName}` : null;
+  }
+  if (payment.laboratoryId) {
+    const lab = await Laboratory.findById(payment.laboratoryId).select('name arabicName').lean();
+    return lab ? (lab.arabicName || lab.name) : null;
+  }
+  return null;
+}
+
+// ============================================================================
+// 1. RECORD PAYMENT
+// ============================================================================
+
+/**
+ * @route   POST /api/payments
+ * @desc    Record a payment for an appointment or a visit.
+ * @access  Private (doctor, dentist, lab_technician of that practice; admin)
+ *
+ * Body:
+ *   appointmentId | visitId (one required)
+ *   method (required)      — cash | card | insurance | free
+ *   amount?                — defaults to the provider's fee (0 for free)
+ *   currency?              — SYP | USD (defaults to the provider's currency)
+ *   cardLast4?, transactionReference?                    (card)
+ *   insuranceProvider, insurancePolicyNumber?, insuranceClaimNumber? (insurance)
+ *   description?, notes?
+ */
+exports.recordPayment = async (req, res) => {
+  console.log('🔵 ========== RECORD PAYMENT ==========');
+
+  try {
+    const target = await loadTarget(req.body, res);
+    if (!target) return;
+    const { appointment, visit } = target;
+    const record = visit || appointment;
+
+    if (!(await isStaffFor(req.user, record))) {
+      return res.status(403).json({
+        success: false,
+        message: 'ليس لديك صلاحية لتسجيل دفعات لهذا الموعد'
+      });
+    }
+    if (appointment && ['cancelled', 'no_show'].includes(appointment.status)) {
+      return res.status(400).json({
+        success: false,
+        message: `لا يمكن تسجيل دفعة لموعد حالته ${appointment.status}`
+      });
+    }
+
+    const { method } = req.body;
+    if (!Payment.PAYMENT_METHODS.includes(method)) {
+      return res.status(400).json({
+        success: false,
+        message: 'طريقة الدفع غير صالحة'
+      });
+    }
+
+    const fee = await paymentService.expectedFee(record);
+    let amount = req.body.amount !== undefined ? Number(req.body.amount) : fee?.amount;
+    if (method === 'free') amount = 0;
+    const currency = req.body.currency || fee?.currency || 'SYP';
+
+    if (amount === undefined || Number.isNaN(amount)) {
+      return res.status(400).json({
+        success: false,
+        message: 'المبلغ مطلوب (لا توجد رسوم محددة لمقدم الخدمة)'
+      });
+    }
+    if (!Payment.CURRENCIES.includes(currency)) {
+      return res.status(400).json({
+        success: false,
+        message: 'العملة يجب أن تكون SYP أو USD'
+      });
+    }
+
+    const details = {};
+    DETAIL_FIELDS.forEach((field) => {
+      if (req.body[field] !== undefined) details[field] = req.body[field];
+    });
+
+    const payment = await paymentService.recordPayment({
+      appointment,
+      visit,
+      amount,
+      currency,
+      method,
+      details,
+      receivedBy: req.user._id
+    });
+
+    AuditLog.record({
+      userId: req.user._id,
+      userEmail: req.user.email,
+      action: 'RECORD_PAYMENT',
+      description: `Recorded payment ${payment.receiptNumber}: ${amount} ${currency} (${method})`,
+      resourceType: 'payment',
+      resourceId: payment._id,
+      patientPersonId: payment.patientPersonId,
+      patientChildId: payment.patientChildId,
+      ipAddress: req.ip || 'unknown',
+      success: true,
+      metadata: { appointmentId: payment.appointmentId, visitId: payment.visitId }
+    });
+
+    return res.status(201).json({
+      success: true,
+      message: 'تم تسجيل الدفعة',
+      payment,
+      receiptUrl: `/api/payments/${payment._id}/receipt`
+    });
+  } catch (error) {
+    console.error('❌ Record payment error:', error);
+
+    if (error.name === 'ValidationError') {
+      const messages = Object.values(error.errors).map(e => e.message);
+      return res.status(400).json({
+        success: false,
+        message: messages[0] || 'خطأ في البيانات'
+      });
+    }
+    if (error instanceof AppError) {
+      return res.status(error.statusCode).json({ success: false, message: error.message });
+    }
+
+    return res.status(500).json({
+      success: false,
+      message: 'حدث خطأ في تسجيل الدفعة'
+    });
+  }
+};
+
+// ============================================================================
+// 2. GET PAYMENTS OF AN APPOINTMENT / VISIT
+// ============================================================================
+
+/**
+ * @route   GET /api/payments?appointmentId=|visitId=
+ * @desc    All payments and refunds with per-currency totals and the
+ *          provider's fee.
+ * @access  Private (that practice's staff, admin, the patient / parent)
+ */
+exports.getPayments = async (req, res) => {
+  try {
+    const target = await loadTarget(req.query, res);
+    if (!target) return;
+    const record = target.visit || target.appointment;
+
+    const allowed = await isStaffFor(req.user, record) || await isPatientFor(req.user, record);
+    if (!allowed) {
+      return res.status(403).json({
+        success: false,
+        message: 'ليس لديك صلاحية لعرض هذه الدفعات'
+      });
+    }
+
+    const [payments, expectedFee] = await Promise.all([
+      paymentService.findPaymentsFor(target).lean(),
+      paymentService.expectedFee(record)
+    ]);
+
+    return res.json({
+      success: true,
+      count: payments.length,
+      paymentStatus: record.paymentStatus,
+      expectedFee,
+      totals: paymentService.summarize(payments),
+      payments
+    });
+  } catch (error) {
+    console.error('Get payments error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'حدث خطأ في جلب الدفعات'
+    });
+  }
+};
+
+// ============================================================================
+// 3. GET MY PAYMENTS (patient)
+// ============================================================================
+
+/**
+ * @route   GET /api/payments/mine
+ * @desc    Payments and refunds of the logged-in patient, newest first.
+ * @access  Private (patient)
+ *
+ * Query: page, limit
+ */
+exports.getMyPayments = async (req, res) => {
+  try {
+    const ref = req.user.personId
+      ? { patientPersonId: req.user.personId }
+      : { patientChildId: req.user.childId };
+    if (!ref.patientPersonId && !ref.patientChildId) {
+      return res.status(403).json({
+        success: false,
+        message: 'الحساب غير مرتبط بمريض'
+      });
+    }
+
+    const safePage = Math.max(parseInt(req.query.page, 10) || 1, 1);
+    const safeLimit = Math.min(parseInt(req.query.limit, 10) || 20, 100);
+
+    const [payments, total] = await Promise.all([
+      Payment.find(ref)
+        .sort({ paidAt: -1 })
+        .skip((safePage - 1) * safeLimit)
+        .limit(safeLimit)
+        .populate('laboratoryId', 'name arabicName')
+        .populate('hospitalId', 'name arabicName')
+        .lean(),
+      Payment.countDocuments(ref)
+    ]);
+
+    return res.json({
+      success: true,
+      count: total,
+      page: safePage,
+      pages: Math.ceil(total / safeLimit),
+      payments
+    });
+  } catch (error) {
+    console.error('Get my payments error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'حدث خطأ في جلب الدفعات'
+    });
+  }
+};
+
+// ============================================================================
+// 4. REFUND PAYMENT
+// ============================================================================
+
+/**
+ * @route   POST /api/payments/:id/refund
+ * @desc    Refund a payment, fully or partly.
+ * @access  Private (that practice's staff, admin)
+ *
+ * Body: { reason (required), amount? — defaults to all still refundable }
+ */
+exports.refundPayment = async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({ success: false, message: 'المعرّف غير صحيح' });
+    }
+
+    const { reason } = req.body;
+    if (!reason || !reason.trim()) {
+      return res.status(400).json({
+        success: false,
+        message: 'سبب الاسترداد مطلوب'
+      });
+    }
+
+    const payment = await Payment.findById(id);
+    if (!payment || payment.kind !== 'payment') {
+      return res.status(404).json({
+        success: false,
+        message: 'الدفعة غير موجودة'
+      });
+    }
+    if (!(await isStaffFor(req.user, payment))) {
+      return res.status(403).json({
+        success: false,
+        message: 'ليس لديك صلاحية لاسترداد هذه الدفعة'
+      });
+    }
+
+    let refund;
+    try {
+      refund = await paymentService.refundPayment(payment, {
+        amount: req.body.amount !== undefined ? Number(req.body.amount) : undefined,
+        reason: reason.trim(),
+        actorAccountId: req.user._id
+      });
+    } catch (serviceError) {
+      if (serviceError instanceof AppError) {
+        return res.status(serviceError.statusCode).json({
+          success: false,
+          code: serviceError.code,
+          message: serviceError.message
+        });
+      }
+      if (serviceError.name === 'ValidationError') {
+        const messages = Object.values(serviceError.errors).map(e => e.message);
+        return res.status(400).json({
+          success: false,
+          message: messages[0] || 'خطأ في البيانات'
+        });
+      }
+      throw serviceError;
+    }
+
+    AuditLog.record({
+      userId: req.user._id,
+      userEmail: req.user.email,
+      action: 'REFUND_PAYMENT',
+      description: `Refunded ${refund.amount} ${refund.currency} of ${payment.receiptNumber}`,
+      resourceType: 'payment',
+      resourceId: refund._id,
+      patientPersonId: payment.patientPersonId,
+      patientChildId: payment.patientChildId,
+      ipAddress: req.ip || 'unknown',
+      success: true,
+      metadata: { refundOf: payment._id, reason: reason.trim() }
+    });
+
+    return res.status(201).json({
+      success: true,
+      message: 'تم تسجيل الاسترداد',
+      refund,
+      receiptUrl: `/api/payments/${refund._id}/receipt`
+    });
+  } catch (error) {
+    console.error('❌ Refund payment error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'حدث خطأ في استرداد الدفعة'
+    });
+  }
+};
+
+// ============================================================================
+// 5. RECEIPT
+// ============================================================================
+
+/**
+ * @route   GET /api/payments/:id/receipt
+ * @desc    Printable receipt for a payment or refund — an HTML page the
+ *          browser prints (A5). ?format=json returns the same data as JSON.
+ * @access  Private (that practice's staff, admin, the patient / parent)
+ */
+exports.getReceipt = async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({ success: false, message: 'المعرّف غير صحيح' });
+    }
+
+    const payment = await Payment.findById(id).lean();
+    if (!payment) {
+      return res.status(404).json({
+        success: false,
+        message: 'الدفعة غير موجودة'
+      });
+    }
+
+    const allowed = await isStaffFor(req.user, payment) || await isPatientFor(req.user, payment);
+    if (!allowed) {
+      return res.status(403).json({
+        success: false,
+        message: 'ليس لديك صلاحية لعرض هذا الإيصال'
+      });
+    }
+
+    const [patient, providerName, hospital, original, appointment] = await Promise.all([
+      payment.patientPersonId
+        ? Person.findById(payment.patientPersonId).select('firstName lastName nationalId').lean()
+        : Children.findById(payment.patientChildId).select('firstName lastName childRegistrationNumber').lean(),
+      providerNameOf(payment),
+      payment.hospitalId ? Hospital.findById(payment.hospitalId).select('name arabicName').lean() : null,
+      payment.refundOf ? Payment.findById(payment.refundOf).select('receiptNumber').lean() : null,
+      payment.appointmentId
+        ? Appointment.findById(payment.appointmentId).select('reasonForVisit appointmentDate appointmentTime').lean()
+        : null
+    ]);
+
+    const receipt = {
+      payment,
+      patientName: patient ? `${patient.firstName} ${patient.lastName}` : '',
+      patientIdentifier: patient?.nationalId || patient?.childRegistrationNumber,
+      providerName,
+      facilityName: hospital ? (hospital.arabicName || hospital.name) : null,
+      serviceDescription: payment.description || (appointment
+        ? `${appointment.reasonForVisit} — ${formatDate(appointment.appointmentDate)} ${appointment.appointmentTime}`
+        : null),
+      originalReceiptNumber: original?.receiptNumber
+    };
+
+    if (req.query.format === 'json') {
+      return res.json({ success: true, receipt });
+    }
+
+    res.set('Content-Type', 'text/html; charset=utf-8');
+    return res.send(buildReceiptHtml(receipt));
+  } catch (error) {
+    console.error('Get receipt error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'حدث خطأ في إنشاء الإيصال'
+    });
+  }
+};
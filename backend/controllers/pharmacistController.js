@@ -28,6 +28,7 @@ const {
   Medication, AuditLog, Person, Children, Patient, Prescription,
   Notification
 } = require('../models');
+const safetyScreeningService = require('../services/safetyScreeningService');
 
 // ============================================================================
 // HELPER: Resolve pharmacist record from logged-in account
@@ -795,11 +796,14 @@ exports.verifyPrescription = async (req, res) => {
         message: 'هذه الوصفة ملغاة'
       });
     }
-    if (prescription.status === 'dispensed') {
+    // Fully dispensed — only a due repeat can be verified again
+    const refill = Prescription.refillStateOf(prescription);
+    if (prescription.status === 'dispensed' && !refill.due) {
       return res.status(400).json({
         success: false,
         verified: false,
-        message: 'تم صرف هذه الوصفة بالكامل مسبقاً'
+        message: Prescription.refillRejectionMessage(refill),
+        refill
       });
     }
     if (prescription.expiryDate && new Date(prescription.expiryDate) < new Date()) {
@@ -828,7 +832,8 @@ exports.verifyPrescription = async (req, res) => {
     return res.json({
       success: true,
       verified: true,
-      prescription: prescription.toObject ? prescription.toObject() : prescription
+      prescription: prescription.toObject ? prescription.toObject() : prescription,
+      refill
     });
   } catch (error) {
     console.error('Verify prescription error:', error);
@@ -858,10 +863,18 @@ exports.verifyPrescription = async (req, res) => {
  *     { medicationName, quantityDispensed, batchNumber?, expiryDate?,
  *       unitPrice?, isGenericSubstitute?, pharmacistNotes? }
  *   ],
- *   totalCost?, currency?, paymentMethod?, notes?
+ *   totalCost?, currency?, paymentMethod?, notes?,
+ *   safetyOverrideReason?  — required when a line matches a recorded allergy
+ *                            or is contraindicated by a chronic disease and
+ *                            the prescriber didn't already override it
+ *                            (409 with safetyWarnings otherwise)
  * }
+ *
+ * A fully dispensed prescription with a due repeat is dispensed again; the
+ * repeat is claimed before the record is written and released on failure.
  */
 exports.dispensePrescription = async (req, res) => {
+  let claimedRefill = null;
   try {
     const pharmacist = await getPharmacistFromAccount(req.account);
 
@@ -873,7 +886,8 @@ exports.dispensePrescription = async (req, res) => {
       totalCost = 0,
       currency = 'SYP',
       paymentMethod = 'cash',
-      notes
+      notes,
+      safetyOverrideReason
     } = req.body || {};
 
     if (!prescriptionId || !String(prescriptionId).match(/^[0-9a-fA-F]{24}$/)) {
@@ -890,7 +904,7 @@ exports.dispensePrescription = async (req, res) => {
       });
     }
 
-    const prescription = await Prescription.findById(prescriptionId);
+    let prescription = await Prescription.findById(prescriptionId);
     if (!prescription) {
       return res.status(404).json({
         success: false,
@@ -898,10 +912,12 @@ exports.dispensePrescription = async (req, res) => {
       });
     }
 
-    if (prescription.status === 'dispensed') {
+    const refill = Prescription.refillStateOf(prescription);
+    if (prescription.status === 'dispensed' && !refill.due) {
       return res.status(400).json({
         success: false,
-        message: 'تم صرف هذه الوصفة بالكامل مسبقاً'
+        message: Prescription.refillRejectionMessage(refill),
+        refill
       });
     }
     if (prescription.status === 'cancelled') {
@@ -946,6 +962,34 @@ exports.dispensePrescription = async (req, res) => {
     else if (prescription.patientPersonId) patientRef.patientPersonId = prescription.patientPersonId;
     else if (prescription.patientChildId) patientRef.patientChildId = prescription.patientChildId;
 
+    // Allergy / contraindication screening against the patient's record;
+    // warnings the prescriber already overrode don't stop the pharmacist
+    const safetyWarnings = safetyScreeningService.notOverridden(
+      await safetyScreeningService.screenForPatient(patientRef, normalizedMeds),
+      prescription.safetyOverride
+    );
+    const safetyReason = safetyOverrideReason?.trim();
+    if (safetyWarnings.length > 0 && !safetyReason) {
+      return res.status(409).json({
+        success: false,
+        message: 'الدواء يتعارض مع حساسية أو مرض مزمن مسجل للمريض. راجع الطبيب أو اذكر سبب المتابعة (safetyOverrideReason)',
+        requiresOverride: true,
+        safetyWarnings
+      });
+    }
+
+    // Claim the repeat before anything is written
+    if (refill.due) {
+      prescription = await Prescription.atomicClaimRefill(prescription._id, refill.refillsUsed);
+      if (!prescription) {
+        return res.status(409).json({
+          success: false,
+          message: 'تم صرف إعادة الصرف هذه للتو من صيدلية أخرى'
+        });
+      }
+      claimedRefill = { prescriptionId: prescription._id, number: refill.refillsUsed + 1 };
+    }
+
     const dispensing = await PharmacyDispensing.create({
       dispensingNumber,
       pharmacyId: pharmacist.pharmacyId,
@@ -980,6 +1024,9 @@ exports.dispensePrescription = async (req, res) => {
 
     prescription.status = anyRemaining ? 'partially_dispensed' : 'dispensed';
     prescription.dispensingId = dispensing._id;
+    if (claimedRefill) {
+      prescription.refills[prescription.refills.length - 1].dispensingId = dispensing._id;
+    }
     await prescription.save();
 
     // Increment pharmacist totalPrescriptionsDispensed counter
@@ -998,15 +1045,41 @@ exports.dispensePrescription = async (req, res) => {
       success: true
     }).catch(() => {});
 
+    if (safetyWarnings.length > 0) {
+      AuditLog.record({
+        userId: req.account._id,
+        userEmail: req.account.email,
+        action: 'OVERRIDE_SAFETY_WARNING',
+        description: `Dispensed ${prescription.prescriptionNumber} through ${safetyWarnings.length} allergy/contraindication warning(s)`,
+        resourceType: 'pharmacy_dispensing',
+        resourceId: dispensing._id,
+        ...patientRef,
+        ipAddress: req.ip || 'unknown',
+        success: true,
+        metadata: {
+          stage: 'dispensing',
+          prescriptionId: prescription._id,
+          reason: safetyReason,
+          warnings: safetyWarnings
+        }
+      }).catch(() => {});
+    }
+
     return res.status(201).json({
       success: true,
       message: 'تم صرف الوصفة بنجاح',
       dispensing,
-      prescriptionStatus: prescription.status
+      prescriptionStatus: prescription.status,
+      refill: Prescription.refillStateOf(prescription)
     });
   } catch (error) {
     console.error('Dispense prescription error:', error);
 
+    if (claimedRefill) {
+      await Prescription.atomicReleaseRefill(claimedRefill.prescriptionId, claimedRefill.number)
+        .catch(cleanupErr => console.error('Refill release failed:', cleanupErr));
+    }
+
     if (error.name === 'ValidationError') {
       return res.status(400).json({
         success: false,
@@ -26,6 +26,13 @@
  *    6. verifyByCode                — Pharmacist types 6-digit code
  *    7. cancelPrescription          — Doctor cancels Rx (before dispensed)
  *    8. checkInteractions           — Pre-flight check before creating Rx
+ *    9. checkDose                   — mg/kg dose check for the patient's age
+ *                                     and latest weight
+ *   10. requestRenewal              — Patient asks the prescriber to renew
+ *
+ *  Refills: a prescription issued with refillsAllowed can be verified and
+ *  dispensed again (same code / QR) once refillIntervalDays have passed
+ *  since the last fill; the dispense endpoints claim the repeat.
  *
  *  Conventions kept:
  *    - Arabic error messages, emoji-marked console logs
@@ -35,46 +42,33 @@
  */
 
 const {
-  Prescription, Visit, Patient, Doctor, Dentist,
-  Medication, AuditLog
+  Prescription, Visit, Patient, Doctor, Dentist, Children,
+  AuditLog
 } = require('../models');
+const interactionService = require('../services/interactionService');
+const safetyScreeningService = require('../services/safetyScreeningService');
+const doseService = require('../services/doseService');
+const dosageSchedule = require('../utils/dosageSchedule');
+const { notifyProvider } = require('../services/notificationService');
 
-// ============================================================================
-// HELPER: Check interactions between new Rx meds and patient's chronic meds
-// ============================================================================
+// One renewal request per prescription per this many hours
+const RENEWAL_REQUEST_COOLDOWN_HOURS = 24;
 
 /**
- * For each medication in the new prescription, check if it interacts with
- * the patient's existing chronic medications. Returns a list of warnings.
+ * Verify-time gate for a fully dispensed prescription: a repeat that is
+ * due passes; otherwise answers 400 (with the refill position).
  *
- * @param {Array} newMedications - meds being prescribed (from req.body.medications)
- * @param {Array<string>} patientCurrentMeds - patient.currentMedications
- * @returns {Promise<Array>} array of { medicationName, conflictsWith[] }
+ * @returns {boolean} true when the response was sent
  */
-async function checkMedicationInteractions(newMedications, patientCurrentMeds) {
-  if (!Array.isArray(patientCurrentMeds) || patientCurrentMeds.length === 0) {
-    return [];
-  }
-
-  const warnings = [];
-
-  for (const med of newMedications) {
-    // Try to find the medication in our database for interaction data
-    if (!med.medicationId) continue;
-
-    const medDoc = await Medication.findById(med.medicationId);
-    if (!medDoc) continue;
-
-    const conflicts = medDoc.findInteractionsWith(patientCurrentMeds);
-    if (conflicts.length > 0) {
-      warnings.push({
-        medicationName: med.medicationName,
-        conflictsWith: conflicts
-      });
-    }
-  }
-
-  return warnings;
+function rejectDispensed(prescription, res) {
+  const refill = Prescription.refillStateOf(prescription);
+  if (refill.due) return false;
+  res.status(400).json({
+    success: false,
+    message: Prescription.refillRejectionMessage(refill),
+    refill
+  });
+  return true;
 }
 
 // ============================================================================
@@ -95,21 +89,43 @@ async function checkMedicationInteractions(newMedications, patientCurrentMeds) {
  *       medicationId?         — ObjectId from medications collection (optional)
  *       medicationName        — string (required)
  *       arabicName?           — string (optional)
- *       dosage                — string e.g. "500mg" (required)
- *       frequency             — string e.g. "twice daily" (required)
- *       duration              — string e.g. "10 days" (required)
+ *       dosage                — string e.g. "500mg"
+ *       frequency             — string e.g. "twice daily"
+ *       duration              — string e.g. "10 days"
+ *       schedule?             — structured form (utils/dosageSchedule):
+ *                               { doseAmount, doseUnit, timesPerDay,
+ *                                 intervalHours, durationDays, isContinuous,
+ *                                 prn, maxDosesPerDay, taperSteps[] };
+ *                               the three strings are required without it
  *       route?                — oral | topical | injection | ...
  *       instructions?         — string e.g. "take after meals"
- *       quantity?             — total units to dispense
+ *       quantity?             — total units to dispense; computed from the
+ *                               schedule and catalog strength when omitted
  *     }
  *   prescriptionNotes?             — doctor's notes for the pharmacist
- *   expiryDate?                    — defaults to 30 days if not set
+ *   expiryDate?                    — defaults to 30 days (+ the repeats'
+ *                                    span) if not set
+ *   refillsAllowed?                — repeats after the first fill (0–11)
+ *   refillIntervalDays?            — minimum days between fills (required
+ *                                    with refillsAllowed)
+ *   interactionOverrideReason?     — required to prescribe through a major /
+ *                                    contraindicated interaction (409 otherwise)
+ *   safetyOverrideReason?          — required to prescribe a drug matching a
+ *                                    recorded allergy or contraindicated by a
+ *                                    chronic disease (409 otherwise)
+ *
+ * Doses outside the catalog's range for the patient's age / weight come
+ * back in warnings.dosing — they don't stop the prescription.
  */
 exports.createPrescription = async (req, res) => {
   console.log('🔵 ========== CREATE PRESCRIPTION ==========');
 
   try {
-    const { visitId, medications, prescriptionNotes, expiryDate } = req.body;
+    const {
+      visitId, medications, prescriptionNotes, expiryDate,
+      interactionOverrideReason, safetyOverrideReason,
+      refillsAllowed, refillIntervalDays
+    } = req.body;
 
     // ── 1. VALIDATE REQUIRED FIELDS ───────────────────────────────────────
     if (!visitId) {
@@ -126,6 +142,16 @@ exports.createPrescription = async (req, res) => {
       });
     }
 
+    // Range / interval rules are the model's; only the shape is checked here
+    const isWholeNumber = value => value === undefined || value === null || value === ''
+      || /^\d+$/.test(String(value));
+    if (!isWholeNumber(refillsAllowed) || !isWholeNumber(refillIntervalDays)) {
+      return res.status(400).json({
+        success: false,
+        message: 'عدد مرات إعادة الصرف والفاصل بينها يجب أن يكونا أرقاماً صحيحة'
+      });
+    }
+
     // ── 2. LOAD AND VALIDATE THE VISIT ────────────────────────────────────
     const visit = await Visit.findById(visitId);
     if (!visit) {
@@ -169,27 +195,78 @@ exports.createPrescription = async (req, res) => {
       });
     }
 
-    // ── 5. CHECK DRUG INTERACTIONS WITH PATIENT'S CHRONIC MEDS ────────────
-    // Best-effort: load patient's current medications and warn about conflicts
-    let interactionWarnings = [];
-    try {
-      const patientQuery = patientFields.patientChildId
-        ? { childId: patientFields.patientChildId }
-        : { personId: patientFields.patientPersonId };
-      const patient = await Patient.findOne(patientQuery).lean();
+    // ── 5. CHECK DRUG INTERACTIONS ────────────────────────────────────────
+    // Between the prescribed drugs and against the patient's chronic meds.
+    // Major / contraindicated pairs stop here unless the doctor overrides.
+    const patientQuery = patientFields.patientChildId
+      ? { childId: patientFields.patientChildId }
+      : { personId: patientFields.patientPersonId };
+    const patient = await Patient.findOne(patientQuery)
+      .select('currentMedications allergies chronicDiseases')
+      .lean();
 
-      if (patient?.currentMedications?.length > 0) {
-        interactionWarnings = await checkMedicationInteractions(
-          medications,
-          patient.currentMedications
-        );
-        if (interactionWarnings.length > 0) {
-          console.log('⚠️  Drug interaction warnings:', interactionWarnings.length);
+    const interactionCheck = await interactionService.checkInteractions({
+      medications,
+      currentMedications: patient?.currentMedications || []
+    });
+    if (interactionCheck.interactions.length > 0) {
+      console.log('⚠️  Drug interaction warnings:', interactionCheck.interactions.length);
+    }
+
+    const overrideReason = interactionOverrideReason?.trim();
+    if (interactionCheck.blocking.length > 0 && !overrideReason) {
+      return res.status(409).json({
+        success: false,
+        message: 'تم اكتشاف تفاعل دوائي خطير. عدّل الوصفة أو اذكر سبب المتابعة (interactionOverrideReason)',
+        requiresOverride: true,
+        interactions: interactionCheck.interactions
+      });
+    }
+
+    const interactionOverride = interactionCheck.blocking.length > 0
+      ? {
+          reason: overrideReason,
+          overriddenBy: req.user._id,
+          overriddenAt: new Date(),
+          interactions: interactionCheck.blocking.map(w => ({
+            severity: w.severity,
+            medications: w.medications,
+            ingredients: w.ingredients,
+            interactionId: w.interactionId
+          }))
         }
-      }
-    } catch (interactionError) {
-      // Interaction check failure shouldn't block prescription creation
-      console.error('Interaction check failed:', interactionError.message);
+      : undefined;
+
+    // ── 5b. ALLERGY / CONTRAINDICATION SCREENING ──────────────────────────
+    const safetyWarnings = await safetyScreeningService.screenMedications({ medications, patient });
+    const safetyReason = safetyOverrideReason?.trim();
+    if (safetyWarnings.length > 0 && !safetyReason) {
+      return res.status(409).json({
+        success: false,
+        message: 'الدواء يتعارض مع حساسية أو مرض مزمن مسجل للمريض. عدّل الوصفة أو اذكر سبب المتابعة (safetyOverrideReason)',
+        requiresOverride: true,
+        safetyWarnings
+      });
+    }
+
+    const safetyOverride = safetyWarnings.length > 0
+      ? {
+          reason: safetyReason,
+          overriddenBy: req.user._id,
+          overriddenAt: new Date(),
+          warnings: safetyWarnings.map(w => ({
+            type: w.type,
+            medicationName: w.medicationName,
+            matchedOn: w.matchedOn,
+            reason: w.reason
+          }))
+        }
+      : undefined;
+
+    // ── 5c. DOSE CHECK (warning only) ─────────────────────────────────────
+    const doseCheck = await doseService.checkDoses({ medications, patientRef: patientFields });
+    if (doseCheck.warnings.length > 0) {
+      console.log('⚠️  Dose warnings:', doseCheck.warnings.length);
     }
 
     // ── 6. CREATE PRESCRIPTION ────────────────────────────────────────────
@@ -199,24 +276,74 @@ exports.createPrescription = async (req, res) => {
       ...patientFields,
       ...prescriberFields,
       visitId,
-      medications: medications.map(m => ({
-        medicationId: m.medicationId || undefined,
-        medicationName: m.medicationName.trim(),
-        arabicName: m.arabicName?.trim() || undefined,
-        dosage: m.dosage.trim(),
-        frequency: m.frequency.trim(),
-        duration: m.duration.trim(),
-        route: m.route || 'oral',
-        instructions: m.instructions?.trim() || undefined,
-        quantity: m.quantity ? parseInt(m.quantity, 10) : undefined
-      })),
+      medications: medications.map((m, i) => {
+        const schedule = m.schedule || dosageSchedule.parseSchedule(m);
+        const strength = dosageSchedule.parseStrength(doseCheck.results[i].strength);
+        return {
+          medicationId: m.medicationId || undefined,
+          medicationName: m.medicationName.trim(),
+          arabicName: m.arabicName?.trim() || undefined,
+          dosage: m.dosage?.trim() || undefined,
+          frequency: m.frequency?.trim() || undefined,
+          duration: m.duration?.trim() || undefined,
+          schedule,
+          route: m.route || 'oral',
+          instructions: m.instructions?.trim() || undefined,
+          quantity: m.quantity
+            ? parseInt(m.quantity, 10)
+            : (dosageSchedule.quantityFor(schedule, strength) ?? undefined)
+        };
+      }),
       prescriptionNotes: prescriptionNotes?.trim() || undefined,
       expiryDate: expiryDate ? new Date(expiryDate) : undefined,
+      refillsAllowed: refillsAllowed ? parseInt(refillsAllowed, 10) : 0,
+      refillIntervalDays: refillIntervalDays ? parseInt(refillIntervalDays, 10) : undefined,
+      interactionOverride,
+      safetyOverride,
       status: 'active'
     });
 
     console.log('✅ Prescription created:', prescription.prescriptionNumber);
 
+    if (interactionOverride) {
+      AuditLog.record({
+        userId: req.user._id,
+        userEmail: req.user.email,
+        action: 'OVERRIDE_DRUG_INTERACTION',
+        description: `Prescribed Rx ${prescription.prescriptionNumber} through ${interactionOverride.interactions.length} blocking interaction(s)`,
+        resourceType: 'prescription',
+        resourceId: prescription._id,
+        patientPersonId: prescription.patientPersonId,
+        patientChildId: prescription.patientChildId,
+        ipAddress: req.ip || 'unknown',
+        success: true,
+        metadata: {
+          reason: interactionOverride.reason,
+          interactions: interactionOverride.interactions
+        }
+      });
+    }
+
+    if (safetyWarnings.length > 0) {
+      AuditLog.record({
+        userId: req.user._id,
+        userEmail: req.user.email,
+        action: 'OVERRIDE_SAFETY_WARNING',
+        description: `Prescribed Rx ${prescription.prescriptionNumber} through ${safetyWarnings.length} allergy/contraindication warning(s)`,
+        resourceType: 'prescription',
+        resourceId: prescription._id,
+        patientPersonId: prescription.patientPersonId,
+        patientChildId: prescription.patientChildId,
+        ipAddress: req.ip || 'unknown',
+        success: true,
+        metadata: {
+          stage: 'prescribing',
+          reason: safetyReason,
+          warnings: safetyWarnings
+        }
+      });
+    }
+
     // ── 7. AUDIT LOG ──────────────────────────────────────────────────────
     AuditLog.record({
       userId: req.user._id,
@@ -245,12 +372,18 @@ exports.createPrescription = async (req, res) => {
         qrCode: prescription.qrCode,
         expiryDate: prescription.expiryDate,
         medications: prescription.medications,
+        refillsAllowed: prescription.refillsAllowed,
+        refillIntervalDays: prescription.refillIntervalDays,
         status: prescription.status
       },
-      warnings: interactionWarnings.length > 0
+      warnings: interactionCheck.interactions.length > 0 || safetyWarnings.length > 0
+        || doseCheck.warnings.length > 0
         ? {
-            interactions: interactionWarnings,
-            message: 'تنبيه: تم اكتشاف تفاعلات دوائية محتملة'
+            interactions: interactionCheck.interactions,
+            highestSeverity: interactionCheck.highestSeverity,
+            safety: safetyWarnings,
+            dosing: doseCheck.warnings,
+            message: 'تنبيه: تم اكتشاف تفاعلات دوائية أو تعارض مع سجل المريض أو جرعات خارج النطاق'
           }
         : null
     });
@@ -280,7 +413,8 @@ exports.createPrescription = async (req, res) => {
 /**
  * @route   GET /api/prescriptions/:id
  * @desc    Single prescription detail with populated refs
- * @access  Private (patient owner, prescribing doctor, pharmacist, admin)
+ * @access  Private (patient owner, prescribing doctor, admin; other clinical
+ *          staff need a consent grant)
  */
 exports.getPrescriptionById = async (req, res) => {
   try {
@@ -483,12 +617,8 @@ exports.verifyByQRCode = async (req, res) => {
       });
     }
 
-    if (prescription.status === 'dispensed') {
-      return res.status(400).json({
-        success: false,
-        message: 'تم صرف هذه الوصفة بالكامل مسبقاً'
-      });
-    }
+    // Fully dispensed — only a due repeat gets through
+    if (prescription.status === 'dispensed' && rejectDispensed(prescription, res)) return;
 
     // Check expiry
     if (prescription.expiryDate && new Date(prescription.expiryDate) < new Date()) {
@@ -517,10 +647,14 @@ exports.verifyByQRCode = async (req, res) => {
       success: true
     });
 
+    const refill = Prescription.refillStateOf(prescription);
     return res.json({
       success: true,
-      message: 'تم التحقق من الوصفة',
-      prescription
+      message: refill.due
+        ? `تم التحقق من الوصفة — إعادة صرف رقم ${refill.refillsUsed + 1}`
+        : 'تم التحقق من الوصفة',
+      prescription,
+      refill
     });
   } catch (error) {
     console.error('❌ Verify QR error:', error);
@@ -591,12 +725,7 @@ exports.verifyByCode = async (req, res) => {
         message: 'هذه الوصفة ملغاة'
       });
     }
-    if (prescription.status === 'dispensed') {
-      return res.status(400).json({
-        success: false,
-        message: 'تم صرف هذه الوصفة بالكامل مسبقاً'
-      });
-    }
+    if (prescription.status === 'dispensed' && rejectDispensed(prescription, res)) return;
     if (prescription.expiryDate && new Date(prescription.expiryDate) < new Date()) {
       if (prescription.status !== 'expired') {
         prescription.status = 'expired';
@@ -623,10 +752,14 @@ exports.verifyByCode = async (req, res) => {
       success: true
     });
 
+    const refill = Prescription.refillStateOf(prescription);
     return res.json({
       success: true,
-      message: 'تم التحقق من الوصفة',
-      prescription: prescription.toObject()
+      message: refill.due
+        ? `تم التحقق من الوصفة — إعادة صرف رقم ${refill.refillsUsed + 1}`
+        : 'تم التحقق من الوصفة',
+      prescription: prescription.toObject(),
+      refill
     });
   } catch (error) {
     console.error('❌ Verify code error:', error);
@@ -734,12 +867,18 @@ exports.cancelPrescription = async (req, res) => {
  * @route   POST /api/prescriptions/check-interactions
  * @desc    Pre-flight check for drug interactions before doctor finalizes
  *          a prescription. Doctor can call this from the Rx form to see
- *          warnings before submitting.
+ *          warnings before submitting. Drugs typed without a medicationId
+ *          are matched to the catalog by name.
  * @access  Private (doctor, dentist)
  *
  * Body:
  *   medications[] — same shape as createPrescription (just for the check)
- *   patientPersonId | patientChildId — to load chronic medications from
+ *   patientPersonId | patientChildId — optional; adds the patient's chronic
+ *                                      medications to the check
+ *
+ * `requiresOverride` tells the form that createPrescription will ask for
+ * interactionOverrideReason; `requiresSafetyOverride` that it will ask for
+ * safetyOverrideReason (allergy / contraindication match).
  */
 exports.checkInteractions = async (req, res) => {
   try {
@@ -752,42 +891,218 @@ exports.checkInteractions = async (req, res) => {
       });
     }
 
-    if (!patientPersonId && !patientChildId) {
+    let patient = null;
+    if (patientPersonId || patientChildId) {
+      const patientQuery = patientChildId
+        ? { childId: patientChildId }
+        : { personId: patientPersonId };
+      patient = await Patient.findOne(patientQuery).lean();
+
+      if (!patient) {
+        return res.status(404).json({
+          success: false,
+          message: 'المريض غير موجود'
+        });
+      }
+    }
+
+    const result = await interactionService.checkInteractions({
+      medications,
+      currentMedications: patient?.currentMedications || []
+    });
+    const safetyWarnings = await safetyScreeningService.screenMedications({ medications, patient });
+
+    return res.json({
+      success: true,
+      hasWarnings: result.interactions.length > 0 || safetyWarnings.length > 0,
+      highestSeverity: result.highestSeverity,
+      requiresOverride: result.blocking.length > 0,
+      requiresSafetyOverride: safetyWarnings.length > 0,
+      warnings: result.interactions,
+      safetyWarnings,
+      patientCurrentMedications: patient?.currentMedications || [],
+      patientAllergies: patient?.allergies || []
+    });
+  } catch (error) {
+    console.error('Check interactions error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'حدث خطأ في فحص التفاعلات'
+    });
+  }
+};
+
+// ============================================================================
+// 9. CHECK DOSE (mg/kg calculator)
+// ============================================================================
+
+/**
+ * @route   POST /api/prescriptions/check-dose
+ * @desc    Check each line's dose against the catalog's dosing bands for
+ *          the patient's age and latest recorded weight. Lines whose dose
+ *          or frequency can't be read, or whose drug has no dosing data,
+ *          come back as 'not_checked'.
+ * @access  Private (doctor, dentist, pharmacist)
+ *
+ * Body:
+ *   medications[] — { medicationId?, medicationName, dosage, frequency }
+ *   patientPersonId | patientChildId — optional
+ *   weightKg?  — weight measured now (overrides the last visit's)
+ *   ageMonths? — when there is no patient on file
+ */
+exports.checkDose = async (req, res) => {
+  try {
+    const {
+      medications, patientPersonId, patientChildId, weightKg, ageMonths
+    } = req.body;
+
+    if (!Array.isArray(medications) || medications.length === 0) {
       return res.status(400).json({
         success: false,
-        message: 'يجب تحديد المريض'
+        message: 'قائمة الأدوية مطلوبة'
+      });
+    }
+    if (weightKg !== undefined && weightKg !== null && !(Number(weightKg) > 0 && Number(weightKg) <= 500)) {
+      return res.status(400).json({
+        success: false,
+        message: 'الوزن غير صالح'
       });
     }
 
-    const patientQuery = patientChildId
-      ? { childId: patientChildId }
-      : { personId: patientPersonId };
-    const patient = await Patient.findOne(patientQuery).lean();
+    const patientRef = patientChildId
+      ? { patientChildId }
+      : (patientPersonId ? { patientPersonId } : null);
 
-    if (!patient) {
+    const result = await doseService.checkDoses({
+      medications, patientRef, weightKg, ageMonths
+    });
+
+    return res.json({
+      success: true,
+      hasWarnings: result.warnings.length > 0,
+      patient: result.patient,
+      results: result.results,
+      warnings: result.warnings
+    });
+  } catch (error) {
+    console.error('Check dose error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'حدث خطأ في فحص الجرعات'
+    });
+  }
+};
+
+// ============================================================================
+// 10. REQUEST RENEWAL (patient)
+// ============================================================================
+
+/**
+ * @route   POST /api/prescriptions/:id/request-renewal
+ * @desc    Patient (or guardian) asks the prescribing doctor / dentist to
+ *          renew a prescription whose repeats are used up or that has
+ *          expired. Lands in the prescriber's notifications.
+ * @access  Private (patient)
+ *
+ * Body: { note? }
+ */
+exports.requestRenewal = async (req, res) => {
+  try {
+    const prescription = await Prescription.findById(req.params.id);
+    if (!prescription) {
       return res.status(404).json({
         success: false,
-        message: 'المريض غير موجود'
+        message: 'الوصفة غير موجودة'
       });
     }
 
-    const warnings = await checkMedicationInteractions(
-      medications,
-      patient.currentMedications || []
-    );
+    // Owner, or the guardian of the child it was written for
+    const personId = req.user.personId ? String(req.user.personId) : null;
+    const isOwner = prescription.patientPersonId
+      ? String(prescription.patientPersonId) === personId
+      : (String(prescription.patientChildId) === String(req.user.childId)
+        || (!!personId && !!await Children.exists({
+          _id: prescription.patientChildId, parentPersonId: personId
+        })));
+    if (!isOwner) {
+      return res.status(403).json({
+        success: false,
+        message: 'لا تملك صلاحية على هذه الوصفة'
+      });
+    }
 
-    return res.json({
+    if (prescription.status === 'cancelled') {
+      return res.status(400).json({
+        success: false,
+        message: 'لا يمكن طلب تجديد وصفة ملغاة'
+      });
+    }
+    const refill = Prescription.refillStateOf(prescription);
+    const expired = prescription.status === 'expired'
+      || (prescription.expiryDate && prescription.expiryDate < new Date());
+    if (!expired && (refill.refillsRemaining > 0 || prescription.status !== 'dispensed')) {
+      return res.status(400).json({
+        success: false,
+        message: refill.refillsRemaining > 0
+          ? `لا يزال في الوصفة ${refill.refillsRemaining} إعادة صرف`
+          : 'الوصفة لم تُصرف بالكامل بعد',
+        refill
+      });
+    }
+
+    const last = prescription.renewalRequests[prescription.renewalRequests.length - 1];
+    const cooldownMs = RENEWAL_REQUEST_COOLDOWN_HOURS * 60 * 60 * 1000;
+    if (last && Date.now() - new Date(last.requestedAt).getTime() < cooldownMs) {
+      return res.status(409).json({
+        success: false,
+        message: 'تم إرسال طلب تجديد لهذه الوصفة مؤخراً'
+      });
+    }
+
+    const note = req.body?.note?.trim() || undefined;
+    prescription.renewalRequests.push({
+      requestedAt: new Date(),
+      requestedBy: req.user._id,
+      note
+    });
+    await prescription.save();
+
+    const prescriber = prescription.doctorId
+      ? { doctorId: prescription.doctorId }
+      : { dentistId: prescription.dentistId };
+    const names = prescription.medications.map(m => m.medicationName).join('، ');
+    await notifyProvider(prescriber, {
+      type: 'general',
+      title: 'طلب تجديد وصفة',
+      message: `طلب المريض تجديد الوصفة ${prescription.prescriptionNumber} (${names}).${note ? ` ملاحظة: ${note}` : ''}`,
+      priority: 'medium',
+      channels: ['push', 'in_app'],
+      relatedId: prescription._id,
+      relatedType: 'prescriptions'
+    });
+
+    AuditLog.record({
+      userId: req.user._id,
+      userEmail: req.user.email,
+      action: 'REQUEST_PRESCRIPTION_RENEWAL',
+      description: `Renewal requested for ${prescription.prescriptionNumber}`,
+      resourceType: 'prescription',
+      resourceId: prescription._id,
+      patientPersonId: prescription.patientPersonId,
+      patientChildId: prescription.patientChildId,
+      ipAddress: req.ip || 'unknown',
+      success: true
+    });
+
+    return res.status(201).json({
       success: true,
-      hasWarnings: warnings.length > 0,
-      warnings,
-      patientCurrentMedications: patient.currentMedications || [],
-      patientAllergies: patient.allergies || []
+      message: 'تم إرسال طلب التجديد إلى الطبيب'
     });
   } catch (error) {
-    console.error('Check interactions error:', error);
+    console.error('Request renewal error:', error);
     return res.status(500).json({
       success: false,
-      message: 'حدث خطأ في فحص التفاعلات'
+      message: 'حدث خطأ في طلب تجديد الوصفة'
     });
   }
-};
\ No newline at end of file
+};
@@ -0,0 +1,342 @@
+/**
+ * ═══════════════════════════════════════════════════════════════════════════
+ *  Provider Profile Controller — Patient 360°
+ *  ─────────────────────────────────────────────────────────────────────────
+ *  Profile pages patients see before choosing a doctor, dentist, pharmacy
+ *  or laboratory. GET /api/patient/doctors only exposes averageRating and
+ *  totalReviews; these endpoints add the review content behind those
+ *  numbers and the provider's upcoming availability.
+ *
+ *  Mounted at /api/providers (routes/provider.js):
+ *    GET /:providerType/:id           — profile + histogram + slots + reviews
+ *    GET /:providerType/:id/reviews   — paginated approved reviews
+ *
+ *  providerType ∈ doctor | dentist | pharmacy | laboratory
+ *
+ *  Functions:
+ *    1. getProviderProfile    — Provider details, 1–5 star histogram,
+ *                               latest approved reviews, next free slots
+ *    2. getProviderReviews    — Paginated approved reviews (optional ?rating=)
+ *
+ *  Privacy rules:
+ *    - Only status='approved' reviews are ever returned
+ *    - isAnonymous=true hides the reviewer name; reviewer IDs are never
+ *      returned, anonymous or not
+ *    - Doctors/dentists must be verified; facilities must be active
+ *
+ *  Conventions kept:
+ *    - Arabic error messages, emoji-marked console logs
+ *    - Try/catch in every async function
+ * ═══════════════════════════════════════════════════════════════════════════
+ */
+
+const mongoose = require('mongoose');
+const {
+  Doctor, Dentist, Pharmacy, Laboratory, Review, AvailabilitySlot
+} = require('../models');
+
+// ============================================================================
+// HELPERS
+// ============================================================================
+
+const PERSON_PUBLIC_FIELDS = 'firstName fatherName lastName gender profilePhoto governorate city';
+const HOSPITAL_PUBLIC_FIELDS = 'name arabicName governorate city address phoneNumber';
+const ANONYMOUS_REVIEWER_NAME = 'مراجع مجهول';
+
+const LATEST_REVIEWS_LIMIT = 5;
+const NEXT_SLOTS_LIMIT = 10;
+
+/**
+ * Per-type lookup config. reviewField / slotField are the target columns on
+ * Review and AvailabilitySlot (null when the provider type has no slots).
+ */
+const PROVIDER_TYPES = {
+  doctor: {
+    Model: Doctor,
+    reviewField: 'doctorId',
+    slotField: 'doctorId',
+    label: 'الطبيب',
+    baseQuery: { verificationStatus: 'verified' },
+    populate: [
+      { path: 'personId', select: PERSON_PUBLIC_FIELDS },
+      { path: 'hospitalId', select: HOSPITAL_PUBLIC_FIELDS }
+    ],
+    select: 'personId specialization subSpecialization yearsOfExperience hospitalAffiliation hospitalId '
+      + 'availableDays consultationFee followUpFee currency isAvailable isAcceptingNewPatients '
+      + 'averageRating totalReviews'
+  },
+  dentist: {
+    Model: Dentist,
+    reviewField: 'dentistId',
+    slotField: 'dentistId',
+    label: 'طبيب الأسنان',
+    baseQuery: { verificationStatus: 'verified' },
+    populate: [
+      { path: 'personId', select: PERSON_PUBLIC_FIELDS },
+      { path: 'hospitalId', select: HOSPITAL_PUBLIC_FIELDS }
+    ],
+    select: 'personId specialization yearsOfExperience hospitalId availableDays consultationFee '
+      + 'currency isAvailable isAcceptingNewPatients averageRating totalReviews'
+  },
+  pharmacy: {
+    Model: Pharmacy,
+    reviewField: 'pharmacyId',
+    slotField: null,
+    label: 'الصيدلية',
+    baseQuery: { isActive: true },
+    populate: [],
+    select: 'name arabicName pharmacyType governorate city district address phoneNumber email '
+      + 'location operatingHours isAcceptingOrders averageRating totalReviews'
+  },
+  laboratory: {
+    Model: Laboratory,
+    reviewField: 'laboratoryId',
+    slotField: 'laboratoryId',
+    label: 'المختبر',
+    baseQuery: { isActive: true },
+    populate: [],
+    select: 'name arabicName labType governorate city district address phoneNumber email '
+      + 'location operatingHours testCatalog isAcceptingTests averageRating totalReviews'
+  }
+};
+
+/**
+ * Validates :providerType and :id. Responds with 400 and returns null when
+ * either is invalid; returns the PROVIDER_TYPES entry otherwise.
+ */
+function resolveProviderType(req, res) {
+  const config = PROVIDER_TYPES[req.params.providerType];
+  if (!config) {
+    res.status(400).json({
+      success: false,
+      message: 'نوع مقدم الخدمة غير صالح',
+      allowedTypes: Object.keys(PROVIDER_TYPES)
+    });
+    return null;
+  }
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    res.status(400).json({
+      success: false,
+      message: 'المعرّف غير صحيح'
+    });
+    return null;
+  }
+  return config;
+}
+
+/**
+ * Loads the provider document (lean). Responds with 404 and returns null
+ * when it does not exist or is not publicly listable.
+ */
+async function loadProvider(config, id, res) {
+  let query = config.Model.findOne({ _id: id, ...config.baseQuery }).select(config.select);
+  config.populate.forEach((p) => { query = query.populate(p); });
+
+  const provider = await query.lean();
+  if (!provider) {
+    res.status(404).json({
+      success: false,
+      message: `${config.label} غير موجود`
+    });
+    return null;
+  }
+
+  // Flatten the person name onto doctor/dentist profiles, same shape as
+  // GET /api/patient/doctors
+  if (provider.personId) {
+    const p = provider.personId;
+    provider.fullName = [p.firstName, p.fatherName, p.lastName].filter(Boolean).join(' ');
+    provider.profilePhoto = p.profilePhoto;
+    provider.gender = p.gender;
+    provider.governorate = p.governorate;
+    provider.city = p.city;
+    provider.hospital = provider.hospitalId || null;
+  }
+  return provider;
+}
+
+/**
+ * Returns { 1: n, 2: n, 3: n, 4: n, 5: n } for approved reviews of the target.
+ * Every star bucket is present, zero-filled.
+ */
+async function buildRatingHistogram(reviewField, id) {
+  const rows = await Review.aggregate([
+    {
+      $match: {
+        [reviewField]: new mongoose.Types.ObjectId(id),
+        status: 'approved'
+      }
+    },
+    { $group: { _id: { $round: ['$rating', 0] }, count: { $sum: 1 } } }
+  ]);
+
+  const histogram = { 1: 0, 2: 0, 3: 0, 4: 0, 5: 0 };
+  rows.forEach((row) => {
+    if (histogram[row._id] !== undefined) histogram[row._id] = row.count;
+  });
+  return histogram;
+}
+
+/**
+ * Shapes a populated review for public display. Reviewer IDs never leave
+ * the server; the name is replaced when the reviewer chose anonymity.
+ */
+function toPublicReview(review) {
+  const reviewer = review.reviewerPersonId || review.reviewerChildId;
+  let reviewerName = ANONYMOUS_REVIEWER_NAME;
+  if (!review.isAnonymous && reviewer) {
+    reviewerName = [reviewer.firstName, reviewer.lastName].filter(Boolean).join(' ')
+      || ANONYMOUS_REVIEWER_NAME;
+  }
+
+  return {
+    _id: review._id,
+    rating: review.rating,
+    reviewText: review.reviewText,
+    isAnonymous: review.isAnonymous,
+    reviewerName,
+    createdAt: review.createdAt
+  };
+}
+
+function findApprovedReviews(filter) {
+  return Review.find(filter)
+    .select('rating reviewText isAnonymous reviewerPersonId reviewerChildId createdAt')
+    .populate('reviewerPersonId', 'firstName lastName')
+    .populate('reviewerChildId', 'firstName lastName')
+    .sort({ createdAt: -1 });
+}
+
+// ============================================================================
+// 1. GET PROVIDER PROFILE
+// ============================================================================
+
+/**
+ * @route   GET /api/providers/:providerType/:id
+ * @desc    Public profile of a doctor, dentist, pharmacy or laboratory:
+ *          provider details, 1–5 star histogram of approved reviews, the
+ *          latest approved reviews and the next available slots.
+ * @access  Private (any authenticated role)
+ *
+ * Query:
+ *   slotsLimit? — number of upcoming slots to return (default 10, max 50)
+ */
+exports.getProviderProfile = async (req, res) => {
+  try {
+    const config = resolveProviderType(req, res);
+    if (!config) return;
+
+    const { id } = req.params;
+    const provider = await loadProvider(config, id, res);
+    if (!provider) return;
+
+    const reviewFilter = { [config.reviewField]: id, status: 'approved' };
+    const slotsLimit = Math.min(50, Math.max(1, parseInt(req.query.slotsLimit, 10) || NEXT_SLOTS_LIMIT));
+
+    const startOfToday = new Date();
+    startOfToday.setHours(0, 0, 0, 0);
+
+    const [histogram, latestReviews, nextSlots] = await Promise.all([
+      buildRatingHistogram(config.reviewField, id),
+      findApprovedReviews(reviewFilter).limit(LATEST_REVIEWS_LIMIT).lean(),
+      config.slotField
+        ? AvailabilitySlot.find({
+          [config.slotField]: id,
+          date: { $gte: startOfToday },
+          status: 'available',
+          isAvailable: true
+        })
+          .select('date startTime endTime slotDuration maxBookings currentBookings hospitalId')
+          .sort({ date: 1, startTime: 1 })
+          .limit(slotsLimit)
+          .lean()
+        : Promise.resolve([])
+    ]);
+
+    const approvedCount = Object.values(histogram).reduce((sum, n) => sum + n, 0);
+
+    return res.json({
+      success: true,
+      providerType: req.params.providerType,
+      provider,
+      ratings: {
+        averageRating: provider.averageRating || 0,
+        totalReviews: approvedCount,
+        histogram
+      },
+      reviews: latestReviews.map(toPublicReview),
+      nextAvailableSlots: nextSlots
+    });
+  } catch (error) {
+    console.error('❌ Get provider profile error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'حدث خطأ في جلب ملف مقدم الخدمة'
+    });
+  }
+};
+
+// ============================================================================
+// 2. GET PROVIDER REVIEWS (paginated)
+// ============================================================================
+
+/**
+ * @route   GET /api/providers/:providerType/:id/reviews
+ * @desc    Paginated approved reviews of a provider, newest first.
+ * @access  Private (any authenticated role)
+ *
+ * Query:
+ *   page?, limit? (default 1 / 20, max 100)
+ *   rating?       — restrict to one star bucket (1–5)
+ */
+exports.getProviderReviews = async (req, res) => {
+  try {
+    const config = resolveProviderType(req, res);
+    if (!config) return;
+
+    const { id } = req.params;
+    const exists = await config.Model.exists({ _id: id, ...config.baseQuery });
+    if (!exists) {
+      return res.status(404).json({
+        success: false,
+        message: `${config.label} غير موجود`
+      });
+    }
+
+    const filter = { [config.reviewField]: id, status: 'approved' };
+    if (req.query.rating !== undefined) {
+      const rating = parseInt(req.query.rating, 10);
+      if (!Number.isInteger(rating) || rating < 1 || rating > 5) {
+        return res.status(400).json({
+          success: false,
+          message: 'التقييم يجب أن يكون رقماً صحيحاً بين 1 و 5'
+        });
+      }
+      filter.rating = rating;
+    }
+
+    const page = Math.max(1, parseInt(req.query.page, 10) || 1);
+    const limit = Math.min(100, Math.max(1, parseInt(req.query.limit, 10) || 20));
+    const skip = (page - 1) * limit;
+
+    const [reviews, total] = await Promise.all([
+      findApprovedReviews(filter).skip(skip).limit(limit).lean(),
+      Review.countDocuments(filter)
+    ]);
+
+    return res.json({
+      success: true,
+      count: reviews.length,
+      total,
+      page,
+      pages: Math.ceil(total / limit),
+      reviews: reviews.map(toPublicReview)
+    });
+  } catch (error) {
+    console.error('❌ Get provider reviews error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'حدث خطأ في جلب التقييمات'
+    });
+  }
+};
@@ -0,0 +1,385 @@
+/**
+ * ═══════════════════════════════════════════════════════════════════════════
+ *  Queue Controller — Patient 360°
+ *  ─────────────────────────────────────────────────────────────────────────
+ *  Waiting-room queue. Mounted under /api/appointments.
+ *
+ *  Every patient who is checked in today (POST /:id/check-in) or registered
+ *  as a walk-in gets the provider's next queue number. The provider calls
+ *  patients in from the queue; a waiting-room screen polls the public
+ *  now-serving endpoint, which shows numbers only — never names.
+ *
+ *  Functions:
+ *    1. registerWalkIn       — Walk-in patient → checked-in appointment + number
+ *    2. getMyQueue           — Provider: today's queue with wait estimates
+ *    3. callNextPatient      — Provider: call the next patient in
+ *    4. callPatient          — Provider: call a specific patient out of turn
+ *    5. getNowServing        — Public: numbers being served / waiting
+ *
+ *  Wait estimates come from services/queueService (slot length × patients
+ *  ahead, minus time already spent with the current patient).
+ *
+ *  Conventions kept:
+ *    - Arabic error messages, emoji-marked console logs
+ *    - Try/catch in every async function
+ * ═══════════════════════════════════════════════════════════════════════════
+ */
+
+const mongoose = require('mongoose');
+const {
+  Appointment, Person, Children, AuditLog
+} = require('../models');
+const queueService = require('../services/queueService');
+const scheduleService = require('../services/scheduleService');
+
+// ============================================================================
+// HELPERS
+// ============================================================================
+
+const TYPE_BY_PROVIDER = {
+  doctorId: 'doctor',
+  dentistId: 'dentist',
+  laboratoryId: 'lab_test'
+};
+
+/**
+ * The queue the caller manages: their own provider record, or — for an
+ * admin — the doctorId / dentistId / laboratoryId passed in `source`.
+ */
+async function resolveQueueOwner(req, source = {}) {
+  const owner = await scheduleService.resolveProviderOwner(req.user);
+  if (owner || !req.user.roles?.includes('admin')) return owner;
+
+  const field = Appointment.QUEUE_PROVIDER_FIELDS.find(f => source[f]);
+  if (!field || !mongoose.Types.ObjectId.isValid(source[field])) return null;
+  return { [field]: source[field] };
+}
+
+/**
+ * Patient ref from a national ID (11 digits) or child registration number.
+ */
+async function resolvePatientRef(identifier) {
+  const value = String(identifier || '').trim();
+  if (/^\d{11}$/.test(value)) {
+    const adult = await Person.findOne({ nationalId: value }).select('_id').lean();
+    if (adult) return { patientPersonId: adult._id };
+    const child = await Children.findOne({ nationalId: value }).select('_id').lean();
+    if (child) return { patientChildId: child._id };
+  } else if (value.startsWith('CRN-')) {
+    const child = await Children.findOne({ childRegistrationNumber: value }).select('_id').lean();
+    if (child) return { patientChildId: child._id };
+  }
+  return null;
+}
+
+function currentTime() {
+  const now = new Date();
+  return `${String(now.getHours()).padStart(2, '0')}:${String(now.getMinutes()).padStart(2, '0')}`;
+}
+
+// ============================================================================
+// 1. REGISTER WALK-IN
+// ============================================================================
+
+/**
+ * @route   POST /api/appointments/walk-in
+ * @desc    Register a patient who arrived without a booking. Creates a
+ *          checked-in appointment for today (bookingMethod 'walk_in') and
+ *          issues the next queue number.
+ * @access  Private (doctor, dentist, lab_technician, admin)
+ *
+ * Body:
+ *   identifier (required)  — nationalId or CRN-...
+ *   reasonForVisit (required)
+ *   priority?              — routine | urgent | emergency
+ *   notes?
+ *   doctorId | dentistId | laboratoryId — admin only: whose queue
+ */
+exports.registerWalkIn = async (req, res) => {
+  console.log('🔵 ========== REGISTER WALK-IN ==========');
+
+  let appointment = null;
+
+  try {
+    const owner = await resolveQueueOwner(req, req.body);
+    if (!owner) {
+      return res.status(403).json({
+        success: false,
+        message: 'الحساب غير مرتبط بطبيب أو طبيب أسنان أو مختبر'
+      });
+    }
+
+    const { identifier, reasonForVisit, priority = 'routine', notes } = req.body;
+    if (!reasonForVisit || reasonForVisit.trim().length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'سبب الزيارة مطلوب'
+      });
+    }
+
+    const patientRef = await resolvePatientRef(identifier);
+    if (!patientRef) {
+      return res.status(404).json({
+        success: false,
+        message: 'لم يتم العثور على المريض'
+      });
+    }
+
+    const today = new Date();
+    today.setHours(0, 0, 0, 0);
+    const field = Object.keys(owner)[0];
+
+    const alreadyQueued = await Appointment.exists({
+      ...owner,
+      ...patientRef,
+      appointmentDate: today,
+      status: 'checked_in'
+    });
+    if (alreadyQueued) {
+      return res.status(409).json({
+        success: false,
+        message: 'المريض موجود في قائمة الانتظار لهذا اليوم'
+      });
+    }
+
+    appointment = await Appointment.create({
+      ...patientRef,
+      ...owner,
+      appointmentType: TYPE_BY_PROVIDER[field],
+      appointmentDate: today,
+      appointmentTime: currentTime(),
+      estimatedDuration: await queueService.visitMinutesFor(owner, today),
+      reasonForVisit: reasonForVisit.trim(),
+      priority,
+      bookingMethod: 'walk_in',
+      status: 'checked_in',
+      checkedInAt: new Date(),
+      paymentStatus: 'pending',
+      notes: notes?.trim()
+    });
+
+    await queueService.issueQueueNumber(appointment);
+    const ticket = await queueService.getTicketStatus(appointment);
+    console.log(`✅ Walk-in #${appointment.queueNumber} registered:`, appointment._id);
+
+    AuditLog.record({
+      userId: req.user._id,
+      userEmail: req.user.email,
+      action: 'REGISTER_WALK_IN',
+      description: `Registered walk-in #${appointment.queueNumber}`,
+      resourceType: 'appointment',
+      resourceId: appointment._id,
+      patientPersonId: appointment.patientPersonId,
+      patientChildId: appointment.patientChildId,
+      ipAddress: req.ip || 'unknown',
+      success: true,
+      metadata: { ...owner, priority }
+    });
+
+    return res.status(201).json({
+      success: true,
+      message: `تم تسجيل المريض برقم دور ${appointment.queueNumber}`,
+      appointment,
+      ticket
+    });
+  } catch (error) {
+    console.error('❌ Register walk-in error:', error);
+
+    // Don't leave a queued appointment without a number behind
+    if (appointment && !appointment.queueNumber) {
+      await Appointment.deleteOne({ _id: appointment._id }).catch(() => {});
+    }
+
+    if (error.name === 'ValidationError') {
+      const messages = Object.values(error.errors).map(e => e.message);
+      return res.status(400).json({
+        success: false,
+        message: messages[0] || 'خطأ في البيانات'
+      });
+    }
+
+    return res.status(500).json({
+      success: false,
+      message: 'حدث خطأ في تسجيل المريض'
+    });
+  }
+};
+
+// ============================================================================
+// 2. GET MY QUEUE (provider)
+// ============================================================================
+
+/**
+ * @route   GET /api/appointments/queue
+ * @desc    Today's queue for the provider: who is inside, who is waiting
+ *          (in call order) with estimated wait, and how many were served.
+ * @access  Private (doctor, dentist, lab_technician, admin with ?doctorId=…)
+ */
+exports.getMyQueue = async (req, res) => {
+  try {
+    const owner = await resolveQueueOwner(req, req.query);
+    if (!owner) {
+      return res.status(403).json({
+        success: false,
+        message: 'الحساب غير مرتبط بطبيب أو طبيب أسنان أو مختبر'
+      });
+    }
+
+    const queue = await queueService.getQueue(owner);
+
+    return res.json({
+      success: true,
+      waitingCount: queue.waiting.length,
+      ...queue
+    });
+  } catch (error) {
+    console.error('Get queue error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'حدث خطأ في جلب قائمة الانتظار'
+    });
+  }
+};
+
+// ============================================================================
+// 3. CALL NEXT PATIENT
+// ============================================================================
+
+/**
+ * @route   POST /api/appointments/queue/call-next
+ * @desc    Call the next patient in (emergency / urgent first, then by
+ *          number). The appointment moves to in_progress.
+ * @access  Private (doctor, dentist, lab_technician, admin with doctorId…)
+ */
+exports.callNextPatient = async (req, res) => {
+  try {
+    const owner = await resolveQueueOwner(req, req.body);
+    if (!owner) {
+      return res.status(403).json({
+        success: false,
+        message: 'الحساب غير مرتبط بطبيب أو طبيب أسنان أو مختبر'
+      });
+    }
+
+    const appointment = await queueService.callNext(owner);
+    if (!appointment) {
+      return res.status(404).json({
+        success: false,
+        message: 'لا يوجد مرضى في قائمة الانتظار'
+      });
+    }
+
+    return res.json({
+      success: true,
+      message: `الرقم ${appointment.queueNumber}`,
+      appointment
+    });
+  } catch (error) {
+    console.error('Call next error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'حدث خطأ في استدعاء المريض التالي'
+    });
+  }
+};
+
+// ============================================================================
+// 4. CALL A SPECIFIC PATIENT
+// ============================================================================
+
+/**
+ * @route   POST /api/appointments/:id/call
+ * @desc    Call one checked-in patient in out of turn.
+ * @access  Private (doctor, dentist, lab_technician, admin)
+ */
+exports.callPatient = async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({ success: false, message: 'المعرّف غير صحيح' });
+    }
+
+    const appointment = await Appointment.findById(id);
+    if (!appointment) {
+      return res.status(404).json({
+        success: false,
+        message: 'الموعد غير موجود'
+      });
+    }
+
+    if (!req.user.roles?.includes('admin')) {
+      const owner = await scheduleService.resolveProviderOwner(req.user);
+      const [field, value] = owner ? Object.entries(owner)[0] : [];
+      if (!field || String(appointment[field]) !== String(value)) {
+        return res.status(403).json({
+          success: false,
+          message: 'هذا الموعد ليس ضمن قائمة انتظارك'
+        });
+      }
+    }
+
+    try {
+      await appointment.callIn();
+    } catch (modelError) {
+      return res.status(400).json({
+        success: false,
+        message: modelError.message
+      });
+    }
+
+    return res.json({
+      success: true,
+      message: `الرقم ${appointment.queueNumber}`,
+      appointment
+    });
+  } catch (error) {
+    console.error('Call patient error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'حدث خطأ في استدعاء المريض'
+    });
+  }
+};
+
+// ============================================================================
+// 5. NOW SERVING (public, waiting-room screen)
+// ============================================================================
+
+/**
+ * @route   GET /api/appointments/queue/now-serving?doctorId=|dentistId=|laboratoryId=
+ * @desc    What a waiting-room screen shows: the number(s) being served and
+ *          the waiting numbers with estimated wait. No patient data.
+ * @access  Public
+ */
+exports.getNowServing = async (req, res) => {
+  try {
+    const field = Appointment.QUEUE_PROVIDER_FIELDS.find(f => req.query[f]);
+    if (!field || !mongoose.Types.ObjectId.isValid(req.query[field])) {
+      return res.status(400).json({
+        success: false,
+        message: 'يجب تحديد doctorId أو dentistId أو laboratoryId'
+      });
+    }
+
+    const queue = await queueService.getQueue({ [field]: req.query[field] });
+
+    return res.json({
+      success: true,
+      date: queue.date,
+      nowServing: queue.nowServing.map(t => t.queueNumber),
+      waiting: queue.waiting.map(t => ({
+        queueNumber: t.queueNumber,
+        position: t.position,
+        estimatedWaitMinutes: t.estimatedWaitMinutes
+      })),
+      servedCount: queue.servedCount,
+      updatedAt: new Date()
+    });
+  } catch (error) {
+    console.error('Now serving error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'حدث خطأ في جلب حالة قائمة الانتظار'
+    });
+  }
+};
@@ -0,0 +1,475 @@
+/**
+ * ═══════════════════════════════════════════════════════════════════════════
+ *  Review Controller — Patient 360°
+ *  ─────────────────────────────────────────────────────────────────────────
+ *  Patient review submission + admin moderation queue.
+ *
+ *  Mounted from two route files:
+ *    POST /api/patient/reviews                  — patient submits (routes/patient.js)
+ *    GET  /api/admin/reviews                    — moderation queue (routes/admin.js)
+ *    POST /api/admin/reviews/:id/approve|reject|flag
+ *
+ *  Workflow (mirrors models/Review.js):
+ *    1. Patient completes an appointment / visit
+ *    2. Patient submits a review → status='pending'
+ *    3. Moderator approves / rejects / flags via the Review instance methods
+ *    4. approve() and reject() call refreshTargetRating(), which recomputes
+ *       averageRating + totalReviews on the Doctor/Dentist/Pharmacy/
+ *       Laboratory/Hospital document
+ *
+ *  Functions:
+ *    1. submitReview          — Patient reviews a completed appointment/visit
+ *    2. getReviewQueue        — Admin lists reviews by status (default pending)
+ *    3. approveReview         — Approve + refresh target rating
+ *    4. rejectReview          — Reject with admin note
+ *    5. flagReview            — Flag for investigation
+ *
+ *  Conventions kept:
+ *    - Arabic error messages, emoji-marked console logs
+ *    - Try/catch in every async function
+ * ═══════════════════════════════════════════════════════════════════════════
+ */
+
+const mongoose = require('mongoose');
+const {
+  Review, Appointment, Visit, AuditLog
+} = require('../models');
+
+// ============================================================================
+// HELPERS
+// ============================================================================
+
+/**
+ * Resolve the reviewer ref (adult or child) from the logged-in account.
+ */
+function getReviewerRefFromAccount(account) {
+  if (account.personId) return { reviewerPersonId: account.personId };
+  if (account.childId) return { reviewerChildId: account.childId };
+  return null;
+}
+
+/**
+ * Does this appointment/visit belong to the logged-in account?
+ */
+function isOwnedBy(doc, account) {
+  return (doc.patientPersonId
+      && String(doc.patientPersonId) === String(account.personId))
+    || (doc.patientChildId
+      && String(doc.patientChildId) === String(account.childId));
+}
+
+/**
+ * Copy the single provider target from an appointment or visit. Appointments
+ * may point at a laboratory; visits only at a doctor or dentist.
+ */
+function copyTargetFromEvent(event) {
+  if (event.doctorId) return { doctorId: event.doctorId };
+  if (event.dentistId) return { dentistId: event.dentistId };
+  if (event.laboratoryId) return { laboratoryId: event.laboratoryId };
+  return null;
+}
+
+/**
+ * Load a review for moderation — 400 / 404 payload on a bad id or miss.
+ */
+async function loadReviewForModeration(id, res) {
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    res.status(400).json({
+      success: false,
+      message: 'المعرّف غير صحيح'
+    });
+    return null;
+  }
+
+  const review = await Review.findById(id);
+  if (!review) {
+    res.status(404).json({
+      success: false,
+      message: 'التقييم غير موجود'
+    });
+    return null;
+  }
+  return review;
+}
+
+function recordModeration(req, review, action, metadata) {
+  AuditLog.record({
+    userId: req.user._id,
+    userEmail: req.user.email,
+    action,
+    description: `${action} on ${review.targetType} ${review.targetId}`,
+    resourceType: 'review',
+    resourceId: review._id,
+    patientPersonId: review.reviewerPersonId,
+    patientChildId: review.reviewerChildId,
+    ipAddress: req.ip || 'unknown',
+    success: true,
+    metadata
+  });
+}
+
+// ============================================================================
+// 1. SUBMIT REVIEW (patient)
+// ============================================================================
+
+/**
+ * @route   POST /api/patient/reviews
+ * @desc    Patient reviews the provider of a completed appointment or visit.
+ *          One review per appointment/visit. Starts as 'pending'.
+ * @access  Private (patient)
+ *
+ * Body:
+ *   appointmentId | visitId (one required)
+ *   rating (1-5, required)
+ *   reviewText?
+ *   isAnonymous?   — hide reviewer name on public profile pages
+ */
+exports.submitReview = async (req, res) => {
+  console.log('🔵 ========== SUBMIT REVIEW ==========');
+
+  try {
+    const reviewerRef = getReviewerRefFromAccount(req.account);
+    if (!reviewerRef) {
+      return res.status(403).json({
+        success: false,
+        message: 'الحساب غير مرتبط بمريض'
+      });
+    }
+
+    const { appointmentId, visitId, rating, reviewText, isAnonymous } = req.body || {};
+
+    if (!appointmentId && !visitId) {
+      return res.status(400).json({
+        success: false,
+        message: 'يجب ربط التقييم بزيارة أو موعد سابق'
+      });
+    }
+
+    if ((appointmentId && !mongoose.Types.ObjectId.isValid(appointmentId))
+      || (visitId && !mongoose.Types.ObjectId.isValid(visitId))) {
+      return res.status(400).json({
+        success: false,
+        message: 'المعرّف غير صحيح'
+      });
+    }
+
+    const numericRating = Number(rating);
+    if (!Number.isInteger(numericRating) || numericRating < 1 || numericRating > 5) {
+      return res.status(400).json({
+        success: false,
+        message: 'التقييم يجب أن يكون رقماً صحيحاً من 1 إلى 5'
+      });
+    }
+
+    // ── Resolve the event being reviewed ─────────────────────────────────
+    let appointment = null;
+    let visit = null;
+
+    if (appointmentId) {
+      appointment = await Appointment.findById(appointmentId).lean();
+      if (!appointment || !isOwnedBy(appointment, req.account)) {
+        return res.status(404).json({
+          success: false,
+          message: 'الموعد غير موجود'
+        });
+      }
+      if (appointment.status !== 'completed') {
+        return res.status(400).json({
+          success: false,
+          message: 'لا يمكن تقييم موعد غير مكتمل'
+        });
+      }
+      if (appointment.visitId) {
+        visit = await Visit.findById(appointment.visitId).lean();
+      }
+    } else {
+      visit = await Visit.findById(visitId).lean();
+      if (!visit || !isOwnedBy(visit, req.account)) {
+        return res.status(404).json({
+          success: false,
+          message: 'الزيارة غير موجودة'
+        });
+      }
+      if (visit.status !== 'completed') {
+        return res.status(400).json({
+          success: false,
+          message: 'لا يمكن تقييم زيارة غير مكتملة'
+        });
+      }
+      if (visit.appointmentId) {
+        appointment = await Appointment.findById(visit.appointmentId).lean();
+      }
+    }
+
+    const target = copyTargetFromEvent(appointment || visit);
+    if (!target) {
+      return res.status(400).json({
+        success: false,
+        message: 'لا توجد جهة مرتبطة بهذا الموعد يمكن تقييمها'
+      });
+    }
+
+    // ── One review per appointment / visit ───────────────────────────────
+    // Both links are stored whenever known, so a review submitted through
+    // the visit also blocks a second one through its appointment.
+    const eventLinks = {};
+    if (appointment) eventLinks.appointmentId = appointment._id;
+    if (visit) eventLinks.visitId = visit._id;
+
+    const existing = await Review.findOne({
+      ...reviewerRef,
+      $or: Object.entries(eventLinks).map(([key, value]) => ({ [key]: value }))
+    }).lean();
+
+    if (existing) {
+      return res.status(409).json({
+        success: false,
+        message: 'لقد قمت بتقييم هذا الموعد مسبقاً'
+      });
+    }
+
+    const review = await Review.create({
+      ...reviewerRef,
+      ...target,
+      ...eventLinks,
+      rating: numericRating,
+      reviewText: reviewText?.trim(),
+      isAnonymous: isAnonymous === true || isAnonymous === 'true',
+      status: 'pending'
+    });
+
+    console.log('✅ Review submitted:', review._id);
+
+    AuditLog.record({
+      userId: req.user._id,
+      userEmail: req.user.email,
+      action: 'SUBMIT_REVIEW',
+      description: `Submitted ${numericRating}★ review for ${review.targetType}`,
+      resourceType: 'review',
+      resourceId: review._id,
+      patientPersonId: reviewerRef.reviewerPersonId,
+      patientChildId: reviewerRef.reviewerChildId,
+      ipAddress: req.ip || 'unknown',
+      success: true,
+      metadata: { ...eventLinks, targetType: review.targetType }
+    });
+
+    return res.status(201).json({
+      success: true,
+      message: 'تم إرسال التقييم وسيظهر بعد مراجعته',
+      review
+    });
+
+  } catch (error) {
+    console.error('❌ Submit review error:', error);
+
+    if (error.code === 11000) {
+      return res.status(409).json({
+        success: false,
+        message: 'لقد قمت بتقييم هذا الموعد مسبقاً'
+      });
+    }
+
+    if (error.name === 'ValidationError') {
+      const messages = Object.values(error.errors).map(e => e.message);
+      return res.status(400).json({
+        success: false,
+        message: messages[0] || 'خطأ في البيانات'
+      });
+    }
+
+    return res.status(500).json({
+      success: false,
+      message: 'حدث خطأ في إرسال التقييم'
+    });
+  }
+};
+
+// ============================================================================
+// 2. MODERATION QUEUE (admin)
+// ============================================================================
+
+/**
+ * @route   GET /api/admin/reviews
+ * @desc    Reviews awaiting (or past) moderation, oldest first for pending.
+ * @access  Private (Admin — approve_reviews)
+ *
+ * Query: status? (default 'pending'), targetType?, page, limit
+ */
+exports.getReviewQueue = async (req, res) => {
+  try {
+    const { status = 'pending', targetType, page = 1, limit = 20 } = req.query;
+    const safePage = Math.max(parseInt(page, 10) || 1, 1);
+    const safeLimit = Math.min(parseInt(limit, 10) || 20, 100);
+
+    const query = {};
+    if (status !== 'all') query.status = status;
+
+    const targetFields = {
+      doctor: 'doctorId',
+      dentist: 'dentistId',
+      laboratory: 'laboratoryId',
+      pharmacy: 'pharmacyId',
+      hospital: 'hospitalId'
+    };
+    if (targetType) {
+      const field = targetFields[targetType];
+      if (!field) {
+        return res.status(400).json({
+          success: false,
+          message: `نوع الجهة غير صالح. القيم المسموحة: ${Object.keys(targetFields).join(', ')}`
+        });
+      }
+      query[field] = { $exists: true, $ne: null };
+    }
+
+    const [reviews, total] = await Promise.all([
+      Review.find(query)
+        .populate('reviewerPersonId', 'firstName lastName')
+        .populate('reviewerChildId', 'firstName lastName')
+        .populate('doctorId', 'specialization medicalLicenseNumber')
+        .populate('dentistId', 'specialization dentalLicenseNumber')
+        .populate('laboratoryId', 'name arabicName')
+        .populate('pharmacyId', 'name arabicName')
+        .populate('hospitalId', 'name arabicName')
+        .populate('reviewedBy', 'email')
+        .sort({ createdAt: status === 'pending' ? 1 : -1 })
+        .skip((safePage - 1) * safeLimit)
+        .limit(safeLimit)
+        .lean(),
+      Review.countDocuments(query)
+    ]);
+
+    return res.json({
+      success: true,
+      count: total,
+      page: safePage,
+      pages: Math.ceil(total / safeLimit),
+      reviews
+    });
+  } catch (error) {
+    console.error('Get review queue error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'حدث خطأ في جلب التقييمات'
+    });
+  }
+};
+
+// ============================================================================
+// 3. APPROVE REVIEW
+// ============================================================================
+
+/**
+ * @route   POST /api/admin/reviews/:id/approve
+ * @desc    Approve a review; Review.approve() refreshes the target's rating.
+ * @access  Private (Admin — approve_reviews)
+ */
+exports.approveReview = async (req, res) => {
+  try {
+    const review = await loadReviewForModeration(req.params.id, res);
+    if (!review) return;
+
+    const previousStatus = review.status;
+    await review.approve(req.user._id);
+
+    recordModeration(req, review, 'APPROVE_REVIEW', { previousStatus });
+
+    console.log('✅ Review approved:', review._id);
+    return res.json({
+      success: true,
+      message: 'تم قبول التقييم',
+      review
+    });
+  } catch (error) {
+    console.error('❌ Approve review error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'حدث خطأ في قبول التقييم'
+    });
+  }
+};
+
+// ============================================================================
+// 4. REJECT REVIEW
+// ============================================================================
+
+/**
+ * @route   POST /api/admin/reviews/:id/reject
+ * @desc    Reject a review. If it was approved before, the target's rating
+ *          is recomputed without it.
+ * @access  Private (Admin — approve_reviews)
+ *
+ * Body: { note?: string }
+ */
+exports.rejectReview = async (req, res) => {
+  try {
+    const review = await loadReviewForModeration(req.params.id, res);
+    if (!review) return;
+
+    const previousStatus = review.status;
+    await review.reject(req.user._id, req.body?.note);
+
+    recordModeration(req, review, 'REJECT_REVIEW', {
+      previousStatus,
+      note: req.body?.note || null
+    });
+
+    return res.json({
+      success: true,
+      message: 'تم رفض التقييم',
+      review
+    });
+  } catch (error) {
+    console.error('❌ Reject review error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'حدث خطأ في رفض التقييم'
+    });
+  }
+};
+
+// ============================================================================
+// 5. FLAG REVIEW
+// ============================================================================
+
+/**
+ * @route   POST /api/admin/reviews/:id/flag
+ * @desc    Flag a review for investigation (spam, abuse). Flagged reviews
+ *          are not public, so a previously approved one drops out of the
+ *          target's rating.
+ * @access  Private (Admin — approve_reviews)
+ *
+ * Body: { note?: string }
+ */
+exports.flagReview = async (req, res) => {
+  try {
+    const review = await loadReviewForModeration(req.params.id, res);
+    if (!review) return;
+
+    const previousStatus = review.status;
+    await review.flag(req.user._id, req.body?.note);
+
+    // Review.flag() doesn't refresh ratings — only needed if it was public
+    if (previousStatus === 'approved') {
+      await review.refreshTargetRating();
+    }
+
+    recordModeration(req, review, 'FLAG_REVIEW', {
+      previousStatus,
+      note: req.body?.note || null
+    });
+
+    return res.json({
+      success: true,
+      message: 'تم وضع علامة على التقييم للمراجعة',
+      review
+    });
+  } catch (error) {
+    console.error('❌ Flag review error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'حدث خطأ في وضع علامة على التقييم'
+    });
+  }
+};
@@ -0,0 +1,351 @@
+/**
+ * ═══════════════════════════════════════════════════════════════════════════
+ *  Schedule Template Controller — Patient 360°
+ *  ─────────────────────────────────────────────────────────────────────────
+ *  Recurring weekly availability. Mounted under /api/slots/templates.
+ *
+ *  POST /api/slots/generate creates slots for one explicit range from a
+ *  single daily time range. A template instead stores the provider's
+ *  weekly pattern (per-weekday hours, slot length, capacity, breaks) and
+ *  the background job (jobs/index.js) keeps the next `weeksAhead` weeks
+ *  materialised as AvailabilitySlot documents.
+ *
+ *  Functions:
+ *    1. createTemplate          — Create + materialise immediately
+ *    2. getMyTemplates          — Caller's templates (admin: ?doctorId=...)
+ *    3. updateTemplate          — Edit rules/exceptions; unbooked future
+ *                                 slots are regenerated
+ *    4. deactivateTemplate      — Stop generating; unbooked future slots
+ *                                 are removed, booked ones are kept
+ *    5. materializeTemplateNow  — Run the job for one template on demand
+ *
+ *  Ownership:
+ *    Doctors, dentists and lab technicians own templates for themselves /
+ *    their laboratory; the owner is derived from the JWT, never the body.
+ *    Admins pass doctorId | dentistId | laboratoryId | hospitalId.
+ *
+ *  Conventions kept:
+ *    - Arabic error messages, emoji-marked console logs
+ *    - Try/catch in every async function
+ * ═══════════════════════════════════════════════════════════════════════════
+ */
+
+const mongoose = require('mongoose');
+const { ScheduleTemplate, AuditLog } = require('../models');
+const scheduleService = require('../services/scheduleService');
+
+// ============================================================================
+// HELPERS
+// ============================================================================
+
+const EDITABLE_FIELDS = [
+  'name', 'weeklyRules', 'exceptions', 'weeksAhead',
+  'effectiveFrom', 'effectiveUntil'
+];
+
+/**
+ * Owner clause for the caller: { doctorId } | { dentistId } |
+ * { laboratoryId } from their profile, or — for admins — whatever single
+ * owner field was passed in `source` (body or query). Returns null when
+ * nothing can be resolved.
+ */
+async function resolveCallerOwner(req, source) {
+  const roles = req.user.roles || [];
+
+  if (roles.includes('admin')) {
+    const owner = {};
+    ScheduleTemplate.OWNER_FIELDS.forEach((field) => {
+      if (source[field]) owner[field] = source[field];
+    });
+    const keys = Object.keys(owner);
+    if (keys.length === 1 && mongoose.Types.ObjectId.isValid(owner[keys[0]])) return owner;
+    return null;
+  }
+
+  return scheduleService.resolveProviderOwner(req.user);
+}
+
+/**
+ * Loads the template by :id and checks the caller owns it (admins own
+ * everything). Responds and returns null on failure.
+ */
+async function loadOwnedTemplate(req, res) {
+  const { id } = req.params;
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    res.status(400).json({ success: false, message: 'معرّف الجدول غير صحيح' });
+    return null;
+  }
+
+  const template = await ScheduleTemplate.findById(id);
+  if (!template) {
+    res.status(404).json({ success: false, message: 'الجدول غير موجود' });
+    return null;
+  }
+
+  if (!req.user.roles.includes('admin')) {
+    const owner = await resolveCallerOwner(req, {});
+    const [field] = owner ? Object.keys(owner) : [];
+    if (!field || String(template[field]) !== String(owner[field])) {
+      res.status(403).json({ success: false, message: 'ليس لديك صلاحية على هذا الجدول' });
+      return null;
+    }
+  }
+  return template;
+}
+
+function handleWriteError(error, res, fallbackMessage) {
+  if (error.name === 'ValidationError') {
+    return res.status(400).json({
+      success: false,
+      message: Object.values(error.errors).map(e => e.message).join(', ')
+    });
+  }
+  // Messages thrown from the pre-validate hook arrive as plain Errors
+  if (error.message && !error.name?.startsWith('Mongo')) {
+    return res.status(400).json({ success: false, message: error.message });
+  }
+  return res.status(500).json({ success: false, message: fallbackMessage });
+}
+
+function recordTemplateAudit(req, action, template, metadata = {}) {
+  AuditLog.record({
+    userId: req.user._id,
+    userEmail: req.user.email,
+    userRole: (req.user.roles || []).join(','),
+    action,
+    description: `${action} for schedule template ${template._id}`,
+    resourceType: 'schedule_template',
+    resourceId: template._id,
+    ipAddress: req.ip || 'unknown',
+    metadata: { ...template.owner, ...metadata }
+  });
+}
+
+// ============================================================================
+// 1. CREATE TEMPLATE
+// ============================================================================
+
+/**
+ * @route   POST /api/slots/templates
+ * @desc    Create a recurring weekly template and materialise its first
+ *          window right away.
+ * @access  Private (doctor, dentist, lab_technician, admin)
+ *
+ * Body:
+ *   weeklyRules  — [{ dayOfWeek, startTime, endTime, slotDuration?,
+ *                     maxBookings?, breaks?: [{ startTime, endTime, label? }] }]
+ *   name?, weeksAhead? (default 4, max 12), effectiveFrom?, effectiveUntil?
+ *   exceptions?  — [{ date, reason? }]
+ *   doctorId | dentistId | laboratoryId | hospitalId (admin only)
+ */
+exports.createTemplate = async (req, res) => {
+  try {
+    const owner = await resolveCallerOwner(req, req.body || {});
+    if (!owner) {
+      return res.status(400).json({
+        success: false,
+        message: 'تعذر تحديد مالك الجدول'
+      });
+    }
+
+    const payload = { ...owner, createdBy: req.user._id };
+    EDITABLE_FIELDS.forEach((field) => {
+      if (req.body[field] !== undefined) payload[field] = req.body[field];
+    });
+
+    const template = await ScheduleTemplate.create(payload);
+    const result = await scheduleService.materializeTemplate(template);
+
+    console.log(`✅ Schedule template ${template._id} created, ${result.created} slots`);
+    recordTemplateAudit(req, 'CREATE_SCHEDULE_TEMPLATE', template, { created: result.created });
+
+    return res.status(201).json({
+      success: true,
+      message: `تم إنشاء الجدول الأسبوعي وتوليد ${result.created} موعد`,
+      template,
+      materialization: result
+    });
+  } catch (error) {
+    console.error('❌ Create schedule template error:', error);
+    return handleWriteError(error, res, 'حدث خطأ في إنشاء الجدول');
+  }
+};
+
+// ============================================================================
+// 2. GET MY TEMPLATES
+// ============================================================================
+
+/**
+ * @route   GET /api/slots/templates
+ * @desc    Templates owned by the caller. Admins filter with
+ *          ?doctorId= | ?dentistId= | ?laboratoryId= | ?hospitalId=.
+ * @access  Private (doctor, dentist, lab_technician, admin)
+ *
+ * Query: includeInactive? — 'true' to include deactivated templates
+ */
+exports.getMyTemplates = async (req, res) => {
+  try {
+    const owner = await resolveCallerOwner(req, req.query);
+    if (!owner && !req.user.roles.includes('admin')) {
+      return res.status(403).json({
+        success: false,
+        message: 'الحساب غير مرتبط بطبيب أو طبيب أسنان أو مختبر'
+      });
+    }
+
+    const filter = { ...(owner || {}) };
+    if (req.query.includeInactive !== 'true') filter.isActive = true;
+
+    const templates = await ScheduleTemplate.find(filter).sort({ createdAt: -1 }).lean();
+
+    return res.json({
+      success: true,
+      count: templates.length,
+      templates
+    });
+  } catch (error) {
+    console.error('Get schedule templates error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'حدث خطأ في جلب الجداول'
+    });
+  }
+};
+
+// ============================================================================
+// 3. UPDATE TEMPLATE
+// ============================================================================
+
+/**
+ * @route   PATCH /api/slots/templates/:id
+ * @desc    Edit the weekly pattern, exceptions or window. Future slots
+ *          generated by this template that nobody booked are removed and
+ *          regenerated from the new rules; booked and blocked slots are
+ *          left untouched.
+ * @access  Private (template owner, admin)
+ *
+ * Body: any of name, weeklyRules, exceptions, weeksAhead,
+ *       effectiveFrom, effectiveUntil
+ */
+exports.updateTemplate = async (req, res) => {
+  try {
+    const template = await loadOwnedTemplate(req, res);
+    if (!template) return;
+
+    if (!template.isActive) {
+      return res.status(409).json({
+        success: false,
+        message: 'الجدول غير مفعّل'
+      });
+    }
+
+    const changed = [];
+    EDITABLE_FIELDS.forEach((field) => {
+      if (req.body[field] !== undefined) {
+        template[field] = req.body[field];
+        changed.push(field);
+      }
+    });
+    if (changed.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'لا توجد حقول للتحديث'
+      });
+    }
+
+    await template.validate();
+    const removed = await scheduleService.clearFutureTemplateSlots(template._id);
+    await template.save();
+    const result = await scheduleService.materializeTemplate(template);
+
+    console.log(`✅ Schedule template ${template._id} updated: -${removed} +${result.created} slots`);
+    recordTemplateAudit(req, 'UPDATE_SCHEDULE_TEMPLATE', template, {
+      changed, removed, created: result.created
+    });
+
+    return res.json({
+      success: true,
+      message: 'تم تحديث الجدول الأسبوعي',
+      template,
+      materialization: { removed, ...result }
+    });
+  } catch (error) {
+    console.error('❌ Update schedule template error:', error);
+    return handleWriteError(error, res, 'حدث خطأ في تحديث الجدول');
+  }
+};
+
+// ============================================================================
+// 4. DEACTIVATE TEMPLATE
+// ============================================================================
+
+/**
+ * @route   DELETE /api/slots/templates/:id
+ * @desc    Soft-delete: the job stops generating from this template and
+ *          its unbooked future slots are removed. Existing appointments
+ *          are not affected.
+ * @access  Private (template owner, admin)
+ */
+exports.deactivateTemplate = async (req, res) => {
+  try {
+    const template = await loadOwnedTemplate(req, res);
+    if (!template) return;
+
+    template.isActive = false;
+    await template.save();
+    const removed = await scheduleService.clearFutureTemplateSlots(template._id);
+
+    console.log(`✅ Schedule template ${template._id} deactivated, ${removed} slots removed`);
+    recordTemplateAudit(req, 'DEACTIVATE_SCHEDULE_TEMPLATE', template, { removed });
+
+    return res.json({
+      success: true,
+      message: 'تم إيقاف الجدول الأسبوعي',
+      removed
+    });
+  } catch (error) {
+    console.error('Deactivate schedule template error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'حدث خطأ في إيقاف الجدول'
+    });
+  }
+};
+
+// ============================================================================
+// 5. MATERIALISE NOW
+// ============================================================================
+
+/**
+ * @route   POST /api/slots/templates/:id/materialize
+ * @desc    Fill the template's window immediately instead of waiting for
+ *          the next job run. Idempotent.
+ * @access  Private (template owner, admin)
+ */
+exports.materializeTemplateNow = async (req, res) => {
+  try {
+    const template = await loadOwnedTemplate(req, res);
+    if (!template) return;
+
+    if (!template.isActive) {
+      return res.status(409).json({
+        success: false,
+        message: 'الجدول غير مفعّل'
+      });
+    }
+
+    const result = await scheduleService.materializeTemplate(template);
+
+    return res.json({
+      success: true,
+      message: `تم توليد ${result.created} موعد`,
+      materialization: result
+    });
+  } catch (error) {
+    console.error('❌ Materialize template error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'حدث خطأ في توليد المواعيد'
+    });
+  }
+};
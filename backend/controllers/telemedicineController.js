@@ -0,0 +1,177 @@
+/**
+ * ═══════════════════════════════════════════════════════════════════════════
+ *  Telemedicine Controller — Patient 360°
+ *  ─────────────────────────────────────────────────────────────────────────
+ *  Video consultation rooms. Mounted under /api/appointments/:id/video.
+ *
+ *  A 'video_consultation' appointment gets its room token when it is
+ *  confirmed. The patient (or the parent of a child patient) and the
+ *  appointment's doctor / dentist join here; joining only works inside the
+ *  appointment window (services/telemedicineService.getJoinWindow). The
+ *  connection itself goes through the configured signalling adapter.
+ *
+ *  Functions:
+ *    1. joinVideoRoom    — Join credentials for the caller; join recorded
+ *    2. leaveVideoRoom   — Record that the caller left
+ *
+ *  Conventions kept:
+ *    - Arabic error messages, emoji-marked console logs
+ *    - Try/catch in every async function
+ * ═══════════════════════════════════════════════════════════════════════════
+ */
+
+const mongoose = require('mongoose');
+const {
+  Appointment, Children, Person, AuditLog
+} = require('../models');
+const telemedicineService = require('../services/telemedicineService');
+const scheduleService = require('../services/scheduleService');
+
+// ============================================================================
+// HELPERS
+// ============================================================================
+
+/**
+ * The caller's role in the appointment's room: 'patient' for the patient
+ * or a child patient's parent, 'provider' for the appointment's doctor /
+ * dentist, null otherwise.
+ */
+async function roomRoleOf(req, appointment) {
+  const { user } = req;
+  const isOwner =
+    (appointment.patientPersonId && String(appointment.patientPersonId) === String(user.personId))
+    || (appointment.patientChildId && String(appointment.patientChildId) === String(user.childId));
+  if (isOwner) return 'patient';
+
+  if (appointment.patientChildId && user.personId) {
+    const isGuardian = await Children.exists({
+      _id: appointment.patientChildId,
+      parentPersonId: user.personId
+    });
+    if (isGuardian) return 'patient';
+  }
+
+  const owner = await scheduleService.resolveProviderOwner(user);
+  if (owner?.doctorId && String(owner.doctorId) === String(appointment.doctorId)) return 'provider';
+  if (owner?.dentistId && String(owner.dentistId) === String(appointment.dentistId)) return 'provider';
+  return null;
+}
+
+/**
+ * Loads :id (with its room token) and the caller's role. Responds and
+ * returns null on failure.
+ */
+async function loadRoomAppointment(req, res) {
+  const { id } = req.params;
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    res.status(400).json({ success: false, message: 'المعرّف غير صحيح' });
+    return null;
+  }
+
+  const appointment = await Appointment.findById(id).select('+telemedicine.roomToken');
+  if (!appointment) {
+    res.status(404).json({ success: false, message: 'الموعد غير موجود' });
+    return null;
+  }
+
+  const role = await roomRoleOf(req, appointment);
+  if (!role) {
+    res.status(403).json({ success: false, message: 'ليس لديك صلاحية للدخول إلى هذه الاستشارة' });
+    return null;
+  }
+  return { appointment, role };
+}
+
+// ============================================================================
+// 1. JOIN VIDEO ROOM
+// ============================================================================
+
+/**
+ * @route   POST /api/appointments/:id/video/join
+ * @desc    Credentials to join the appointment's video room. Works from
+ *          shortly before the start until a while after the scheduled end;
+ *          outside that window the response says when the room opens.
+ * @access  Private (patient / parent, the appointment's doctor or dentist)
+ */
+exports.joinVideoRoom = async (req, res) => {
+  try {
+    const loaded = await loadRoomAppointment(req, res);
+    if (!loaded) return;
+    const { appointment, role } = loaded;
+
+    const problem = telemedicineService.checkJoinable(appointment);
+    if (problem) {
+      return res.status(problem.status).json({
+        success: false,
+        message: problem.message,
+        ...(appointment.appointmentType === 'video_consultation'
+          && telemedicineService.getJoinWindow(appointment))
+      });
+    }
+
+    const person = req.user.personId
+      ? await Person.findById(req.user.personId).select('firstName lastName').lean()
+      : null;
+
+    const room = await telemedicineService.joinRoom(appointment, {
+      role,
+      accountId: req.user._id,
+      displayName: person ? `${person.firstName} ${person.lastName}` : undefined
+    });
+
+    AuditLog.record({
+      userId: req.user._id,
+      userEmail: req.user.email,
+      action: 'JOIN_VIDEO_CONSULTATION',
+      description: `Joined video room of appointment ${appointment._id} as ${role}`,
+      resourceType: 'appointment',
+      resourceId: appointment._id,
+      patientPersonId: appointment.patientPersonId,
+      patientChildId: appointment.patientChildId,
+      ipAddress: req.ip || 'unknown',
+      success: true,
+      metadata: { role, adapter: room.adapter }
+    });
+
+    return res.json({
+      success: true,
+      role,
+      room
+    });
+  } catch (error) {
+    console.error('❌ Join video room error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'حدث خطأ في الدخول إلى غرفة الاستشارة'
+    });
+  }
+};
+
+// ============================================================================
+// 2. LEAVE VIDEO ROOM
+// ============================================================================
+
+/**
+ * @route   POST /api/appointments/:id/video/leave
+ * @desc    Record that the caller left the room (their latest join).
+ * @access  Private (patient / parent, the appointment's doctor or dentist)
+ */
+exports.leaveVideoRoom = async (req, res) => {
+  try {
+    const loaded = await loadRoomAppointment(req, res);
+    if (!loaded) return;
+
+    const recorded = await telemedicineService.leaveRoom(loaded.appointment._id, req.user._id);
+
+    return res.json({
+      success: true,
+      message: recorded ? 'تم تسجيل الخروج من الغرفة' : 'لا يوجد دخول مفتوح لهذه الغرفة'
+    });
+  } catch (error) {
+    console.error('Leave video room error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'حدث خطأ في تسجيل الخروج من الغرفة'
+    });
+  }
+};
@@ -17,19 +17,53 @@
  *    3. getDoctorVisits   — List visits for one doctor
  *    4. getVisitById      — Single visit detail
  *    5. updateVisit       — Update visit fields (with ownership check)
+ *                           (+ move / cancel the follow-up on a new
+ *                           followUpDate)
  *    6. completeVisit     — Mark visit completed + update patient stats
+ *                           (+ book the follow-up if not booked yet)
  *    7. deleteVisit       — Soft-delete (admin only)
  *
  *  Conventions kept from existing code:
  *    - Arabic error messages, emoji-marked console logs
  *    - { success, message, [data] } response shape
  *    - Try/catch in every async function
+ *
+ *  Follow-up booking never fails the request: when a followUpDate is set
+ *  but no appointment could be booked the response carries
+ *  `followUpAppointment: null` plus a `followUpWarning` for the doctor.
  * ═══════════════════════════════════════════════════════════════════════════
  */
 
 const {
   Visit, Person, Children, Patient, Doctor, AuditLog, LabTest
 } = require('../models');
+const followUpService = require('../services/followUpService');
+
+// ============================================================================
+// HELPER: Follow-up part of a visit response
+// ============================================================================
+
+/**
+ * `followUpAppointment` (just booked, else null) and — when the visit has a
+ * followUpDate but no follow-up appointment — a `followUpWarning` telling
+ * the doctor to book it by hand.
+ */
+function followUpResponse(visit, followUp) {
+  return {
+    followUpAppointment: followUp
+      ? {
+          _id: followUp.appointment._id,
+          appointmentDate: followUp.appointment.appointmentDate,
+          appointmentTime: followUp.appointment.appointmentTime,
+          confirmBy: followUp.appointment.confirmBy,
+          fee: followUp.fee
+        }
+      : null,
+    ...(visit.followUpDate && !visit.followUpAppointmentId && {
+      followUpWarning: 'لم يتم حجز موعد المتابعة تلقائياً — لا يوجد موعد متاح في التاريخ المحدد أو بعده. يرجى حجز الموعد يدوياً'
+    })
+  };
+}
 
 // ============================================================================
 // HELPER: Resolve patient identifier into { patientPersonId | patientChildId }
@@ -93,7 +127,8 @@ async function resolvePatientRef(body) {
  *   vitalSigns                   — optional structured object (9 fields)
  *   prescribedMedications        — optional array
  *   doctorNotes                  — optional
- *   followUpDate, followUpNotes  — optional
+ *   followUpDate, followUpNotes  — optional; books the nearest free slot on/after
+ *                                  that date as a follow-up (patient confirms)
  *   visitPhotoUrl                — optional (X-ray, scan)
  *   appointmentId                — optional link to source appointment
  *   hospitalId                   — optional
@@ -211,15 +246,9 @@ exports.createVisit = async (req, res) => {
     }
     console.log('✅ Patient resolved:', patientRef);
 
-    // ── 3.5 VALIDATE FOLLOW-UP DATE + CONFLICT CHECK ─────────────────────
-    // If the doctor set a follow-up date, we'll auto-generate an appointment
-    // for it (so it shows on the calendar). Before creating the visit, make
-    // sure that date/time doesn't collide with an existing appointment on
-    // this provider's schedule — reject the whole save if it does so we
-    // don't end up with a stranded visit and no follow-up.
-    const FOLLOWUP_DEFAULT_TIME = '09:00';
-    let followUpAppointmentDate = null;
-
+    // ── 3.5 VALIDATE FOLLOW-UP DATE ──────────────────────────────────────
+    // The follow-up appointment itself is booked after the visit is saved
+    // (services/followUpService — nearest free slot on/after this date).
     if (followUpDate) {
       const followUpObj = new Date(followUpDate);
       if (isNaN(followUpObj.getTime())) {
@@ -229,9 +258,7 @@ exports.createVisit = async (req, res) => {
         });
       }
 
-      // Normalize to start of day — we always pair with FOLLOWUP_DEFAULT_TIME
       followUpObj.setHours(0, 0, 0, 0);
-
       const today = new Date();
       today.setHours(0, 0, 0, 0);
       if (followUpObj < today) {
@@ -240,26 +267,6 @@ exports.createVisit = async (req, res) => {
           message: 'تاريخ المتابعة لا يمكن أن يكون في الماضي'
         });
       }
-
-      const Appointment = require('../models/Appointment');
-      const conflictQuery = {
-        appointmentDate: followUpObj,
-        appointmentTime: FOLLOWUP_DEFAULT_TIME,
-        status: { $in: ['scheduled', 'confirmed', 'checked_in', 'in_progress'] }
-      };
-      if (resolvedDoctorId) conflictQuery.doctorId = resolvedDoctorId;
-      if (resolvedDentistId) conflictQuery.dentistId = resolvedDentistId;
-
-      const conflict = await Appointment.findOne(conflictQuery).lean();
-      if (conflict) {
-        const arDate = followUpObj.toLocaleDateString('ar-EG');
-        return res.status(409).json({
-          success: false,
-          message: `هذا التاريخ (${arDate} عند الساعة ${FOLLOWUP_DEFAULT_TIME}) يتعارض مع موعد آخر في جدولك. الرجاء اختيار تاريخ آخر.`
-        });
-      }
-
-      followUpAppointmentDate = followUpObj;
     }
 
     // ── 4. CREATE VISIT ──────────────────────────────────────────────────
@@ -353,32 +360,15 @@ exports.createVisit = async (req, res) => {
       }
     }
 
-    // ── 4.6 CREATE FOLLOW-UP APPOINTMENT (if followUpDate was set) ───────
-    // Conflict was already checked above, so this should succeed. On the
-    // off-chance it fails, log the error and continue — the doctor will
-    // see the visit saved but no calendar entry and can retry.
-    let followUpAppointment = null;
-    if (followUpAppointmentDate) {
+    // ── 4.6 BOOK FOLLOW-UP APPOINTMENT (if followUpDate was set) ─────────
+    // Failure is logged but doesn't block the visit — completing the visit
+    // tries again.
+    let followUp = null;
+    if (followUpDate) {
       try {
-        const Appointment = require('../models/Appointment');
-        followUpAppointment = await Appointment.create({
-          appointmentType: 'follow_up',
-          ...patientRef,
-          doctorId: resolvedDoctorId || undefined,
-          dentistId: resolvedDentistId || undefined,
-          appointmentDate: followUpAppointmentDate,
-          appointmentTime: FOLLOWUP_DEFAULT_TIME,
-          estimatedDuration: 30,
-          reasonForVisit: (followUpNotes && followUpNotes.trim())
-            || `موعد متابعة — ${diagnosis?.trim() || chiefComplaint.trim()}`,
-          status: 'scheduled',
-          bookingMethod: 'admin',
-          priority: 'routine',
-          paymentStatus: 'pending'
-        });
-        console.log('✅ Follow-up appointment created:', followUpAppointment._id);
+        followUp = await followUpService.bookFollowUp(visit);
       } catch (apptError) {
-        console.error('⚠️  Follow-up appointment creation failed:', apptError.message);
+        console.error('⚠️  Follow-up appointment booking failed:', apptError.message);
       }
     }
 
@@ -403,13 +393,7 @@ exports.createVisit = async (req, res) => {
       prescription: prescription
         ? { _id: prescription._id, prescriptionNumber: prescription.prescriptionNumber }
         : null,
-      followUpAppointment: followUpAppointment
-        ? {
-            _id: followUpAppointment._id,
-            appointmentDate: followUpAppointment.appointmentDate,
-            appointmentTime: followUpAppointment.appointmentTime
-          }
-        : null
+      ...followUpResponse(visit, followUp)
     });
 
   } catch (error) {
@@ -612,7 +596,9 @@ exports.getVisitById = async (req, res) => {
 /**
  * @route   PUT /api/visits/:id
  * @desc    Update visit fields. Only the visit's owning doctor or admin
- *          can update.
+ *          can update. Changing followUpDate cancels the follow-up booked
+ *          for the old date and books one for the new date (none when
+ *          cleared).
  * @access  Private (treating doctor, admin)
  */
 exports.updateVisit = async (req, res) => {
@@ -655,6 +641,7 @@ exports.updateVisit = async (req, res) => {
       'visitPhotoUrl', 'paymentStatus', 'paymentMethod',
       'ecgAnalysis'
     ];
+    const previousFollowUpDate = visit.followUpDate ? visit.followUpDate.getTime() : null;
     allowedFields.forEach(field => {
       if (updates[field] !== undefined) visit[field] = updates[field];
     });
@@ -666,10 +653,22 @@ exports.updateVisit = async (req, res) => {
     await visit.save();
     console.log('✅ Visit updated');
 
+    // followUpDate moved or cleared → move / cancel the booked follow-up
+    const followUpDate = visit.followUpDate ? visit.followUpDate.getTime() : null;
+    let followUp = null;
+    if (followUpDate !== previousFollowUpDate) {
+      try {
+        ({ followUp } = await followUpService.rescheduleFollowUp(visit, req.user._id));
+      } catch (apptError) {
+        console.error('⚠️  Follow-up appointment rescheduling failed:', apptError.message);
+      }
+    }
+
     return res.json({
       success: true,
       message: 'تم تحديث الزيارة بنجاح',
-      visit
+      visit,
+      ...followUpResponse(visit, followUp)
     });
   } catch (error) {
     console.error('Update visit error:', error);
@@ -695,6 +694,8 @@ exports.updateVisit = async (req, res) => {
  * @route   POST /api/visits/:id/complete
  * @desc    Mark visit as completed and refresh the patient's denormalized
  *          totalVisits + lastVisitDate counters via Patient.recordVisit().
+ *          A followUpDate without a follow-up appointment yet gets one
+ *          booked now (`followUpAppointment` in the response).
  * @access  Private (treating doctor, admin)
  */
 exports.completeVisit = async (req, res) => {
@@ -721,6 +722,14 @@ exports.completeVisit = async (req, res) => {
     await visit.markCompleted();
     console.log('✅ Visit marked completed');
 
+    // Follow-up date set (or changed from none) after the visit was created
+    let followUp = null;
+    try {
+      followUp = await followUpService.bookFollowUp(visit);
+    } catch (apptError) {
+      console.error('⚠️  Follow-up appointment booking failed:', apptError.message);
+    }
+
     // Refresh patient stats (totalVisits, lastVisitDate)
     const patientQuery = visit.patientChildId
       ? { childId: visit.patientChildId }
@@ -746,7 +755,8 @@ exports.completeVisit = async (req, res) => {
     return res.json({
       success: true,
       message: 'تم إنهاء الزيارة بنجاح',
-      visit
+      visit,
+      ...followUpResponse(visit, followUp)
     });
   } catch (error) {
     console.error('Complete visit error:', error);
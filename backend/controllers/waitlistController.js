@@ -0,0 +1,494 @@
+/**
+ * ═══════════════════════════════════════════════════════════════════════════
+ *  Waitlist Controller — Patient 360°
+ *  ─────────────────────────────────────────────────────────────────────────
+ *  Appointment waitlist. Mounted under /api/appointments/waitlist.
+ *
+ *  When a slot is full, the patient joins the waitlist of that provider for
+ *  a date range. Each time a cancellation or reschedule frees capacity
+ *  (AvailabilitySlot.atomicRelease) services/waitlistService holds the seat
+ *  for the oldest matching entry and notifies the patient, who has
+ *  WaitlistEntry.HOLD_MINUTES to confirm before it moves to the next one.
+ *
+ *  Functions:
+ *    1. joinWaitlist          — Join for a provider / date range
+ *    2. getMyWaitlist         — Own entries with queue position and offer
+ *    3. confirmOffer          — Book the held slot
+ *    4. declineOffer          — Pass the held slot to the next patient
+ *    5. leaveWaitlist         — Leave (a current hold is passed on)
+ *    6. getProviderWaitlist   — Provider: open entries for their schedule
+ *
+ *  Parents act for a child through /api/patient/children/:childId/waitlist
+ *  (req.patientRef set by resolveGuardianChild).
+ *
+ *  Conventions kept:
+ *    - Arabic error messages, emoji-marked console logs
+ *    - Try/catch in every async function
+ * ═══════════════════════════════════════════════════════════════════════════
+ */
+
+const mongoose = require('mongoose');
+const {
+  WaitlistEntry, AvailabilitySlot, Children, AuditLog
+} = require('../models');
+const waitlistService = require('../services/waitlistService');
+const scheduleService = require('../services/scheduleService');
+
+// ============================================================================
+// HELPERS
+// ============================================================================
+
+const MAX_OPEN_ENTRIES = 5;
+const MAX_RANGE_DAYS = 60;
+
+function getPatientRefFromAccount(account) {
+  if (account.personId) return { patientPersonId: account.personId };
+  if (account.childId) return { patientChildId: account.childId };
+  return null;
+}
+
+/**
+ * Loads :id and checks the caller is the patient or the parent of the
+ * child on the entry. Responds and returns null on failure.
+ */
+async function loadOwnEntry(req, res) {
+  const { id } = req.params;
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    res.status(400).json({ success: false, message: 'المعرّف غير صحيح' });
+    return null;
+  }
+
+  const entry = await WaitlistEntry.findById(id);
+  if (!entry) {
+    res.status(404).json({ success: false, message: 'طلب الانتظار غير موجود' });
+    return null;
+  }
+
+  const isOwner =
+    (entry.patientPersonId && String(entry.patientPersonId) === String(req.user.personId))
+    || (entry.patientChildId && String(entry.patientChildId) === String(req.user.childId));
+  const isGuardian = !isOwner && !!entry.patientChildId && !!req.user.personId
+    && !!(await Children.exists({
+      _id: entry.patientChildId,
+      parentPersonId: req.user.personId
+    }));
+
+  if (!isOwner && !isGuardian) {
+    res.status(403).json({ success: false, message: 'ليس لديك صلاحية على هذا الطلب' });
+    return null;
+  }
+  return entry;
+}
+
+function recordWaitlistAudit(req, action, entry, metadata = {}) {
+  AuditLog.record({
+    userId: req.user._id,
+    userEmail: req.user.email,
+    action,
+    description: `${action} for waitlist entry ${entry._id}`,
+    resourceType: 'waitlist_entry',
+    resourceId: entry._id,
+    patientPersonId: entry.patientPersonId,
+    patientChildId: entry.patientChildId,
+    ipAddress: req.ip || 'unknown',
+    success: true,
+    metadata
+  });
+}
+
+// ============================================================================
+// 1. JOIN WAITLIST
+// ============================================================================
+
+/**
+ * @route   POST /api/appointments/waitlist
+ * @route   POST /api/patient/children/:childId/waitlist
+ * @desc    Join the waitlist of one provider. Pass the full slot the
+ *          booking failed on (slotId) to wait for that provider on that
+ *          day, or name the provider and a date range directly.
+ * @access  Private (patient)
+ *
+ * Body:
+ *   slotId?                                  — provider + day taken from it
+ *   doctorId | dentistId | laboratoryId | hospitalId
+ *   dateFrom?, dateTo?                       — inclusive, max 60 days
+ *   timeFrom?, timeTo?                       — HH:MM window
+ *   reasonForVisit (required), priority?
+ */
+exports.joinWaitlist = async (req, res) => {
+  try {
+    const patientRef = req.patientRef || getPatientRefFromAccount(req.account);
+    if (!patientRef) {
+      return res.status(403).json({
+        success: false,
+        message: 'الحساب غير مرتبط بمريض'
+      });
+    }
+
+    const {
+      slotId, timeFrom, timeTo, reasonForVisit, priority
+    } = req.body || {};
+    let { dateFrom, dateTo } = req.body || {};
+
+    const provider = {};
+    if (slotId) {
+      if (!mongoose.Types.ObjectId.isValid(slotId)) {
+        return res.status(400).json({ success: false, message: 'slotId غير صحيح' });
+      }
+      const slot = await AvailabilitySlot.findById(slotId).lean();
+      if (!slot) {
+        return res.status(404).json({ success: false, message: 'الموعد غير موجود' });
+      }
+      const field = WaitlistEntry.PROVIDER_FIELDS.find(f => slot[f]);
+      provider[field] = slot[field];
+      dateFrom = dateFrom || slot.date;
+      dateTo = dateTo || slot.date;
+    } else {
+      WaitlistEntry.PROVIDER_FIELDS.forEach((field) => {
+        if (req.body[field]) provider[field] = req.body[field];
+      });
+    }
+
+    const providerKeys = Object.keys(provider);
+    if (providerKeys.length !== 1 || !mongoose.Types.ObjectId.isValid(provider[providerKeys[0]])) {
+      return res.status(400).json({
+        success: false,
+        message: 'يجب تحديد slotId أو مقدم خدمة واحد'
+      });
+    }
+
+    const today = new Date();
+    today.setHours(0, 0, 0, 0);
+    const from = new Date(dateFrom || today);
+    const to = new Date(dateTo || dateFrom || today);
+    if (Number.isNaN(from.getTime()) || Number.isNaN(to.getTime())) {
+      return res.status(400).json({ success: false, message: 'التاريخ غير صحيح' });
+    }
+    to.setHours(0, 0, 0, 0);
+    if (to < today) {
+      return res.status(400).json({
+        success: false,
+        message: 'لا يمكن الانتظار على تاريخ مضى'
+      });
+    }
+    if ((to - from) / (24 * 60 * 60 * 1000) > MAX_RANGE_DAYS) {
+      return res.status(400).json({
+        success: false,
+        message: `مدة الانتظار يجب ألا تتجاوز ${MAX_RANGE_DAYS} يوماً`
+      });
+    }
+
+    const openEntries = await WaitlistEntry.find({
+      ...patientRef,
+      status: { $in: WaitlistEntry.OPEN_STATUSES }
+    }).lean();
+    if (openEntries.length >= MAX_OPEN_ENTRIES) {
+      return res.status(409).json({
+        success: false,
+        message: `لا يمكن الانتظار على أكثر من ${MAX_OPEN_ENTRIES} مقدمي خدمة في الوقت نفسه`
+      });
+    }
+    const duplicate = openEntries.find(e =>
+      String(e[providerKeys[0]]) === String(provider[providerKeys[0]]));
+    if (duplicate) {
+      return res.status(409).json({
+        success: false,
+        message: 'أنت مسجل بالفعل في قائمة انتظار مقدم الخدمة هذا',
+        entry: duplicate
+      });
+    }
+
+    const entry = await WaitlistEntry.create({
+      ...patientRef,
+      ...provider,
+      dateFrom: from < today ? today : from,
+      dateTo: to,
+      timeFrom,
+      timeTo,
+      reasonForVisit,
+      priority,
+      requestedBy: req.user._id
+    });
+
+    const position = await WaitlistEntry.countDocuments({
+      ...provider,
+      status: 'waiting',
+      createdAt: { $lte: entry.createdAt }
+    });
+
+    console.log(`✅ Waitlist entry ${entry._id} created (position ${position})`);
+    recordWaitlistAudit(req, 'JOIN_WAITLIST', entry, {
+      ...provider,
+      dateFrom: entry.dateFrom,
+      dateTo: entry.dateTo,
+      ...(req.patientRef && { bookedByGuardian: req.user.personId })
+    });
+
+    return res.status(201).json({
+      success: true,
+      message: 'تمت إضافتك إلى قائمة الانتظار. سنبلغك فور توفر موعد',
+      entry,
+      position
+    });
+  } catch (error) {
+    console.error('❌ Join waitlist error:', error);
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: Object.values(error.errors).map(e => e.message)[0] || 'خطأ في البيانات'
+      });
+    }
+    if (error.message && !error.name?.startsWith('Mongo') && error.name !== 'CastError') {
+      return res.status(400).json({ success: false, message: error.message });
+    }
+    return res.status(500).json({
+      success: false,
+      message: 'حدث خطأ في الانضمام إلى قائمة الانتظار'
+    });
+  }
+};
+
+// ============================================================================
+// 2. GET MY WAITLIST
+// ============================================================================
+
+/**
+ * @route   GET /api/appointments/waitlist/mine
+ * @route   GET /api/patient/children/:childId/waitlist
+ * @desc    Caller's open entries (?all=true for history). Waiting entries
+ *          carry their queue position; offered ones the held slot.
+ * @access  Private (patient)
+ */
+exports.getMyWaitlist = async (req, res) => {
+  try {
+    const patientRef = req.patientRef || getPatientRefFromAccount(req.account);
+    if (!patientRef) {
+      return res.status(403).json({
+        success: false,
+        message: 'الحساب غير مرتبط بمريض'
+      });
+    }
+
+    const filter = { ...patientRef };
+    if (req.query.all !== 'true') filter.status = { $in: WaitlistEntry.OPEN_STATUSES };
+
+    const entries = await WaitlistEntry.find(filter)
+      .sort({ createdAt: -1 })
+      .limit(100)
+      .populate('offer.slotId', 'date startTime endTime')
+      .populate('doctorId', 'specialization')
+      .populate('dentistId', 'specialization')
+      .populate('laboratoryId', 'name arabicName')
+      .populate('hospitalId', 'name arabicName')
+      .lean();
+
+    const withPosition = await Promise.all(entries.map(async (entry) => {
+      if (entry.status !== 'waiting') return entry;
+      const field = WaitlistEntry.PROVIDER_FIELDS.find(f => entry[f]);
+      const position = await WaitlistEntry.countDocuments({
+        [field]: entry[field]._id || entry[field],
+        status: 'waiting',
+        createdAt: { $lte: entry.createdAt }
+      });
+      return { ...entry, position };
+    }));
+
+    return res.json({
+      success: true,
+      count: withPosition.length,
+      entries: withPosition
+    });
+  } catch (error) {
+    console.error('Get waitlist error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'حدث خطأ في جلب قائمة الانتظار'
+    });
+  }
+};
+
+// ============================================================================
+// 3. CONFIRM OFFER
+// ============================================================================
+
+/**
+ * @route   POST /api/appointments/waitlist/:id/confirm
+ * @desc    Book the slot held for this entry. Fails with 409 once the
+ *          hold has lapsed.
+ * @access  Private (patient owner, child's parent)
+ *
+ * Body: { notes? }
+ */
+exports.confirmOffer = async (req, res) => {
+  try {
+    const entry = await loadOwnEntry(req, res);
+    if (!entry) return;
+
+    if (entry.status !== 'offered') {
+      return res.status(409).json({
+        success: false,
+        message: 'لا يوجد موعد معروض على هذا الطلب'
+      });
+    }
+
+    const appointment = await waitlistService.confirmOffer(entry, req.body || {});
+    if (!appointment) {
+      return res.status(409).json({
+        success: false,
+        message: 'انتهت مهلة تأكيد الموعد المعروض'
+      });
+    }
+
+    console.log(`✅ Waitlist entry ${entry._id} booked → appointment ${appointment._id}`);
+    AuditLog.record({
+      userId: req.user._id,
+      userEmail: req.user.email,
+      action: 'BOOK_APPOINTMENT',
+      description: `Booked appointment from waitlist for ${appointment.appointmentDate.toISOString().slice(0, 10)} ${appointment.appointmentTime}`,
+      resourceType: 'appointment',
+      resourceId: appointment._id,
+      patientPersonId: appointment.patientPersonId,
+      patientChildId: appointment.patientChildId,
+      ipAddress: req.ip || 'unknown',
+      success: true,
+      metadata: { slotId: appointment.slotId, waitlistEntryId: entry._id }
+    });
+
+    return res.status(201).json({
+      success: true,
+      message: 'تم حجز الموعد بنجاح',
+      appointment
+    });
+  } catch (error) {
+    console.error('❌ Confirm waitlist offer error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'حدث خطأ في تأكيد الموعد'
+    });
+  }
+};
+
+// ============================================================================
+// 4. DECLINE OFFER
+// ============================================================================
+
+/**
+ * @route   POST /api/appointments/waitlist/:id/decline
+ * @desc    Turn down the held slot. The entry stays on the waitlist and the
+ *          slot is offered to the next patient.
+ * @access  Private (patient owner, child's parent)
+ */
+exports.declineOffer = async (req, res) => {
+  try {
+    const entry = await loadOwnEntry(req, res);
+    if (!entry) return;
+
+    const updated = entry.status === 'offered'
+      ? await waitlistService.passOnOffer(entry)
+      : null;
+    if (!updated) {
+      return res.status(409).json({
+        success: false,
+        message: 'لا يوجد موعد معروض على هذا الطلب'
+      });
+    }
+
+    recordWaitlistAudit(req, 'DECLINE_WAITLIST_OFFER', entry, { slotId: entry.offer?.slotId });
+
+    return res.json({
+      success: true,
+      message: 'تم رفض الموعد المعروض وما زلت في قائمة الانتظار',
+      entry: updated
+    });
+  } catch (error) {
+    console.error('❌ Decline waitlist offer error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'حدث خطأ في رفض الموعد'
+    });
+  }
+};
+
+// ============================================================================
+// 5. LEAVE WAITLIST
+// ============================================================================
+
+/**
+ * @route   DELETE /api/appointments/waitlist/:id
+ * @desc    Leave the waitlist. A slot currently held for the entry goes to
+ *          the next patient.
+ * @access  Private (patient owner, child's parent)
+ */
+exports.leaveWaitlist = async (req, res) => {
+  try {
+    const entry = await loadOwnEntry(req, res);
+    if (!entry) return;
+
+    const cancelled = await waitlistService.cancelEntry(entry);
+    if (!cancelled) {
+      return res.status(409).json({
+        success: false,
+        message: 'طلب الانتظار مغلق بالفعل'
+      });
+    }
+
+    recordWaitlistAudit(req, 'LEAVE_WAITLIST', entry);
+
+    return res.json({
+      success: true,
+      message: 'تم الخروج من قائمة الانتظار'
+    });
+  } catch (error) {
+    console.error('❌ Leave waitlist error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'حدث خطأ في الخروج من قائمة الانتظار'
+    });
+  }
+};
+
+// ============================================================================
+// 6. GET PROVIDER WAITLIST
+// ============================================================================
+
+/**
+ * @route   GET /api/appointments/waitlist/provider
+ * @desc    Open waitlist entries for the caller's schedule, oldest first.
+ *          Lets the provider see demand before adding extra slots.
+ * @access  Private (doctor, dentist, lab_technician)
+ */
+exports.getProviderWaitlist = async (req, res) => {
+  try {
+    const owner = await scheduleService.resolveProviderOwner(req.user);
+    if (!owner) {
+      return res.status(403).json({
+        success: false,
+        message: 'الحساب غير مرتبط بطبيب أو طبيب أسنان أو مختبر'
+      });
+    }
+
+    const entries = await WaitlistEntry.find({
+      ...owner,
+      status: { $in: WaitlistEntry.OPEN_STATUSES }
+    })
+      .sort({ createdAt: 1 })
+      .select('patientPersonId patientChildId dateFrom dateTo timeFrom timeTo reasonForVisit priority status offer createdAt')
+      .populate('patientPersonId', 'firstName lastName')
+      .populate('patientChildId', 'firstName lastName')
+      .lean();
+
+    return res.json({
+      success: true,
+      count: entries.length,
+      waiting: entries.filter(e => e.status === 'waiting').length,
+      offered: entries.filter(e => e.status === 'offered').length,
+      entries
+    });
+  } catch (error) {
+    console.error('Get provider waitlist error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'حدث خطأ في جلب قائمة الانتظار'
+    });
+  }
+};
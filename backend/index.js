@@ -10,17 +10,18 @@
  *  Boot sequence:
  *    1. Load environment variables
  *    2. Connect to MongoDB
- *    3. Register all 25 Mongoose models (via models/index.js barrel)
+ *    3. Register all Mongoose models (via models/index.js barrel)
  *    4. Apply security middleware (helmet, cors)
  *    5. Apply body parsers + request logging
  *    6. Serve static uploads
  *    7. Mount all API routes
  *    8. Register error handlers
- *    9. Start HTTP listener
+ *    9. Start HTTP listener + background jobs (jobs/index.js)
  *
  *  Optional env flags:
  *    SYNC_INDEXES=true   → calls mongoose.syncIndexes() on every model at boot
  *                          (useful after schema changes; slower startup)
+ *    DISABLE_JOBS=true   → don't start background jobs on this instance
  * ═══════════════════════════════════════════════════════════════════════════
  */
 
@@ -141,13 +142,13 @@ mongoose.connection.on('disconnected', () => {
 });
 
 // ============================================================================
-// 5. REGISTER ALL 25 MODELS
+// 5. REGISTER ALL MODELS
 // ============================================================================
 
 // Importing the barrel registers every model with mongoose so subsequent
 // require()s of any model return the same compiled instance.
 require('./models');
-console.log('✅ All Mongoose models registered (25 collections)');
+console.log(`✅ All Mongoose models registered (${mongoose.modelNames().length} collections)`);
 
 // Optionally sync indexes — useful after schema changes during development.
 // Skip this in production; instead run a one-off migration script.
@@ -168,6 +169,9 @@ async function syncAllIndexes() {
   console.log('✅ Index sync complete');
 }
 
+// Background jobs (slot materialisation, ...) — started after the DB is up
+const { startJobs, stopJobs } = require('./jobs');
+
 // ============================================================================
 // 6. ROUTE MOUNTING
 // ============================================================================
@@ -187,6 +191,10 @@ app.use('/api/doctor', doctorRoutes);                     // ← ADD THIS
 app.use('/api/visits', visitRoutes);
 app.use('/api/ecg', ecgRoutes);
 
+// ── Dentist clinical routes (search, visits, KPIs) ──────────────────────────
+const dentistRoutes = require('./routes/dentist');
+app.use('/api/dentist', dentistRoutes);
+
 // ── New routes — Batch B1: Prescriptions ────────────────────────────────────
 const prescriptionRoutes = require('./routes/prescription');
 app.use('/api/prescriptions', prescriptionRoutes);
@@ -212,6 +220,14 @@ const appointmentRoutes = require('./routes/appointment');
 app.use('/api/slots', slotRoutes);
 app.use('/api/appointments', appointmentRoutes);
 
+// ── Calendar (.ics) feeds ───────────────────────────────────────────────────
+const calendarRoutes = require('./routes/calendar');
+app.use('/api/calendar', calendarRoutes);
+
+// ── Payments + receipts ─────────────────────────────────────────────────────
+const paymentRoutes = require('./routes/payment');
+app.use('/api/payments', paymentRoutes);
+
 // ── New routes — Batch B5: Emergency + Notifications ────────────────────────
 const emergencyRoutes = require('./routes/emergency');
 const notificationRoutes = require('./routes/notification');
@@ -222,6 +238,14 @@ app.use('/api/notifications', notificationRoutes);
 const medicationRoutes = require('./routes/medication');
 app.use('/api/medications', medicationRoutes);
 
+// ── Provider profiles (reviews + rating breakdown + next slots) ─────────────
+const providerRoutes = require('./routes/provider');
+app.use('/api/providers', providerRoutes);
+
+// ── Hospital directory (search + staff listing) ─────────────────────────────
+const hospitalRoutes = require('./routes/hospital');
+app.use('/api/hospitals', hospitalRoutes);
+
 console.log('✅ All API routes mounted');
 
 // ── Facility search — public endpoints for signup autocomplete ──────────────
@@ -250,6 +274,7 @@ app.get('/', (req, res) => {
         verifyOTP: 'POST   /api/auth/verify-otp',
         resetPassword: 'POST   /api/auth/reset-password',
         registerDoctor: 'POST   /api/auth/register-doctor-request',
+        registerDentist: 'POST   /api/auth/register-dentist',
         checkDoctorReq: 'GET    /api/auth/doctor-request-status/:requestId'
       },
       admin: {
@@ -260,7 +285,22 @@ app.get('/', (req, res) => {
         rejectRequest: 'POST   /api/admin/doctor-requests/:id/reject',
         patients: 'GET    /api/admin/patients',
         deactivate: 'POST   /api/admin/accounts/:id/deactivate',
-        auditLogs: 'GET    /api/admin/audit-logs'
+        auditLogs: 'GET    /api/admin/audit-logs',
+        admins: 'GET    /api/admin/admins',
+        createAdmin: 'POST   /api/admin/admins',
+        updateAdmin: 'PATCH  /api/admin/admins/:id',
+        deactivateAdmin: 'PATCH  /api/admin/admins/:id/deactivate',
+        reviewQueue: 'GET    /api/admin/reviews?status=pending',
+        moderateReview: 'POST   /api/admin/reviews/:id/approve|reject|flag',
+        migrationQueue: 'GET    /api/admin/children/migration-queue',
+        migrateChild: 'POST   /api/admin/children/:childId/migrate',
+        createHoliday: 'POST   /api/admin/holidays (?preview=true)',
+        seedHolidays: 'POST   /api/admin/holidays/seed',
+        withdrawHoliday: 'DELETE /api/admin/holidays/:id',
+        hospitals: 'GET    /api/admin/hospitals',
+        createHospital: 'POST   /api/admin/hospitals',
+        updateHospital: 'PATCH  /api/admin/hospitals/:id',
+        deactivateHospital: 'PATCH  /api/admin/hospitals/:id/deactivate'
       },
       patient: {
         me: 'GET    /api/patient/me',
@@ -269,8 +309,28 @@ app.get('/', (req, res) => {
         myPrescriptions: 'GET    /api/patient/me/prescriptions',
         myAppointments: 'GET    /api/patient/me/appointments',
         medicalSummary: 'GET    /api/patient/me/medical-summary',
+        submitReview: 'POST   /api/patient/reviews',
+        migrateChild: 'POST   /api/patient/children/:childId/migrate',
+        children: 'GET    /api/patient/children',
+        childContext: 'GET    /api/patient/children/:childId[/visits|/lab-tests|/prescriptions|/appointments]',
+        bookForChild: 'POST   /api/patient/children/:childId/appointments',
+        childWaitlist: 'GET|POST /api/patient/children/:childId/waitlist',
+        bookLabTest: 'POST   /api/patient[/children/:childId]/lab-tests/:labTestId/book',
+        cancelForChild: 'PATCH  /api/patient/children/:childId/appointments/:id/cancel',
+        accessGrants: 'GET    /api/patient/me/access-grants',
+        grantAccess: 'POST   /api/patient/me/access-grants',
+        revokeAccess: 'PATCH  /api/patient/me/access-grants/:grantId/revoke',
+        accessLog: 'GET    /api/patient/me/access-log',
+        breakGlass: 'POST   /api/patient/:nationalId-or-CRN/break-glass',
         lookupByID: 'GET    /api/patient/:nationalId-or-CRN'
       },
+      dentist: {
+        searchPatient: 'GET    /api/dentist/search/:nationalId',
+        createVisit: 'POST   /api/dentist/patient/:nationalId/visit',
+        patientVisits: 'GET    /api/dentist/patient/:nationalId/visits',
+        myVisits: 'GET    /api/dentist/visits',
+        kpis: 'GET    /api/dentist/dashboard/kpis'
+      },
       visits: {
         create: 'POST   /api/visits',
         getById: 'GET    /api/visits/:id',
@@ -289,6 +349,8 @@ app.get('/', (req, res) => {
         verifyByCode: 'POST   /api/prescriptions/verify-code (pharmacist)',
         cancel: 'POST   /api/prescriptions/:id/cancel',
         checkInteractions: 'POST   /api/prescriptions/check-interactions',
+        checkDose: 'POST   /api/prescriptions/check-dose',
+        requestRenewal: 'POST   /api/prescriptions/:id/request-renewal (patient)',
         byDoctor: 'GET    /api/prescriptions/doctor/:doctorId',
         byPatient: 'GET    /api/prescriptions/patient/:identifier'
       },
@@ -331,6 +393,15 @@ app.get('/', (req, res) => {
         mySlots: 'GET    /api/slots/mine',
         create: 'POST   /api/slots',
         bulkGenerate: 'POST   /api/slots/generate',
+        templates: 'GET    /api/slots/templates',
+        createTemplate: 'POST   /api/slots/templates',
+        updateTemplate: 'PATCH  /api/slots/templates/:id',
+        deactivateTemplate: 'DELETE /api/slots/templates/:id',
+        materializeTemplate: 'POST   /api/slots/templates/:id/materialize',
+        holidays: 'GET    /api/slots/holidays?year= (PUBLIC)',
+        myLeave: 'GET    /api/slots/leave',
+        createLeave: 'POST   /api/slots/leave (?preview=true)',
+        withdrawLeave: 'DELETE /api/slots/leave/:id',
         block: 'POST   /api/slots/:id/block',
         unblock: 'POST   /api/slots/:id/unblock',
         delete: 'DELETE /api/slots/:id'
@@ -344,7 +415,36 @@ app.get('/', (req, res) => {
         confirm: 'POST   /api/appointments/:id/confirm',
         checkIn: 'POST   /api/appointments/:id/check-in',
         complete: 'POST   /api/appointments/:id/complete',
-        reschedule: 'POST   /api/appointments/:id/reschedule'
+        reschedule: 'POST   /api/appointments/:id/reschedule',
+        markNoShow: 'POST   /api/appointments/:id/no-show',
+        downloadIcs: 'GET    /api/appointments/:id/ics',
+        joinWaitlist: 'POST   /api/appointments/waitlist',
+        myWaitlist: 'GET    /api/appointments/waitlist/mine',
+        providerWaitlist: 'GET    /api/appointments/waitlist/provider',
+        confirmWaitlistOffer: 'POST   /api/appointments/waitlist/:id/confirm',
+        declineWaitlistOffer: 'POST   /api/appointments/waitlist/:id/decline',
+        leaveWaitlist: 'DELETE /api/appointments/waitlist/:id',
+        queue: 'GET    /api/appointments/queue',
+        nowServing: 'GET    /api/appointments/queue/now-serving?doctorId=|dentistId=|laboratoryId=',
+        callNext: 'POST   /api/appointments/queue/call-next',
+        callPatient: 'POST   /api/appointments/:id/call',
+        registerWalkIn: 'POST   /api/appointments/walk-in',
+        confirmFollowUp: 'POST   /api/appointments/:id/confirm-follow-up',
+        joinVideoRoom: 'POST   /api/appointments/:id/video/join',
+        leaveVideoRoom: 'POST   /api/appointments/:id/video/leave'
+      },
+      calendar: {
+        feedStatus: 'GET    /api/calendar/feed',
+        issueFeed: 'POST   /api/calendar/feed (rotates)',
+        revokeFeed: 'DELETE /api/calendar/feed',
+        feed: 'GET    /api/calendar/feed/:token.ics (PUBLIC, secret token)'
+      },
+      payments: {
+        record: 'POST   /api/payments',
+        list: 'GET    /api/payments?appointmentId=...|visitId=...',
+        mine: 'GET    /api/payments/mine',
+        refund: 'POST   /api/payments/:id/refund',
+        receipt: 'GET    /api/payments/:id/receipt (HTML; ?format=json)'
       },
       emergency: {
         submit: 'POST   /api/emergency (multipart)',
@@ -371,7 +471,19 @@ app.get('/', (req, res) => {
         getById: 'GET    /api/medications/:id',
         create: 'POST   /api/medications (admin)',
         update: 'PATCH  /api/medications/:id (admin)',
-        discontinue: 'DELETE /api/medications/:id (admin)'
+        discontinue: 'DELETE /api/medications/:id (admin)',
+        interactions: 'GET    /api/medications/interactions?ingredient=&severity=',
+        saveInteraction: 'PUT    /api/medications/interactions (admin)',
+        deactivateInteraction: 'DELETE /api/medications/interactions/:id (admin)'
+      },
+      providers: {
+        profile: 'GET    /api/providers/:doctor|dentist|pharmacy|laboratory/:id',
+        reviews: 'GET    /api/providers/:providerType/:id/reviews?rating=&page='
+      },
+      hospitals: {
+        search: 'GET    /api/hospitals?governorate=&city=&service=',
+        getById: 'GET    /api/hospitals/:id',
+        doctors: 'GET    /api/hospitals/:id/doctors'
       }
     }
   });
@@ -454,6 +566,7 @@ app.use((err, req, res, next) => {
 async function start() {
   await connectDatabase();
   await syncAllIndexes(); // No-op unless SYNC_INDEXES=true
+  startJobs();            // No-op when DISABLE_JOBS=true
 
   app.listen(PORT, () => {
     console.log('');
@@ -479,6 +592,7 @@ async function start() {
 ['SIGINT', 'SIGTERM'].forEach(signal => {
   process.on(signal, async () => {
     console.log(`\n📴 Received ${signal} — shutting down gracefully...`);
+    stopJobs();
     try {
       await mongoose.connection.close();
       console.log('✅ MongoDB connection closed');
@@ -0,0 +1,118 @@
+/**
+ * ═══════════════════════════════════════════════════════════════════════════
+ *  Background Jobs — Patient 360°
+ *  ─────────────────────────────────────────────────────────────────────────
+ *  In-process interval jobs started by index.js once MongoDB is connected.
+ *  Each job runs once at boot and then every `intervalMinutes`. A run never
+ *  overlaps the previous run of the same job, and a failing run is logged
+ *  without stopping the timer.
+ *
+ *  Jobs:
+ *    materialize-slots — keep every active ScheduleTemplate materialised
+ *                        as AvailabilitySlot documents for its rolling
+ *                        window (services/scheduleService)
+ *    expire-waitlist-holds — pass lapsed waitlist holds to the next patient
+ *                        and close entries whose date range is over
+ *                        (services/waitlistService)
+ *    appointment-reminders — notify patients 24h and 2h before their
+ *                        appointment (services/reminderService)
+ *    mark-no-shows     — mark unchecked-in past appointments no_show and
+ *                        count them on the patient profile
+ *    expire-follow-ups — cancel auto-booked follow-ups the patient did not
+ *                        confirm in time (services/followUpService)
+ *
+ *  Env flags:
+ *    DISABLE_JOBS=true                        → start nothing (e.g. when a
+ *                                                second API instance runs)
+ *    SLOT_MATERIALIZE_INTERVAL_MINUTES=360    → materialize-slots period
+ *    WAITLIST_SWEEP_INTERVAL_MINUTES=5        → expire-waitlist-holds period
+ *    REMINDER_INTERVAL_MINUTES=10             → appointment-reminders period
+ *    NO_SHOW_SWEEP_INTERVAL_MINUTES=30        → mark-no-shows period
+ *    FOLLOW_UP_SWEEP_INTERVAL_MINUTES=30      → expire-follow-ups period
+ *    FOLLOW_UP_CONFIRM_HOURS=48               → time a patient has to
+ *                                                confirm a follow-up
+ *    NO_SHOW_GRACE_MINUTES=60                 → minutes after start time
+ *                                                before a no-show is marked
+ *
+ *  When running several API instances, enable jobs on exactly one of them.
+ * ═══════════════════════════════════════════════════════════════════════════
+ */
+
+const scheduleService = require('../services/scheduleService');
+const waitlistService = require('../services/waitlistService');
+const reminderService = require('../services/reminderService');
+const followUpService = require('../services/followUpService');
+
+const JOBS = [
+  {
+    name: 'materialize-slots',
+    intervalMinutes: parseInt(process.env.SLOT_MATERIALIZE_INTERVAL_MINUTES, 10) || 360,
+    run: () => scheduleService.materializeAllTemplates()
+  },
+  {
+    name: 'expire-waitlist-holds',
+    intervalMinutes: parseInt(process.env.WAITLIST_SWEEP_INTERVAL_MINUTES, 10) || 5,
+    run: () => waitlistService.expireHolds()
+  },
+  {
+    name: 'appointment-reminders',
+    intervalMinutes: parseInt(process.env.REMINDER_INTERVAL_MINUTES, 10) || 10,
+    run: () => reminderService.sendDueReminders()
+  },
+  {
+    name: 'mark-no-shows',
+    intervalMinutes: parseInt(process.env.NO_SHOW_SWEEP_INTERVAL_MINUTES, 10) || 30,
+    run: () => reminderService.markNoShows()
+  },
+  {
+    name: 'expire-follow-ups',
+    intervalMinutes: parseInt(process.env.FOLLOW_UP_SWEEP_INTERVAL_MINUTES, 10) || 30,
+    run: () => followUpService.expireUnconfirmed()
+  }
+];
+
+const timers = [];
+
+function schedule(job) {
+  let running = false;
+
+  const tick = async () => {
+    if (running) return;
+    running = true;
+    try {
+      await job.run();
+    } catch (error) {
+      console.error(`❌ [jobs] ${job.name} failed:`, error.message);
+    } finally {
+      running = false;
+    }
+  };
+
+  const timer = setInterval(tick, job.intervalMinutes * 60 * 1000);
+  // Don't keep the process alive just for the timer
+  timer.unref();
+  timers.push(timer);
+
+  setImmediate(tick);
+}
+
+/**
+ * Start every job. Safe to call once per process.
+ */
+exports.startJobs = () => {
+  if (process.env.DISABLE_JOBS === 'true') {
+    console.log('⏸️  Background jobs disabled (DISABLE_JOBS=true)');
+    return;
+  }
+  if (timers.length > 0) return;
+
+  JOBS.forEach(schedule);
+  console.log(`⏱️  Background jobs started: ${JOBS.map(j => `${j.name} (${j.intervalMinutes}m)`).join(', ')}`);
+};
+
+/**
+ * Stop every job timer (graceful shutdown).
+ */
+exports.stopJobs = () => {
+  timers.splice(0).forEach(clearInterval);
+};
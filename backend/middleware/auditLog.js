@@ -52,6 +52,7 @@ function inferResourceType(action) {
 
   // Order matters — most specific first
   if (upper.includes('DOCTOR_REQUEST')) return 'doctor_request';
+  if (upper.includes('REVIEW'))         return 'review';
   if (upper.includes('PRESCRIPTION'))   return 'prescription';
   if (upper.includes('DISPENSING'))     return 'pharmacy_dispensing';
   if (upper.includes('LAB_TEST'))       return 'lab_test';
@@ -71,6 +72,7 @@ function inferResourceType(action) {
   if (upper.includes('PHARMACY'))       return 'pharmacy';
   if (upper.includes('LABORATORY'))     return 'laboratory';
   if (upper.includes('HOSPITAL'))       return 'hospital';
+  if (upper.includes('ADMIN'))          return 'admin';
   if (upper.includes('STATISTICS'))     return 'admin';
   if (upper.includes('AUDIT'))          return 'audit';
   if (upper.includes('LOGIN'))          return 'account';
@@ -132,7 +134,7 @@ exports.auditLog = (action) => {
       } else if (req.params.patientChildId) {
         patientChildId = req.params.patientChildId;
       } else if (req.targetPatient) {
-        // Set by routes/patient.js verifyPatientAccess middleware
+        // Set by middleware/patientAccess.js (resolveTargetPatient / resolveVisitPatient)
         patientPersonId = req.targetPatient.patientPersonId;
         patientChildId = req.targetPatient.patientChildId;
       }
@@ -144,7 +146,7 @@ exports.auditLog = (action) => {
         action,
         description: `${action} by ${req.account?.email || 'anonymous'}`,
         resourceType: inferResourceType(action),
-        resourceId: req.params.id || undefined,
+        resourceId: req.params.id || req.params.visitId || undefined,
         patientPersonId,
         patientChildId,
         ipAddress: req.ip || req.connection?.remoteAddress || 'unknown',
@@ -157,7 +159,14 @@ exports.auditLog = (action) => {
           endpoint: req.originalUrl,
           query: req.query,
           // Don't log body — could contain passwords, OTPs, sensitive data
-          paramKeys: Object.keys(req.params)
+          paramKeys: Object.keys(req.params),
+          // The consent / break-glass grant that let clinical staff in
+          // (middleware/patientAccess.js) — break-glass reads show as
+          // emergency access in the patient's access log
+          ...(req.accessGrant && {
+            accessType: req.accessGrant.accessType,
+            accessGrantId: req.accessGrant._id
+          })
         }
       };
 
@@ -2,7 +2,7 @@
  * ═══════════════════════════════════════════════════════════════════════════
  *  Authentication & Authorization Middleware — Patient 360°
  *  ─────────────────────────────────────────────────────────────────────────
- *  Two middleware functions:
+ *  Three middleware functions:
  *
  *    1. protect(req, res, next)
  *       - Verifies the JWT token from the Authorization header
@@ -14,6 +14,11 @@
  *       - Used after protect() to restrict by role
  *       - Example: router.get('/admin', protect, authorize('admin'), handler)
  *
+ *    3. requirePermission(permission)
+ *       - Used after authorize('admin') to enforce Admin.permissions
+ *       - super_admin implicitly holds every permission (Admin.methods.can)
+ *       - Example: router.get('/audit-logs', requirePermission('view_audit_logs'), handler)
+ *
  *  Conventions kept from existing code:
  *    - Arabic error messages
  *    - { success, message } response shape
@@ -23,7 +28,7 @@
  */
 
 const jwt = require('jsonwebtoken');
-const { Account } = require('../models');
+const { Account, Admin } = require('../models');
 
 // ============================================================================
 // PROTECT MIDDLEWARE — verifies JWT and loads the user
@@ -183,6 +188,77 @@ exports.authorize = (...allowedRoles) => {
   };
 };
 
+// ============================================================================
+// REQUIRE PERMISSION MIDDLEWARE — fine-grained admin RBAC
+// ============================================================================
+
+/**
+ * Restrict an admin route to admins holding a specific permission from
+ * Admin.KNOWN_PERMISSIONS. Must be used AFTER protect() (and normally after
+ * authorize('admin')).
+ *
+ * The Admin profile is loaded once per request via the account's personId
+ * and cached on req.admin so stacked permission checks don't re-query.
+ *
+ * Usage:
+ *   router.get('/audit-logs', protect, authorize('admin'),
+ *     requirePermission('view_audit_logs'), handler);
+ *
+ * @param {string} permission - one of Admin.KNOWN_PERMISSIONS
+ * @returns Express middleware function
+ */
+exports.requirePermission = (permission) => {
+  return async (req, res, next) => {
+    try {
+      if (!req.account) {
+        console.log('❌ PERMISSION: req.account missing — protect() not called?');
+        return res.status(500).json({
+          success: false,
+          message: 'خطأ في إعداد الصلاحيات'
+        });
+      }
+
+      if (req.admin === undefined) {
+        req.admin = req.account.personId
+          ? await Admin.findOne({ personId: req.account.personId })
+          : null;
+      }
+
+      if (!req.admin) {
+        console.log('❌ PERMISSION: No Admin profile for', req.account.email);
+        return res.status(403).json({
+          success: false,
+          message: 'لا يوجد ملف إداري مرتبط بهذا الحساب',
+          missingPermission: permission
+        });
+      }
+
+      if (!req.admin.can(permission)) {
+        console.log(
+          '❌ PERMISSION: %s (%s) lacks [%s]',
+          req.account.email,
+          req.admin.adminLevel,
+          permission
+        );
+        return res.status(403).json({
+          success: false,
+          message: `ليس لديك الصلاحية المطلوبة: ${permission}`,
+          missingPermission: permission
+        });
+      }
+
+      return next();
+
+    } catch (error) {
+      console.error('❌ PERMISSION ERROR:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'حدث خطأ في التحقق من الصلاحيات'
+      });
+    }
+  };
+};
+
 // ============================================================================
 // OPTIONAL AUTH — for routes that work both logged-in and anonymously
 // ============================================================================
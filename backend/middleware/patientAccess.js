@@ -0,0 +1,252 @@
+/**
+ * ═══════════════════════════════════════════════════════════════════════════
+ *  Patient Access Middleware — Patient 360°
+ *  ─────────────────────────────────────────────────────────────────────────
+ *  Consent enforcement for every route that opens a patient's record.
+ *  Three middleware functions, used after protect():
+ *
+ *    1. resolveTargetPatient
+ *       - Resolves :identifier (or :nationalId) — national ID or CRN — to
+ *         req.targetPatient ({ patientPersonId } or { patientChildId })
+ *
+ *    2. resolveVisitPatient / resolvePrescriptionPatient /
+ *       resolveLabTestPatient
+ *       - Same for routes keyed by one record (:visitId or :id); also flag
+ *         req.isRecordAuthor when the caller wrote or runs that record
+ *
+ *    3. verifyPatientAccess
+ *       - Owner, guardian and admin always pass
+ *       - Clinical staff need an active AccessGrant (consent or
+ *         break-glass) covering them, their facility or their hospital;
+ *         the matched grant is exposed as req.accessGrant
+ *
+ *  Used by routes/patient.js, doctor.js, dentist.js, visit.js,
+ *  prescription.js, labTest.js, lab.js and pharmacist.js.
+ *
+ *  Conventions kept from existing code:
+ *    - Arabic error messages
+ *    - { success, message } response shape
+ *    - Try/catch in every async function
+ * ═══════════════════════════════════════════════════════════════════════════
+ */
+
+const {
+  Person, Children, Visit, Prescription, LabTest, Doctor, Dentist, LabTechnician
+} = require('../models');
+const accessGrantService = require('../services/accessGrantService');
+
+const CLINICAL_ROLES = ['doctor', 'dentist', 'pharmacist', 'lab_technician'];
+
+// ============================================================================
+// RESOLVE TARGET PATIENT — by national ID / CRN
+// ============================================================================
+
+/**
+ * Resolves :identifier (routes/patient.js, prescription.js) or :nationalId
+ * (doctor.js, dentist.js, lab.js, pharmacist.js) to req.targetPatient.
+ */
+exports.resolveTargetPatient = async (req, res, next) => {
+  try {
+    const identifier = String(req.params.identifier || req.params.nationalId || '').trim();
+
+    let targetRef = null;
+
+    if (/^\d{11}$/.test(identifier)) {
+      const adult = await Person.findOne({ nationalId: identifier }).lean();
+      if (adult) {
+        targetRef = { patientPersonId: adult._id };
+      } else {
+        const child = await Children.findOne({ nationalId: identifier }).lean();
+        if (child) targetRef = { patientChildId: child._id };
+      }
+    } else if (identifier.startsWith('CRN-')) {
+      const child = await Children.findOne({
+        childRegistrationNumber: identifier
+      }).lean();
+      if (child) targetRef = { patientChildId: child._id };
+    }
+
+    if (!targetRef) {
+      return res.status(404).json({
+        success: false,
+        message: 'لم يتم العثور على المريض'
+      });
+    }
+
+    req.targetPatient = targetRef;
+    return next();
+  } catch (error) {
+    console.error('resolveTargetPatient error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'حدث خطأ في البحث عن المريض'
+    });
+  }
+};
+
+// ============================================================================
+// RESOLVE RECORD PATIENT — by visit / prescription / lab test ID
+// ============================================================================
+
+/**
+ * Resolver for routes keyed by one record: loads it by :visitId or :id,
+ * sets req.targetPatient to its patient and req.isRecordAuthor when
+ * `isAuthor(record, personId)` says the caller wrote or handles it.
+ */
+function recordPatientResolver({ Model, select, isAuthor, messages }) {
+  return async (req, res, next) => {
+    try {
+      const recordId = req.params.visitId || req.params.id;
+      if (!recordId || !String(recordId).match(/^[0-9a-fA-F]{24}$/)) {
+        return res.status(400).json({
+          success: false,
+          message: messages.invalid
+        });
+      }
+
+      const record = await Model.findById(recordId)
+        .select(`patientPersonId patientChildId ${select}`)
+        .lean();
+      if (!record) {
+        return res.status(404).json({
+          success: false,
+          message: messages.notFound
+        });
+      }
+
+      req.targetPatient = record.patientPersonId
+        ? { patientPersonId: record.patientPersonId }
+        : { patientChildId: record.patientChildId };
+
+      const personId = req.account.personId;
+      if (personId) req.isRecordAuthor = !!(await isAuthor(record, personId));
+
+      return next();
+    } catch (error) {
+      console.error(`resolve${Model.modelName}Patient error:`, error);
+      return res.status(500).json({
+        success: false,
+        message: messages.error
+      });
+    }
+  };
+}
+
+// The doctor / dentist who wrote a visit or prescription
+function isProviderAuthor(record, personId) {
+  if (record.doctorId) return Doctor.exists({ _id: record.doctorId, personId });
+  if (record.dentistId) return Dentist.exists({ _id: record.dentistId, personId });
+  return false;
+}
+
+/**
+ * Resolves the patient of the visit in :visitId (or :id). The doctor /
+ * dentist who wrote the visit keeps access to it without a grant.
+ */
+exports.resolveVisitPatient = recordPatientResolver({
+  Model: Visit,
+  select: 'doctorId dentistId',
+  isAuthor: isProviderAuthor,
+  messages: {
+    invalid: 'معرّف الزيارة غير صالح',
+    notFound: 'الزيارة غير موجودة',
+    error: 'حدث خطأ في البحث عن الزيارة'
+  }
+});
+
+/**
+ * Resolves the patient of the prescription in :id. The prescriber keeps
+ * access to it without a grant.
+ */
+exports.resolvePrescriptionPatient = recordPatientResolver({
+  Model: Prescription,
+  select: 'doctorId dentistId',
+  isAuthor: isProviderAuthor,
+  messages: {
+    invalid: 'معرّف الوصفة غير صالح',
+    notFound: 'الوصفة غير موجودة',
+    error: 'حدث خطأ في البحث عن الوصفة'
+  }
+});
+
+/**
+ * Resolves the patient of the lab test in :id. The ordering doctor and
+ * the technicians of the laboratory running the test keep access to it
+ * without a grant.
+ */
+exports.resolveLabTestPatient = recordPatientResolver({
+  Model: LabTest,
+  select: 'orderedBy laboratoryId',
+  isAuthor: async (labTest, personId) => {
+    if (labTest.orderedBy && await Doctor.exists({ _id: labTest.orderedBy, personId })) {
+      return true;
+    }
+    return !!labTest.laboratoryId
+      && LabTechnician.exists({ laboratoryId: labTest.laboratoryId, personId });
+  },
+  messages: {
+    invalid: 'معرّف الفحص غير صالح',
+    notFound: 'الفحص غير موجود',
+    error: 'حدث خطأ في البحث عن الفحص'
+  }
+});
+
+// ============================================================================
+// VERIFY PATIENT ACCESS — ownership, admin or consent grant
+// ============================================================================
+
+/**
+ * Owner, guardian (parent of the child) and admin always pass, as does the
+ * author of the record on record-keyed routes. Clinical staff otherwise need
+ * an active AccessGrant; the matched grant is exposed as req.accessGrant.
+ */
+exports.verifyPatientAccess = async (req, res, next) => {
+  try {
+    const account = req.account;
+    const targetRef = req.targetPatient;
+
+    const isAdmin = account.roles.includes('admin');
+    const isClinical = account.roles.some(r => CLINICAL_ROLES.includes(r));
+    const isOwner =
+      (targetRef.patientPersonId && String(targetRef.patientPersonId) === String(account.personId))
+      || (targetRef.patientChildId && String(targetRef.patientChildId) === String(account.childId));
+
+    if (isOwner || isAdmin || req.isRecordAuthor) return next();
+
+    if (targetRef.patientChildId && account.personId) {
+      const isGuardian = await Children.exists({
+        _id: targetRef.patientChildId,
+        parentPersonId: account.personId
+      });
+      if (isGuardian) return next();
+    }
+
+    if (isClinical) {
+      const grant = await accessGrantService.findGrantForAccount(account, targetRef);
+      if (grant) {
+        req.accessGrant = grant;
+        return next();
+      }
+      const identifier = req.params.identifier || req.params.nationalId;
+      console.log('❌ Patient access denied — no active grant');
+      return res.status(403).json({
+        success: false,
+        code: 'CONSENT_REQUIRED',
+        message: 'لا توجد موافقة سارية من المريض للوصول إلى سجله. في الحالات الطارئة استخدم الوصول الطارئ مع ذكر السبب',
+        ...(identifier && { breakGlassEndpoint: `/api/patient/${identifier}/break-glass` })
+      });
+    }
+
+    console.log('❌ Patient access denied');
+    return res.status(403).json({
+      success: false,
+      message: 'ليس لديك صلاحية للوصول لبيانات هذا المريض'
+    });
+  } catch (error) {
+    console.error('verifyPatientAccess error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'حدث خطأ في التحقق من الصلاحيات'
+    });
+  }
+};
@@ -0,0 +1,241 @@
+/**
+ * ═══════════════════════════════════════════════════════════════════════════
+ *  AccessGrant Model — Patient 360°
+ *  ─────────────────────────────────────────────────────────────────────────
+ *  Collection: access_grants
+ *
+ *  Patient-controlled consent to read their record. Clinical staff (doctor,
+ *  dentist, pharmacist, lab technician) can only open a patient through
+ *  routes/patient.js verifyPatientAccess when an active grant covers them.
+ *
+ *  Grantee (exactly one must be set):
+ *    doctorId / dentistId      — one specific clinician
+ *    pharmacyId / laboratoryId — every pharmacist / technician at that facility
+ *    hospitalId                — every doctor and dentist affiliated with it
+ *
+ *  Access types:
+ *    consent     — created by the patient (or the parent of a child) with an
+ *                  expiry they choose; revocable at any time
+ *    break_glass — created by a clinician in an emergency without the
+ *                  patient's involvement. Requires a written reason, lasts
+ *                  BREAK_GLASS_HOURS and notifies the patient immediately.
+ *
+ *  Expiry is never stamped by a job — a grant is active while
+ *  status='active' AND expiresAt is in the future. Use activeFilter() to
+ *  build queries so the two conditions are never checked separately.
+ * ═══════════════════════════════════════════════════════════════════════════
+ */
+
+const mongoose = require('mongoose');
+
+const { Schema } = mongoose;
+
+// ── Enums ───────────────────────────────────────────────────────────────────
+
+const ACCESS_TYPES = ['consent', 'break_glass'];
+
+const STATUSES = ['active', 'revoked'];
+
+// Grantee field per provider type (same target columns as Review)
+const GRANTEE_FIELDS = {
+  doctor: 'doctorId',
+  dentist: 'dentistId',
+  pharmacy: 'pharmacyId',
+  laboratory: 'laboratoryId',
+  hospital: 'hospitalId',
+};
+
+const BREAK_GLASS_HOURS = 4;
+const MAX_CONSENT_DAYS = 365;
+
+// ── Main schema ──────────────────────────────────────────────────────────────
+
+const AccessGrantSchema = new Schema(
+  {
+    // ── Patient (XOR — adult or child) ────────────────────────────────────
+    patientPersonId: {
+      type: Schema.Types.ObjectId,
+      ref: 'Person',
+      sparse: true,
+    },
+    patientChildId: {
+      type: Schema.Types.ObjectId,
+      ref: 'Children',
+      sparse: true,
+    },
+
+    // ── Grantee (exactly one must be set) ─────────────────────────────────
+    doctorId: { type: Schema.Types.ObjectId, ref: 'Doctor', sparse: true },
+    dentistId: { type: Schema.Types.ObjectId, ref: 'Dentist', sparse: true },
+    pharmacyId: { type: Schema.Types.ObjectId, ref: 'Pharmacy', sparse: true },
+    laboratoryId: {
+      type: Schema.Types.ObjectId,
+      ref: 'Laboratory',
+      sparse: true,
+    },
+    hospitalId: { type: Schema.Types.ObjectId, ref: 'Hospital', sparse: true },
+
+    // ── Grant details ─────────────────────────────────────────────────────
+    accessType: {
+      type: String,
+      enum: ACCESS_TYPES,
+      default: 'consent',
+      index: true,
+    },
+    status: { type: String, enum: STATUSES, default: 'active', index: true },
+    startsAt: { type: Date, default: Date.now },
+    expiresAt: {
+      type: Date,
+      required: [true, 'تاريخ انتهاء الصلاحية مطلوب'],
+    },
+    grantedBy: {
+      type: Schema.Types.ObjectId,
+      ref: 'Account',
+      required: [true, 'منشئ الصلاحية مطلوب'],
+    },
+    note: {
+      type: String,
+      trim: true,
+      maxlength: [500, 'الملاحظة يجب ألا تتجاوز 500 حرف'],
+    },
+
+    // ── Break-glass justification ─────────────────────────────────────────
+    reason: {
+      type: String,
+      trim: true,
+      maxlength: [1000, 'السبب يجب ألا يتجاوز 1000 حرف'],
+    },
+    patientNotifiedAt: { type: Date },
+
+    // ── Revocation ────────────────────────────────────────────────────────
+    revokedAt: { type: Date },
+    revokedBy: { type: Schema.Types.ObjectId, ref: 'Account' },
+    revokeReason: { type: String, trim: true, maxlength: 500 },
+  },
+  {
+    timestamps: true,
+    collection: 'access_grants',
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true },
+  },
+);
+
+// ── Indexes ─────────────────────────────────────────────────────────────────
+
+AccessGrantSchema.index(
+  { patientPersonId: 1, status: 1, expiresAt: -1 },
+  { sparse: true, name: 'idx_patient_adult_active' },
+);
+AccessGrantSchema.index(
+  { patientChildId: 1, status: 1, expiresAt: -1 },
+  { sparse: true, name: 'idx_patient_child_active' },
+);
+AccessGrantSchema.index(
+  { doctorId: 1, status: 1 },
+  { sparse: true, name: 'idx_doctor_grants' },
+);
+AccessGrantSchema.index(
+  { hospitalId: 1, status: 1 },
+  { sparse: true, name: 'idx_hospital_grants' },
+);
+
+// ── Pre-validate: patient XOR, exactly one grantee, break-glass reason ─────
+
+AccessGrantSchema.pre('validate', function enforceRules(next) {
+  const patientCount = [this.patientPersonId, this.patientChildId].filter(Boolean).length;
+  if (patientCount === 0) {
+    return next(new Error('يجب تحديد patientPersonId أو patientChildId'));
+  }
+  if (patientCount > 1) {
+    return next(new Error('لا يمكن تحديد patientPersonId و patientChildId معاً'));
+  }
+
+  const grantees = Object.values(GRANTEE_FIELDS).filter((field) => this[field]);
+  if (grantees.length !== 1) {
+    return next(new Error('يجب تحديد جهة واحدة فقط تُمنح لها الصلاحية'));
+  }
+
+  if (this.accessType === 'break_glass' && !this.reason) {
+    return next(new Error('سبب الوصول الطارئ مطلوب'));
+  }
+
+  if (this.expiresAt && this.startsAt && this.expiresAt <= this.startsAt) {
+    return next(new Error('تاريخ انتهاء الصلاحية يجب أن يكون بعد تاريخ البدء'));
+  }
+
+  return next();
+});
+
+// ── Virtuals ────────────────────────────────────────────────────────────────
+
+/**
+ * Provider type key of the grantee ('doctor', 'hospital', ...).
+ */
+AccessGrantSchema.virtual('granteeType').get(function () {
+  return Object.keys(GRANTEE_FIELDS).find((type) => this[GRANTEE_FIELDS[type]]) || null;
+});
+
+AccessGrantSchema.virtual('isActive').get(function () {
+  const now = new Date();
+  return this.status === 'active'
+    && this.expiresAt > now
+    && (!this.startsAt || this.startsAt <= now);
+});
+
+// ── Static helpers ──────────────────────────────────────────────────────────
+
+AccessGrantSchema.statics.GRANTEE_FIELDS = GRANTEE_FIELDS;
+AccessGrantSchema.statics.BREAK_GLASS_HOURS = BREAK_GLASS_HOURS;
+AccessGrantSchema.statics.MAX_CONSENT_DAYS = MAX_CONSENT_DAYS;
+
+/**
+ * Query fragment matching grants that are in force right now.
+ *
+ * @param {Date} [at=new Date()]
+ */
+AccessGrantSchema.statics.activeFilter = function activeFilter(at = new Date()) {
+  return {
+    status: 'active',
+    startsAt: { $lte: at },
+    expiresAt: { $gt: at },
+  };
+};
+
+/**
+ * Find the active grant (if any) that lets one of `grantees` read the
+ * patient. `grantees` is a list of { field: id } clauses describing who the
+ * caller is — e.g. [{ doctorId }, { hospitalId }] for a hospital doctor.
+ * Consent grants win over break-glass ones when both exist.
+ *
+ * @param {object} patientRef - { patientPersonId } or { patientChildId }
+ * @param {object[]} grantees
+ */
+AccessGrantSchema.statics.findActiveFor = function findActiveFor(patientRef, grantees) {
+  if (!grantees || grantees.length === 0) return Promise.resolve(null);
+  return this.findOne({
+    ...patientRef,
+    ...this.activeFilter(),
+    $or: grantees,
+  })
+    .sort({ accessType: -1, expiresAt: -1 })
+    .lean();
+};
+
+// ── Instance methods ────────────────────────────────────────────────────────
+
+/**
+ * Revoke this grant. Idempotent — revoking twice keeps the first stamp.
+ *
+ * @param {ObjectId} accountId
+ * @param {string} [reason]
+ */
+AccessGrantSchema.methods.revoke = async function revoke(accountId, reason) {
+  if (this.status === 'revoked') return this;
+  this.status = 'revoked';
+  this.revokedAt = new Date();
+  this.revokedBy = accountId;
+  if (reason) this.revokeReason = reason;
+  return this.save();
+};
+
+module.exports = mongoose.model('AccessGrant', AccessGrantSchema);
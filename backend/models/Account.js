@@ -16,6 +16,11 @@
  *    • Failed login lockout via accountLockedUntil
  *    • Password reset OTP with TTL via resetPasswordExpires
  *
+ *  Calendar feed:
+ *    • calendarFeedTokenHash is the SHA-256 of the secret in the account's
+ *      .ics subscription URL (/api/calendar/feed/:token.ics). The plain
+ *      token is shown once when issued; rotating it breaks old URLs.
+ *
  *  Mobile push notifications:
  *    • pushNotificationTokens[] stores Firebase Cloud Messaging (FCM) tokens
  *    • One entry per device the user logs in on
@@ -23,6 +28,7 @@
  * ═══════════════════════════════════════════════════════════════════════════
  */
 
+const crypto = require('crypto');
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
 
@@ -124,6 +130,10 @@ const AccountSchema = new Schema(
     resetPasswordOTP: { type: String, trim: true, select: false },
     resetPasswordExpires: { type: Date, select: false },
 
+    // ── Calendar (.ics) subscription ──────────────────────────────────────
+    calendarFeedTokenHash: { type: String, select: false },
+    calendarFeedIssuedAt: { type: Date },
+
     // ── Mobile app push notification tokens (FCM) ─────────────────────────
     pushNotificationTokens: { type: [PushTokenSchema], default: [] },
 
@@ -141,6 +151,7 @@ const AccountSchema = new Schema(
         delete ret.password;
         delete ret.resetPasswordOTP;
         delete ret.resetPasswordExpires;
+        delete ret.calendarFeedTokenHash;
         return ret;
       },
     },
@@ -153,6 +164,10 @@ const AccountSchema = new Schema(
 AccountSchema.index({ personId: 1 }, { sparse: true, name: 'idx_personId' });
 AccountSchema.index({ childId: 1 }, { sparse: true, name: 'idx_childId' });
 AccountSchema.index({ roles: 1 }, { name: 'idx_roles' });
+AccountSchema.index(
+  { calendarFeedTokenHash: 1 },
+  { sparse: true, name: 'idx_calendarFeedToken' },
+);
 AccountSchema.index({ isActive: 1, isVerified: 1 }, { name: 'idx_status' });
 AccountSchema.index(
   { resetPasswordOTP: 1, resetPasswordExpires: 1 },
@@ -323,8 +338,41 @@ AccountSchema.methods.removePushToken = async function removePushToken(token) {
   return this.save();
 };
 
+/**
+ * Issue (or rotate) the secret calendar feed token. Only the hash is
+ * stored — the returned plain token must be shown to the user now.
+ *
+ * @returns {Promise<string>} plain token
+ */
+AccountSchema.methods.issueCalendarFeedToken = async function issueCalendarFeedToken() {
+  const token = crypto.randomBytes(24).toString('hex');
+  this.calendarFeedTokenHash = crypto.createHash('sha256').update(token).digest('hex');
+  this.calendarFeedIssuedAt = new Date();
+  await this.save();
+  return token;
+};
+
+/**
+ * Disable the calendar feed; existing subscription URLs stop working.
+ */
+AccountSchema.methods.revokeCalendarFeedToken = async function revokeCalendarFeedToken() {
+  this.calendarFeedTokenHash = undefined;
+  this.calendarFeedIssuedAt = undefined;
+  return this.save();
+};
+
 // ── Static helpers ──────────────────────────────────────────────────────────
 
+/**
+ * Active account owning a calendar feed token, or null.
+ * @param {string} token - plain token from the feed URL
+ */
+AccountSchema.statics.findByCalendarFeedToken = function findByCalendarFeedToken(token) {
+  if (!token || !/^[0-9a-f]{48}$/.test(token)) return Promise.resolve(null);
+  const hash = crypto.createHash('sha256').update(token).digest('hex');
+  return this.findOne({ calendarFeedTokenHash: hash, isActive: true });
+};
+
 /**
  * Find an account by email, including the password field for auth checks.
  * @param {string} email
@@ -5,16 +5,18 @@
  *  Collection: admins
  *  Source of truth: patient360_db_final.js (collection 09)
  *
- *  Admin user profile. The `adminLevel` field is the primary authorization
- *  gate used by middleware:
- *    • super_admin → can do everything (deactivate accounts, view audit logs,
- *                    manage other admins)
- *    • admin       → standard admin (approve doctor requests, manage hospitals)
- *    • moderator   → read-only + can flag/approve reviews
+ *  Admin user profile. Authorization is enforced per route by
+ *  middleware/auth.js → requirePermission(), which loads this document and
+ *  calls can():
+ *    • super_admin → implicitly holds every permission
+ *    • admin       → only what is listed in `permissions`
+ *    • moderator   → only what is listed in `permissions` (typically just
+ *                    approve_reviews)
  *
- *  The `permissions` array is for future fine-grained control (RBAC) —
+ *  The `permissions` array holds KNOWN_PERMISSIONS strings —
  *  e.g. ['manage_doctors', 'view_audit_logs', 'approve_reviews'].
- *  Until that's wired up, controllers should rely on adminLevel.
+ *  Admins created with the old names (approve_doctor_requests, …) are
+ *  brought up to date by seeds/migrateAdminPermissions.js.
  * ═══════════════════════════════════════════════════════════════════════════
  */
 
@@ -26,20 +28,23 @@ const { Schema } = mongoose;
 
 const ADMIN_LEVELS = ['super_admin', 'admin', 'moderator'];
 
-// Known permission strings for IDE autocomplete + future RBAC enforcement.
+// Known permission strings checked by requirePermission() in middleware/auth.js.
 // New permissions can be added here as features ship.
 const KNOWN_PERMISSIONS = [
+  'view_statistics',
   'manage_doctors',
   'manage_doctor_requests',
   'manage_patients',
   'manage_hospitals',
   'manage_pharmacies',
   'manage_laboratories',
+  'manage_medications',
   'view_audit_logs',
   'view_emergency_reports',
   'approve_reviews',
   'manage_admins',
   'export_data',
+  'manage_schedules',
 ];
 
 // ── Main schema ──────────────────────────────────────────────────────────────
@@ -63,7 +68,7 @@ const AdminSchema = new Schema(
       index: true,
     },
 
-    // ── Granular permissions (future RBAC) ────────────────────────────────
+    // ── Granular permissions (enforced by requirePermission) ──────────────
     permissions: {
       type: [String],
       default: [],
@@ -92,6 +97,49 @@ const AdminSchema = new Schema(
 
 AdminSchema.statics.KNOWN_PERMISSIONS = KNOWN_PERMISSIONS;
 
+// ── Super-admin guard ───────────────────────────────────────────────────────
+// Whether a super_admin is "active" lives on two collections (admins +
+// accounts), so no single-document update can both check "another active
+// super_admin remains" and apply a demotion / deactivation. Those changes
+// run under one lock document instead: acquiring it is a single atomic
+// upsert, and the count + write happen while it is held.
+
+const SUPER_ADMIN_GUARD_ID = 'super_admin_guard';
+const SUPER_ADMIN_GUARD_TTL_MS = 30 * 1000; // stale lock (crashed holder) expires
+
+/**
+ * Run `fn` while holding the super-admin guard.
+ *
+ * @param {Function} fn - async; does the check and the write
+ * @returns {Promise<{ acquired: boolean, result?: * }>} acquired=false when
+ *          another demotion / deactivation holds the guard
+ */
+AdminSchema.statics.withSuperAdminGuard = async function withSuperAdminGuard(fn) {
+  const locks = mongoose.connection.db.collection('admin_locks');
+  const now = new Date();
+  try {
+    await locks.findOneAndUpdate(
+      {
+        _id: SUPER_ADMIN_GUARD_ID,
+        $or: [{ lockedUntil: { $exists: false } }, { lockedUntil: { $lt: now } }],
+      },
+      { $set: { lockedUntil: new Date(now.getTime() + SUPER_ADMIN_GUARD_TTL_MS) } },
+      { upsert: true },
+    );
+  } catch (err) {
+    // Held by someone else: the filter missed and the upsert hit the _id
+    if (err.code === 11000) return { acquired: false };
+    throw err;
+  }
+
+  try {
+    return { acquired: true, result: await fn() };
+  } finally {
+    await locks.updateOne({ _id: SUPER_ADMIN_GUARD_ID }, { $unset: { lockedUntil: '' } })
+      .catch(() => null);
+  }
+};
+
 // ── Instance methods ────────────────────────────────────────────────────────
 
 /**
@@ -10,8 +10,33 @@
  *
  *  Lifecycle:
  *    scheduled → confirmed → checked_in → in_progress → completed
+ *    scheduled / confirmed → no_show when the patient never checked in
+ *    (set by the mark-no-shows job, services/reminderService)
+ *
+ *  Reminders: the appointment-reminders job notifies the patient 24h and
+ *  2h before; `reminders.*SentAt` stamps make each one fire exactly once.
+ *
+ *  Video consultations (type 'video_consultation'): confirming the
+ *  appointment generates telemedicine.roomToken; patient and provider join
+ *  through services/telemedicineService inside the appointment window and
+ *  each join / leave lands in telemedicine.attendance (copied to the Visit).
+ *  The patient's first join checks the appointment in.
+ *
+ *  Waiting room: check-in (and walk-in registration, bookingMethod
+ *  'walk_in') issues a per-provider daily queueNumber; calling the patient
+ *  in moves checked_in → in_progress and stamps calledAt
+ *  (services/queueService).
+ *
+ *  Follow-ups booked automatically from a visit's followUpDate
+ *  (services/followUpService) carry `followUpOfVisitId`; they stay
+ *  'scheduled' until the patient confirms them by `confirmBy`, and the
+ *  expire-follow-ups job cancels them (freeing the slot) if they don't.
+ *  Until confirmed they get no reminders and are never marked no_show.
  *
  *  Once completed, the appointment links to the resulting visitId.
+ *  Lab sample-collection appointments (type 'lab_test') link the ordered
+ *  LabTest via labTestId; services/labBookingService keeps the LabTest's
+ *  status / scheduledDate in step with the appointment.
  *  Cancellations track cancelledBy + cancellationReason for auditing.
  *
  *  Booking sources (`bookingMethod`):
@@ -27,6 +52,7 @@
  * ═══════════════════════════════════════════════════════════════════════════
  */
 
+const crypto = require('crypto');
 const mongoose = require('mongoose');
 
 const { Schema } = mongoose;
@@ -35,6 +61,7 @@ const { Schema } = mongoose;
 
 const APPOINTMENT_TYPES = [
   'doctor', 'dentist', 'lab_test', 'follow_up', 'emergency',
+  'video_consultation',
 ];
 
 const STATUSES = [
@@ -57,6 +84,27 @@ const PAYMENT_STATUSES = ['pending', 'paid', 'cancelled', 'refunded'];
 
 const PAYMENT_METHODS = ['cash', 'card', 'insurance', 'free'];
 
+// Providers that run a waiting-room queue
+const QUEUE_PROVIDER_FIELDS = ['doctorId', 'dentistId', 'laboratoryId'];
+
+const ATTENDEE_ROLES = ['patient', 'provider'];
+
+// ── Sub-schemas ─────────────────────────────────────────────────────────────
+
+/**
+ * One join → leave of a video consultation room. Copied onto the Visit
+ * when the appointment is completed.
+ */
+const RoomAttendanceSchema = new Schema(
+  {
+    role: { type: String, enum: ATTENDEE_ROLES, required: true },
+    accountId: { type: Schema.Types.ObjectId, ref: 'Account', required: true },
+    joinedAt: { type: Date, required: true },
+    leftAt: { type: Date },
+  },
+  { _id: false },
+);
+
 // ── Main schema ──────────────────────────────────────────────────────────────
 
 const AppointmentSchema = new Schema(
@@ -132,11 +180,44 @@ const AppointmentSchema = new Schema(
     cancellationReason: { type: String, enum: CANCELLATION_REASONS },
     cancelledAt: { type: Date },
     cancelledBy: { type: Schema.Types.ObjectId, ref: 'Account' },
+    // Nearest free slot offered to the patient when the provider cancelled
+    // (leave / holiday calendar). The patient books it like any other slot.
+    suggestedSlotId: { type: Schema.Types.ObjectId, ref: 'AvailabilitySlot' },
+
+    // ── Reminders & attendance ────────────────────────────────────────────
+    reminders: {
+      dayBeforeSentAt: { type: Date },
+      twoHoursBeforeSentAt: { type: Date },
+    },
+    noShowAt: { type: Date },
+
+    // ── Waiting-room queue (issued at check-in, per provider per day) ─────
+    queueNumber: { type: Number, min: 1 },
+    checkedInAt: { type: Date },
+    calledAt: { type: Date },
 
     // ── Payment ───────────────────────────────────────────────────────────
     paymentStatus: { type: String, enum: PAYMENT_STATUSES, default: 'pending' },
     paymentMethod: { type: String, enum: PAYMENT_METHODS },
 
+    // ── Video consultation room (type 'video_consultation') ───────────────
+    telemedicine: {
+      // Unguessable room id handed to the signalling adapter (select:false,
+      // stripped from JSON)
+      roomToken: { type: String, select: false },
+      roomCreatedAt: { type: Date },
+      adapter: { type: String, trim: true },
+      attendance: { type: [RoomAttendanceSchema], default: undefined },
+    },
+
+    // ── Lab sample collection: the ordered LabTest this visit is for ──────
+    labTestId: { type: Schema.Types.ObjectId, ref: 'LabTest', sparse: true },
+
+    // ── Follow-up booked from this earlier visit's followUpDate ──────────
+    followUpOfVisitId: { type: Schema.Types.ObjectId, ref: 'Visit', sparse: true },
+    // Deadline for the patient to confirm an auto-booked follow-up
+    confirmBy: { type: Date },
+
     // ── Link to created visit (set on completion) ─────────────────────────
     visitId: { type: Schema.Types.ObjectId, ref: 'Visit', sparse: true },
 
@@ -145,7 +226,14 @@ const AppointmentSchema = new Schema(
   {
     timestamps: true,
     collection: 'appointments',
-    toJSON: { virtuals: true },
+    toJSON: {
+      virtuals: true,
+      // The room token only leaves the server through the join endpoint
+      transform(_doc, ret) {
+        if (ret.telemedicine) delete ret.telemedicine.roomToken;
+        return ret;
+      },
+    },
     toObject: { virtuals: true },
   },
 );
@@ -177,6 +265,31 @@ AppointmentSchema.index(
   { name: 'idx_hospital_date' },
 );
 AppointmentSchema.index({ slotId: 1 }, { name: 'idx_slotId' });
+AppointmentSchema.index({ labTestId: 1 }, { sparse: true, name: 'idx_labTestId' });
+AppointmentSchema.index(
+  { followUpOfVisitId: 1 },
+  { sparse: true, name: 'idx_followUpOfVisitId' },
+);
+AppointmentSchema.index({ confirmBy: 1 }, { sparse: true, name: 'idx_confirmBy' });
+AppointmentSchema.index(
+  { 'telemedicine.roomToken': 1 },
+  { unique: true, sparse: true, name: 'idx_telemedicine_roomToken' },
+);
+// One queue number per provider per day — the unique index is what stops
+// two simultaneous check-ins from getting the same ticket
+QUEUE_PROVIDER_FIELDS.forEach((field) => {
+  AppointmentSchema.index(
+    { [field]: 1, appointmentDate: 1, queueNumber: 1 },
+    {
+      unique: true,
+      partialFilterExpression: {
+        [field]: { $exists: true },
+        queueNumber: { $exists: true },
+      },
+      name: `idx_queue_${field}`,
+    },
+  );
+});
 AppointmentSchema.index(
   { status: 1, appointmentDate: 1 },
   { name: 'idx_status_date' },
@@ -200,10 +313,14 @@ AppointmentSchema.pre('validate', function enforceRules(next) {
   }
 
   // Provider must match appointmentType
-  if (this.appointmentType === 'doctor' || this.appointmentType === 'follow_up') {
-    if (!this.doctorId) {
-      return next(new Error('doctorId مطلوب لمواعيد الأطباء'));
-    }
+  if (this.appointmentType === 'doctor' && !this.doctorId) {
+    return next(new Error('doctorId مطلوب لمواعيد الأطباء'));
+  }
+  if (this.appointmentType === 'follow_up' && !this.doctorId && !this.dentistId) {
+    return next(new Error('doctorId أو dentistId مطلوب لمواعيد المتابعة'));
+  }
+  if (this.appointmentType === 'video_consultation' && !this.doctorId && !this.dentistId) {
+    return next(new Error('doctorId أو dentistId مطلوب للاستشارات المرئية'));
   }
   if (this.appointmentType === 'dentist' && !this.dentistId) {
     return next(new Error('dentistId مطلوب لمواعيد الأسنان'));
@@ -211,6 +328,9 @@ AppointmentSchema.pre('validate', function enforceRules(next) {
   if (this.appointmentType === 'lab_test' && !this.laboratoryId) {
     return next(new Error('laboratoryId مطلوب لمواعيد المختبر'));
   }
+  if (this.labTestId && this.appointmentType !== 'lab_test') {
+    return next(new Error('ربط طلب التحليل متاح لمواعيد المختبر فقط'));
+  }
 
   // appointmentTime must be HH:MM
   if (!/^\d{2}:\d{2}$/.test(this.appointmentTime)) {
@@ -274,6 +394,26 @@ AppointmentSchema.methods.confirm = async function confirm() {
     throw new Error(`لا يمكن تأكيد موعد حالته ${this.status}`);
   }
   this.status = 'confirmed';
+  if (this.appointmentType === 'video_consultation' && !this.telemedicine?.roomToken) {
+    this.set('telemedicine.roomToken', crypto.randomBytes(24).toString('hex'));
+    this.set('telemedicine.roomCreatedAt', new Date());
+  }
+  return this.save();
+};
+
+/**
+ * Mark a past, never-checked-in appointment as a no-show. The caller is
+ * responsible for Patient.recordNoShow().
+ */
+AppointmentSchema.methods.markNoShow = async function markNoShow() {
+  if (!['scheduled', 'confirmed'].includes(this.status)) {
+    throw new Error(`لا يمكن تسجيل عدم الحضور لموعد حالته ${this.status}`);
+  }
+  if (!this.isPast) {
+    throw new Error('لا يمكن تسجيل عدم الحضور قبل وقت الموعد');
+  }
+  this.status = 'no_show';
+  this.noShowAt = new Date();
   return this.save();
 };
 
@@ -285,7 +425,25 @@ AppointmentSchema.methods.checkIn = async function checkIn() {
     throw new Error(`لا يمكن تسجيل الوصول لموعد حالته ${this.status}`);
   }
   this.status = 'checked_in';
+  this.checkedInAt = new Date();
   return this.save();
 };
 
+/**
+ * Call a checked-in patient in from the waiting room.
+ */
+AppointmentSchema.methods.callIn = async function callIn() {
+  if (this.status !== 'checked_in') {
+    throw new Error(`لا يمكن استدعاء موعد حالته ${this.status}`);
+  }
+  this.status = 'in_progress';
+  this.calledAt = new Date();
+  return this.save();
+};
+
+// ── Statics ─────────────────────────────────────────────────────────────────
+
+AppointmentSchema.statics.QUEUE_PROVIDER_FIELDS = QUEUE_PROVIDER_FIELDS;
+AppointmentSchema.statics.ATTENDEE_ROLES = ATTENDEE_ROLES;
+
 module.exports = mongoose.model('Appointment', AppointmentSchema);
\ No newline at end of file
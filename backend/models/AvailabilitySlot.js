@@ -90,6 +90,21 @@ const AvailabilitySlotSchema = new Schema(
     },
     status: { type: String, enum: STATUSES, default: 'available', index: true },
     blockedReason: { type: String, trim: true },
+    // Set when the block came from the leave / holiday calendar, so
+    // withdrawing that entry unblocks exactly these slots
+    blockedByExceptionId: {
+      type: Schema.Types.ObjectId,
+      ref: 'ScheduleException',
+      sparse: true,
+    },
+
+    // ── Origin ────────────────────────────────────────────────────────────
+    // Set when the slot was materialised from a recurring ScheduleTemplate
+    templateId: {
+      type: Schema.Types.ObjectId,
+      ref: 'ScheduleTemplate',
+      sparse: true,
+    },
   },
   {
     timestamps: true,
@@ -122,6 +137,10 @@ AvailabilitySlotSchema.index(
   { name: 'idx_status_available' },
 );
 AvailabilitySlotSchema.index({ date: 1 }, { name: 'idx_date' });
+AvailabilitySlotSchema.index(
+  { templateId: 1, date: 1 },
+  { sparse: true, name: 'idx_template_date' },
+);
 
 // ── Pre-validate: at least one owner + time format ──────────────────────────
 
@@ -13,6 +13,8 @@
  *    2. ready     → child has received their nationalId, ready to migrate
  *    3. migrated  → admin has copied the record to `persons` and set
  *                   migratedToPersonId pointing at the new persons._id
+ *                   (controllers/childMigrationController.js — also moves
+ *                   every visit/prescription/lab/appointment to the Person)
  *
  *  This model is intentionally separate from `Person` because:
  *    • Schema requirements differ (no nationalId required for children)
@@ -6,11 +6,12 @@
  *  Source of truth: patient360_db_final.js (collection 22)
  *
  *  Professional registration applications submitted via the public SignUp
- *  page. Supports THREE request types via the `requestType` discriminator:
+ *  page. Supports FOUR request types via the `requestType` discriminator:
  *
  *    • 'doctor'         — doctor registration (original flow)
  *    • 'pharmacist'     — pharmacist registration (v2 addition)
  *    • 'lab_technician' — lab technician registration (v2 addition)
+ *    • 'dentist'        — dentist registration (creates a Dentist record)
  *
  *  Admin reviews each application and either:
  *    • approves → triggers creation of Person + Account + role-specific records
@@ -62,14 +63,22 @@ const LAB_TECH_SPECIALIZATIONS = [
   'Immunology', 'Molecular Biology', 'Histopathology',
 ];
 
-// Combined — all valid specialization values across all three types
+// Dentist specializations (Title Case — mirrors models/Dentist.js)
+const DENTAL_SPECIALIZATIONS = [
+  'General Dentistry', 'Orthodontics', 'Endodontics',
+  'Periodontics', 'Prosthodontics', 'Oral Surgery',
+  'Pediatric Dentistry', 'Cosmetic Dentistry', 'Implantology',
+];
+
+// Combined — all valid specialization values across all request types
 const ALL_SPECIALIZATIONS = [
   ...DOCTOR_SPECIALIZATIONS,
   ...PHARMACIST_SPECIALIZATIONS,
   ...LAB_TECH_SPECIALIZATIONS,
+  ...DENTAL_SPECIALIZATIONS,
 ];
 
-const REQUEST_TYPES = ['doctor', 'pharmacist', 'lab_technician'];
+const REQUEST_TYPES = ['doctor', 'pharmacist', 'lab_technician', 'dentist'];
 
 const STATUSES = ['pending', 'approved', 'rejected'];
 
@@ -290,6 +299,22 @@ const DoctorRequestSchema = new Schema(
       type: Schema.Types.Mixed,
     },
 
+    // ══════════════════════════════════════════════════════════════════════
+    // DENTIST-SPECIFIC FIELDS (used when requestType = 'dentist')
+    // specialization / yearsOfExperience / consultationFee / availableDays
+    // are shared with the doctor block above
+    // ══════════════════════════════════════════════════════════════════════
+    dentalLicenseNumber: {
+      type: String,
+      trim: true,
+      uppercase: true,
+      index: true,
+    },
+    hospitalId: {
+      type: Schema.Types.ObjectId,
+      ref: 'Hospital',
+    },
+
     // ── Additional notes (all types) ──────────────────────────────────────
     additionalNotes: { type: String, trim: true },
 
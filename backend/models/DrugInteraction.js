@@ -0,0 +1,180 @@
+/**
+ * ═══════════════════════════════════════════════════════════════════════════
+ *  DrugInteraction Model — Patient 360°
+ *  ─────────────────────────────────────────────────────────────────────────
+ *  Collection: drug_interactions
+ *
+ *  The drug-interaction knowledge base. One document per pair of active
+ *  ingredients (INN, e.g. "warfarin" + "ibuprofen"), not per brand — every
+ *  Medication whose activeIngredients contain either side is covered.
+ *
+ *  Keys are normalised (see normalizeIngredient: lower-case, salt suffix
+ *  dropped, common aliases mapped) and stored in alphabetical order, so
+ *  a pair has exactly one document whichever way round it is looked up.
+ *
+ *  Severity:
+ *    minor           — usually no action; mention to the patient
+ *    moderate        — monitor / adjust dose
+ *    major           — avoid; prescribing needs an override reason
+ *    contraindicated — never together; prescribing needs an override reason
+ *
+ *  Checked by services/interactionService for POST
+ *  /api/prescriptions/check-interactions and createPrescription.
+ *  Medication.interactions (free-text names) is still read as a fallback.
+ * ═══════════════════════════════════════════════════════════════════════════
+ */
+
+const mongoose = require('mongoose');
+
+const { Schema } = mongoose;
+
+// ── Enums ───────────────────────────────────────────────────────────────────
+
+// Ordered least → most severe
+const SEVERITIES = ['minor', 'moderate', 'major', 'contraindicated'];
+
+// Severities that stop a prescription unless the doctor overrides
+const BLOCKING_SEVERITIES = ['major', 'contraindicated'];
+
+// Salt / ester words dropped from the end of an ingredient name
+const SALT_SUFFIXES = [
+  'hydrochloride', 'hcl', 'sodium', 'potassium', 'calcium', 'magnesium',
+  'besylate', 'besilate', 'fumarate', 'bisulfate', 'sulfate', 'sulphate',
+  'maleate', 'mesylate', 'tartrate', 'citrate', 'acetate', 'succinate',
+  'phosphate', 'trihydrate', 'dihydrate', 'monohydrate',
+];
+
+// Common names → the INN the table is keyed by
+const INGREDIENT_ALIASES = {
+  aspirin: 'acetylsalicylic acid',
+  acetaminophen: 'paracetamol',
+  albuterol: 'salbutamol',
+  'l-thyroxine': 'levothyroxine',
+  'vitamin d3': 'cholecalciferol',
+};
+
+// ── Helpers ─────────────────────────────────────────────────────────────────
+
+/**
+ * "Bisoprolol Fumarate" → "bisoprolol", "Aspirin" → "acetylsalicylic acid".
+ *
+ * @param {string} name
+ * @returns {string}
+ */
+function normalizeIngredient(name) {
+  const words = String(name || '')
+    .toLowerCase()
+    .replace(/\(.*?\)/g, ' ')
+    .replace(/[^a-z0-9\s-]/g, ' ')
+    .split(/\s+/)
+    .filter(Boolean);
+  while (words.length > 1 && SALT_SUFFIXES.includes(words[words.length - 1])) {
+    words.pop();
+  }
+  const joined = words.join(' ');
+  return INGREDIENT_ALIASES[joined] || joined;
+}
+
+// ── Main schema ──────────────────────────────────────────────────────────────
+
+const DrugInteractionSchema = new Schema(
+  {
+    // ── The pair (normalised, ingredientA < ingredientB) ──────────────────
+    ingredientA: {
+      type: String,
+      required: [true, 'المادة الفعالة الأولى مطلوبة'],
+      trim: true,
+    },
+    ingredientB: {
+      type: String,
+      required: [true, 'المادة الفعالة الثانية مطلوبة'],
+      trim: true,
+    },
+
+    // ── Clinical content ──────────────────────────────────────────────────
+    severity: {
+      type: String,
+      enum: { values: SEVERITIES, message: 'درجة الخطورة غير صالحة' },
+      required: [true, 'درجة الخطورة مطلوبة'],
+      index: true,
+    },
+    mechanism: { type: String, trim: true },
+    advice: {
+      en: { type: String, trim: true, required: [true, 'النصيحة بالإنجليزية مطلوبة'] },
+      ar: { type: String, trim: true, required: [true, 'النصيحة بالعربية مطلوبة'] },
+    },
+    source: {
+      type: String,
+      trim: true,
+      // e.g. "BNF Appendix 1", "Lexicomp", "local formulary committee"
+    },
+
+    isActive: { type: Boolean, default: true },
+    updatedBy: { type: Schema.Types.ObjectId, ref: 'Account' },
+  },
+  {
+    timestamps: true,
+    collection: 'drug_interactions',
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true },
+  },
+);
+
+// ── Indexes ─────────────────────────────────────────────────────────────────
+
+DrugInteractionSchema.index(
+  { ingredientA: 1, ingredientB: 1 },
+  { unique: true, name: 'idx_pair_unique' },
+);
+DrugInteractionSchema.index({ ingredientB: 1 }, { name: 'idx_ingredientB' });
+
+// ── Pre-validate: normalise + order the pair ────────────────────────────────
+
+DrugInteractionSchema.pre('validate', function orderPair(next) {
+  if (this.ingredientA) this.ingredientA = normalizeIngredient(this.ingredientA);
+  if (this.ingredientB) this.ingredientB = normalizeIngredient(this.ingredientB);
+
+  if (this.ingredientA && this.ingredientA === this.ingredientB) {
+    return next(new Error('لا يمكن تسجيل تفاعل للمادة الفعالة مع نفسها'));
+  }
+  if (this.ingredientA > this.ingredientB) {
+    [this.ingredientA, this.ingredientB] = [this.ingredientB, this.ingredientA];
+  }
+  return next();
+});
+
+// ── Virtuals ────────────────────────────────────────────────────────────────
+
+DrugInteractionSchema.virtual('isBlocking').get(function () {
+  return BLOCKING_SEVERITIES.includes(this.severity);
+});
+
+// ── Statics ─────────────────────────────────────────────────────────────────
+
+/**
+ * Every active interaction between any two of the given ingredients.
+ *
+ * @param {string[]} ingredients - raw or normalised names
+ * @returns {mongoose.Query}
+ */
+DrugInteractionSchema.statics.findAmong = function findAmong(ingredients) {
+  const keys = [...new Set(ingredients.map(normalizeIngredient).filter(Boolean))];
+  return this.find({
+    ingredientA: { $in: keys },
+    ingredientB: { $in: keys },
+    isActive: true,
+  });
+};
+
+/**
+ * Rank of a severity, for sorting (-1 when unknown).
+ */
+DrugInteractionSchema.statics.severityRank = function severityRank(severity) {
+  return SEVERITIES.indexOf(severity);
+};
+
+DrugInteractionSchema.statics.normalizeIngredient = normalizeIngredient;
+DrugInteractionSchema.statics.SEVERITIES = SEVERITIES;
+DrugInteractionSchema.statics.BLOCKING_SEVERITIES = BLOCKING_SEVERITIES;
+
+module.exports = mongoose.model('DrugInteraction', DrugInteractionSchema);
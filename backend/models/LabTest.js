@@ -9,6 +9,7 @@
  *
  *    1. ordered           — doctor creates the order from a Visit
  *    2. scheduled         — patient books an appointment at the lab
+ *                           (appointmentId; back to 'ordered' if cancelled)
  *    3. sample_collected  — lab tech collects the sample, prints barcode
  *    4. in_progress       — sample is being processed
  *    5. completed         — results entered + PDF uploaded; both view flags
@@ -137,6 +138,11 @@ const LabTestSchema = new Schema(
     // ── Order metadata ────────────────────────────────────────────────────
     orderDate: { type: Date, default: Date.now, required: true },
     scheduledDate: { type: Date },
+    // Sample-collection appointment booked by the patient (status 'scheduled')
+    appointmentId: { type: Schema.Types.ObjectId, ref: 'Appointment', sparse: true },
+    // True when laboratoryId was filled in by that booking rather than by
+    // the ordering doctor — cleared again if the booking is cancelled
+    laboratorySelectedByPatient: { type: Boolean, default: false },
 
     // ── Tests requested ───────────────────────────────────────────────────
     testsOrdered: {
@@ -18,9 +18,16 @@
  *  interacts with — used by the pharmacist UI to flag dangerous combos
  *  during the dispensing flow.
  *
- *  Note: drug interaction data should ideally come from a curated source
- *  like RxNorm or DrugBank. The free-text array here is a starting point;
- *  upgrading to a structured interaction service is a future enhancement.
+ *  Structured interaction data (severity, mechanism, advice) lives in the
+ *  DrugInteraction knowledge base, keyed by pairs of activeIngredients —
+ *  keep those filled in with INN names. The free-text array here is only
+ *  a fallback for pairs the knowledge base doesn't cover.
+ *
+ *  Dosing: `dosingRanges` holds one entry per age / weight band (mg/kg per
+ *  dose for children, fixed mg per dose for adults, plus daily caps), and
+ *  `maxDailyDoseMg` an absolute daily cap for any patient. All amounts are
+ *  in mg of the product's strength. services/doseService checks prescribed
+ *  doses against them (POST /api/prescriptions/check-dose, createPrescription).
  * ═══════════════════════════════════════════════════════════════════════════
  */
 
@@ -44,6 +51,32 @@ const CATEGORIES = [
   'vitamin', 'vaccine', 'contrast_agent', 'other',
 ];
 
+// ── Sub-schemas ──────────────────────────────────────────────────────────────
+
+/**
+ * One dosing band. Age bounds are [minAgeMonths, maxAgeMonths), weight
+ * bounds [minWeightKg, maxWeightKg); an unset bound is open. Per-dose
+ * limits can be weight-based (mg/kg), fixed (mg) or both — the tighter
+ * one wins for the maximum.
+ */
+const DosingRangeSchema = new Schema(
+  {
+    label: { type: String, trim: true },  // e.g. "Children 3 months – 12 years"
+    minAgeMonths: { type: Number, min: 0 },
+    maxAgeMonths: { type: Number, min: 0 },
+    minWeightKg: { type: Number, min: 0 },
+    maxWeightKg: { type: Number, min: 0 },
+    minMgPerKgPerDose: { type: Number, min: 0 },
+    maxMgPerKgPerDose: { type: Number, min: 0 },
+    minMgPerDose: { type: Number, min: 0 },
+    maxMgPerDose: { type: Number, min: 0 },
+    maxMgPerKgPerDay: { type: Number, min: 0 },
+    maxMgPerDay: { type: Number, min: 0 },
+    notes: { type: String, trim: true },
+  },
+  { _id: false },
+);
+
 // ── Main schema ──────────────────────────────────────────────────────────────
 
 const MedicationSchema = new Schema(
@@ -104,6 +137,10 @@ const MedicationSchema = new Schema(
     contraindications: { type: [String], default: [] },
     sideEffects: { type: [String], default: [] },
 
+    // ── Dosing (see DosingRangeSchema) ────────────────────────────────────
+    dosingRanges: { type: [DosingRangeSchema], default: [] },
+    maxDailyDoseMg: { type: Number, min: 0 },
+
     // ── Regulatory flags ──────────────────────────────────────────────────
     requiresPrescription: { type: Boolean, default: true, index: true },
     controlledSubstance: { type: Boolean, default: false },
@@ -175,6 +212,25 @@ MedicationSchema.statics.generateMedicationCode = async function generateMedicat
   return `MED-${sequence}`;
 };
 
+// ── Pre-validate: dosing bands must be coherent ─────────────────────────────
+
+MedicationSchema.pre('validate', function checkDosingRanges(next) {
+  const pairs = [
+    ['minAgeMonths', 'maxAgeMonths', 'حدود العمر في نطاق الجرعات غير صحيحة'],
+    ['minWeightKg', 'maxWeightKg', 'حدود الوزن في نطاق الجرعات غير صحيحة'],
+    ['minMgPerKgPerDose', 'maxMgPerKgPerDose', 'حدود الجرعة لكل كغ غير صحيحة'],
+    ['minMgPerDose', 'maxMgPerDose', 'حدود الجرعة المفردة غير صحيحة'],
+  ];
+  for (const range of this.dosingRanges || []) {
+    for (const [min, max, message] of pairs) {
+      if (range[min] != null && range[max] != null && range[min] > range[max]) {
+        return next(new Error(message));
+      }
+    }
+  }
+  return next();
+});
+
 // ── Pre-save: auto-generate medicationCode if missing ───────────────────────
 
 MedicationSchema.pre('save', async function autoGenerateCode(next) {
@@ -209,4 +265,23 @@ MedicationSchema.methods.findInteractionsWith = function findInteractionsWith(ot
   });
 };
 
+/**
+ * The dosing band covering a patient, or null. Bands are tried in order,
+ * so list the narrow ones first. A band with weight bounds is skipped
+ * when the weight is unknown.
+ *
+ * @param {{ ageMonths?: number|null, weightKg?: number|null }} patient
+ * @returns {object|null}
+ */
+MedicationSchema.methods.dosingRangeFor = function dosingRangeFor({ ageMonths = null, weightKg = null }) {
+  const within = (value, min, max) => {
+    if (min == null && max == null) return true;
+    if (value == null) return false;
+    return (min == null || value >= min) && (max == null || value < max);
+  };
+  return (this.dosingRanges || []).find(range =>
+    within(ageMonths, range.minAgeMonths, range.maxAgeMonths)
+    && within(weightKg, range.minWeightKg, range.maxWeightKg)) || null;
+};
+
 module.exports = mongoose.model('Medication', MedicationSchema);
\ No newline at end of file
@@ -133,6 +133,9 @@ const PatientSchema = new Schema(
     medicalCardNumber: { type: String, trim: true, sparse: true },
     totalVisits: { type: Number, default: 0, min: 0 },
     lastVisitDate: { type: Date },
+    // Appointments marked no_show (see services/reminderService)
+    noShowCount: { type: Number, default: 0, min: 0 },
+    lastNoShowAt: { type: Date },
   },
   {
     timestamps: true,
@@ -237,4 +240,25 @@ PatientSchema.methods.recordVisit = async function recordVisit(visitDate) {
   return this.save();
 };
 
+// ── Static helpers ──────────────────────────────────────────────────────────
+
+/**
+ * Increment noShowCount for the patient of an appointment. Only an existing
+ * medical profile is counted — no stub Patient is created for a patient
+ * who hasn't got one yet.
+ *
+ * @param {object} patientRef - { patientPersonId } or { patientChildId }
+ * @param {Date} [at=new Date()]
+ * @returns {Promise<boolean>} whether a profile was counted
+ */
+PatientSchema.statics.recordNoShow = function recordNoShow(patientRef, at = new Date()) {
+  const filter = patientRef.patientChildId
+    ? { childId: patientRef.patientChildId }
+    : { personId: patientRef.patientPersonId };
+  return this.updateOne(
+    filter,
+    { $inc: { noShowCount: 1 }, $max: { lastNoShowAt: at } },
+  ).then(result => result.matchedCount > 0);
+};
+
 module.exports = mongoose.model('Patient', PatientSchema);
\ No newline at end of file
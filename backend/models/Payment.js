@@ -0,0 +1,206 @@
+/**
+ * ═══════════════════════════════════════════════════════════════════════════
+ *  Payment Model — Patient 360°
+ *  ─────────────────────────────────────────────────────────────────────────
+ *  Collection: payments
+ *
+ *  Money actually received (or handed back) for an appointment or a visit.
+ *  Appointment / Visit keep their paymentStatus + paymentMethod summary;
+ *  services/paymentService updates those from the payments recorded here.
+ *
+ *  Kinds:
+ *    payment — amount received, by cash / card / insurance / free
+ *              (free → amount 0, waived consultation)
+ *    refund  — amount returned; `refundOf` points at the payment it reverses
+ *              (created automatically when a paid appointment is cancelled,
+ *              or by staff for a partial refund). The payment's
+ *              `refundedAmount` is raised atomically before the refund is
+ *              written, so two refunds can't both take the same balance.
+ *
+ *  Amounts are stored in the currency they were taken in (SYP or USD);
+ *  balances are always computed per currency, never converted.
+ *
+ *  Every document gets a receiptNumber (RCPT-YYYYMMDD-XXXXX) used on the
+ *  printable receipt (utils/receipt.js).
+ * ═══════════════════════════════════════════════════════════════════════════
+ */
+
+const mongoose = require('mongoose');
+
+const { Schema } = mongoose;
+
+// ── Enums ───────────────────────────────────────────────────────────────────
+
+const PAYMENT_KINDS = ['payment', 'refund'];
+
+const PAYMENT_METHODS = ['cash', 'card', 'insurance', 'free'];
+
+const CURRENCIES = ['SYP', 'USD'];
+
+// ── Main schema ──────────────────────────────────────────────────────────────
+
+const PaymentSchema = new Schema(
+  {
+    // ── Auto-generated identifier ─────────────────────────────────────────
+    receiptNumber: {
+      type: String,
+      unique: true,
+      trim: true,
+      uppercase: true,
+      // Format: RCPT-YYYYMMDD-XXXXX
+    },
+    kind: { type: String, enum: PAYMENT_KINDS, default: 'payment', index: true },
+    refundOf: { type: Schema.Types.ObjectId, ref: 'Payment', sparse: true },
+
+    // ── What was paid for (at least one) ──────────────────────────────────
+    appointmentId: { type: Schema.Types.ObjectId, ref: 'Appointment', sparse: true },
+    visitId: { type: Schema.Types.ObjectId, ref: 'Visit', sparse: true },
+
+    // ── Patient (XOR) ─────────────────────────────────────────────────────
+    patientPersonId: { type: Schema.Types.ObjectId, ref: 'Person', sparse: true },
+    patientChildId: { type: Schema.Types.ObjectId, ref: 'Children', sparse: true },
+
+    // ── Who was paid (copied from the appointment / visit) ────────────────
+    doctorId: { type: Schema.Types.ObjectId, ref: 'Doctor', sparse: true },
+    dentistId: { type: Schema.Types.ObjectId, ref: 'Dentist', sparse: true },
+    laboratoryId: { type: Schema.Types.ObjectId, ref: 'Laboratory', sparse: true },
+    hospitalId: { type: Schema.Types.ObjectId, ref: 'Hospital', sparse: true },
+
+    // ── Money ─────────────────────────────────────────────────────────────
+    amount: {
+      type: Number,
+      required: [true, 'المبلغ مطلوب'],
+      min: [0, 'المبلغ لا يمكن أن يكون سالباً'],
+    },
+    currency: { type: String, enum: CURRENCIES, default: 'SYP' },
+    // kind 'payment' only — total refunded so far (see header)
+    refundedAmount: { type: Number, default: 0, min: 0 },
+    method: {
+      type: String,
+      enum: { values: PAYMENT_METHODS, message: 'طريقة الدفع غير صالحة' },
+      required: [true, 'طريقة الدفع مطلوبة'],
+    },
+
+    // ── Method details ────────────────────────────────────────────────────
+    cardLast4: { type: String, trim: true, match: [/^\d{4}$/, 'آخر 4 أرقام من البطاقة غير صالحة'] },
+    transactionReference: { type: String, trim: true },
+    insuranceProvider: { type: String, trim: true },
+    insurancePolicyNumber: { type: String, trim: true },
+    insuranceClaimNumber: { type: String, trim: true },
+
+    description: { type: String, trim: true },
+    refundReason: { type: String, trim: true },
+    paidAt: { type: Date, default: Date.now, required: true },
+    receivedBy: { type: Schema.Types.ObjectId, ref: 'Account', required: true },
+    notes: { type: String, trim: true },
+  },
+  {
+    timestamps: true,
+    collection: 'payments',
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true },
+  },
+);
+
+// ── Indexes ─────────────────────────────────────────────────────────────────
+
+PaymentSchema.index({ appointmentId: 1, paidAt: 1 }, { name: 'idx_appointment' });
+PaymentSchema.index({ visitId: 1, paidAt: 1 }, { name: 'idx_visit' });
+PaymentSchema.index(
+  { patientPersonId: 1, paidAt: -1 },
+  { name: 'idx_patient_adult_date' },
+);
+PaymentSchema.index(
+  { patientChildId: 1, paidAt: -1 },
+  { name: 'idx_patient_child_date' },
+);
+PaymentSchema.index({ refundOf: 1 }, { sparse: true, name: 'idx_refundOf' });
+
+// ── Pre-validate ────────────────────────────────────────────────────────────
+
+PaymentSchema.pre('validate', function enforceRules(next) {
+  // Rule violations are reported with invalidate() so they surface as a
+  // ValidationError, like the schema's own checks
+  const hasPerson = !!this.patientPersonId;
+  const hasChild = !!this.patientChildId;
+  if (!hasPerson && !hasChild) {
+    this.invalidate('patientPersonId', 'يجب تحديد patientPersonId أو patientChildId');
+  }
+  if (hasPerson && hasChild) {
+    this.invalidate('patientChildId', 'لا يمكن تحديد patientPersonId و patientChildId معاً');
+  }
+
+  if (!this.appointmentId && !this.visitId) {
+    this.invalidate('appointmentId', 'يجب ربط الدفعة بموعد أو زيارة');
+  }
+
+  if (this.method === 'free' && this.amount !== 0) {
+    this.invalidate('amount', 'الدفعة المجانية يجب أن تكون بمبلغ 0');
+  } else if (this.method !== 'free' && !(this.amount > 0)) {
+    this.invalidate('amount', 'المبلغ يجب أن يكون أكبر من 0');
+  } else if (this.currency === 'SYP' && !Number.isInteger(this.amount)) {
+    this.invalidate('amount', 'المبالغ بالليرة السورية تكون بدون كسور');
+  }
+  if (this.method === 'insurance' && !this.insuranceProvider) {
+    this.invalidate('insuranceProvider', 'اسم شركة التأمين مطلوب');
+  }
+
+  if (this.kind === 'refund') {
+    if (!this.refundOf) {
+      this.invalidate('refundOf', 'يجب تحديد الدفعة المستردة');
+    }
+    if (!this.refundReason) {
+      this.invalidate('refundReason', 'سبب الاسترداد مطلوب');
+    }
+  }
+
+  return next();
+});
+
+// ── Pre-save: auto-generate receiptNumber ───────────────────────────────────
+
+PaymentSchema.pre('save', async function autoFields(next) {
+  try {
+    if (this.isNew && !this.receiptNumber) {
+      this.receiptNumber = await this.constructor.generateReceiptNumber();
+    }
+    return next();
+  } catch (err) {
+    return next(err);
+  }
+});
+
+// ── Virtuals ────────────────────────────────────────────────────────────────
+
+/**
+ * +amount for payments, −amount for refunds — sum this for a balance.
+ */
+PaymentSchema.virtual('signedAmount').get(function () {
+  return this.kind === 'refund' ? -this.amount : this.amount;
+});
+
+// ── Statics ─────────────────────────────────────────────────────────────────
+
+/**
+ * Generate receipt number: RCPT-YYYYMMDD-XXXXX (scoped per day).
+ * @returns {Promise<string>}
+ */
+PaymentSchema.statics.generateReceiptNumber = async function generateReceiptNumber() {
+  const now = new Date();
+  const yyyy = now.getFullYear();
+  const mm = String(now.getMonth() + 1).padStart(2, '0');
+  const dd = String(now.getDate()).padStart(2, '0');
+  const prefix = `RCPT-${yyyy}${mm}${dd}-`;
+
+  const todayCount = await this.countDocuments({
+    receiptNumber: { $regex: `^${prefix}` },
+  });
+
+  const sequence = String(todayCount + 1).padStart(5, '0');
+  return `${prefix}${sequence}`;
+};
+
+PaymentSchema.statics.PAYMENT_METHODS = PAYMENT_METHODS;
+PaymentSchema.statics.CURRENCIES = CURRENCIES;
+
+module.exports = mongoose.model('Payment', PaymentSchema);
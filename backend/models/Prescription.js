@@ -22,12 +22,37 @@
  *  its own `isDispensed` flag so partial dispensing works correctly
  *  (e.g. pharmacy is out of one drug, dispenses the other two).
  *
+ *  Drug interactions: createPrescription refuses major / contraindicated
+ *  interactions (services/interactionService) unless the doctor gives a
+ *  reason; the reason and the interactions it covered are kept in
+ *  `interactionOverride`. Allergy / contraindication warnings the doctor
+ *  prescribed through are kept the same way in `safetyOverride`; the
+ *  pharmacist is only stopped by warnings not covered there.
+ *
+ *  Dosage schedule: each line carries a structured `schedule` (times per
+ *  day / interval, duration in days, PRN, taper steps — utils/dosageSchedule).
+ *  Lines written the old way (free-text dosage / frequency / duration) get
+ *  it parsed from the text and need all three; lines sent with a schedule
+ *  get the text written from it, leaving empty what the schedule doesn't
+ *  say (e.g. the duration of an as-needed line). `courseEndDate` and, when
+ *  not given, `quantity` are computed from the schedule on save.
+ *
+ *  Refills (repeat prescriptions for chronic medications): the doctor sets
+ *  `refillsAllowed` and `refillIntervalDays`. Once the prescription is
+ *  fully dispensed (`lastFilledAt`), a pharmacist can dispense it again
+ *  after the interval — atomicClaimRefill flips it back to 'active' and
+ *  appends a `refills` entry. Patients whose refills have run out ask for a
+ *  renewal (`renewalRequests`), which notifies the prescriber.
+ *
  *  Default validity is 30 days from prescriptionDate (Syrian Ministry of
- *  Health convention) — caller can override via expiryDate field.
+ *  Health convention), plus refillsAllowed × refillIntervalDays for a
+ *  repeat prescription — caller can override via expiryDate field.
  * ═══════════════════════════════════════════════════════════════════════════
  */
 
 const mongoose = require('mongoose');
+const dosageSchedule = require('../utils/dosageSchedule');
+const { formatDate } = require('../utils/dateFormat');
 
 const { Schema } = mongoose;
 
@@ -45,8 +70,51 @@ const ROUTES = [
 // Default Rx validity in days
 const DEFAULT_VALIDITY_DAYS = 30;
 
+// Repeats a single prescription may carry (12 fills a year)
+const MAX_REFILLS = 11;
+
+// ── Sub-schema: dosage schedule ─────────────────────────────────────────────
+
+const TaperStepSchema = new Schema(
+  {
+    days: { type: Number, min: 1 },
+    timesPerDay: { type: Number, min: 0 },  // defaults to the schedule's
+    doseAmount: { type: Number, min: 0 },   // defaults to the schedule's
+  },
+  { _id: false },
+);
+
+const DosageScheduleSchema = new Schema(
+  {
+    doseAmount: { type: Number, min: 0 },
+    doseUnit: { type: String, enum: dosageSchedule.DOSE_UNITS },
+    timesPerDay: { type: Number, min: 0 },
+    intervalHours: { type: Number, min: 0 },   // "every 8 hours"
+    durationDays: { type: Number, min: 0 },
+    isContinuous: { type: Boolean, default: false },
+    prn: { type: Boolean, default: false },    // as needed
+    maxDosesPerDay: { type: Number, min: 0 },  // PRN ceiling
+    taperSteps: { type: [TaperStepSchema], default: [] },
+    parsedFromText: { type: Boolean, default: false },
+  },
+  { _id: false },
+);
+
 // ── Sub-schema: medication line item ────────────────────────────────────────
 
+// Whether a schedule carries enough to describe the line on its own
+function isStructured(schedule) {
+  return !!schedule && !!(schedule.timesPerDay || schedule.intervalHours || schedule.prn
+    || schedule.taperSteps?.length > 0);
+}
+
+// The text fields are required for lines written the old way; a line sent
+// with a structured schedule may leave one empty when the schedule has
+// nothing for it (an as-needed line without a set duration)
+function textRequired() {
+  return !isStructured(this.schedule) || this.schedule.parsedFromText;
+}
+
 const PrescriptionMedicationSchema = new Schema(
   {
     medicationId: { type: Schema.Types.ObjectId, ref: 'Medication' },
@@ -58,23 +126,27 @@ const PrescriptionMedicationSchema = new Schema(
     arabicName: { type: String, trim: true },
     dosage: {
       type: String,
-      required: [true, 'الجرعة مطلوبة'],
+      required: [textRequired, 'الجرعة مطلوبة'],
       trim: true,
     },
     frequency: {
       type: String,
-      required: [true, 'تكرار الجرعة مطلوب'],
+      required: [textRequired, 'تكرار الجرعة مطلوب'],
       trim: true,
     },
     duration: {
       type: String,
-      required: [true, 'مدة العلاج مطلوبة'],
+      required: [textRequired, 'مدة العلاج مطلوبة'],
       trim: true,
     },
     route: { type: String, enum: ROUTES, default: 'oral' },
     instructions: { type: String, trim: true },
     quantity: { type: Number, min: 0 },
 
+    // ── Structured schedule (see header) ─────────────────────────────────
+    schedule: { type: DosageScheduleSchema, default: undefined },
+    courseEndDate: { type: Date },
+
     // ── Dispensing state per-medication ──────────────────────────────────
     isDispensed: { type: Boolean, default: false },
     dispensedAt: { type: Date },
@@ -82,6 +154,52 @@ const PrescriptionMedicationSchema = new Schema(
   { _id: false },
 );
 
+// ── Sub-schema: refill (repeat dispense) ────────────────────────────────────
+
+const RefillSchema = new Schema(
+  {
+    number: { type: Number, min: 1, required: true },  // 1 = first repeat
+    startedAt: { type: Date, default: Date.now },
+    dispensingId: { type: Schema.Types.ObjectId, ref: 'PharmacyDispensing' },
+  },
+  { _id: false },
+);
+
+// ── Sub-schema: patient's renewal request ───────────────────────────────────
+
+const RenewalRequestSchema = new Schema(
+  {
+    requestedAt: { type: Date, default: Date.now },
+    requestedBy: { type: Schema.Types.ObjectId, ref: 'Account' },
+    note: { type: String, trim: true, maxlength: 500 },
+  },
+  { _id: false },
+);
+
+// ── Sub-schema: overridden drug interaction ─────────────────────────────────
+
+const OverriddenInteractionSchema = new Schema(
+  {
+    severity: { type: String, trim: true },
+    medications: { type: [String], default: [] },
+    ingredients: { type: [String], default: [] },
+    interactionId: { type: Schema.Types.ObjectId, ref: 'DrugInteraction' },
+  },
+  { _id: false },
+);
+
+// ── Sub-schema: overridden allergy / contraindication warning ───────────────
+
+const OverriddenSafetyWarningSchema = new Schema(
+  {
+    type: { type: String, enum: ['allergy', 'contraindication'] },
+    medicationName: { type: String, trim: true },
+    matchedOn: { type: String, trim: true },
+    reason: { type: String, trim: true },
+  },
+  { _id: false },
+);
+
 // ── Main schema ──────────────────────────────────────────────────────────────
 
 const PrescriptionSchema = new Schema(
@@ -154,8 +272,37 @@ const PrescriptionSchema = new Schema(
       sparse: true,
     },
 
+    // ── Refills (see header) ──────────────────────────────────────────────
+    refillsAllowed: {
+      type: Number,
+      default: 0,
+      min: [0, 'عدد مرات إعادة الصرف لا يمكن أن يكون سالباً'],
+      max: [MAX_REFILLS, `الحد الأقصى لإعادة الصرف ${MAX_REFILLS} مرة`],
+    },
+    refillIntervalDays: { type: Number, min: [1, 'الفاصل بين مرات الصرف يوم واحد على الأقل'] },
+    refillsUsed: { type: Number, default: 0, min: 0 },
+    refills: { type: [RefillSchema], default: [] },
+    lastFilledAt: { type: Date },  // last time every line was dispensed
+    renewalRequests: { type: [RenewalRequestSchema], default: [] },
+
     // ── Doctor notes ──────────────────────────────────────────────────────
     prescriptionNotes: { type: String, trim: true },
+
+    // ── Blocking interactions the doctor prescribed through ───────────────
+    interactionOverride: {
+      reason: { type: String, trim: true },
+      overriddenBy: { type: Schema.Types.ObjectId, ref: 'Account' },
+      overriddenAt: { type: Date },
+      interactions: { type: [OverriddenInteractionSchema], default: undefined },
+    },
+
+    // ── Allergy / contraindication warnings the doctor prescribed through ─
+    safetyOverride: {
+      reason: { type: String, trim: true },
+      overriddenBy: { type: Schema.Types.ObjectId, ref: 'Account' },
+      overriddenAt: { type: Date },
+      warnings: { type: [OverriddenSafetyWarningSchema], default: undefined },
+    },
   },
   {
     timestamps: true,
@@ -215,7 +362,7 @@ PrescriptionSchema.statics.generateVerificationCode = function generateVerificat
   return String(Math.floor(100000 + Math.random() * 900000));
 };
 
-// ── Pre-validate: patient XOR + prescriber XOR ─────────────────────────────
+// ── Pre-validate: patient XOR + prescriber XOR + refill interval ───────────
 
 PrescriptionSchema.pre('validate', function enforceXor(next) {
   // Patient XOR
@@ -238,6 +385,35 @@ PrescriptionSchema.pre('validate', function enforceXor(next) {
     return next(new Error('لا يمكن تحديد doctorId و dentistId معاً'));
   }
 
+  // Repeats need an interval — reported as a ValidationError
+  if (this.refillsAllowed > 0 && !this.refillIntervalDays) {
+    this.invalidate('refillIntervalDays', 'يجب تحديد الفاصل بين مرات الصرف (refillIntervalDays)');
+  }
+
+  return next();
+});
+
+// ── Pre-validate: dosage schedules, course end and quantity ────────────────
+
+PrescriptionSchema.pre('validate', function fillSchedules(next) {
+  if (!this.isNew && !this.isModified('medications')) return next();
+
+  (this.medications || []).forEach((med) => {
+    if (!isStructured(med.schedule)) {
+      med.schedule = dosageSchedule.parseSchedule(med);
+    } else {
+      const text = dosageSchedule.describeSchedule(med.schedule);
+      ['dosage', 'frequency', 'duration'].forEach((field) => {
+        if (!med[field] && text[field]) med[field] = text[field];
+      });
+    }
+
+    med.courseEndDate = dosageSchedule.courseEndDate(med.schedule, this.prescriptionDate || new Date())
+      || undefined;
+    if (med.quantity == null) {
+      med.quantity = dosageSchedule.quantityFor(med.schedule) ?? undefined;
+    }
+  });
   return next();
 });
 
@@ -262,13 +438,20 @@ PrescriptionSchema.pre('save', async function autoGenerateFields(next) {
         this.qrCode = `${this.prescriptionNumber}|${this.verificationCode}`;
       }
 
-      // 4. Default expiryDate to 30 days after prescriptionDate
+      // 4. Default expiryDate to 30 days after prescriptionDate, plus the
+      // time the repeats take
       if (!this.expiryDate && this.prescriptionDate) {
         const expiry = new Date(this.prescriptionDate);
-        expiry.setDate(expiry.getDate() + DEFAULT_VALIDITY_DAYS);
+        expiry.setDate(expiry.getDate() + DEFAULT_VALIDITY_DAYS
+          + (this.refillsAllowed || 0) * (this.refillIntervalDays || 0));
         this.expiryDate = expiry;
       }
     }
+
+    // 5. A fill (original or repeat) just completed
+    if (this.isModified('status') && this.status === 'dispensed') {
+      this.lastFilledAt = new Date();
+    }
     return next();
   } catch (err) {
     return next(err);
@@ -285,11 +468,111 @@ PrescriptionSchema.virtual('totalMedications').get(function () {
   return Array.isArray(this.medications) ? this.medications.length : 0;
 });
 
+PrescriptionSchema.virtual('refillsRemaining').get(function () {
+  return Math.max((this.refillsAllowed || 0) - (this.refillsUsed || 0), 0);
+});
+
 PrescriptionSchema.virtual('dispensedCount').get(function () {
   if (!Array.isArray(this.medications)) return 0;
   return this.medications.filter((m) => m.isDispensed).length;
 });
 
+// ── Refills ─────────────────────────────────────────────────────────────────
+
+/**
+ * Refill position of a prescription (document or lean object).
+ *
+ * @returns {{ refillsAllowed, refillsUsed, refillsRemaining,
+ *             nextRefillDate: Date|null, due: boolean }}
+ *   due — fully dispensed, a repeat left, and the interval has passed
+ */
+PrescriptionSchema.statics.refillStateOf = function refillStateOf(rx) {
+  const refillsAllowed = rx.refillsAllowed || 0;
+  const refillsUsed = rx.refillsUsed || 0;
+  const refillsRemaining = Math.max(refillsAllowed - refillsUsed, 0);
+
+  let nextRefillDate = null;
+  if (refillsRemaining > 0 && rx.lastFilledAt && rx.refillIntervalDays) {
+    nextRefillDate = new Date(rx.lastFilledAt);
+    nextRefillDate.setDate(nextRefillDate.getDate() + rx.refillIntervalDays);
+  }
+
+  return {
+    refillsAllowed,
+    refillsUsed,
+    refillsRemaining,
+    nextRefillDate,
+    due: rx.status === 'dispensed' && !!nextRefillDate && nextRefillDate <= new Date()
+  };
+};
+
+/**
+ * Why a fully dispensed prescription can't be verified / dispensed now —
+ * the message every counter shows for a refill that isn't due.
+ *
+ * @param {object} refill - refillStateOf
+ * @returns {string}
+ */
+PrescriptionSchema.statics.refillRejectionMessage = function refillRejectionMessage(refill) {
+  return refill.nextRefillDate
+    ? `تم صرف هذه الوصفة. إعادة الصرف التالية متاحة من ${formatDate(refill.nextRefillDate)}`
+    : 'تم صرف هذه الوصفة بالكامل مسبقاً';
+};
+
+/**
+ * Start the next repeat of a fully dispensed prescription: every line
+ * becomes dispensable again, status → 'active', a refills entry is added.
+ * Guarded on refillsUsed so two pharmacies can't claim the same repeat.
+ *
+ * @param {ObjectId} prescriptionId
+ * @param {number} refillsUsed - the count the caller saw
+ * @returns {Promise<Prescription|null>} the updated document, or null when
+ *          someone else got there first
+ */
+PrescriptionSchema.statics.atomicClaimRefill = function atomicClaimRefill(prescriptionId, refillsUsed) {
+  return this.findOneAndUpdate(
+    {
+      _id: prescriptionId,
+      status: 'dispensed',
+      refillsUsed,
+      $expr: { $lt: ['$refillsUsed', '$refillsAllowed'] },
+    },
+    {
+      $inc: { refillsUsed: 1 },
+      $set: { status: 'active', 'medications.$[].isDispensed': false },
+      $push: { refills: { number: refillsUsed + 1, startedAt: new Date() } },
+    },
+    { new: true },
+  );
+};
+
+/**
+ * Give back a claimed repeat that nothing was dispensed against (the
+ * dispense failed before any line went out).
+ *
+ * @param {ObjectId} prescriptionId
+ * @param {number} refillNumber
+ * @returns {Promise<Prescription|null>}
+ */
+PrescriptionSchema.statics.atomicReleaseRefill = function atomicReleaseRefill(prescriptionId, refillNumber) {
+  return this.findOneAndUpdate(
+    {
+      _id: prescriptionId,
+      status: 'active',
+      refillsUsed: refillNumber,
+      'medications.isDispensed': { $ne: true },
+    },
+    {
+      $inc: { refillsUsed: -1 },
+      $set: { status: 'dispensed', 'medications.$[].isDispensed': true },
+      $pull: { refills: { number: refillNumber } },
+    },
+    { new: true },
+  );
+};
+
+PrescriptionSchema.statics.MAX_REFILLS = MAX_REFILLS;
+
 // ── Instance methods ────────────────────────────────────────────────────────
 
 /**
@@ -152,6 +152,25 @@ ReviewSchema.index(
   },
 );
 
+// One review per reviewer per appointment. partialFilterExpression (not
+// sparse) so visit-only reviews don't collide on a null appointmentId.
+ReviewSchema.index(
+  { reviewerPersonId: 1, appointmentId: 1 },
+  {
+    unique: true,
+    partialFilterExpression: { appointmentId: { $exists: true } },
+    name: 'idx_unique_reviewer_appointment_adult',
+  },
+);
+ReviewSchema.index(
+  { reviewerChildId: 1, appointmentId: 1 },
+  {
+    unique: true,
+    partialFilterExpression: { appointmentId: { $exists: true } },
+    name: 'idx_unique_reviewer_appointment_child',
+  },
+);
+
 // ── Pre-validate: reviewer XOR + target XOR + event link required ──────────
 
 ReviewSchema.pre('validate', function enforceRules(next) {
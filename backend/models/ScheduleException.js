@@ -0,0 +1,202 @@
+/**
+ * ═══════════════════════════════════════════════════════════════════════════
+ *  ScheduleException Model — Patient 360°
+ *  ─────────────────────────────────────────────────────────────────────────
+ *  Collection: schedule_exceptions
+ *
+ *  The leave / public-holiday calendar. Each entry is an inclusive range of
+ *  whole days on which a provider (or, for national holidays, everyone)
+ *  does not work.
+ *
+ *  Scopes:
+ *    provider — one doctor, dentist, laboratory or hospital resource on
+ *               leave (vacation, sick leave, conference, ...)
+ *    national — Syrian public holiday; applies to every provider
+ *
+ *  Applying an exception (services/leaveService.applyException):
+ *    1. Booked appointments in range are cancelled with reason
+ *       'doctor_unavailable', the patient is notified and offered the
+ *       nearest free slot of the same provider (Appointment.suggestedSlotId)
+ *    2. Every unbooked slot in range is blocked (blockedByExceptionId)
+ *    3. ScheduleTemplate materialisation skips the range from then on
+ *  The counts are stamped on `impact`. Withdrawing an exception unblocks
+ *  the slots it blocked; cancelled appointments stay cancelled.
+ * ═══════════════════════════════════════════════════════════════════════════
+ */
+
+const mongoose = require('mongoose');
+
+const { Schema } = mongoose;
+
+// ── Enums ───────────────────────────────────────────────────────────────────
+
+const SCOPES = ['provider', 'national'];
+
+const LEAVE_TYPES = [
+  'vacation', 'sick_leave', 'conference', 'personal',
+  'public_holiday', 'other',
+];
+
+const STATUSES = ['active', 'withdrawn'];
+
+const OWNER_FIELDS = ['doctorId', 'dentistId', 'laboratoryId', 'hospitalId'];
+
+/**
+ * Fixed-date official holidays in Syria, used to seed a year's national
+ * calendar. Movable holidays (Eid al-Fitr, Eid al-Adha, Hijri New Year,
+ * Mawlid, Orthodox and Western Easter) depend on the lunar / church
+ * calendar and are added by an admin once announced each year.
+ */
+const SYRIAN_FIXED_HOLIDAYS = [
+  { month: 1, day: 1, title: 'رأس السنة الميلادية' },
+  { month: 3, day: 21, title: 'عيد الأم' },
+  { month: 4, day: 17, title: 'عيد الجلاء' },
+  { month: 5, day: 1, title: 'عيد العمال' },
+  { month: 5, day: 6, title: 'عيد الشهداء' },
+  { month: 10, day: 6, title: 'ذكرى حرب تشرين' },
+  { month: 12, day: 25, title: 'عيد الميلاد المجيد' },
+];
+
+// ── Main schema ──────────────────────────────────────────────────────────────
+
+const ScheduleExceptionSchema = new Schema(
+  {
+    scope: { type: String, enum: SCOPES, default: 'provider', index: true },
+
+    // ── Owner (exactly one for scope='provider', none for 'national') ─────
+    doctorId: { type: Schema.Types.ObjectId, ref: 'Doctor', sparse: true },
+    dentistId: { type: Schema.Types.ObjectId, ref: 'Dentist', sparse: true },
+    laboratoryId: {
+      type: Schema.Types.ObjectId,
+      ref: 'Laboratory',
+      sparse: true,
+    },
+    hospitalId: { type: Schema.Types.ObjectId, ref: 'Hospital', sparse: true },
+
+    // ── What / when ───────────────────────────────────────────────────────
+    leaveType: {
+      type: String,
+      enum: LEAVE_TYPES,
+      default: 'vacation',
+    },
+    title: {
+      type: String,
+      required: [true, 'عنوان الإجازة مطلوب'],
+      trim: true,
+      maxlength: [200, 'العنوان يجب ألا يتجاوز 200 حرف'],
+    },
+    notes: { type: String, trim: true, maxlength: 1000 },
+    startDate: {
+      type: Date,
+      required: [true, 'تاريخ البداية مطلوب'],
+    },
+    endDate: {
+      type: Date,
+      required: [true, 'تاريخ النهاية مطلوب'],
+      // Inclusive — the whole endDate day is off
+    },
+
+    // ── Lifecycle ─────────────────────────────────────────────────────────
+    status: { type: String, enum: STATUSES, default: 'active', index: true },
+    createdBy: { type: Schema.Types.ObjectId, ref: 'Account' },
+    withdrawnAt: { type: Date },
+    withdrawnBy: { type: Schema.Types.ObjectId, ref: 'Account' },
+
+    // ── Result of applyException ──────────────────────────────────────────
+    impact: {
+      blockedSlots: { type: Number, default: 0 },
+      cancelledAppointments: { type: Number, default: 0 },
+      notifiedPatients: { type: Number, default: 0 },
+      appliedAt: { type: Date },
+    },
+  },
+  {
+    timestamps: true,
+    collection: 'schedule_exceptions',
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true },
+  },
+);
+
+// ── Indexes ─────────────────────────────────────────────────────────────────
+
+ScheduleExceptionSchema.index(
+  { scope: 1, status: 1, startDate: 1, endDate: 1 },
+  { name: 'idx_scope_range' },
+);
+ScheduleExceptionSchema.index(
+  { doctorId: 1, status: 1, startDate: 1 },
+  { sparse: true, name: 'idx_doctor_range' },
+);
+ScheduleExceptionSchema.index(
+  { dentistId: 1, status: 1, startDate: 1 },
+  { sparse: true, name: 'idx_dentist_range' },
+);
+
+// ── Pre-validate: normalise to whole days, owner rules ──────────────────────
+
+ScheduleExceptionSchema.pre('validate', function enforceRules(next) {
+  if (this.startDate) this.startDate.setHours(0, 0, 0, 0);
+  if (this.endDate) this.endDate.setHours(0, 0, 0, 0);
+
+  if (this.startDate && this.endDate && this.endDate < this.startDate) {
+    return next(new Error('تاريخ النهاية يجب أن يكون بعد تاريخ البداية أو مساوياً له'));
+  }
+
+  const owners = OWNER_FIELDS.filter((field) => this[field]);
+  if (this.scope === 'provider' && owners.length !== 1) {
+    return next(new Error('يجب تحديد مقدم خدمة واحد للإجازة'));
+  }
+  if (this.scope === 'national') {
+    if (owners.length > 0) {
+      return next(new Error('العطلة الرسمية لا ترتبط بمقدم خدمة'));
+    }
+    this.leaveType = 'public_holiday';
+  }
+
+  return next();
+});
+
+// ── Virtuals ────────────────────────────────────────────────────────────────
+
+ScheduleExceptionSchema.virtual('owner').get(function () {
+  const field = OWNER_FIELDS.find((f) => this[f]);
+  return field ? { [field]: this[field] } : null;
+});
+
+/**
+ * Exclusive upper bound for date queries (the day after endDate).
+ */
+ScheduleExceptionSchema.virtual('endExclusive').get(function () {
+  if (!this.endDate) return null;
+  const d = new Date(this.endDate);
+  d.setDate(d.getDate() + 1);
+  return d;
+});
+
+// ── Static helpers ──────────────────────────────────────────────────────────
+
+ScheduleExceptionSchema.statics.LEAVE_TYPES = LEAVE_TYPES;
+ScheduleExceptionSchema.statics.OWNER_FIELDS = OWNER_FIELDS;
+ScheduleExceptionSchema.statics.SYRIAN_FIXED_HOLIDAYS = SYRIAN_FIXED_HOLIDAYS;
+
+/**
+ * Active exceptions affecting `owner` (or national ones) that overlap
+ * [from, to). Pass owner=null to get national holidays only.
+ *
+ * @param {object|null} owner - { doctorId } | { dentistId } | ...
+ * @param {Date} from
+ * @param {Date} to - exclusive
+ */
+ScheduleExceptionSchema.statics.findOverlapping = function findOverlapping(owner, from, to) {
+  const who = [{ scope: 'national' }];
+  if (owner) who.push({ scope: 'provider', ...owner });
+  return this.find({
+    status: 'active',
+    startDate: { $lt: to },
+    endDate: { $gte: from },
+    $or: who,
+  }).lean();
+};
+
+module.exports = mongoose.model('ScheduleException', ScheduleExceptionSchema);
@@ -0,0 +1,262 @@
+/**
+ * ═══════════════════════════════════════════════════════════════════════════
+ *  ScheduleTemplate Model — Patient 360°
+ *  ─────────────────────────────────────────────────────────────────────────
+ *  Collection: schedule_templates
+ *
+ *  Recurring weekly availability for a doctor, dentist, laboratory or
+ *  hospital resource. Each weekly rule describes one working block on one
+ *  weekday (start/end, slot length, capacity, breaks). A provider with a
+ *  split shift simply has two rules for the same weekday.
+ *
+ *  Materialisation:
+ *    services/scheduleService.materializeTemplate() turns the template into
+ *    AvailabilitySlot documents for the next `weeksAhead` weeks. The
+ *    background job in jobs/index.js calls it for every active template, so
+ *    the window keeps rolling forward without provider action. Generated
+ *    slots carry templateId; slots that already exist for the same owner,
+ *    date and startTime are never duplicated.
+ *
+ *  Exceptions:
+ *    `exceptions` lists dates (leave, holidays) on which no slots are
+ *    generated from this template.
+ * ═══════════════════════════════════════════════════════════════════════════
+ */
+
+const mongoose = require('mongoose');
+
+const { Schema } = mongoose;
+
+// ── Enums ───────────────────────────────────────────────────────────────────
+
+const WEEKDAYS = [
+  'Sunday', 'Monday', 'Tuesday', 'Wednesday',
+  'Thursday', 'Friday', 'Saturday',
+];
+
+const OWNER_FIELDS = ['doctorId', 'dentistId', 'laboratoryId', 'hospitalId'];
+
+const MAX_WEEKS_AHEAD = 12;
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+// ── Sub-schemas ─────────────────────────────────────────────────────────────
+
+const BreakSchema = new Schema(
+  {
+    startTime: { type: String, required: true, trim: true, match: TIME_PATTERN },
+    endTime: { type: String, required: true, trim: true, match: TIME_PATTERN },
+    label: { type: String, trim: true }, // e.g. 'استراحة الغداء'
+  },
+  { _id: false },
+);
+
+const WeeklyRuleSchema = new Schema(
+  {
+    dayOfWeek: {
+      type: String,
+      enum: WEEKDAYS,
+      required: [true, 'يوم الأسبوع مطلوب'],
+    },
+    startTime: {
+      type: String,
+      required: [true, 'وقت البداية مطلوب'],
+      trim: true,
+      match: [TIME_PATTERN, 'وقت البداية يجب أن يكون بصيغة HH:MM'],
+    },
+    endTime: {
+      type: String,
+      required: [true, 'وقت النهاية مطلوب'],
+      trim: true,
+      match: [TIME_PATTERN, 'وقت النهاية يجب أن يكون بصيغة HH:MM'],
+    },
+    slotDuration: {
+      type: Number,
+      default: 30,
+      min: [5, 'مدة الموعد يجب أن تكون 5 دقائق على الأقل'],
+      max: [480, 'مدة الموعد يجب ألا تتجاوز 8 ساعات'],
+    },
+    maxBookings: {
+      type: Number,
+      default: 1,
+      min: [1, 'الحد الأقصى للحجوزات يجب أن يكون 1 على الأقل'],
+    },
+    breaks: { type: [BreakSchema], default: [] },
+  },
+  { _id: false },
+);
+
+const ExceptionSchema = new Schema(
+  {
+    date: { type: Date, required: true },
+    reason: { type: String, trim: true },
+  },
+  { _id: false },
+);
+
+// ── Main schema ──────────────────────────────────────────────────────────────
+
+const ScheduleTemplateSchema = new Schema(
+  {
+    // ── Owner (exactly one must be set — same columns as AvailabilitySlot)
+    doctorId: { type: Schema.Types.ObjectId, ref: 'Doctor', sparse: true },
+    dentistId: { type: Schema.Types.ObjectId, ref: 'Dentist', sparse: true },
+    laboratoryId: {
+      type: Schema.Types.ObjectId,
+      ref: 'Laboratory',
+      sparse: true,
+    },
+    hospitalId: { type: Schema.Types.ObjectId, ref: 'Hospital', sparse: true },
+
+    name: {
+      type: String,
+      trim: true,
+      default: 'الجدول الأسبوعي',
+      maxlength: [100, 'اسم الجدول يجب ألا يتجاوز 100 حرف'],
+    },
+
+    // ── Weekly pattern ────────────────────────────────────────────────────
+    weeklyRules: {
+      type: [WeeklyRuleSchema],
+      validate: {
+        validator: (arr) => Array.isArray(arr) && arr.length >= 1,
+        message: 'يجب تحديد يوم عمل واحد على الأقل',
+      },
+    },
+    exceptions: { type: [ExceptionSchema], default: [] },
+
+    // ── Materialisation window ────────────────────────────────────────────
+    weeksAhead: {
+      type: Number,
+      default: 4,
+      min: [1, 'عدد الأسابيع يجب أن يكون 1 على الأقل'],
+      max: [MAX_WEEKS_AHEAD, `عدد الأسابيع يجب ألا يتجاوز ${MAX_WEEKS_AHEAD}`],
+    },
+    effectiveFrom: { type: Date },
+    effectiveUntil: { type: Date },
+    isActive: { type: Boolean, default: true, index: true },
+
+    lastMaterializedAt: { type: Date },
+    materializedThrough: { type: Date },
+
+    createdBy: { type: Schema.Types.ObjectId, ref: 'Account' },
+  },
+  {
+    timestamps: true,
+    collection: 'schedule_templates',
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true },
+  },
+);
+
+// ── Indexes ─────────────────────────────────────────────────────────────────
+
+ScheduleTemplateSchema.index(
+  { doctorId: 1, isActive: 1 },
+  { sparse: true, name: 'idx_doctor_active' },
+);
+ScheduleTemplateSchema.index(
+  { dentistId: 1, isActive: 1 },
+  { sparse: true, name: 'idx_dentist_active' },
+);
+ScheduleTemplateSchema.index(
+  { laboratoryId: 1, isActive: 1 },
+  { sparse: true, name: 'idx_lab_active' },
+);
+
+// ── Helpers ─────────────────────────────────────────────────────────────────
+
+function toMinutes(hhmm) {
+  const [h, m] = hhmm.split(':').map(Number);
+  return h * 60 + m;
+}
+
+// ── Pre-validate: one owner, sane rules, non-overlapping blocks ─────────────
+
+ScheduleTemplateSchema.pre('validate', function enforceRules(next) {
+  const owners = OWNER_FIELDS.filter((field) => this[field]);
+  if (owners.length !== 1) {
+    return next(new Error('يجب تحديد مالك واحد للجدول (doctorId أو dentistId أو laboratoryId أو hospitalId)'));
+  }
+
+  const rules = this.weeklyRules || [];
+  for (const rule of rules) {
+    if (!TIME_PATTERN.test(rule.startTime || '') || !TIME_PATTERN.test(rule.endTime || '')) {
+      continue; // field-level validators report the format error
+    }
+    const start = toMinutes(rule.startTime);
+    const end = toMinutes(rule.endTime);
+    if (end <= start) {
+      return next(new Error(`وقت النهاية يجب أن يكون بعد وقت البداية (${rule.dayOfWeek})`));
+    }
+    if (rule.slotDuration > end - start) {
+      return next(new Error(`مدة الموعد أكبر من نطاق الوقت (${rule.dayOfWeek})`));
+    }
+    for (const br of rule.breaks || []) {
+      if (!TIME_PATTERN.test(br.startTime || '') || !TIME_PATTERN.test(br.endTime || '')) continue;
+      const bs = toMinutes(br.startTime);
+      const be = toMinutes(br.endTime);
+      if (be <= bs || bs < start || be > end) {
+        return next(new Error(`الاستراحة ${br.startTime}-${br.endTime} يجب أن تقع ضمن ساعات العمل (${rule.dayOfWeek})`));
+      }
+    }
+  }
+
+  // Two blocks on the same weekday must not overlap
+  for (let i = 0; i < rules.length; i += 1) {
+    for (let j = i + 1; j < rules.length; j += 1) {
+      const a = rules[i];
+      const b = rules[j];
+      if (a.dayOfWeek !== b.dayOfWeek) continue;
+      if (a.startTime < b.endTime && b.startTime < a.endTime) {
+        return next(new Error(`فترات العمل متداخلة يوم ${a.dayOfWeek}`));
+      }
+    }
+  }
+
+  if (this.effectiveFrom && this.effectiveUntil && this.effectiveUntil < this.effectiveFrom) {
+    return next(new Error('تاريخ نهاية الجدول يجب أن يكون بعد تاريخ بدايته'));
+  }
+
+  return next();
+});
+
+// ── Virtuals ────────────────────────────────────────────────────────────────
+
+/**
+ * The owner as a { field: id } object, ready to spread into an
+ * AvailabilitySlot query or document.
+ */
+ScheduleTemplateSchema.virtual('owner').get(function () {
+  const field = OWNER_FIELDS.find((f) => this[f]);
+  return field ? { [field]: this[field] } : null;
+});
+
+// ── Static helpers ──────────────────────────────────────────────────────────
+
+ScheduleTemplateSchema.statics.WEEKDAYS = WEEKDAYS;
+ScheduleTemplateSchema.statics.OWNER_FIELDS = OWNER_FIELDS;
+ScheduleTemplateSchema.statics.MAX_WEEKS_AHEAD = MAX_WEEKS_AHEAD;
+
+// ── Instance methods ────────────────────────────────────────────────────────
+
+/**
+ * Rules that apply on a given weekday name ('Sunday', ...).
+ *
+ * @param {string} dayName
+ */
+ScheduleTemplateSchema.methods.rulesFor = function rulesFor(dayName) {
+  return (this.weeklyRules || []).filter((rule) => rule.dayOfWeek === dayName);
+};
+
+/**
+ * True when the template itself lists `date` as an exception.
+ *
+ * @param {Date} date
+ */
+ScheduleTemplateSchema.methods.hasExceptionOn = function hasExceptionOn(date) {
+  const key = date.toDateString();
+  return (this.exceptions || []).some((ex) => ex.date && new Date(ex.date).toDateString() === key);
+};
+
+module.exports = mongoose.model('ScheduleTemplate', ScheduleTemplateSchema);
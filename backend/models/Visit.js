@@ -19,10 +19,15 @@
  *    • prescribedMedications — quick list of meds (full Rx is in prescriptions)
  *    • ecgAnalysis        — AI ECG result (only if doctor.isECGSpecialist=true)
  *    • visitPhotoUrl      — uploaded X-ray, scan, or medical image
+ *    • telemedicine       — join / leave times of a video consultation
  *
  *  The `appointmentId` field links back to the appointment that triggered
  *  this visit (set when an appointment transitions from 'in_progress'
  *  to 'completed' and creates the visit record).
+ *
+ *  Follow-up: when followUpDate is set, services/followUpService books the
+ *  nearest free slot of the same provider on/after that date and links it
+ *  back through `followUpAppointmentId`; the patient confirms it.
  * ═══════════════════════════════════════════════════════════════════════════
  */
 
@@ -34,6 +39,7 @@ const { Schema } = mongoose;
 
 const VISIT_TYPES = [
   'regular', 'follow_up', 'emergency', 'consultation', 'dental', 'lab_only',
+  'telemedicine',
 ];
 
 const VISIT_STATUSES = ['in_progress', 'completed', 'cancelled'];
@@ -154,6 +160,18 @@ const ECGAnalysisSchema = new Schema(
   { _id: false },
 );
 
+// ── Sub-schema: video consultation attendance ───────────────────────────────
+
+const RoomAttendanceSchema = new Schema(
+  {
+    role: { type: String, enum: ['patient', 'provider'], required: true },
+    accountId: { type: Schema.Types.ObjectId, ref: 'Account', required: true },
+    joinedAt: { type: Date, required: true },
+    leftAt: { type: Date },
+  },
+  { _id: false },
+);
+
 // ── Main schema ──────────────────────────────────────────────────────────────
 
 const VisitSchema = new Schema(
@@ -223,6 +241,7 @@ const VisitSchema = new Schema(
     doctorNotes: { type: String, trim: true },
     followUpDate: { type: Date },
     followUpNotes: { type: String, trim: true },
+    followUpAppointmentId: { type: Schema.Types.ObjectId, ref: 'Appointment', sparse: true },
 
     // ── Visit photo (X-ray, scan, image) ──────────────────────────────────
     visitPhotoUrl: { type: String, trim: true },
@@ -231,6 +250,13 @@ const VisitSchema = new Schema(
     // ── ECG AI analysis (only for cardiology visits) ──────────────────────
     ecgAnalysis: { type: ECGAnalysisSchema, default: undefined },
 
+    // ── Video consultation: who was in the room and when ──────────────────
+    // Copied from the appointment at completion; later leaves keep it current
+    telemedicine: {
+      adapter: { type: String, trim: true },
+      attendance: { type: [RoomAttendanceSchema], default: undefined },
+    },
+
     // ── Payment ───────────────────────────────────────────────────────────
     paymentStatus: { type: String, enum: PAYMENT_STATUSES, default: 'pending' },
     paymentMethod: { type: String, enum: PAYMENT_METHODS },
@@ -0,0 +1,230 @@
+/**
+ * ═══════════════════════════════════════════════════════════════════════════
+ *  WaitlistEntry Model — Patient 360°
+ *  ─────────────────────────────────────────────────────────────────────────
+ *  Collection: waitlist_entries
+ *
+ *  A patient waiting for a slot with one provider inside a date range
+ *  (optionally a time-of-day window). Entries are served first come,
+ *  first served.
+ *
+ *  Lifecycle:
+ *    waiting   → a slot of the provider is freed (cancellation / reschedule)
+ *    offered   → the slot is HELD for this patient (its capacity is already
+ *                claimed with atomicReserve) until offer.heldUntil
+ *    booked    → patient confirmed; appointment created on the held slot
+ *    waiting   ← patient declined or the hold lapsed; the slot goes to the
+ *                next entry and is never offered to this one again
+ *    expired   — dateTo passed, or too many holds lapsed
+ *    cancelled — patient left the waitlist
+ *
+ *  Offers are made by services/waitlistService; lapsed holds are swept by
+ *  the expire-waitlist-holds job.
+ * ═══════════════════════════════════════════════════════════════════════════
+ */
+
+const mongoose = require('mongoose');
+
+const { Schema } = mongoose;
+
+// ── Enums ───────────────────────────────────────────────────────────────────
+
+const STATUSES = ['waiting', 'offered', 'booked', 'expired', 'cancelled'];
+
+const OPEN_STATUSES = ['waiting', 'offered'];
+
+const PROVIDER_FIELDS = ['doctorId', 'dentistId', 'laboratoryId', 'hospitalId'];
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+const HOLD_MINUTES = parseInt(process.env.WAITLIST_HOLD_MINUTES, 10) || 30;
+
+// After this many lapsed holds the entry is expired
+const MAX_MISSED_OFFERS = 3;
+
+// ── Main schema ──────────────────────────────────────────────────────────────
+
+const WaitlistEntrySchema = new Schema(
+  {
+    // ── Patient (XOR — adult or child) ────────────────────────────────────
+    patientPersonId: {
+      type: Schema.Types.ObjectId,
+      ref: 'Person',
+      sparse: true,
+    },
+    patientChildId: {
+      type: Schema.Types.ObjectId,
+      ref: 'Children',
+      sparse: true,
+    },
+
+    // ── Provider (exactly one) ────────────────────────────────────────────
+    doctorId: { type: Schema.Types.ObjectId, ref: 'Doctor', sparse: true },
+    dentistId: { type: Schema.Types.ObjectId, ref: 'Dentist', sparse: true },
+    laboratoryId: {
+      type: Schema.Types.ObjectId,
+      ref: 'Laboratory',
+      sparse: true,
+    },
+    hospitalId: { type: Schema.Types.ObjectId, ref: 'Hospital', sparse: true },
+
+    // ── Wanted window (inclusive days, optional time of day) ──────────────
+    dateFrom: {
+      type: Date,
+      required: [true, 'تاريخ البداية مطلوب'],
+    },
+    dateTo: {
+      type: Date,
+      required: [true, 'تاريخ النهاية مطلوب'],
+    },
+    timeFrom: {
+      type: String,
+      trim: true,
+      match: [TIME_PATTERN, 'الوقت يجب أن يكون بصيغة HH:MM'],
+    },
+    timeTo: {
+      type: String,
+      trim: true,
+      match: [TIME_PATTERN, 'الوقت يجب أن يكون بصيغة HH:MM'],
+    },
+
+    // ── Copied onto the appointment on confirmation ───────────────────────
+    reasonForVisit: {
+      type: String,
+      required: [true, 'سبب الزيارة مطلوب'],
+      trim: true,
+      maxlength: [500, 'سبب الزيارة يجب ألا يتجاوز 500 حرف'],
+    },
+    priority: {
+      type: String,
+      enum: ['routine', 'urgent', 'emergency'],
+      default: 'routine',
+    },
+
+    // ── State ─────────────────────────────────────────────────────────────
+    status: { type: String, enum: STATUSES, default: 'waiting', index: true },
+    offer: {
+      slotId: { type: Schema.Types.ObjectId, ref: 'AvailabilitySlot' },
+      offeredAt: { type: Date },
+      heldUntil: { type: Date },
+    },
+    // Slots this entry declined or let lapse — never offered again
+    passedSlotIds: [{ type: Schema.Types.ObjectId, ref: 'AvailabilitySlot' }],
+    missedOffers: { type: Number, default: 0, min: 0 },
+
+    appointmentId: { type: Schema.Types.ObjectId, ref: 'Appointment' },
+    requestedBy: {
+      type: Schema.Types.ObjectId,
+      ref: 'Account',
+      required: [true, 'صاحب الطلب مطلوب'],
+    },
+    closedAt: { type: Date },
+  },
+  {
+    timestamps: true,
+    collection: 'waitlist_entries',
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true },
+  },
+);
+
+// ── Indexes ─────────────────────────────────────────────────────────────────
+
+WaitlistEntrySchema.index(
+  { doctorId: 1, status: 1, createdAt: 1 },
+  { sparse: true, name: 'idx_doctor_queue' },
+);
+WaitlistEntrySchema.index(
+  { dentistId: 1, status: 1, createdAt: 1 },
+  { sparse: true, name: 'idx_dentist_queue' },
+);
+WaitlistEntrySchema.index(
+  { laboratoryId: 1, status: 1, createdAt: 1 },
+  { sparse: true, name: 'idx_laboratory_queue' },
+);
+WaitlistEntrySchema.index(
+  { status: 1, 'offer.heldUntil': 1 },
+  { name: 'idx_held_offers' },
+);
+WaitlistEntrySchema.index(
+  { patientPersonId: 1, status: 1 },
+  { sparse: true, name: 'idx_patient_adult' },
+);
+WaitlistEntrySchema.index(
+  { patientChildId: 1, status: 1 },
+  { sparse: true, name: 'idx_patient_child' },
+);
+
+// ── Pre-validate: patient XOR, one provider, whole-day range ───────────────
+
+WaitlistEntrySchema.pre('validate', function enforceRules(next) {
+  const patientCount = [this.patientPersonId, this.patientChildId].filter(Boolean).length;
+  if (patientCount !== 1) {
+    return next(new Error('يجب تحديد patientPersonId أو patientChildId'));
+  }
+
+  const providers = PROVIDER_FIELDS.filter((field) => this[field]);
+  if (providers.length !== 1) {
+    return next(new Error('يجب تحديد مقدم خدمة واحد'));
+  }
+
+  if (this.dateFrom) this.dateFrom.setHours(0, 0, 0, 0);
+  if (this.dateTo) this.dateTo.setHours(0, 0, 0, 0);
+  if (this.dateFrom && this.dateTo && this.dateTo < this.dateFrom) {
+    return next(new Error('تاريخ النهاية يجب أن يكون بعد تاريخ البداية أو مساوياً له'));
+  }
+
+  if (this.timeFrom && this.timeTo && this.timeTo <= this.timeFrom) {
+    return next(new Error('نهاية الفترة يجب أن تكون بعد بدايتها'));
+  }
+
+  return next();
+});
+
+// ── Virtuals ────────────────────────────────────────────────────────────────
+
+WaitlistEntrySchema.virtual('provider').get(function () {
+  const field = PROVIDER_FIELDS.find((f) => this[f]);
+  return field ? { [field]: this[field] } : null;
+});
+
+WaitlistEntrySchema.virtual('isOpen').get(function () {
+  return OPEN_STATUSES.includes(this.status);
+});
+
+// ── Static helpers ──────────────────────────────────────────────────────────
+
+WaitlistEntrySchema.statics.STATUSES = STATUSES;
+WaitlistEntrySchema.statics.OPEN_STATUSES = OPEN_STATUSES;
+WaitlistEntrySchema.statics.PROVIDER_FIELDS = PROVIDER_FIELDS;
+WaitlistEntrySchema.statics.HOLD_MINUTES = HOLD_MINUTES;
+WaitlistEntrySchema.statics.MAX_MISSED_OFFERS = MAX_MISSED_OFFERS;
+
+/**
+ * Oldest waiting entry that wants `slot`: same provider, slot date inside
+ * the entry's range, start time inside its time window, and not a slot the
+ * entry already passed on.
+ *
+ * @param {AvailabilitySlot} slot
+ */
+WaitlistEntrySchema.statics.findNextForSlot = function findNextForSlot(slot) {
+  const providerField = PROVIDER_FIELDS.find((f) => slot[f]);
+  if (!providerField) return Promise.resolve(null);
+
+  const day = new Date(slot.date);
+  day.setHours(0, 0, 0, 0);
+
+  return this.findOne({
+    [providerField]: slot[providerField],
+    status: 'waiting',
+    dateFrom: { $lte: day },
+    dateTo: { $gte: day },
+    passedSlotIds: { $ne: slot._id },
+    $and: [
+      { $or: [{ timeFrom: null }, { timeFrom: { $lte: slot.startTime } }] },
+      { $or: [{ timeTo: null }, { timeTo: { $gt: slot.startTime } }] },
+    ],
+  }).sort({ createdAt: 1 });
+};
+
+module.exports = mongoose.model('WaitlistEntry', WaitlistEntrySchema);
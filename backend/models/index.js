@@ -2,7 +2,7 @@
  * ═══════════════════════════════════════════════════════════════════════════
  *  Models Barrel — Patient 360°
  *  ─────────────────────────────────────────────────────────────────────────
- *  Central export point for all 25 Mongoose models.
+ *  Central export point for all 31 Mongoose models.
  *
  *  Why a barrel file?
  *    1. Pre-registration — requiring this file at server boot guarantees
@@ -23,7 +23,7 @@
  *    const { Doctor, Visit, Prescription, AuditLog } = require('../models');
  *
  *    // In index.js (server boot):
- *    require('./models');  // ← side-effect: registers all 25 models
+ *    require('./models');  // ← side-effect: registers all 31 models
  * ═══════════════════════════════════════════════════════════════════════════
  */
 
@@ -46,6 +46,7 @@ const Hospital = require('./Hospital');
 const Pharmacy = require('./Pharmacy');
 const Laboratory = require('./Laboratory');
 const Medication = require('./Medication');
+const DrugInteraction = require('./DrugInteraction');
 const PharmacyInventory = require('./PharmacyInventory');
 
 // ── Clinical workflow ───────────────────────────────────────────────────────
@@ -57,13 +58,18 @@ const Appointment = require('./Appointment');
 
 // ── Workflow support ────────────────────────────────────────────────────────
 const AvailabilitySlot = require('./AvailabilitySlot');
+const ScheduleTemplate = require('./ScheduleTemplate');
+const ScheduleException = require('./ScheduleException');
+const WaitlistEntry = require('./WaitlistEntry');
 const EmergencyReport = require('./EmergencyReport');
 const AuditLog = require('./AuditLog');
 const Notification = require('./Notification');
 const Review = require('./Review');
+const AccessGrant = require('./AccessGrant');
+const Payment = require('./Payment');
 
 // ============================================================================
-// EXPORT — single object with all 25 models
+// EXPORT — single object with all 31 models
 // ============================================================================
 
 module.exports = {
@@ -86,6 +92,7 @@ module.exports = {
   Pharmacy,
   Laboratory,
   Medication,
+  DrugInteraction,
   PharmacyInventory,
 
   // Clinical workflow
@@ -97,8 +104,13 @@ module.exports = {
 
   // Workflow support
   AvailabilitySlot,
+  ScheduleTemplate,
+  ScheduleException,
+  WaitlistEntry,
   EmergencyReport,
   AuditLog,
   Notification,
-  Review
+  Review,
+  AccessGrant,
+  Payment
 };
\ No newline at end of file
@@ -5,12 +5,18 @@
 const express = require('express');
 const router = express.Router();
 const adminController = require('../controllers/adminController');
-const { protect, authorize } = require('../middleware/auth');
+const reviewController = require('../controllers/reviewController');
+const hospitalController = require('../controllers/hospitalController');
+const childMigrationController = require('../controllers/childMigrationController');
+const leaveController = require('../controllers/leaveController');
+const { protect, authorize, requirePermission } = require('../middleware/auth');
 const { auditLog } = require('../middleware/auditLog');
 
 // ==========================================
 // APPLY AUTHENTICATION TO ALL ADMIN ROUTES
 // ==========================================
+// Every route below additionally declares the Admin.permissions entry it
+// needs via requirePermission() — super_admin passes all of them.
 router.use(protect);
 router.use(authorize('admin'));
 
@@ -20,9 +26,10 @@ router.use(authorize('admin'));
 /**
  * @route   GET /api/admin/statistics
  * @desc    Get system statistics (doctors, patients, visits)
- * @access  Private (Admin only)
+ * @access  Private (Admin — view_statistics)
  */
-router.get('/statistics', 
+router.get('/statistics',
+  requirePermission('view_statistics'),
   auditLog('VIEW_STATISTICS'), 
   adminController.getStatistics
 );
@@ -33,9 +40,10 @@ router.get('/statistics',
 /**
  * @route   GET /api/admin/doctor-requests
  * @desc    Get all pending doctor registration requests
- * @access  Private (Admin only)
+ * @access  Private (Admin — manage_doctor_requests)
  */
 router.get('/doctor-requests',
+  requirePermission('manage_doctor_requests'),
   auditLog('VIEW_DOCTOR_REQUESTS'),
   adminController.getAllDoctorRequests
 );
@@ -43,9 +51,10 @@ router.get('/doctor-requests',
 /**
  * @route   GET /api/admin/doctor-requests/:id
  * @desc    Get single doctor request details
- * @access  Private (Admin only)
+ * @access  Private (Admin — manage_doctor_requests)
  */
 router.get('/doctor-requests/:id',
+  requirePermission('manage_doctor_requests'),
   auditLog('VIEW_DOCTOR_REQUEST_DETAILS'),
   adminController.getDoctorRequestById
 );
@@ -53,9 +62,10 @@ router.get('/doctor-requests/:id',
 /**
  * @route   POST /api/admin/doctor-requests/:id/accept
  * @desc    Accept/approve doctor registration request
- * @access  Private (Admin only)
+ * @access  Private (Admin — manage_doctor_requests)
  */
 router.post('/doctor-requests/:id/accept',
+  requirePermission('manage_doctor_requests'),
   auditLog('APPROVE_DOCTOR_REQUEST'),
   adminController.approveDoctorRequest
 );
@@ -63,9 +73,10 @@ router.post('/doctor-requests/:id/accept',
 /**
  * @route   POST /api/admin/doctor-requests/:id/reject
  * @desc    Reject doctor registration request
- * @access  Private (Admin only)
+ * @access  Private (Admin — manage_doctor_requests)
  */
 router.post('/doctor-requests/:id/reject',
+  requirePermission('manage_doctor_requests'),
   auditLog('REJECT_DOCTOR_REQUEST'),
   adminController.rejectDoctorRequest
 );
@@ -76,9 +87,10 @@ router.post('/doctor-requests/:id/reject',
 /**
  * @route   GET /api/admin/doctors
  * @desc    Get all doctors with account details
- * @access  Private (Admin only)
+ * @access  Private (Admin — manage_doctors)
  */
-router.get('/doctors', 
+router.get('/doctors',
+  requirePermission('manage_doctors'),
   auditLog('VIEW_DOCTORS'), 
   adminController.getAllDoctors
 );
@@ -86,9 +98,10 @@ router.get('/doctors',
 /**
  * @route   GET /api/admin/doctors/:id
  * @desc    Get single doctor details
- * @access  Private (Admin only)
+ * @access  Private (Admin — manage_doctors)
  */
-router.get('/doctors/:id', 
+router.get('/doctors/:id',
+  requirePermission('manage_doctors'),
   auditLog('VIEW_DOCTOR_DETAILS'), 
   adminController.getDoctorById
 );
@@ -96,9 +109,10 @@ router.get('/doctors/:id',
 /**
  * @route   POST /api/admin/doctors
  * @desc    Create new doctor (manual registration)
- * @access  Private (Admin only)
+ * @access  Private (Admin — manage_doctors)
  */
-router.post('/doctors', 
+router.post('/doctors',
+  requirePermission('manage_doctors'),
   auditLog('ADD_DOCTOR'), 
   adminController.createDoctor
 );
@@ -107,15 +121,17 @@ router.post('/doctors',
  * @route   PATCH /api/admin/doctors/:id/deactivate
  * @route   PUT /api/admin/doctors/:id/deactivate
  * @desc    Deactivate doctor account (with reason)
- * @access  Private (Admin only)
+ * @access  Private (Admin — manage_doctors)
  * @body    { reason: String (required), notes: String (optional) }
  */
-router.patch('/doctors/:id/deactivate', 
+router.patch('/doctors/:id/deactivate',
+  requirePermission('manage_doctors'),
   auditLog('DEACTIVATE_DOCTOR'), 
   adminController.deactivateDoctor
 );
 
-router.put('/doctors/:id/deactivate', 
+router.put('/doctors/:id/deactivate',
+  requirePermission('manage_doctors'),
   auditLog('DEACTIVATE_DOCTOR'), 
   adminController.deactivateDoctor
 );
@@ -124,14 +140,16 @@ router.put('/doctors/:id/deactivate',
  * @route   PATCH /api/admin/doctors/:id/activate
  * @route   PUT /api/admin/doctors/:id/reactivate
  * @desc    Reactivate doctor account
- * @access  Private (Admin only)
+ * @access  Private (Admin — manage_doctors)
  */
-router.patch('/doctors/:id/activate', 
+router.patch('/doctors/:id/activate',
+  requirePermission('manage_doctors'),
   auditLog('ACTIVATE_DOCTOR'), 
   adminController.activateDoctor
 );
 
-router.put('/doctors/:id/reactivate', 
+router.put('/doctors/:id/reactivate',
+  requirePermission('manage_doctors'),
   auditLog('ACTIVATE_DOCTOR'), 
   adminController.activateDoctor
 );
@@ -139,9 +157,10 @@ router.put('/doctors/:id/reactivate',
 /**
  * @route   PATCH /api/admin/doctors/:id
  * @desc    Update doctor information
- * @access  Private (Admin only)
+ * @access  Private (Admin — manage_doctors)
  */
-router.patch('/doctors/:id', 
+router.patch('/doctors/:id',
+  requirePermission('manage_doctors'),
   auditLog('UPDATE_DOCTOR'), 
   adminController.updateDoctor
 );
@@ -152,9 +171,10 @@ router.patch('/doctors/:id',
 /**
  * @route   GET /api/admin/patients
  * @desc    Get all patients with account details
- * @access  Private (Admin only)
+ * @access  Private (Admin — manage_patients)
  */
-router.get('/patients', 
+router.get('/patients',
+  requirePermission('manage_patients'),
   auditLog('VIEW_PATIENTS'), 
   adminController.getAllPatients
 );
@@ -162,9 +182,10 @@ router.get('/patients',
 /**
  * @route   GET /api/admin/patients/:id
  * @desc    Get single patient details
- * @access  Private (Admin only)
+ * @access  Private (Admin — manage_patients)
  */
-router.get('/patients/:id', 
+router.get('/patients/:id',
+  requirePermission('manage_patients'),
   auditLog('VIEW_PATIENT_DETAILS'), 
   adminController.getPatientById
 );
@@ -173,15 +194,17 @@ router.get('/patients/:id',
  * @route   PATCH /api/admin/patients/:id/deactivate
  * @route   PUT /api/admin/patients/:id/deactivate
  * @desc    Deactivate patient account (with reason)
- * @access  Private (Admin only)
+ * @access  Private (Admin — manage_patients)
  * @body    { reason: String (required), notes: String (optional) }
  */
-router.patch('/patients/:id/deactivate', 
+router.patch('/patients/:id/deactivate',
+  requirePermission('manage_patients'),
   auditLog('DEACTIVATE_PATIENT'), 
   adminController.deactivatePatient
 );
 
-router.put('/patients/:id/deactivate', 
+router.put('/patients/:id/deactivate',
+  requirePermission('manage_patients'),
   auditLog('DEACTIVATE_PATIENT'), 
   adminController.deactivatePatient
 );
@@ -190,14 +213,16 @@ router.put('/patients/:id/deactivate',
  * @route   PATCH /api/admin/patients/:id/activate
  * @route   PUT /api/admin/patients/:id/reactivate
  * @desc    Reactivate patient account
- * @access  Private (Admin only)
+ * @access  Private (Admin — manage_patients)
  */
-router.patch('/patients/:id/activate', 
+router.patch('/patients/:id/activate',
+  requirePermission('manage_patients'),
   auditLog('ACTIVATE_PATIENT'), 
   adminController.activatePatient
 );
 
-router.put('/patients/:id/reactivate', 
+router.put('/patients/:id/reactivate',
+  requirePermission('manage_patients'),
   auditLog('ACTIVATE_PATIENT'), 
   adminController.activatePatient
 );
@@ -205,9 +230,10 @@ router.put('/patients/:id/reactivate',
 /**
  * @route   PATCH /api/admin/patients/:id
  * @desc    Update patient information
- * @access  Private (Admin only)
+ * @access  Private (Admin — manage_patients)
  */
-router.patch('/patients/:id', 
+router.patch('/patients/:id',
+  requirePermission('manage_patients'),
   auditLog('UPDATE_PATIENT'), 
   adminController.updatePatient
 );
@@ -218,9 +244,10 @@ router.patch('/patients/:id',
 /**
  * @route   GET /api/admin/audit-logs
  * @desc    Get all audit logs
- * @access  Private (Admin only)
+ * @access  Private (Admin — view_audit_logs)
  */
-router.get('/audit-logs', 
+router.get('/audit-logs',
+  requirePermission('view_audit_logs'),
   auditLog('VIEW_AUDIT_LOGS'), 
   adminController.getAuditLogs
 );
@@ -228,11 +255,243 @@ router.get('/audit-logs',
 /**
  * @route   GET /api/admin/audit-logs/user/:userId
  * @desc    Get audit logs for specific user
- * @access  Private (Admin only)
+ * @access  Private (Admin — view_audit_logs)
  */
-router.get('/audit-logs/user/:userId', 
+router.get('/audit-logs/user/:userId',
+  requirePermission('view_audit_logs'),
   auditLog('VIEW_USER_AUDIT_LOGS'), 
   adminController.getUserAuditLogs
 );
 
+// ==========================================
+// REVIEW MODERATION
+// ==========================================
+/**
+ * @route   GET /api/admin/reviews
+ * @desc    Moderation queue (?status=pending|approved|rejected|flagged|all)
+ * @access  Private (Admin — approve_reviews)
+ */
+router.get('/reviews',
+  requirePermission('approve_reviews'),
+  reviewController.getReviewQueue
+);
+
+/**
+ * @route   POST /api/admin/reviews/:id/approve
+ * @desc    Approve review and recompute the target's averageRating
+ * @access  Private (Admin — approve_reviews)
+ */
+router.post('/reviews/:id/approve',
+  requirePermission('approve_reviews'),
+  reviewController.approveReview
+);
+
+/**
+ * @route   POST /api/admin/reviews/:id/reject
+ * @desc    Reject review (body: { note })
+ * @access  Private (Admin — approve_reviews)
+ */
+router.post('/reviews/:id/reject',
+  requirePermission('approve_reviews'),
+  reviewController.rejectReview
+);
+
+/**
+ * @route   POST /api/admin/reviews/:id/flag
+ * @desc    Flag review for investigation (body: { note })
+ * @access  Private (Admin — approve_reviews)
+ */
+router.post('/reviews/:id/flag',
+  requirePermission('approve_reviews'),
+  reviewController.flagReview
+);
+
+// ==========================================
+// CHILD → ADULT MIGRATION
+// ==========================================
+/**
+ * @route   GET /api/admin/children/migration-queue
+ * @desc    Children with a national ID that are not yet migrated
+ * @access  Private (Admin — manage_patients)
+ */
+router.get('/children/migration-queue',
+  requirePermission('manage_patients'),
+  childMigrationController.getMigrationQueue
+);
+
+/**
+ * @route   POST /api/admin/children/:childId/migrate
+ * @desc    Create a Person from the child and re-point all their records
+ * @access  Private (Admin — manage_patients)
+ * @body    { nationalId?, phoneNumber?, email? }
+ */
+router.post('/children/:childId/migrate',
+  requirePermission('manage_patients'),
+  childMigrationController.migrateChild
+);
+
+// ==========================================
+// NATIONAL HOLIDAYS CALENDAR
+// ==========================================
+// Audit entries are written by leaveController with the impact counts.
+/**
+ * @route   POST /api/admin/holidays
+ * @desc    Add a national holiday; blocks slots and cancels bookings on it
+ * @access  Private (Admin — manage_schedules)
+ * @body    { date | (startDate, endDate), title, notes? } — ?preview=true
+ *          returns the impact without saving
+ */
+router.post('/holidays',
+  requirePermission('manage_schedules'),
+  leaveController.createHoliday
+);
+
+/**
+ * @route   POST /api/admin/holidays/seed
+ * @desc    Add the fixed-date Syrian official holidays of a year
+ * @access  Private (Admin — manage_schedules)
+ * @body    { year }
+ */
+router.post('/holidays/seed',
+  requirePermission('manage_schedules'),
+  leaveController.seedSyrianHolidays
+);
+
+/**
+ * @route   DELETE /api/admin/holidays/:id
+ * @desc    Withdraw a national holiday and unblock its slots
+ * @access  Private (Admin — manage_schedules)
+ */
+router.delete('/holidays/:id',
+  requirePermission('manage_schedules'),
+  leaveController.withdrawHoliday
+);
+
+// ==========================================
+// HOSPITALS MANAGEMENT
+// ==========================================
+/**
+ * @route   GET /api/admin/hospitals
+ * @desc    List hospitals (active and inactive) with filters
+ * @access  Private (Admin — manage_hospitals)
+ */
+router.get('/hospitals',
+  requirePermission('manage_hospitals'),
+  auditLog('VIEW_HOSPITALS'),
+  hospitalController.getAllHospitals
+);
+
+/**
+ * @route   GET /api/admin/hospitals/:id
+ * @desc    Get hospital details with staff counts
+ * @access  Private (Admin — manage_hospitals)
+ */
+router.get('/hospitals/:id',
+  requirePermission('manage_hospitals'),
+  auditLog('VIEW_HOSPITAL_DETAILS'),
+  hospitalController.getHospitalById
+);
+
+/**
+ * @route   POST /api/admin/hospitals
+ * @desc    Register a new hospital
+ * @access  Private (Admin — manage_hospitals)
+ */
+router.post('/hospitals',
+  requirePermission('manage_hospitals'),
+  auditLog('CREATE_HOSPITAL'),
+  hospitalController.createHospital
+);
+
+/**
+ * @route   PATCH /api/admin/hospitals/:id/deactivate
+ * @desc    Hide hospital from search (soft-disable)
+ * @access  Private (Admin — manage_hospitals)
+ */
+router.patch('/hospitals/:id/deactivate',
+  requirePermission('manage_hospitals'),
+  auditLog('DEACTIVATE_HOSPITAL'),
+  hospitalController.deactivateHospital
+);
+
+/**
+ * @route   PATCH /api/admin/hospitals/:id/activate
+ * @desc    Re-enable a deactivated hospital
+ * @access  Private (Admin — manage_hospitals)
+ */
+router.patch('/hospitals/:id/activate',
+  requirePermission('manage_hospitals'),
+  auditLog('ACTIVATE_HOSPITAL'),
+  hospitalController.activateHospital
+);
+
+/**
+ * @route   PATCH /api/admin/hospitals/:id
+ * @desc    Update hospital registry fields
+ * @access  Private (Admin — manage_hospitals)
+ */
+router.patch('/hospitals/:id',
+  requirePermission('manage_hospitals'),
+  auditLog('UPDATE_HOSPITAL'),
+  hospitalController.updateHospital
+);
+
+// ==========================================
+// ADMINS MANAGEMENT
+// ==========================================
+/**
+ * @route   GET /api/admin/admins
+ * @desc    List all admin profiles with account status
+ * @access  Private (Admin — manage_admins)
+ */
+router.get('/admins',
+  requirePermission('manage_admins'),
+  auditLog('VIEW_ADMINS'),
+  adminController.getAllAdmins
+);
+
+/**
+ * @route   POST /api/admin/admins
+ * @desc    Create a new admin (Person + Account + Admin profile)
+ * @access  Private (Admin — manage_admins)
+ * @body    { person: {...}, account: { email, password },
+ *            admin: { adminLevel, permissions[], department } }
+ */
+router.post('/admins',
+  requirePermission('manage_admins'),
+  adminController.createAdmin
+);
+
+/**
+ * @route   PATCH /api/admin/admins/:id/deactivate
+ * @desc    Deactivate another admin's account (last super_admin is protected)
+ * @access  Private (Admin — manage_admins)
+ * @body    { reason: String (required), notes: String (optional) }
+ */
+router.patch('/admins/:id/deactivate',
+  requirePermission('manage_admins'),
+  adminController.deactivateAdmin
+);
+
+/**
+ * @route   PATCH /api/admin/admins/:id/activate
+ * @desc    Reactivate an admin account
+ * @access  Private (Admin — manage_admins)
+ */
+router.patch('/admins/:id/activate',
+  requirePermission('manage_admins'),
+  adminController.activateAdmin
+);
+
+/**
+ * @route   PATCH /api/admin/admins/:id
+ * @desc    Change adminLevel / permissions / department (demotion of the
+ *          last super_admin is refused)
+ * @access  Private (Admin — manage_admins)
+ */
+router.patch('/admins/:id',
+  requirePermission('manage_admins'),
+  adminController.updateAdmin
+);
+
 module.exports = router;
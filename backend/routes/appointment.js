@@ -5,6 +5,7 @@
  *  Mounted at /api/appointments
  *
  *  Most routes require patient role (booking) or provider role (managing).
+ *  /waitlist, /queue and /walk-in routes are declared before /:id.
  * ═══════════════════════════════════════════════════════════════════════════
  */
 
@@ -12,6 +13,10 @@ const express = require('express');
 const router = express.Router();
 
 const appointmentController = require('../controllers/appointmentController');
+const waitlistController = require('../controllers/waitlistController');
+const calendarController = require('../controllers/calendarController');
+const queueController = require('../controllers/queueController');
+const telemedicineController = require('../controllers/telemedicineController');
 const { protect, authorize } = require('../middleware/auth');
 
 // ── Patient-side routes ─────────────────────────────────────────────────────
@@ -27,6 +32,64 @@ router.get('/mine',
   appointmentController.getMyAppointments
 );
 
+// ── Waitlist ────────────────────────────────────────────────────────────────
+router.post('/waitlist',
+  protect,
+  authorize('patient'),
+  waitlistController.joinWaitlist
+);
+
+router.get('/waitlist/mine',
+  protect,
+  authorize('patient'),
+  waitlistController.getMyWaitlist
+);
+
+router.get('/waitlist/provider',
+  protect,
+  authorize('doctor', 'dentist', 'lab_technician'),
+  waitlistController.getProviderWaitlist
+);
+
+router.post('/waitlist/:id/confirm',
+  protect,
+  authorize('patient'),
+  waitlistController.confirmOffer
+);
+
+router.post('/waitlist/:id/decline',
+  protect,
+  authorize('patient'),
+  waitlistController.declineOffer
+);
+
+router.delete('/waitlist/:id',
+  protect,
+  authorize('patient'),
+  waitlistController.leaveWaitlist
+);
+
+// ── Waiting-room queue ──────────────────────────────────────────────────────
+router.get('/queue/now-serving', queueController.getNowServing);
+
+router.get('/queue',
+  protect,
+  authorize('doctor', 'dentist', 'lab_technician', 'admin'),
+  queueController.getMyQueue
+);
+
+router.post('/queue/call-next',
+  protect,
+  authorize('doctor', 'dentist', 'lab_technician', 'admin'),
+  queueController.callNextPatient
+);
+
+router.post('/walk-in',
+  protect,
+  authorize('doctor', 'dentist', 'lab_technician', 'admin'),
+  queueController.registerWalkIn
+);
+
 // ── Provider-side schedule view ─────────────────────────────────────────────
 router.get('/provider-schedule',
   protect,
@@ -47,25 +110,62 @@ router.post('/:id/confirm',
   appointmentController.confirmAppointment
 );
 
+router.post('/:id/confirm-follow-up',
+  protect,
+  authorize('patient'),
+  appointmentController.confirmFollowUp
+);
+
 router.post('/:id/check-in',
   protect,
   authorize('doctor', 'dentist', 'lab_technician', 'admin'),
   appointmentController.checkInAppointment
 );
 
+router.post('/:id/call',
+  protect,
+  authorize('doctor', 'dentist', 'lab_technician', 'admin'),
+  queueController.callPatient
+);
+
 router.post('/:id/complete',
   protect,
   authorize('doctor', 'dentist', 'lab_technician', 'admin'),
   appointmentController.completeAppointment
 );
 
+router.post('/:id/no-show',
+  protect,
+  authorize('doctor', 'dentist', 'lab_technician', 'admin'),
+  appointmentController.markNoShow
+);
+
 router.post('/:id/reschedule',
   protect,
   authorize('patient', 'admin'),
   appointmentController.rescheduleAppointment
 );
 
+// ── Video consultation room ─────────────────────────────────────────────────
+router.post('/:id/video/join',
+  protect,
+  authorize('patient', 'doctor', 'dentist'),
+  telemedicineController.joinVideoRoom
+);
+
+router.post('/:id/video/leave',
+  protect,
+  authorize('patient', 'doctor', 'dentist'),
+  telemedicineController.leaveVideoRoom
+);
+
 // ── Single appointment lookup ───────────────────────────────────────────────
+router.get('/:id/ics',
+  protect,
+  authorize('patient', 'doctor', 'dentist', 'lab_technician', 'admin'),
+  calendarController.downloadAppointment
+);
+
 router.get('/:id',
   protect,
   authorize('patient', 'doctor', 'dentist', 'lab_technician', 'admin'),
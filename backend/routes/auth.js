@@ -45,10 +45,17 @@ router.post('/register-lab-technician',
   authController.registerLabTechnicianRequest
 );
 
+// Dentist Registration Request (WITH FILE UPLOADS — same fields as doctor)
+router.post('/register-dentist',
+  uploadFields,
+  handleUploadErrors,
+  authController.registerDentistRequest
+);
+
 // Check Doctor Request Status (legacy — kept for backward compatibility)
 router.post('/check-doctor-status', authController.checkDoctorRequestStatus);
 
-// Check Professional Status (unified — works for doctor, pharmacist, lab tech)
+// Check Professional Status (unified — works for doctor, pharmacist, lab tech, dentist)
 router.post('/check-professional-status', authController.checkProfessionalStatus);
 
 // Login
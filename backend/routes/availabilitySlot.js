@@ -6,6 +6,11 @@
  *
  *  /available is PUBLIC (no auth) — patients browse before logging in.
  *  Other routes require provider role.
+ *
+ *  /templates — recurring weekly schedules (scheduleTemplateController);
+ *  /leave     — provider leave calendar (leaveController);
+ *  /holidays  — PUBLIC national holiday list.
+ *  All declared before the /:id routes.
  * ═══════════════════════════════════════════════════════════════════════════
  */
 
@@ -13,10 +18,13 @@ const express = require('express');
 const router = express.Router();
 
 const slotController = require('../controllers/availabilitySlotController');
+const scheduleTemplateController = require('../controllers/scheduleTemplateController');
+const leaveController = require('../controllers/leaveController');
 const { protect, authorize } = require('../middleware/auth');
 
 // ── Public — patient browses available slots ────────────────────────────────
 router.get('/available', slotController.getAvailableSlots);
+router.get('/holidays', leaveController.getHolidays);
 
 // ── Provider routes (auth required) ─────────────────────────────────────────
 const providerRoles = [protect, authorize('doctor', 'dentist', 'lab_technician', 'admin')];
@@ -24,6 +32,19 @@ const providerRoles = [protect, authorize('doctor', 'dentist', 'lab_technician',
 router.get('/mine', protect, slotController.getMySlots);
 router.post('/', providerRoles, slotController.createSlot);
 router.post('/generate', providerRoles, slotController.generateSlots);
+
+// ── Recurring weekly templates ──────────────────────────────────────────────
+router.get('/templates', providerRoles, scheduleTemplateController.getMyTemplates);
+router.post('/templates', providerRoles, scheduleTemplateController.createTemplate);
+router.patch('/templates/:id', providerRoles, scheduleTemplateController.updateTemplate);
+router.delete('/templates/:id', providerRoles, scheduleTemplateController.deactivateTemplate);
+router.post('/templates/:id/materialize', providerRoles, scheduleTemplateController.materializeTemplateNow);
+
+// ── Leave calendar ──────────────────────────────────────────────────────────
+router.get('/leave', providerRoles, leaveController.getMyLeave);
+router.post('/leave', providerRoles, leaveController.createLeave);
+router.delete('/leave/:id', providerRoles, leaveController.withdrawLeave);
+
 router.post('/:id/block', providerRoles, slotController.blockSlot);
 router.post('/:id/unblock', providerRoles, slotController.unblockSlot);
 router.delete('/:id', providerRoles, slotController.deleteSlot);
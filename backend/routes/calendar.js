@@ -0,0 +1,27 @@
+/**
+ * ═══════════════════════════════════════════════════════════════════════════
+ *  Calendar Routes — Patient 360°
+ *  ─────────────────────────────────────────────────────────────────────────
+ *  Mounted at /api/calendar
+ *
+ *  /feed/:token.ics is PUBLIC — calendar apps can't send a JWT, the secret
+ *  token in the URL authenticates. Managing the token requires login.
+ *  Single-appointment downloads live at GET /api/appointments/:id/ics.
+ * ═══════════════════════════════════════════════════════════════════════════
+ */
+
+const express = require('express');
+const router = express.Router();
+
+const calendarController = require('../controllers/calendarController');
+const { protect } = require('../middleware/auth');
+
+// ── Public — subscription feed ──────────────────────────────────────────────
+router.get('/feed/:token.ics', calendarController.serveFeed);
+
+// ── Feed token management (any logged-in account) ───────────────────────────
+router.get('/feed', protect, calendarController.getFeedStatus);
+router.post('/feed', protect, calendarController.issueFeedToken);
+router.delete('/feed', protect, calendarController.revokeFeed);
+
+module.exports = router;
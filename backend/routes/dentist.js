@@ -0,0 +1,249 @@
+/**
+ * ═══════════════════════════════════════════════════════════════════════════
+ *  Patient 360° — Dentist Routes
+ *  ─────────────────────────────────────────────────────────────────────────
+ *  Mounted at:  /api/dentist
+ *
+ *  Dentist equivalents of the /api/doctor clinical routes. Visits are
+ *  created through the shared visitController, which resolves dentistId from
+ *  the JWT when the caller has the 'dentist' role.
+ *
+ *  All routes require:
+ *    1. Authentication  (protect)
+ *    2. Dentist role    (restrictTo('dentist'))
+ *  Routes that open a patient's record also require an active consent /
+ *  break-glass grant (middleware/patientAccess.js).
+ * ═══════════════════════════════════════════════════════════════════════════
+ */
+
+const express = require('express');
+const router = express.Router();
+
+// Middleware
+const { protect, restrictTo } = require('../middleware/auth');
+const upload = require('../middleware/upload');
+const { resolveTargetPatient, verifyPatientAccess } = require('../middleware/patientAccess');
+const { auditLog } = require('../middleware/auditLog');
+
+// Models
+const Dentist = require('../models/Dentist');
+const Appointment = require('../models/Appointment');
+const Visit = require('../models/Visit');
+const Prescription = require('../models/Prescription');
+
+// Controllers we delegate to
+const visitController = require('../controllers/visitController');
+const patientController = require('../controllers/patientController');
+
+
+// ============================================================================
+// ROUTE-LEVEL MIDDLEWARE
+// ============================================================================
+
+/**
+ * Resolves the logged-in dentist's Dentist document onto req.dentist.
+ * Every route below is scoped to the caller's own records.
+ */
+async function injectDentistContext(req, res, next) {
+  try {
+    const dentist = await Dentist.findOne({ personId: req.user.personId }).lean();
+    if (!dentist) {
+      return res.status(403).json({
+        success: false,
+        message: 'لم يتم العثور على ملف طبيب الأسنان'
+      });
+    }
+
+    req.dentist = dentist;
+    return next();
+  } catch (error) {
+    console.error('injectDentistContext error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'حدث خطأ في تحديد هوية طبيب الأسنان'
+    });
+  }
+}
+
+router.use(protect, restrictTo('dentist'));
+
+
+// ============================================================================
+// PATIENT SEARCH
+// ============================================================================
+
+/**
+ * @route   GET /api/dentist/search/:nationalId
+ * @desc    Search for a patient by national ID
+ * @access  Private (Dentist only)
+ */
+router.get(
+  '/search/:nationalId',
+  resolveTargetPatient,
+  verifyPatientAccess,
+  auditLog('VIEW_PATIENT'),
+  patientController.searchPatientByNationalId
+);
+
+
+// ============================================================================
+// VISIT MANAGEMENT
+// ============================================================================
+
+/**
+ * @route   POST /api/dentist/patient/:nationalId/visit
+ * @desc    Create a dental visit for a patient (optional photo, e.g. X-ray).
+ *          visitType defaults to 'dental' when omitted.
+ * @access  Private (Dentist only)
+ */
+router.post(
+  '/patient/:nationalId/visit',
+  resolveTargetPatient,
+  verifyPatientAccess,
+  upload.single('visitPhoto'),
+  injectDentistContext,
+  (req, res, next) => {
+    req.body = req.body || {};
+    req.body.dentistId = String(req.dentist._id);
+    delete req.body.doctorId;
+    if (!req.body.visitType) req.body.visitType = 'dental';
+    next();
+  },
+  visitController.createVisit
+);
+
+/**
+ * @route   GET /api/dentist/patient/:nationalId/visits
+ * @desc    Get all visits for a specific patient by national ID or CRN
+ * @access  Private (Dentist only)
+ */
+router.get(
+  '/patient/:nationalId/visits',
+  resolveTargetPatient,
+  verifyPatientAccess,
+  auditLog('VIEW_PATIENT_VISITS'),
+  (req, res, next) => {
+    req.params.identifier = req.params.nationalId;
+    next();
+  },
+  visitController.getPatientVisits
+);
+
+/**
+ * @route   GET /api/dentist/visits
+ * @desc    Visits handled by the logged-in dentist (paginated, ?status=)
+ * @access  Private (Dentist only)
+ */
+router.get('/visits', injectDentistContext, async (req, res) => {
+  try {
+    const { page = 1, limit = 20, status } = req.query;
+
+    const query = { dentistId: req.dentist._id };
+    if (status) query.status = status;
+
+    const safeLimit = Math.min(parseInt(limit, 10) || 20, 100);
+    const safePage = Math.max(parseInt(page, 10) || 1, 1);
+
+    const [visits, total] = await Promise.all([
+      Visit.find(query)
+        .populate('patientPersonId', 'firstName lastName nationalId')
+        .populate('patientChildId', 'firstName lastName childRegistrationNumber')
+        .sort({ visitDate: -1 })
+        .limit(safeLimit)
+        .skip((safePage - 1) * safeLimit)
+        .lean(),
+      Visit.countDocuments(query)
+    ]);
+
+    return res.json({
+      success: true,
+      count: total,
+      page: safePage,
+      pages: Math.ceil(total / safeLimit),
+      visits
+    });
+  } catch (error) {
+    console.error('Get dentist visits error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'حدث خطأ في جلب زيارات طبيب الأسنان'
+    });
+  }
+});
+
+
+// ============================================================================
+// DASHBOARD KPIs
+// ============================================================================
+
+/**
+ * @route   GET /api/dentist/dashboard/kpis
+ * @desc    4 KPI numbers for the dentist dashboard home tiles:
+ *            - appointmentsToday
+ *            - patientsThisWeek
+ *            - visitsThisMonth
+ *            - prescriptionsIssued (this month)
+ *          Dentists do not order lab tests, so the doctor's pendingLabs
+ *          tile is replaced by visitsThisMonth.
+ * @access  Private (Dentist only)
+ */
+router.get('/dashboard/kpis', injectDentistContext, async (req, res) => {
+  try {
+    const dentistId = req.dentist._id;
+
+    // Date windows — same as /api/doctor/dashboard/kpis
+    const todayStart = new Date(); todayStart.setHours(0, 0, 0, 0);
+    const todayEnd = new Date(todayStart); todayEnd.setDate(todayEnd.getDate() + 1);
+
+    const weekStart = new Date();
+    const dayOfWeek = weekStart.getDay();                    // 0 = Sunday
+    const daysFromMonday = dayOfWeek === 0 ? 6 : dayOfWeek - 1;
+    weekStart.setDate(weekStart.getDate() - daysFromMonday);
+    weekStart.setHours(0, 0, 0, 0);
+
+    const monthStart = new Date();
+    monthStart.setDate(1);
+    monthStart.setHours(0, 0, 0, 0);
+
+    const [appointmentsToday, visitsThisMonth, prescriptionsIssued, visitsThisWeek] =
+      await Promise.all([
+        Appointment.countDocuments({
+          dentistId,
+          appointmentDate: { $gte: todayStart, $lt: todayEnd },
+          status: { $in: ['scheduled', 'confirmed', 'checked_in', 'in_progress'] }
+        }),
+        Visit.countDocuments({ dentistId, visitDate: { $gte: monthStart } }),
+        Prescription.countDocuments({
+          dentistId,
+          prescriptionDate: { $gte: monthStart }
+        }),
+        Visit.find(
+          { dentistId, visitDate: { $gte: weekStart } },
+          { patientPersonId: 1, patientChildId: 1 }
+        ).lean()
+      ]);
+
+    const unique = new Set();
+    visitsThisWeek.forEach((v) => {
+      if (v.patientPersonId) unique.add(`p:${v.patientPersonId}`);
+      if (v.patientChildId) unique.add(`c:${v.patientChildId}`);
+    });
+
+    return res.json({
+      success: true,
+      appointmentsToday,
+      patientsThisWeek: unique.size,
+      visitsThisMonth,
+      prescriptionsIssued
+    });
+  } catch (error) {
+    console.error('Dentist dashboard KPIs error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'حدث خطأ في تحميل مؤشرات اللوحة'
+    });
+  }
+});
+
+
+module.exports = router;
@@ -7,6 +7,8 @@
  *  All routes require:
  *    1. Authentication  (protect)
  *    2. Doctor role     (restrictTo('doctor'))
+ *  Routes that open a patient's record also require an active consent /
+ *  break-glass grant (middleware/patientAccess.js).
  * ═══════════════════════════════════════════════════════════════════════════
  */
 
@@ -17,6 +19,10 @@ const path = require('path');
 
 // Middleware
 const { protect, restrictTo } = require('../middleware/auth');
+const {
+  resolveTargetPatient, resolveVisitPatient, verifyPatientAccess
+} = require('../middleware/patientAccess');
+const { auditLog } = require('../middleware/auditLog');
 
 // File upload helper
 const FileUploadManager = require('../utils/fileUpload');
@@ -37,6 +43,7 @@ const visitController = require('../controllers/visitController');
 const appointmentController = require('../controllers/appointmentController');
 const slotController = require('../controllers/availabilitySlotController');
 const notificationController = require('../controllers/notificationController');
+const patientController = require('../controllers/patientController');
 
 
 // ============================================================================
@@ -128,115 +135,18 @@ const upload = multer({
 
 /**
  * @route   GET /api/doctor/search/:nationalId
- * @desc    Search for a patient by national ID
+ * @desc    Search for a patient by national ID (shared with /api/dentist)
  * @access  Private (Doctor only)
  */
-router.get('/search/:nationalId', protect, restrictTo('doctor'), async (req, res) => {
-  try {
-    const { nationalId } = req.params;
-    console.log('🔍 Searching for:', nationalId);
-
-    const person = await Person.findOne({
-      $or: [
-        { nationalId: nationalId },
-        { childId: nationalId }
-      ]
-    }).lean();
-
-    console.log('📥 Person found:', person ? '✅' : '❌');
-
-    if (!person) {
-      return res.status(404).json({
-        success: false,
-        message: 'لم يتم العثور على المريض'
-      });
-    }
-
-    const patient = await Patient.findOne({ personId: person._id }).lean();
-    if (!patient) {
-      return res.status(404).json({
-        success: false,
-        message: 'لم يتم العثور على بيانات المريض'
-      });
-    }
-
-    const account = await Account.findOne({ personId: person._id }).select('-password').lean();
-
-    // Explicit merge — do NOT rely on spread ordering, which can behave
-    // unexpectedly when either document contains nested ObjectIds or arrays.
-    // We build the response field-by-field so every medical attribute the
-    // doctor's profile view reads is guaranteed to be at the top level.
-    const patientData = {
-      // ── Identity (from persons collection) ────────────────────────────────
-      _id: person._id,
-      nationalId: person.nationalId,
-      firstName: person.firstName,
-      fatherName: person.fatherName,
-      lastName: person.lastName,
-      motherName: person.motherName,
-      dateOfBirth: person.dateOfBirth,
-      gender: person.gender,
-      maritalStatus: person.maritalStatus,
-      occupation: person.occupation,
-      education: person.education,
-      phoneNumber: person.phoneNumber,
-      alternativePhoneNumber: person.alternativePhoneNumber,
-      governorate: person.governorate,
-      city: person.city,
-      district: person.district,
-      street: person.street,
-      building: person.building,
-      address: person.address,
-      profilePhoto: person.profilePhoto,
-      isActive: person.isActive,
-
-      // ── Medical profile (from patients collection) ────────────────────────
-      patientRecordId: patient._id,
-      bloodType: patient.bloodType,
-      rhFactor: patient.rhFactor,
-      height: patient.height,
-      weight: patient.weight,
-      bmi: patient.bmi,
-      smokingStatus: patient.smokingStatus,
-      alcoholConsumption: patient.alcoholConsumption,
-      exerciseFrequency: patient.exerciseFrequency,
-      dietType: patient.dietType,
-      chronicDiseases: patient.chronicDiseases || [],
-      allergies: patient.allergies || [],
-      familyHistory: patient.familyHistory || [],
-      currentMedications: patient.currentMedications || [],
-      previousSurgeries: patient.previousSurgeries || [],
-      emergencyContact: patient.emergencyContact,
-      medicalCardNumber: patient.medicalCardNumber,
-      totalVisits: patient.totalVisits || 0,
-      lastVisitDate: patient.lastVisitDate,
-
-      // ── Account metadata ──────────────────────────────────────────────────
-      email: account?.email,
-      accountActive: account?.isActive,
-      registrationDate: account?.createdAt,
-
-      // ── Misc the frontend may reference ───────────────────────────────────
-      createdAt: person.createdAt,
-      updatedAt: patient.updatedAt || person.updatedAt
-    };
-
-    console.log(
-      '📤 Patient search response keys:',
-      Object.keys(patientData).length,
-      '| bloodType:', patientData.bloodType,
-      '| allergies:', Array.isArray(patientData.allergies) ? patientData.allergies.length : 'not array'
-    );
-
-    return res.json({ success: true, patient: patientData });
-  } catch (error) {
-    console.error('Search patient error:', error);
-    return res.status(500).json({
-      success: false,
-      message: 'حدث خطأ في البحث عن المريض'
-    });
-  }
-});
+router.get(
+  '/search/:nationalId',
+  protect,
+  restrictTo('doctor'),
+  resolveTargetPatient,
+  verifyPatientAccess,
+  auditLog('VIEW_PATIENT'),
+  patientController.searchPatientByNationalId
+);
 
 
 /**
@@ -292,7 +202,7 @@ router.get('/patients', protect, restrictTo('doctor'), async (req, res) => {
  * @desc    Update patient medical data
  * @access  Private (Doctor only)
  */
-router.put('/patient/:nationalId', protect, restrictTo('doctor'), async (req, res) => {
+router.put('/patient/:nationalId', protect, restrictTo('doctor'), resolveTargetPatient, verifyPatientAccess, async (req, res) => {
   try {
     const { nationalId } = req.params;
     const { doctorOpinion, ecgResults, aiPrediction, prescribedMedications } = req.body;
@@ -346,6 +256,8 @@ router.post(
   '/patient/:nationalId/visit',
   protect,
   restrictTo('doctor'),
+  resolveTargetPatient,
+  verifyPatientAccess,
   upload.single('visitPhoto'),
   visitController.createVisit
 );
@@ -363,6 +275,9 @@ router.get(
   '/patient/:nationalId/visits',
   protect,
   restrictTo('doctor'),
+  resolveTargetPatient,
+  verifyPatientAccess,
+  auditLog('VIEW_PATIENT_VISITS'),
   (req, res, next) => {
     req.params.identifier = req.params.nationalId;
     next();
@@ -393,6 +308,9 @@ router.get(
   '/visit/:visitId',
   protect,
   restrictTo('doctor'),
+  resolveVisitPatient,
+  verifyPatientAccess,
+  auditLog('VIEW_VISIT'),
   (req, res, next) => {
     req.params.id = req.params.visitId;
     next();
@@ -16,7 +16,7 @@ const path = require('path');
 const fs = require('fs');
 
 const emergencyController = require('../controllers/emergencyController');
-const { protect, authorize } = require('../middleware/auth');
+const { protect, authorize, requirePermission } = require('../middleware/auth');
 
 // ============================================================================
 // MULTER CONFIG
@@ -86,12 +86,14 @@ router.get('/mine',
 router.get('/active',
   protect,
   authorize('admin'),
+  requirePermission('view_emergency_reports'),
   emergencyController.getActiveEmergencies
 );
 
 router.get('/nearby',
   protect,
   authorize('admin'),
+  requirePermission('view_emergency_reports'),
   emergencyController.getNearbyEmergencies
 );
 
@@ -0,0 +1,23 @@
+/**
+ * ═══════════════════════════════════════════════════════════════════════════
+ *  Hospital Directory Routes — Patient 360°
+ *  ─────────────────────────────────────────────────────────────────────────
+ *  Mounted at /api/hospitals
+ *
+ *  Access pattern:
+ *    - Any authenticated role; only active hospitals are returned.
+ *    - Registry management lives under /api/admin/hospitals (manage_hospitals).
+ * ═══════════════════════════════════════════════════════════════════════════
+ */
+
+const express = require('express');
+const router = express.Router();
+
+const hospitalController = require('../controllers/hospitalController');
+const { protect } = require('../middleware/auth');
+
+router.get('/', protect, hospitalController.searchHospitals);
+router.get('/:id/doctors', protect, hospitalController.getHospitalStaff);
+router.get('/:id', protect, hospitalController.getPublicHospital);
+
+module.exports = router;
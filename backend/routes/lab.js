@@ -32,6 +32,8 @@ const fs = require('fs');
 
 const labController = require('../controllers/labController');
 const { protect, authorize } = require('../middleware/auth');
+const { resolveTargetPatient, verifyPatientAccess } = require('../middleware/patientAccess');
+const { auditLog } = require('../middleware/auditLog');
 
 // ────────────────────────────────────────────────────────────────────────────
 // MULTER CONFIG — lab result PDF uploads
@@ -139,8 +141,16 @@ router.patch('/notifications/:id/read', labTechOnly, labController.markNotificat
  * GET /api/lab/patient/:nationalId
  * 11-digit Syrian national ID → patient profile + their active lab_tests
  * at THIS lab. Searches both the persons and children collections.
+ * Needs a consent grant covering the technician or the laboratory.
  */
-router.get('/patient/:nationalId', labTechOnly, labController.searchPatientByNationalId);
+router.get(
+  '/patient/:nationalId',
+  labTechOnly,
+  resolveTargetPatient,
+  verifyPatientAccess,
+  auditLog('VIEW_PATIENT'),
+  labController.searchPatientByNationalId
+);
 
 // ════════════════════════════════════════════════════════════════════════════
 // SECTION 4 — TEST LISTS
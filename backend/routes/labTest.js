@@ -18,6 +18,8 @@ const fs = require('fs');
 
 const labTestController = require('../controllers/labTestController');
 const { protect, authorize } = require('../middleware/auth');
+const { resolveLabTestPatient, verifyPatientAccess } = require('../middleware/patientAccess');
+const { auditLog } = require('../middleware/auditLog');
 
 // ============================================================================
 // MULTER CONFIG FOR PDF UPLOADS
@@ -117,10 +119,13 @@ router.post('/:id/mark-viewed',
   labTestController.markViewed
 );
 
-// ── Generic GET ─────────────────────────────────────────────────────────────
+// ── Generic GET (consent grant unless ordering doctor / running lab) ────────
 router.get('/:id',
   protect,
   authorize('doctor', 'lab_technician', 'patient', 'admin'),
+  resolveLabTestPatient,
+  verifyPatientAccess,
+  auditLog('VIEW_LAB_TEST'),
   labTestController.getLabTestById
 );
 
@@ -6,7 +6,7 @@
  *
  *  Access pattern:
  *    - GET routes: any authenticated clinical role (doctor, pharmacist, etc.)
- *    - Mutating routes (POST/PATCH/DELETE): admin only
+ *    - Mutating routes (POST/PATCH/DELETE): admin with manage_medications
  *
  *  Patient role excluded from all routes — patients see drugs via their
  *  prescriptions, not by browsing the catalog.
@@ -17,7 +17,7 @@ const express = require('express');
 const router = express.Router();
 
 const medicationController = require('../controllers/medicationController');
-const { protect, authorize } = require('../middleware/auth');
+const { protect, authorize, requirePermission } = require('../middleware/auth');
 
 // ── READ routes — clinical roles only ───────────────────────────────────────
 const clinicalRoles = [
@@ -28,15 +28,20 @@ const clinicalRoles = [
 // Specific routes BEFORE /:id (avoid catching "search" or "categories" as an ID)
 router.get('/search', clinicalRoles, medicationController.searchMedications);
 router.get('/categories', clinicalRoles, medicationController.getMedicationCategories);
+router.get('/interactions', clinicalRoles, medicationController.listInteractions);
 
 router.get('/', clinicalRoles, medicationController.listMedications);
 router.get('/:id', clinicalRoles, medicationController.getMedicationById);
 
-// ── MUTATING routes — admin only ────────────────────────────────────────────
-const adminOnly = [protect, authorize('admin')];
+// ── MUTATING routes — admin with manage_medications ─────────────────────────
+const adminOnly = [protect, authorize('admin'), requirePermission('manage_medications')];
 
 router.post('/', adminOnly, medicationController.createMedication);
 router.patch('/:id', adminOnly, medicationController.updateMedication);
 router.delete('/:id', adminOnly, medicationController.deleteMedication);
 
+// Drug-interaction knowledge base
+router.put('/interactions', adminOnly, medicationController.saveInteraction);
+router.delete('/interactions/:id', adminOnly, medicationController.deactivateInteraction);
+
 module.exports = router;
\ No newline at end of file
@@ -10,7 +10,7 @@ const express = require('express');
 const router = express.Router();
 
 const notificationController = require('../controllers/notificationController');
-const { protect, authorize } = require('../middleware/auth');
+const { protect, authorize, requirePermission } = require('../middleware/auth');
 
 // ── Notification list & unread count ────────────────────────────────────────
 router.get('/', protect, notificationController.getMyNotifications);
@@ -28,6 +28,7 @@ router.delete('/push-token', protect, notificationController.removePushToken);
 router.post('/dispatch/critical-labs',
   protect,
   authorize('admin'),
+  requirePermission('manage_laboratories'),
   notificationController.dispatchCriticalLabResults
 );
 
@@ -18,11 +18,30 @@
  *    GET   /overview                — flat counts + recentActivity
  *    GET   /notifications           — patient's in-app notifications
  *    GET   /reviews                 — reviews written by the patient
+ *    POST  /reviews                 — review a completed appointment/visit
  *    GET   /emergency-reports       — patient's emergency reports
  *    GET   /doctors?specialization=X — browse doctors for booking
  *    GET   /doctors/:doctorId/slots — available time slots for a doctor
  *    POST  /appointments            — book a new appointment
  *    PATCH /appointments/:id/cancel — cancel own appointment + release slot
+ *    POST  /lab-tests/:labTestId/book — book sample collection for an
+ *                                       ordered lab test (laboratory slot
+ *                                       from /api/availability-slots/available)
+ *    POST  /children/:childId/migrate — parent migrates a child who received
+ *                                       a national ID into an adult record
+ *
+ *  Guardian routes (parent switches context to one of their children):
+ *    GET   /children                          — children linked to the parent
+ *    GET   /children/:childId                 — child identity + medical profile
+ *    GET   /children/:childId/visits          — same shape as /me/visits
+ *    GET   /children/:childId/lab-tests       — same shape as /me/lab-tests
+ *    GET   /children/:childId/prescriptions   — same shape as /me/prescriptions
+ *    GET   /children/:childId/appointments    — same shape as /me/appointments
+ *    POST  /children/:childId/appointments    — book via appointmentController
+ *    PATCH /children/:childId/appointments/:id/cancel
+ *    GET   /children/:childId/waitlist        — via waitlistController
+ *    POST  /children/:childId/waitlist        — join for the child
+ *    POST  /children/:childId/lab-tests/:labTestId/book
  *
  *    (GET-only aliases via middleware rewrite)
  *    GET  /visits                   → /me/visits
@@ -30,7 +49,14 @@
  *    GET  /prescriptions            → /me/prescriptions
  *    GET  /lab-tests                → /me/lab-tests
  *
- *  Lookup routes (admin / clinical staff):
+ *  Access grants (patient, or parent under /children/:childId/...):
+ *    GET   /me/access-grants                  — grants on my record
+ *    POST  /me/access-grants                  — grant a provider/hospital access
+ *    PATCH /me/access-grants/:grantId/revoke  — revoke a grant
+ *    GET   /me/access-log                     — who viewed / modified my record
+ *    POST  /:identifier/break-glass           — clinician emergency access
+ *
+ *  Lookup routes (owner, admin, or clinical staff with an active grant):
  *    GET  /:identifier              — patient by nationalId or CRN
  *    GET  /:identifier/visits
  *    GET  /:identifier/lab-tests
@@ -49,63 +75,75 @@ const {
 } = require('../models');
 
 const { protect, authorize } = require('../middleware/auth');
+const { auditLog } = require('../middleware/auditLog');
+const { resolveTargetPatient, verifyPatientAccess } = require('../middleware/patientAccess');
+const reviewController = require('../controllers/reviewController');
+const childMigrationController = require('../controllers/childMigrationController');
+const appointmentController = require('../controllers/appointmentController');
+const waitlistController = require('../controllers/waitlistController');
+const waitlistService = require('../services/waitlistService');
+const labBookingService = require('../services/labBookingService');
+const paymentService = require('../services/paymentService');
+const accessGrantController = require('../controllers/accessGrantController');
 
 // ============================================================================
-// MIDDLEWARE — verify patient ownership or admin/doctor access
+// MIDDLEWARE — guardian context (lookup access: middleware/patientAccess.js)
 // ============================================================================
 
-async function verifyPatientAccess(req, res, next) {
+/**
+ * Guardian context switch. On /children/:childId/* routes, verifies the child
+ * belongs to the logged-in parent and sets req.patientRef to the child's ref,
+ * which the /me handlers and appointmentController.bookAppointment prefer
+ * over the account's own ref. No-op on routes without :childId.
+ */
+async function resolveGuardianChild(req, res, next) {
   try {
-    const { identifier } = req.params;
-    const account = req.account;
+    const { childId } = req.params;
+    if (!childId) return next();
 
-    let targetRef = null;
+    if (!childId.match(/^[0-9a-fA-F]{24}$/)) {
+      return res.status(400).json({
+        success: false,
+        message: 'معرّف الطفل غير صالح'
+      });
+    }
 
-    if (/^\d{11}$/.test(identifier)) {
-      const adult = await Person.findOne({ nationalId: identifier }).lean();
-      if (adult) {
-        targetRef = { patientPersonId: adult._id };
-      } else {
-        const child = await Children.findOne({ nationalId: identifier }).lean();
-        if (child) targetRef = { patientChildId: child._id };
-      }
-    } else if (identifier.startsWith('CRN-')) {
-      const child = await Children.findOne({
-        childRegistrationNumber: identifier
-      }).lean();
-      if (child) targetRef = { patientChildId: child._id };
+    if (!req.account.personId) {
+      return res.status(403).json({
+        success: false,
+        message: 'هذا الحساب لا يمكنه إدارة ملفات الأطفال'
+      });
     }
 
-    if (!targetRef) {
+    const child = await Children.findOne({
+      _id: childId,
+      parentPersonId: req.account.personId,
+      isDeleted: { $ne: true }
+    }).lean();
+
+    if (!child) {
       return res.status(404).json({
         success: false,
-        message: 'لم يتم العثور على المريض'
+        message: 'لم يتم العثور على الطفل ضمن الأطفال المرتبطين بحسابك'
       });
     }
 
-    const isAdmin = account.roles.includes('admin');
-    const isClinical = account.roles.some(r =>
-      ['doctor', 'dentist', 'pharmacist', 'lab_technician'].includes(r)
-    );
-    const isOwner =
-      (targetRef.patientPersonId && String(targetRef.patientPersonId) === String(account.personId))
-      || (targetRef.patientChildId && String(targetRef.patientChildId) === String(account.childId));
-
-    if (!isOwner && !isAdmin && !isClinical) {
-      console.log('❌ Patient access denied');
-      return res.status(403).json({
+    if (child.migrationStatus === 'migrated') {
+      return res.status(409).json({
         success: false,
-        message: 'ليس لديك صلاحية للوصول لبيانات هذا المريض'
+        message: 'تم ترحيل سجل هذا الطفل إلى سجل بالغ مستقل',
+        migratedToPersonId: child.migratedToPersonId
       });
     }
 
-    req.targetPatient = targetRef;
+    req.guardianChild = child;
+    req.patientRef = { patientChildId: child._id };
     return next();
   } catch (error) {
-    console.error('verifyPatientAccess error:', error);
+    console.error('resolveGuardianChild error:', error);
     return res.status(500).json({
       success: false,
-      message: 'حدث خطأ في التحقق من الصلاحيات'
+      message: 'حدث خطأ في التحقق من صلة القرابة'
     });
   }
 }
@@ -120,6 +158,21 @@ function currentPatientRef(account) {
   return null;
 }
 
+/**
+ * Falls back to the account's own ref when resolveGuardianChild has not set
+ * req.patientRef, so controllers can read req.patientRef unconditionally.
+ */
+function requirePatientRef(req, res, next) {
+  req.patientRef = req.patientRef || currentPatientRef(req.account);
+  if (!req.patientRef) {
+    return res.status(403).json({
+      success: false,
+      message: 'لا يوجد ملف مريض مرتبط بهذا الحساب'
+    });
+  }
+  return next();
+}
+
 async function buildProfilePayload(account) {
   const identityDoc = account.personId
     ? await Person.findById(account.personId).lean()
@@ -534,6 +587,25 @@ router.get('/reviews', protect, authorize('patient'), async (req, res) => {
   }
 });
 
+/**
+ * @route   POST /api/patient/reviews
+ * @desc    Review the provider of a completed appointment or visit.
+ *          Body: { appointmentId | visitId, rating, reviewText?, isAnonymous? }
+ */
+router.post('/reviews', protect, authorize('patient'), reviewController.submitReview);
+
+/**
+ * @route   POST /api/patient/children/:childId/migrate
+ * @desc    Parent migrates their child's record to an adult Person once the
+ *          child has a national ID (body: { nationalId?, phoneNumber?, email? })
+ */
+router.post(
+  '/children/:childId/migrate',
+  protect,
+  authorize('patient'),
+  childMigrationController.migrateChild
+);
+
 /**
  * @route   GET /api/patient/emergency-reports
  */
@@ -796,10 +868,10 @@ router.post('/appointments', protect, authorize('patient'), async (req, res) =>
  *          Body: { cancellationReason }
  * @access  Private (patient)
  */
-router.patch('/appointments/:id/cancel', protect, authorize('patient'), async (req, res) => {
+router.patch(['/appointments/:id/cancel', '/children/:childId/appointments/:id/cancel'], protect, authorize('patient'), resolveGuardianChild, async (req, res) => {
   try {
     const account = req.account;
-    const ref = currentPatientRef(account);
+    const ref = req.patientRef || currentPatientRef(account);
     if (!ref) {
       return res.status(400).json({
         success: false,
@@ -865,7 +937,12 @@ router.patch('/appointments/:id/cancel', protect, authorize('patient'), async (r
       ).catch((err) => {
         console.error('Failed to release slot after cancel:', err);
       });
+      await waitlistService.offerFreedSlot(appointment.slotId);
     }
+    await labBookingService.releaseForAppointment(appointment);
+    await paymentService.refundCancelledAppointment(appointment, {
+      actorAccountId: account._id
+    });
 
     AuditLog.record({
       userId: account._id,
@@ -902,6 +979,170 @@ router.patch('/appointments/:id/cancel', protect, authorize('patient'), async (r
   }
 });
 
+// ============================================================================
+// GUARDIAN ROUTES — parent managing their children
+// ============================================================================
+// Read routes for a child reuse the /me handlers below (array paths) with
+// req.patientRef set by resolveGuardianChild.
+
+/**
+ * @route   GET /api/patient/children
+ * @desc    Children linked to the logged-in parent, with upcoming
+ *          appointment counts. Migrated children are listed separately so
+ *          the UI can explain where their records went.
+ */
+router.get('/children', protect, authorize('patient'), async (req, res) => {
+  try {
+    const account = req.account;
+    if (!account.personId) {
+      return res.json({ success: true, count: 0, children: [], migrated: [] });
+    }
+
+    const children = await Children.find({
+      parentPersonId: account.personId,
+      isDeleted: { $ne: true }
+    })
+      .select('childRegistrationNumber firstName fatherName lastName dateOfBirth gender '
+        + 'profilePhoto nationalId hasReceivedNationalId migrationStatus migratedToPersonId')
+      .sort({ dateOfBirth: 1 })
+      .lean();
+
+    const active = children.filter(c => c.migrationStatus !== 'migrated');
+    const migrated = children.filter(c => c.migrationStatus === 'migrated');
+    const activeIds = active.map(c => c._id);
+
+    const [patients, upcoming] = await Promise.all([
+      Patient.find({ childId: { $in: activeIds } })
+        .select('childId bloodType allergies chronicDiseases')
+        .lean(),
+      Appointment.aggregate([
+        {
+          $match: {
+            patientChildId: { $in: activeIds },
+            appointmentDate: { $gte: new Date(new Date().setHours(0, 0, 0, 0)) },
+            status: { $in: ['scheduled', 'confirmed', 'checked_in'] }
+          }
+        },
+        { $group: { _id: '$patientChildId', count: { $sum: 1 } } }
+      ])
+    ]);
+
+    const patientByChild = new Map(patients.map(p => [String(p.childId), p]));
+    const upcomingByChild = new Map(upcoming.map(u => [String(u._id), u.count]));
+
+    return res.json({
+      success: true,
+      count: active.length,
+      children: active.map(c => ({
+        ...c,
+        fullName: [c.firstName, c.fatherName, c.lastName].filter(Boolean).join(' '),
+        medical: patientByChild.get(String(c._id)) || null,
+        upcomingAppointments: upcomingByChild.get(String(c._id)) || 0,
+        readyToMigrate: c.migrationStatus === 'ready'
+      })),
+      migrated: migrated.map(c => ({
+        _id: c._id,
+        fullName: [c.firstName, c.fatherName, c.lastName].filter(Boolean).join(' '),
+        migratedToPersonId: c.migratedToPersonId
+      }))
+    });
+  } catch (error) {
+    console.error('GET /children error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'حدث خطأ في جلب بيانات الأطفال'
+    });
+  }
+});
+
+/**
+ * @route   GET /api/patient/children/:childId
+ * @desc    Child context — same shape as GET /me for the selected child.
+ */
+router.get('/children/:childId', protect, authorize('patient'), resolveGuardianChild, async (req, res) => {
+  try {
+    const child = req.guardianChild;
+    const patient = await Patient.findOne({ childId: child._id }).lean();
+
+    return res.json({
+      success: true,
+      patient: {
+        isMinor: true,
+        ...child,
+        medical: patient || null
+      }
+    });
+  } catch (error) {
+    console.error('GET /children/:childId error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'حدث خطأ في جلب البيانات'
+    });
+  }
+});
+
+/**
+ * @route   POST /api/patient/children/:childId/appointments
+ * @desc    Parent books a slot for their child. Same body as
+ *          POST /api/appointments (slotId, reasonForVisit, ...).
+ */
+router.post(
+  '/children/:childId/appointments',
+  protect,
+  authorize('patient'),
+  resolveGuardianChild,
+  appointmentController.bookAppointment
+);
+
+/**
+ * @route   POST /api/patient/lab-tests/:labTestId/book
+ *          POST /api/patient/children/:childId/lab-tests/:labTestId/book
+ * @desc    Book the sample-collection appointment for an ordered lab test.
+ *          Body: { slotId } — a laboratory slot (the ordered laboratory if
+ *          the doctor chose one); other fields as POST /api/appointments.
+ *          The LabTest moves to 'scheduled' and shows on the lab's
+ *          today-schedule.
+ */
+router.post(
+  ['/lab-tests/:labTestId/book', '/children/:childId/lab-tests/:labTestId/book'],
+  protect,
+  authorize('patient'),
+  resolveGuardianChild,
+  (req, res, next) => {
+    if (!req.params.labTestId.match(/^[0-9a-fA-F]{24}$/)) {
+      return res.status(400).json({
+        success: false,
+        message: 'معرّف طلب التحليل غير صالح'
+      });
+    }
+    req.body = { ...req.body, labTestId: req.params.labTestId, appointmentType: 'lab_test' };
+    return next();
+  },
+  appointmentController.bookAppointment
+);
+
+/**
+ * @route   GET|POST /api/patient/children/:childId/waitlist
+ * @desc    Child's waitlist entries / join a waitlist for the child. Same
+ *          body as POST /api/appointments/waitlist. Confirm, decline and
+ *          leave use /api/appointments/waitlist/:id (parents pass the
+ *          ownership check there).
+ */
+router.get(
+  '/children/:childId/waitlist',
+  protect,
+  authorize('patient'),
+  resolveGuardianChild,
+  waitlistController.getMyWaitlist
+);
+router.post(
+  '/children/:childId/waitlist',
+  protect,
+  authorize('patient'),
+  resolveGuardianChild,
+  waitlistController.joinWaitlist
+);
+
 // ============================================================================
 // ME ROUTES — current logged-in patient (canonical)
 // ============================================================================
@@ -945,9 +1186,9 @@ router.get('/me', protect, authorize('patient'), async (req, res) => {
   }
 });
 
-router.get('/me/visits', protect, authorize('patient'), async (req, res) => {
+router.get(['/me/visits', '/children/:childId/visits'], protect, authorize('patient'), resolveGuardianChild, async (req, res) => {
   try {
-    const ref = currentPatientRef(req.account);
+    const ref = req.patientRef || currentPatientRef(req.account);
     if (!ref) {
       return res.status(400).json({
         success: false,
@@ -985,9 +1226,9 @@ router.get('/me/visits', protect, authorize('patient'), async (req, res) => {
   }
 });
 
-router.get('/me/lab-tests', protect, authorize('patient'), async (req, res) => {
+router.get(['/me/lab-tests', '/children/:childId/lab-tests'], protect, authorize('patient'), resolveGuardianChild, async (req, res) => {
   try {
-    const ref = currentPatientRef(req.account);
+    const ref = req.patientRef || currentPatientRef(req.account);
     if (!ref) {
       return res.status(400).json({
         success: false,
@@ -1025,9 +1266,9 @@ router.get('/me/lab-tests', protect, authorize('patient'), async (req, res) => {
   }
 });
 
-router.get('/me/prescriptions', protect, authorize('patient'), async (req, res) => {
+router.get(['/me/prescriptions', '/children/:childId/prescriptions'], protect, authorize('patient'), resolveGuardianChild, async (req, res) => {
   try {
-    const ref = currentPatientRef(req.account);
+    const ref = req.patientRef || currentPatientRef(req.account);
     if (!ref) {
       return res.status(400).json({
         success: false,
@@ -1065,9 +1306,9 @@ router.get('/me/prescriptions', protect, authorize('patient'), async (req, res)
   }
 });
 
-router.get('/me/appointments', protect, authorize('patient'), async (req, res) => {
+router.get(['/me/appointments', '/children/:childId/appointments'], protect, authorize('patient'), resolveGuardianChild, async (req, res) => {
   try {
-    const ref = currentPatientRef(req.account);
+    const ref = req.patientRef || currentPatientRef(req.account);
     if (!ref) {
       return res.status(400).json({
         success: false,
@@ -1182,11 +1423,58 @@ router.get('/me/medical-summary', protect, authorize('patient'), async (req, res
   }
 });
 
+// ============================================================================
+// ACCESS GRANTS — patient-controlled record sharing
+// ============================================================================
+
+const grantOwnerChain = [protect, authorize('patient'), resolveGuardianChild, requirePatientRef];
+
+/**
+ * @route   GET|POST /api/patient/me/access-grants
+ *          GET|POST /api/patient/children/:childId/access-grants
+ * @desc    List / grant time-limited access to the record
+ */
+router.get(['/me/access-grants', '/children/:childId/access-grants'],
+  ...grantOwnerChain, accessGrantController.getMyGrants);
+router.post(['/me/access-grants', '/children/:childId/access-grants'],
+  ...grantOwnerChain, accessGrantController.createGrant);
+
+/**
+ * @route   GET /api/patient/me/access-log
+ *          GET /api/patient/children/:childId/access-log
+ * @desc    Who viewed or modified the record (?action=, ?from=, ?to=, paginated)
+ */
+router.get(['/me/access-log', '/children/:childId/access-log'],
+  ...grantOwnerChain, accessGrantController.getMyAccessLog);
+
+/**
+ * @route   PATCH /api/patient/me/access-grants/:grantId/revoke
+ *          PATCH /api/patient/children/:childId/access-grants/:grantId/revoke
+ */
+router.patch(
+  ['/me/access-grants/:grantId/revoke', '/children/:childId/access-grants/:grantId/revoke'],
+  ...grantOwnerChain,
+  accessGrantController.revokeGrant
+);
+
+/**
+ * @route   POST /api/patient/:identifier/break-glass
+ * @desc    Clinician emergency access without consent (reason required,
+ *          patient notified)
+ */
+router.post(
+  '/:identifier/break-glass',
+  protect,
+  authorize('doctor', 'dentist', 'pharmacist', 'lab_technician'),
+  resolveTargetPatient,
+  accessGrantController.breakGlassAccess
+);
+
 // ============================================================================
 // LOOKUP ROUTES — by identifier (admin/doctor access)
 // ============================================================================
 
-router.get('/:identifier', protect, verifyPatientAccess, async (req, res) => {
+router.get('/:identifier', protect, resolveTargetPatient, verifyPatientAccess, auditLog('VIEW_PATIENT'), async (req, res) => {
   try {
     const { patientPersonId, patientChildId } = req.targetPatient;
 
@@ -1238,7 +1526,7 @@ router.get('/:identifier', protect, verifyPatientAccess, async (req, res) => {
   }
 });
 
-router.get('/:identifier/visits', protect, verifyPatientAccess, async (req, res) => {
+router.get('/:identifier/visits', protect, resolveTargetPatient, verifyPatientAccess, auditLog('VIEW_PATIENT_VISITS'), async (req, res) => {
   try {
     const ref = req.targetPatient;
 
@@ -1273,7 +1561,7 @@ router.get('/:identifier/visits', protect, verifyPatientAccess, async (req, res)
   }
 });
 
-router.get('/:identifier/lab-tests', protect, verifyPatientAccess, async (req, res) => {
+router.get('/:identifier/lab-tests', protect, resolveTargetPatient, verifyPatientAccess, auditLog('VIEW_PATIENT_LAB_TESTS'), async (req, res) => {
   try {
     const ref = req.targetPatient;
 
@@ -1307,7 +1595,7 @@ router.get('/:identifier/lab-tests', protect, verifyPatientAccess, async (req, r
   }
 });
 
-router.get('/:identifier/prescriptions', protect, verifyPatientAccess, async (req, res) => {
+router.get('/:identifier/prescriptions', protect, resolveTargetPatient, verifyPatientAccess, auditLog('VIEW_PATIENT_PRESCRIPTIONS'), async (req, res) => {
   try {
     const ref = req.targetPatient;
 
@@ -0,0 +1,40 @@
+/**
+ * ═══════════════════════════════════════════════════════════════════════════
+ *  Payment Routes — Patient 360°
+ *  ─────────────────────────────────────────────────────────────────────────
+ *  Mounted at /api/payments
+ *
+ *  The practice's staff take payments and issue refunds; patients read
+ *  their own payments and receipts. Per-record access (which practice,
+ *  which patient) is checked in paymentController.
+ * ═══════════════════════════════════════════════════════════════════════════
+ */
+
+const express = require('express');
+const router = express.Router();
+
+const paymentController = require('../controllers/paymentController');
+const { protect, authorize } = require('../middleware/auth');
+
+router.use(protect);
+
+// ── Patient ─────────────────────────────────────────────────────────────────
+router.get('/mine', authorize('patient'), paymentController.getMyPayments);
+
+// ── Staff ───────────────────────────────────────────────────────────────────
+router.post(
+  '/',
+  authorize('doctor', 'dentist', 'lab_technician', 'admin'),
+  paymentController.recordPayment
+);
+router.post(
+  '/:id/refund',
+  authorize('doctor', 'dentist', 'lab_technician', 'admin'),
+  paymentController.refundPayment
+);
+
+// ── Staff or the patient ────────────────────────────────────────────────────
+router.get('/', paymentController.getPayments);
+router.get('/:id/receipt', paymentController.getReceipt);
+
+module.exports = router;
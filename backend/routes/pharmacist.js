@@ -13,6 +13,8 @@ const router = express.Router();
 
 const pharmacistController = require('../controllers/pharmacistController');
 const { protect, authorize } = require('../middleware/auth');
+const { resolveTargetPatient, verifyPatientAccess } = require('../middleware/patientAccess');
+const { auditLog } = require('../middleware/auditLog');
 
 // All routes require pharmacist or admin
 const pharmacistOnly = [protect, authorize('pharmacist', 'admin')];
@@ -27,7 +29,8 @@ router.get('/notifications', pharmacistOnly, pharmacistController.getNotificatio
 router.patch('/notifications/:id/read', pharmacistOnly, pharmacistController.markNotificationRead);
 
 // ── Patient lookup (for prescription dispensing workflow) ──────────────────
-router.get('/patient/:nationalId', pharmacistOnly, pharmacistController.lookupPatient);
+// Needs a consent grant covering the pharmacist or the pharmacy
+router.get('/patient/:nationalId', pharmacistOnly, resolveTargetPatient, verifyPatientAccess, auditLog('VIEW_PATIENT'), pharmacistController.lookupPatient);
 
 // ── Prescription verification + dispensing ─────────────────────────────────
 router.post('/prescriptions/:id/verify', pharmacistOnly, pharmacistController.verifyPrescription);
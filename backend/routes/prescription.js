@@ -6,13 +6,17 @@
  *
  *  Routes:
  *    POST   /                            — Doctor creates Rx (doctor, dentist)
- *    GET    /:id                         — Get Rx by ID (multiple roles)
+ *    GET    /:id                         — Get Rx by ID (multiple roles,
+ *                                           consent grant for clinical staff)
  *    GET    /doctor/:doctorId            — All Rx by a doctor (doctor self, admin)
- *    GET    /patient/:identifier         — All Rx for a patient (multiple roles)
+ *    GET    /patient/:identifier         — All Rx for a patient (multiple roles,
+ *                                           consent grant for clinical staff)
  *    POST   /verify-qr                   — Pharmacist scans QR (pharmacist)
  *    POST   /verify-code                 — Pharmacist types code (pharmacist)
  *    POST   /:id/cancel                  — Doctor cancels Rx (doctor, admin)
+ *    POST   /:id/request-renewal         — Patient asks for a renewal (patient)
  *    POST   /check-interactions          — Pre-flight interaction check (doctor)
+ *    POST   /check-dose                  — mg/kg dose check (doctor, pharmacist)
  *
  *  Conventions kept:
  *    - Express Router pattern
@@ -26,6 +30,10 @@ const router = express.Router();
 
 const prescriptionController = require('../controllers/prescriptionController');
 const { protect, authorize } = require('../middleware/auth');
+const {
+  resolveTargetPatient, resolvePrescriptionPatient, verifyPatientAccess
+} = require('../middleware/patientAccess');
+const { auditLog } = require('../middleware/auditLog');
 
 // ============================================================================
 // PHARMACIST VERIFICATION ROUTES
@@ -63,6 +71,16 @@ router.post(
   prescriptionController.checkInteractions
 );
 
+/**
+ * Dose check against the catalog's age / weight dosing bands
+ */
+router.post(
+  '/check-dose',
+  protect,
+  authorize('doctor', 'dentist', 'pharmacist'),
+  prescriptionController.checkDose
+);
+
 // ============================================================================
 // LIST ROUTES
 // ============================================================================
@@ -81,12 +99,15 @@ router.get(
 /**
  * Get all prescriptions for a patient (by national ID or CRN).
  * Multiple roles: doctors during a visit, pharmacists when filling,
- * patient viewing their own history.
+ * patient viewing their own history. Clinical staff need a consent grant.
  */
 router.get(
   '/patient/:identifier',
   protect,
   authorize('doctor', 'dentist', 'pharmacist', 'patient', 'admin'),
+  resolveTargetPatient,
+  verifyPatientAccess,
+  auditLog('VIEW_PATIENT_PRESCRIPTIONS'),
   prescriptionController.getPatientPrescriptions
 );
 
@@ -105,12 +126,16 @@ router.post(
 );
 
 /**
- * Get single prescription by ID
+ * Get single prescription by ID (consent grant for clinical staff other
+ * than the prescriber)
  */
 router.get(
   '/:id',
   protect,
   authorize('doctor', 'dentist', 'pharmacist', 'patient', 'admin'),
+  resolvePrescriptionPatient,
+  verifyPatientAccess,
+  auditLog('VIEW_PRESCRIPTION'),
   prescriptionController.getPrescriptionById
 );
 
@@ -124,4 +149,14 @@ router.post(
   prescriptionController.cancelPrescription
 );
 
+/**
+ * Patient asks the prescriber to renew (refills used up / expired)
+ */
+router.post(
+  '/:id/request-renewal',
+  protect,
+  authorize('patient'),
+  prescriptionController.requestRenewal
+);
+
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,24 @@
+/**
+ * ═══════════════════════════════════════════════════════════════════════════
+ *  Provider Profile Routes — Patient 360°
+ *  ─────────────────────────────────────────────────────────────────────────
+ *  Mounted at /api/providers
+ *
+ *  Access pattern:
+ *    - Any authenticated role. Only approved reviews and publicly listable
+ *      providers (verified doctors/dentists, active facilities) are returned.
+ *
+ *  :providerType ∈ doctor | dentist | pharmacy | laboratory
+ * ═══════════════════════════════════════════════════════════════════════════
+ */
+
+const express = require('express');
+const router = express.Router();
+
+const providerController = require('../controllers/providerController');
+const { protect } = require('../middleware/auth');
+
+router.get('/:providerType/:id', protect, providerController.getProviderProfile);
+router.get('/:providerType/:id/reviews', protect, providerController.getProviderReviews);
+
+module.exports = router;
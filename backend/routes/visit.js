@@ -6,6 +6,12 @@ const router = express.Router();
 const Visit = require('../models/Visit');
 const upload = require('../middleware/upload');
 const { protect } = require('../middleware/auth');
+const { resolveVisitPatient, verifyPatientAccess } = require('../middleware/patientAccess');
+const { auditLog } = require('../middleware/auditLog');
+
+// Every route opens the visit's patient record: owner, admin, the visit's
+// author or clinical staff with a consent grant
+const visitAccess = [protect, resolveVisitPatient, verifyPatientAccess];
 
 // ==================== UPLOAD ATTACHMENT ====================
 /**
@@ -14,7 +20,7 @@ const { protect } = require('../middleware/auth');
  * @access  Private (Doctor/Admin)
  */
 router.post('/:visitId/attachments', 
-  protect,
+  visitAccess,
   upload.single('file'), // 'file' is the form field name
   async (req, res) => {
     try {
@@ -90,7 +96,7 @@ router.post('/:visitId/attachments',
  * @desc    Get all attachments for a visit
  * @access  Private
  */
-router.get('/:visitId/attachments', protect, async (req, res) => {
+router.get('/:visitId/attachments', visitAccess, auditLog('VIEW_VISIT_ATTACHMENTS'), async (req, res) => {
   try {
     const visit = await Visit.findById(req.params.visitId)
       .populate('attachments.uploadedBy', 'email');
@@ -123,7 +129,7 @@ router.get('/:visitId/attachments', protect, async (req, res) => {
  * @desc    Delete an attachment
  * @access  Private (Doctor/Admin)
  */
-router.delete('/:visitId/attachments/:attachmentId', protect, async (req, res) => {
+router.delete('/:visitId/attachments/:attachmentId', visitAccess, async (req, res) => {
   try {
     const { visitId, attachmentId } = req.params;
 
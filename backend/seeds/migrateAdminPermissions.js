@@ -0,0 +1,137 @@
+/**
+ * ═══════════════════════════════════════════════════════════════════════════
+ *  Admin Permissions Migration — Patient 360°
+ *  ─────────────────────────────────────────────────────────────────────────
+ *  Admin.permissions is now enforced per route (requirePermission() in
+ *  middleware/auth.js), so the names the old seed granted must match
+ *  Admin.KNOWN_PERMISSIONS. This script rewrites existing admin documents:
+ *
+ *    approve_doctor_requests  → manage_doctor_requests
+ *    deactivate_accounts      → manage_doctors + manage_patients
+ *                               (the deactivate routes are gated by these)
+ *    manage_emergency_reports → view_emergency_reports
+ *
+ *  Any other name that isn't a known permission is dropped and reported.
+ *  super_admin documents are rewritten too — they pass every check anyway,
+ *  but keeping the list clean avoids surprises after a demotion.
+ *
+ *  Usage:
+ *    node seeds/migrateAdminPermissions.js            — apply
+ *    node seeds/migrateAdminPermissions.js --dry-run  — report only
+ *
+ *  Idempotent: admins whose permissions are already current are skipped.
+ * ═══════════════════════════════════════════════════════════════════════════
+ */
+
+require('dotenv').config();
+
+const mongoose = require('mongoose');
+
+// Load all models via the barrel — registers them with mongoose
+const { Admin } = require('../models');
+
+// ============================================================================
+// CONFIGURATION
+// ============================================================================
+
+const RENAMED_PERMISSIONS = {
+  approve_doctor_requests: ['manage_doctor_requests'],
+  deactivate_accounts: ['manage_doctors', 'manage_patients'],
+  manage_emergency_reports: ['view_emergency_reports']
+};
+
+const MONGO_URI = process.env.MONGO_URI || 'mongodb://localhost:27017/PATIENT360';
+
+const DRY_RUN = process.argv.includes('--dry-run');
+
+// ============================================================================
+// HELPERS
+// ============================================================================
+
+/**
+ * New permission list for an old one, plus the names that were dropped.
+ */
+function migratePermissions(permissions) {
+  const known = Admin.KNOWN_PERMISSIONS;
+  const next = new Set();
+  const dropped = [];
+
+  (permissions || []).forEach((permission) => {
+    if (RENAMED_PERMISSIONS[permission]) {
+      RENAMED_PERMISSIONS[permission].forEach(p => next.add(p));
+    } else if (known.includes(permission)) {
+      next.add(permission);
+    } else {
+      dropped.push(permission);
+    }
+  });
+
+  return { permissions: [...next], dropped };
+}
+
+// ============================================================================
+// MAIN
+// ============================================================================
+
+async function migrateAdminPermissions() {
+  console.log('');
+  console.log('🔐 Admin permissions migration' + (DRY_RUN ? ' (dry run)' : ''));
+  console.log(`   URI: ${MONGO_URI}`);
+
+  try {
+    await mongoose.connect(MONGO_URI);
+    console.log(`✅ Connected to ${mongoose.connection.name}`);
+  } catch (err) {
+    console.error('❌ MongoDB connection failed:', err.message);
+    process.exit(1);
+  }
+  console.log('');
+
+  const admins = await Admin.find({}).select('personId adminLevel permissions').lean();
+  let updated = 0;
+
+  for (const admin of admins) {
+    const { permissions, dropped } = migratePermissions(admin.permissions);
+    const unchanged = permissions.length === (admin.permissions || []).length
+      && permissions.every(p => admin.permissions.includes(p));
+    if (unchanged) continue;
+
+    console.log(`🔁 Admin ${admin._id} (${admin.adminLevel})`);
+    console.log(`   before: ${(admin.permissions || []).join(', ') || '—'}`);
+    console.log(`   after:  ${permissions.join(', ') || '—'}`);
+    if (dropped.length > 0) {
+      console.log(`   ⚠️  dropped unknown: ${dropped.join(', ')}`);
+    }
+
+    if (!DRY_RUN) {
+      // Guarded on the list we read — an admin edited meanwhile is left alone
+      const result = await Admin.updateOne(
+        { _id: admin._id, permissions: admin.permissions },
+        { $set: { permissions } }
+      );
+      if (result.modifiedCount === 0) {
+        console.log('   ⚠️  changed since it was read — skipped, run again');
+        continue;
+      }
+    }
+    updated += 1;
+  }
+
+  console.log('');
+  console.log(`✅ ${updated} of ${admins.length} admin(s) ${DRY_RUN ? 'would be updated' : 'updated'}`);
+
+  await mongoose.connection.close();
+  console.log('👋 MongoDB connection closed');
+  process.exit(0);
+}
+
+// ============================================================================
+// ENTRY POINT
+// ============================================================================
+
+migrateAdminPermissions().catch((err) => {
+  console.error('');
+  console.error('❌ UNEXPECTED ERROR:', err);
+  console.error('');
+  process.exit(1);
+});
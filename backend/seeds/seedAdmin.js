@@ -10,7 +10,8 @@
  *  Why this is a script and not a route:
  *    Admins cannot self-signup via the public API for security reasons.
  *    The first admin must be seeded by someone with database access (you).
- *    Subsequent admins should be created through an admin-only endpoint.
+ *    Subsequent admins are created through POST /api/admin/admins
+ *    (requires the manage_admins permission).
  *
  *  Usage:
  *    node seeds/seedAdmin.js
@@ -65,18 +66,20 @@ const ADMIN_CONFIG = {
   adminLevel:   process.env.ADMIN_LEVEL       || 'super_admin',
   department:   process.env.ADMIN_DEPARTMENT  || 'إدارة النظام',
   permissions:  [
+    'view_statistics',
     'manage_doctors',
+    'manage_doctor_requests',
     'manage_patients',
     'manage_pharmacies',
     'manage_laboratories',
     'manage_hospitals',
     'manage_medications',
     'view_audit_logs',
+    'view_emergency_reports',
+    'approve_reviews',
     'manage_admins',
-    'view_statistics',
-    'approve_doctor_requests',
-    'deactivate_accounts',
-    'manage_emergency_reports'
+    'export_data',
+    'manage_schedules'
   ]
 };
 
@@ -0,0 +1,330 @@
+/**
+ * ═══════════════════════════════════════════════════════════════════════════
+ *  Drug Interaction Seed Script — Patient 360°
+ *  ─────────────────────────────────────────────────────────────────────────
+ *  Seeds the drug_interactions knowledge base with well-documented
+ *  interactions between the active ingredients of the seeded medications
+ *  (seedMedications.js) and a few common chronic drugs (warfarin, MAOIs,
+ *  potassium, ...).
+ *
+ *  Sources: BNF Appendix 1 (Interactions), WHO Model Formulary, FDA drug
+ *  safety communications. A starting set only — the formulary committee
+ *  extends it through PUT /api/medications/interactions.
+ *
+ *  Run with:
+ *    node backend/seeds/seedDrugInteractions.js
+ *
+ *  Idempotent — the ingredient pair is the unique key. Re-running will
+ *  update existing entries rather than creating duplicates.
+ * ═══════════════════════════════════════════════════════════════════════════
+ */
+
+require('dotenv').config();
+const mongoose = require('mongoose');
+const DrugInteraction = require('../models/DrugInteraction');
+
+const INTERACTIONS = [
+  // ── Anticoagulants & antiplatelets ─────────────────────────────────────
+  {
+    ingredientA: 'Warfarin',
+    ingredientB: 'Ibuprofen',
+    severity: 'major',
+    mechanism: 'NSAID antiplatelet effect and gastric mucosal damage on top of anticoagulation',
+    advice: {
+      en: 'Avoid. Use paracetamol for pain; if an NSAID is unavoidable, add gastroprotection and check INR closely.',
+      ar: 'يُتجنب الجمع. استخدم الباراسيتامول للألم؛ وإن كان مضاد الالتهاب ضرورياً فأضف واقياً للمعدة وراقب INR عن قرب.',
+    },
+    source: 'BNF Appendix 1',
+  },
+  {
+    ingredientA: 'Warfarin',
+    ingredientB: 'Diclofenac',
+    severity: 'major',
+    mechanism: 'NSAID antiplatelet effect and gastric mucosal damage on top of anticoagulation',
+    advice: {
+      en: 'Avoid. Prefer paracetamol; if unavoidable, add gastroprotection and monitor INR and bleeding.',
+      ar: 'يُتجنب الجمع. يُفضّل الباراسيتامول؛ وإن كان لا بد منه فأضف واقياً للمعدة وراقب INR وعلامات النزف.',
+    },
+    source: 'BNF Appendix 1',
+  },
+  {
+    ingredientA: 'Warfarin',
+    ingredientB: 'Aspirin',
+    severity: 'major',
+    mechanism: 'Additive antiplatelet / anticoagulant effect',
+    advice: {
+      en: 'Combine only with a clear indication (e.g. mechanical valve) under specialist supervision; monitor for bleeding.',
+      ar: 'لا يُجمع إلا لاستطباب واضح (مثل الصمام الميكانيكي) وتحت إشراف اختصاصي، مع مراقبة علامات النزف.',
+    },
+    source: 'BNF Appendix 1',
+  },
+  {
+    ingredientA: 'Aspirin',
+    ingredientB: 'Ibuprofen',
+    severity: 'moderate',
+    mechanism: 'Ibuprofen competes for COX-1 and blunts low-dose aspirin\'s antiplatelet effect; additive GI toxicity',
+    advice: {
+      en: 'Give ibuprofen at least 8 hours before or 30 minutes after low-dose aspirin; prefer paracetamol.',
+      ar: 'يُعطى الإيبوبروفين قبل الأسبرين بجرعته المنخفضة بـ 8 ساعات على الأقل أو بعده بـ 30 دقيقة؛ ويُفضّل الباراسيتامول.',
+    },
+    source: 'FDA drug safety communication',
+  },
+  {
+    ingredientA: 'Clopidogrel',
+    ingredientB: 'Omeprazole',
+    severity: 'major',
+    mechanism: 'CYP2C19 inhibition reduces activation of clopidogrel',
+    advice: {
+      en: 'Avoid. If gastroprotection is needed use pantoprazole instead.',
+      ar: 'يُتجنب الجمع. إن احتاج المريض لحماية المعدة يُستخدم البانتوبرازول بدلاً منه.',
+    },
+    source: 'FDA drug safety communication',
+  },
+  {
+    ingredientA: 'Clopidogrel',
+    ingredientB: 'Esomeprazole',
+    severity: 'moderate',
+    mechanism: 'CYP2C19 inhibition reduces activation of clopidogrel',
+    advice: {
+      en: 'Prefer pantoprazole; if esomeprazole is kept, review antiplatelet response.',
+      ar: 'يُفضّل البانتوبرازول؛ وإن استُمر بالإيزوميبرازول فيُراجع أثر مضاد الصفيحات.',
+    },
+    source: 'BNF Appendix 1',
+  },
+
+  // ── Serotonergic ────────────────────────────────────────────────────────
+  {
+    ingredientA: 'Fluoxetine',
+    ingredientB: 'Tramadol',
+    severity: 'major',
+    mechanism: 'Serotonin syndrome risk; fluoxetine (CYP2D6) also lowers tramadol\'s analgesic metabolite and the seizure threshold',
+    advice: {
+      en: 'Avoid; choose another analgesic. If used, warn the patient about agitation, tremor, fever and seizures.',
+      ar: 'يُتجنب الجمع ويُختار مسكن آخر. إن استُخدما معاً يُنبَّه المريض إلى الهياج والرجفان والحرارة والاختلاج.',
+    },
+    source: 'BNF Appendix 1',
+  },
+  {
+    ingredientA: 'Fluoxetine',
+    ingredientB: 'Phenelzine',
+    severity: 'contraindicated',
+    mechanism: 'Serotonin syndrome (SSRI + MAO inhibitor)',
+    advice: {
+      en: 'Never together. Allow 5 weeks after stopping fluoxetine before starting an MAOI, and 2 weeks the other way.',
+      ar: 'يُمنع الجمع. يُنتظر 5 أسابيع بعد إيقاف الفلوكستين قبل بدء مثبط MAO، وأسبوعان في الاتجاه المعاكس.',
+    },
+    source: 'BNF Appendix 1',
+  },
+  {
+    ingredientA: 'Tramadol',
+    ingredientB: 'Phenelzine',
+    severity: 'contraindicated',
+    mechanism: 'Serotonin syndrome and seizures (tramadol + MAO inhibitor)',
+    advice: {
+      en: 'Never together, nor within 2 weeks of stopping the MAOI.',
+      ar: 'يُمنع الجمع، ولا يُعطى الترامادول خلال أسبوعين من إيقاف مثبط MAO.',
+    },
+    source: 'BNF Appendix 1',
+  },
+  {
+    ingredientA: 'Fluoxetine',
+    ingredientB: 'Ibuprofen',
+    severity: 'moderate',
+    mechanism: 'SSRIs impair platelet serotonin uptake; additive GI bleeding risk with NSAIDs',
+    advice: {
+      en: 'Prefer paracetamol; in older patients add gastroprotection if the NSAID is needed.',
+      ar: 'يُفضّل الباراسيتامول؛ ولدى المسنين يُضاف واقٍ للمعدة إن كان مضاد الالتهاب ضرورياً.',
+    },
+    source: 'BNF Appendix 1',
+  },
+
+  // ── QT prolongation / CYP3A4 ───────────────────────────────────────────
+  {
+    ingredientA: 'Domperidone',
+    ingredientB: 'Clarithromycin',
+    severity: 'contraindicated',
+    mechanism: 'CYP3A4 inhibition raises domperidone levels; additive QT prolongation',
+    advice: {
+      en: 'Never together. Stop domperidone for the course of the macrolide.',
+      ar: 'يُمنع الجمع. يُوقف الدومبيريدون طوال فترة العلاج بالماكروليد.',
+    },
+    source: 'EMA PRAC recommendation',
+  },
+  {
+    ingredientA: 'Domperidone',
+    ingredientB: 'Ketoconazole',
+    severity: 'contraindicated',
+    mechanism: 'Potent CYP3A4 inhibition raises domperidone levels; QT prolongation',
+    advice: {
+      en: 'Never together.',
+      ar: 'يُمنع الجمع.',
+    },
+    source: 'EMA PRAC recommendation',
+  },
+  {
+    ingredientA: 'Domperidone',
+    ingredientB: 'Azithromycin',
+    severity: 'moderate',
+    mechanism: 'Additive QT prolongation',
+    advice: {
+      en: 'Avoid in patients with other QT risk factors; otherwise use the lowest domperidone dose for the shortest time.',
+      ar: 'يُتجنب لدى من لديهم عوامل خطورة أخرى لإطالة QT؛ وإلا فتُستخدم أقل جرعة من الدومبيريدون لأقصر مدة.',
+    },
+    source: 'BNF Appendix 1',
+  },
+
+  // ── Cardiovascular ─────────────────────────────────────────────────────
+  {
+    ingredientA: 'Bisoprolol',
+    ingredientB: 'Verapamil',
+    severity: 'major',
+    mechanism: 'Additive negative chronotropic / inotropic effect — bradycardia, AV block, heart failure',
+    advice: {
+      en: 'Avoid, especially IV verapamil. Use a dihydropyridine (e.g. amlodipine) if a calcium-channel blocker is needed.',
+      ar: 'يُتجنب الجمع خاصة الفيراباميل الوريدي. يُستخدم حاصر كالسيوم من الديهيدروبيريدينات (مثل الأملوديبين) عند الحاجة.',
+    },
+    source: 'BNF Appendix 1',
+  },
+  {
+    ingredientA: 'Bisoprolol',
+    ingredientB: 'Salbutamol',
+    severity: 'moderate',
+    mechanism: 'Beta-blockade antagonises bronchodilation',
+    advice: {
+      en: 'Bisoprolol is cardioselective but can still worsen asthma; review the indication and monitor symptoms.',
+      ar: 'البيزوبرولول انتقائي قلبياً لكنه قد يُسوّئ الربو؛ تُراجع الحاجة إليه وتُراقب الأعراض.',
+    },
+    source: 'BNF Appendix 1',
+  },
+  {
+    ingredientA: 'Captopril',
+    ingredientB: 'Potassium Chloride',
+    severity: 'major',
+    mechanism: 'ACE inhibitors reduce potassium excretion — hyperkalaemia',
+    advice: {
+      en: 'Avoid routine potassium supplements; if needed, check serum potassium within a week.',
+      ar: 'لا تُعطى مكملات البوتاسيوم روتينياً؛ وإن لزمت يُفحص بوتاسيوم الدم خلال أسبوع.',
+    },
+    source: 'BNF Appendix 1',
+  },
+  {
+    ingredientA: 'Captopril',
+    ingredientB: 'Spironolactone',
+    severity: 'major',
+    mechanism: 'Additive potassium retention — hyperkalaemia',
+    advice: {
+      en: 'Use only with regular potassium and creatinine monitoring; keep spironolactone at 25 mg or less.',
+      ar: 'لا يُستخدمان معاً إلا مع مراقبة دورية للبوتاسيوم والكرياتينين، مع ألا تتجاوز جرعة السبيرونولاكتون 25 ملغ.',
+    },
+    source: 'BNF Appendix 1',
+  },
+  {
+    ingredientA: 'Captopril',
+    ingredientB: 'Ibuprofen',
+    severity: 'moderate',
+    mechanism: 'NSAIDs reduce the antihypertensive effect and, with dehydration, can cause acute kidney injury',
+    advice: {
+      en: 'Short courses only; keep the patient hydrated and check renal function in older patients.',
+      ar: 'لفترات قصيرة فقط؛ مع الحفاظ على إماهة المريض وفحص وظائف الكلية لدى المسنين.',
+    },
+    source: 'BNF Appendix 1',
+  },
+  {
+    ingredientA: 'Rosuvastatin',
+    ingredientB: 'Gemfibrozil',
+    severity: 'major',
+    mechanism: 'Gemfibrozil raises statin exposure — myopathy and rhabdomyolysis',
+    advice: {
+      en: 'Avoid; use fenofibrate if a fibrate is required.',
+      ar: 'يُتجنب الجمع؛ ويُستخدم الفينوفيبرات إن لزم فيبرات.',
+    },
+    source: 'BNF Appendix 1',
+  },
+
+  // ── Anti-infectives ────────────────────────────────────────────────────
+  {
+    ingredientA: 'Ciprofloxacin',
+    ingredientB: 'Theophylline',
+    severity: 'major',
+    mechanism: 'CYP1A2 inhibition raises theophylline levels — seizures, arrhythmias',
+    advice: {
+      en: 'Avoid or halve the theophylline dose and monitor levels.',
+      ar: 'يُتجنب الجمع أو تُخفض جرعة الثيوفيلين إلى النصف مع مراقبة مستواه في الدم.',
+    },
+    source: 'BNF Appendix 1',
+  },
+  {
+    ingredientA: 'Amoxicillin',
+    ingredientB: 'Methotrexate',
+    severity: 'major',
+    mechanism: 'Penicillins reduce renal excretion of methotrexate — toxicity',
+    advice: {
+      en: 'Avoid with high-dose methotrexate; with low weekly doses monitor blood counts.',
+      ar: 'يُتجنب مع الجرعات العالية من الميثوتريكسات؛ ومع الجرعات الأسبوعية المنخفضة تُراقب تعداد الدم.',
+    },
+    source: 'BNF Appendix 1',
+  },
+
+  // ── Absorption ─────────────────────────────────────────────────────────
+  {
+    ingredientA: 'Levothyroxine',
+    ingredientB: 'Calcium Carbonate',
+    severity: 'minor',
+    mechanism: 'Calcium binds levothyroxine in the gut and lowers absorption',
+    advice: {
+      en: 'Take levothyroxine at least 4 hours apart from calcium.',
+      ar: 'يُؤخذ الليفوثيروكسين بفاصل 4 ساعات على الأقل عن الكالسيوم.',
+    },
+    source: 'BNF Appendix 1',
+  },
+  {
+    ingredientA: 'Ciprofloxacin',
+    ingredientB: 'Ferrous Sulfate',
+    severity: 'moderate',
+    mechanism: 'Iron chelates ciprofloxacin in the gut and lowers absorption',
+    advice: {
+      en: 'Take ciprofloxacin 2 hours before or 6 hours after iron.',
+      ar: 'يُؤخذ السيبروفلوكساسين قبل الحديد بساعتين أو بعده بـ 6 ساعات.',
+    },
+    source: 'BNF Appendix 1',
+  },
+];
+
+async function seed() {
+  const mongoUri = process.env.MONGODB_URI || 'mongodb://localhost:27017/PATIENT360';
+
+  // eslint-disable-next-line no-console
+  console.log(`Connecting to ${mongoUri}...`);
+  await mongoose.connect(mongoUri);
+
+  let created = 0;
+  let updated = 0;
+
+  for (const entry of INTERACTIONS) {
+    const [ingredientA, ingredientB] = [
+      DrugInteraction.normalizeIngredient(entry.ingredientA),
+      DrugInteraction.normalizeIngredient(entry.ingredientB),
+    ].sort();
+
+    const existing = await DrugInteraction.findOne({ ingredientA, ingredientB });
+    if (existing) {
+      existing.set({ ...entry, ingredientA, ingredientB });
+      await existing.save();
+      updated += 1;
+    } else {
+      await DrugInteraction.create({ ...entry, ingredientA, ingredientB });
+      created += 1;
+    }
+  }
+
+  // eslint-disable-next-line no-console
+  console.log(`✓ Seeded drug interactions. Created: ${created}, Updated: ${updated}`);
+  await mongoose.disconnect();
+  process.exit(0);
+}
+
+seed().catch((err) => {
+  // eslint-disable-next-line no-console
+  console.error('Drug interaction seed failed:', err);
+  process.exit(1);
+});
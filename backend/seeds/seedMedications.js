@@ -41,6 +41,20 @@ const MEDICATIONS = [
     activeIngredients: ['Paracetamol'],
     contraindications: ['Severe liver disease', 'Hypersensitivity'],
     sideEffects: ['Nausea (rare)', 'Liver toxicity at high doses'],
+    dosingRanges: [
+      {
+        label: 'Children 3 months – 12 years',
+        minAgeMonths: 3, maxAgeMonths: 144,
+        minMgPerKgPerDose: 10, maxMgPerKgPerDose: 15,
+        maxMgPerKgPerDay: 75, maxMgPerDay: 4000,
+      },
+      {
+        label: 'Adults & children 12+',
+        minAgeMonths: 144,
+        minMgPerDose: 500, maxMgPerDose: 1000, maxMgPerDay: 4000,
+      },
+    ],
+    maxDailyDoseMg: 4000,
     requiresPrescription: false,
     storageConditions: 'Store below 25°C',
   },
@@ -58,6 +72,20 @@ const MEDICATIONS = [
     contraindications: ['Active peptic ulcer', 'Severe heart failure', 'Third trimester pregnancy'],
     interactions: ['Warfarin', 'Aspirin', 'Methotrexate'],
     sideEffects: ['Gastric irritation', 'Headache', 'Dizziness'],
+    dosingRanges: [
+      {
+        label: 'Children 6 months – 12 years',
+        minAgeMonths: 6, maxAgeMonths: 144,
+        minMgPerKgPerDose: 5, maxMgPerKgPerDose: 10,
+        maxMgPerKgPerDay: 30, maxMgPerDay: 1200,
+      },
+      {
+        label: 'Adults & children 12+',
+        minAgeMonths: 144,
+        minMgPerDose: 200, maxMgPerDose: 800, maxMgPerDay: 2400,
+      },
+    ],
+    maxDailyDoseMg: 2400,
     requiresPrescription: false,
     storageConditions: 'Store below 25°C',
   },
@@ -107,6 +135,20 @@ const MEDICATIONS = [
     contraindications: ['Penicillin allergy', 'Mononucleosis'],
     interactions: ['Methotrexate', 'Oral contraceptives'],
     sideEffects: ['Diarrhea', 'Nausea', 'Rash'],
+    dosingRanges: [
+      {
+        label: 'Children 1 month – 12 years',
+        minAgeMonths: 1, maxAgeMonths: 144,
+        minMgPerKgPerDose: 8, maxMgPerKgPerDose: 30,
+        maxMgPerKgPerDay: 90, maxMgPerDay: 3000,
+      },
+      {
+        label: 'Adults & children 12+',
+        minAgeMonths: 144,
+        minMgPerDose: 250, maxMgPerDose: 1000, maxMgPerDay: 3000,
+      },
+    ],
+    maxDailyDoseMg: 3000,
     requiresPrescription: true,
     storageConditions: 'Store below 25°C',
   },
@@ -0,0 +1,61 @@
+const {
+  AccessGrant, Doctor, Dentist, Pharmacist, LabTechnician
+} = require('../models');
+
+/**
+ * Access Grant Service
+ * Who a clinician is as an AccessGrant grantee, and the active grant that
+ * lets them read a patient's record. Used by middleware/patientAccess.js
+ * (verifyPatientAccess) and controllers/accessGrantController.js
+ * (break-glass).
+ */
+
+/**
+ * Who the caller is, as AccessGrant grantee clauses. A hospital doctor
+ * matches both their own doctorId and their hospitalId; pharmacists and
+ * lab technicians match the facility they work at.
+ *
+ * @param {object} account - req.account
+ * @returns {Promise<object[]>} e.g. [{ doctorId }, { hospitalId }]
+ */
+exports.resolveCallerGrantees = async (account) => {
+  const roles = account.roles || [];
+  const personId = account.personId;
+  if (!personId) return [];
+
+  const [doctor, dentist, pharmacist, labTech] = await Promise.all([
+    roles.includes('doctor')
+      ? Doctor.findOne({ personId }).select('_id hospitalId').lean() : null,
+    roles.includes('dentist')
+      ? Dentist.findOne({ personId }).select('_id hospitalId').lean() : null,
+    roles.includes('pharmacist')
+      ? Pharmacist.findOne({ personId }).select('pharmacyId').lean() : null,
+    roles.includes('lab_technician')
+      ? LabTechnician.findOne({ personId }).select('laboratoryId').lean() : null
+  ]);
+
+  const grantees = [];
+  if (doctor) {
+    grantees.push({ doctorId: doctor._id });
+    if (doctor.hospitalId) grantees.push({ hospitalId: doctor.hospitalId });
+  }
+  if (dentist) {
+    grantees.push({ dentistId: dentist._id });
+    if (dentist.hospitalId) grantees.push({ hospitalId: dentist.hospitalId });
+  }
+  if (pharmacist?.pharmacyId) grantees.push({ pharmacyId: pharmacist.pharmacyId });
+  if (labTech?.laboratoryId) grantees.push({ laboratoryId: labTech.laboratoryId });
+  return grantees;
+};
+
+/**
+ * Active grant letting `account` read the patient, or null.
+ *
+ * @param {object} account    - req.account
+ * @param {object} patientRef - { patientPersonId } or { patientChildId }
+ * @returns {Promise<object|null>}
+ */
+exports.findGrantForAccount = async (account, patientRef) => {
+  const grantees = await exports.resolveCallerGrantees(account);
+  return AccessGrant.findActiveFor(patientRef, grantees);
+};
@@ -0,0 +1,239 @@
+const { Visit, Person, Children } = require('../models');
+const { resolveIngredients } = require('./interactionService');
+const dosageSchedule = require('../utils/dosageSchedule');
+
+/**
+ * Dose Service
+ * Checks prescribed doses against the catalog's dosing bands
+ * (Medication.dosingRanges / maxDailyDoseMg) for the patient's age and
+ * latest recorded weight (Visit.vitalSigns.weight). The amount per dose
+ * and the doses per day come from the line's structured schedule, or are
+ * read out of the legacy `dosage` / `frequency` text; a line that can't be
+ * read is reported as not checked rather than guessed. Used by
+ * prescriptionController (check-dose, createPrescription) — warnings only.
+ */
+
+// Weights older than this are flagged as stale (children grow fast)
+const WEIGHT_STALE_DAYS = parseInt(process.env.DOSE_WEIGHT_STALE_DAYS, 10) || 90;
+
+// Under this age (months) the patient is dosed as a child
+const PAEDIATRIC_AGE_MONTHS = 12 * 12;
+
+// Rounding slack a clinician gets on per-dose limits (10%)
+const ROUNDING_TOLERANCE = 0.1;
+
+function round(value, digits = 1) {
+  return Number(value.toFixed(digits));
+}
+
+/**
+ * mg per dose from a free-text dosage: "500mg", "0.5 g", "5 ml" (needs a
+ * per-ml strength), "2 tablets" or a bare "1" (needs a per-unit strength).
+ *
+ * @param {string} dosage
+ * @param {string} [strength] - the catalog strength of the product
+ * @returns {number|null}
+ */
+exports.parseDoseMg = (dosage, strength) => {
+  const { doseAmount, doseUnit } = dosageSchedule.parseDose(dosage);
+  return dosageSchedule.doseInMg(doseAmount, doseUnit, dosageSchedule.parseStrength(strength));
+};
+
+/**
+ * Doses per day from a free-text frequency: "twice daily", "TID",
+ * "every 8 hours", "3 times a day", "مرتين يومياً".
+ *
+ * @param {string} frequency
+ * @returns {number|null}
+ */
+exports.parseDosesPerDay = (frequency) =>
+  dosageSchedule.dosesPerDay(dosageSchedule.parseFrequency(frequency));
+
+/**
+ * Age in completed months.
+ */
+function ageInMonths(dateOfBirth) {
+  if (!dateOfBirth) return null;
+  const birth = new Date(dateOfBirth);
+  const today = new Date();
+  let months = (today.getFullYear() - birth.getFullYear()) * 12
+    + (today.getMonth() - birth.getMonth());
+  if (today.getDate() < birth.getDate()) months -= 1;
+  return Math.max(months, 0);
+}
+
+/**
+ * Age and latest recorded weight of a patient. Explicit values (a weight
+ * taken at the counter, say) win over the record.
+ *
+ * @param {{ patientPersonId?, patientChildId? }} patientRef
+ * @param {{ weightKg?: number, ageMonths?: number }} [given]
+ * @returns {Promise<{ ageMonths, weightKg, weightMeasuredAt, weightStale, isChild }>}
+ */
+exports.patientMetrics = async (patientRef, given = {}) => {
+  const givenAge = given.ageMonths;
+  let ageMonths = givenAge != null && givenAge !== '' && Number(givenAge) >= 0
+    ? Number(givenAge)
+    : null;
+  let weightKg = Number(given.weightKg) > 0 ? Number(given.weightKg) : null;
+  let weightMeasuredAt = weightKg ? new Date() : null;
+
+  if (ageMonths === null && (patientRef?.patientChildId || patientRef?.patientPersonId)) {
+    const owner = patientRef.patientChildId
+      ? await Children.findById(patientRef.patientChildId).select('dateOfBirth').lean()
+      : await Person.findById(patientRef.patientPersonId).select('dateOfBirth').lean();
+    ageMonths = ageInMonths(owner?.dateOfBirth);
+  }
+
+  if (weightKg === null && (patientRef?.patientChildId || patientRef?.patientPersonId)) {
+    const visit = await Visit.findOne({
+      ...(patientRef.patientChildId
+        ? { patientChildId: patientRef.patientChildId }
+        : { patientPersonId: patientRef.patientPersonId }),
+      'vitalSigns.weight': { $gt: 0 }
+    })
+      .sort({ visitDate: -1 })
+      .select('vitalSigns.weight visitDate')
+      .lean();
+    if (visit) {
+      weightKg = visit.vitalSigns.weight;
+      weightMeasuredAt = visit.visitDate;
+    }
+  }
+
+  const staleBefore = new Date(Date.now() - WEIGHT_STALE_DAYS * 24 * 60 * 60 * 1000);
+  return {
+    ageMonths,
+    weightKg,
+    weightMeasuredAt,
+    weightStale: !!weightMeasuredAt && new Date(weightMeasuredAt) < staleBefore,
+    isChild: ageMonths !== null ? ageMonths < PAEDIATRIC_AGE_MONTHS : !!patientRef?.patientChildId
+  };
+};
+
+/**
+ * The allowed per-dose and per-day amounts (mg) of a dosing band for a
+ * patient. Per-dose minimum is weight-based when it can be; maximums are
+ * the tightest of the limits that apply.
+ */
+function limitsFor(range, medication, weightKg) {
+  const perKg = (value) => (value != null && weightKg ? value * weightKg : null);
+  const tightest = (...values) => {
+    const known = values.filter(v => v != null);
+    return known.length > 0 ? Math.min(...known) : null;
+  };
+  return {
+    minMgPerDose: perKg(range.minMgPerKgPerDose) ?? range.minMgPerDose ?? null,
+    maxMgPerDose: tightest(perKg(range.maxMgPerKgPerDose), range.maxMgPerDose),
+    maxMgPerDay: tightest(perKg(range.maxMgPerKgPerDay), range.maxMgPerDay, medication.maxDailyDoseMg)
+  };
+}
+
+function notChecked(base, reason, message) {
+  return { ...base, status: 'not_checked', reason, message };
+}
+
+/**
+ * Check one prescription line.
+ *
+ * @param {{ dosage, frequency, schedule?, medicationName }} line
+ * @param {Medication|null} medication - catalog entry
+ * @param {object} metrics - from patientMetrics
+ * @returns {object} { medicationName, strength, doseMg, dosesPerDay, dailyMg, range,
+ *   limits, status: 'within_range' | 'below_range' | 'above_range' |
+ *   'above_daily_max' | 'not_checked', reason?, message }
+ */
+exports.checkLine = (line, medication, metrics) => {
+  const base = {
+    medicationName: line.medicationName || medication?.tradeName,
+    strength: medication?.strength || null
+  };
+
+  if (!medication) {
+    return notChecked(base, 'not_in_catalog', 'الدواء غير موجود في الدليل — لم يتم فحص الجرعة');
+  }
+  if ((medication.dosingRanges || []).length === 0 && medication.maxDailyDoseMg == null) {
+    return notChecked(base, 'no_dosing_data', 'لا توجد بيانات جرعات لهذا الدواء');
+  }
+
+  const { schedule } = line;
+  const doseMg = schedule?.doseAmount
+    ? dosageSchedule.doseInMg(schedule.doseAmount, schedule.doseUnit,
+      dosageSchedule.parseStrength(medication.strength))
+    : exports.parseDoseMg(line.dosage, medication.strength);
+  const dosesPerDay = schedule
+    ? dosageSchedule.dosesPerDay(schedule)
+    : exports.parseDosesPerDay(line.frequency);
+  Object.assign(base, {
+    doseMg: doseMg !== null ? round(doseMg, 2) : null,
+    dosesPerDay,
+    dailyMg: doseMg !== null && dosesPerDay ? round(doseMg * dosesPerDay, 2) : null
+  });
+  if (doseMg === null) {
+    return notChecked(base, 'dose_unreadable', `تعذّر قراءة الجرعة "${line.dosage}" بالملغ`);
+  }
+
+  const range = medication.dosingRangeFor(metrics);
+  const usesWeight = range && (range.minMgPerKgPerDose != null
+    || range.maxMgPerKgPerDose != null || range.maxMgPerKgPerDay != null);
+  if (usesWeight && !metrics.weightKg) {
+    return notChecked({ ...base, range }, 'weight_unknown', 'وزن المريض غير مسجل — لا يمكن حساب الجرعة لكل كغ');
+  }
+  if (!range && metrics.isChild) {
+    return notChecked(base, 'no_band_for_patient', 'لا يوجد نطاق جرعات لهذا العمر / الوزن');
+  }
+
+  const limits = range
+    ? limitsFor(range, medication, metrics.weightKg)
+    : { minMgPerDose: null, maxMgPerDose: null, maxMgPerDay: medication.maxDailyDoseMg };
+  Object.keys(limits).forEach((key) => {
+    if (limits[key] != null) limits[key] = round(limits[key], 2);
+  });
+  const result = { ...base, range: range || null, limits };
+
+  if (limits.maxMgPerDose != null && doseMg > limits.maxMgPerDose * (1 + ROUNDING_TOLERANCE)) {
+    return {
+      ...result,
+      status: 'above_range',
+      message: `جرعة ${base.medicationName} (${result.doseMg} ملغ) أعلى من الحد (${limits.maxMgPerDose} ملغ للجرعة)`
+    };
+  }
+  if (limits.minMgPerDose != null && doseMg < limits.minMgPerDose * (1 - ROUNDING_TOLERANCE)) {
+    return {
+      ...result,
+      status: 'below_range',
+      message: `جرعة ${base.medicationName} (${result.doseMg} ملغ) أقل من المعتاد (${limits.minMgPerDose} ملغ للجرعة)`
+    };
+  }
+  if (limits.maxMgPerDay != null && result.dailyMg != null && result.dailyMg > limits.maxMgPerDay) {
+    return {
+      ...result,
+      status: 'above_daily_max',
+      message: `الجرعة اليومية من ${base.medicationName} (${result.dailyMg} ملغ) تتجاوز الحد اليومي (${limits.maxMgPerDay} ملغ)`
+    };
+  }
+  return { ...result, status: 'within_range', message: 'الجرعة ضمن النطاق' };
+};
+
+/**
+ * Check every line of a prescription for a patient.
+ *
+ * @param {object} params
+ * @param {Array}  params.medications - { medicationId?, medicationName, dosage, frequency, schedule? }
+ * @param {{ patientPersonId?, patientChildId? }} [params.patientRef]
+ * @param {number} [params.weightKg]  - overrides the recorded weight
+ * @param {number} [params.ageMonths] - overrides the recorded age
+ * @returns {Promise<{ patient: object, results: object[], warnings: object[] }>}
+ *          warnings = the results outside range
+ */
+exports.checkDoses = async ({ medications, patientRef, weightKg, ageMonths }) => {
+  const metrics = await exports.patientMetrics(patientRef, { weightKg, ageMonths });
+  const entries = await resolveIngredients(medications, 'prescription');
+  const results = medications.map((line, i) => exports.checkLine(line, entries[i].catalog, metrics));
+
+  return {
+    patient: metrics,
+    results,
+    warnings: results.filter(r => ['below_range', 'above_range', 'above_daily_max'].includes(r.status))
+  };
+};
@@ -0,0 +1,310 @@
+const { AvailabilitySlot, Appointment, Visit } = require('../models');
+const { notifyPatient, patientRefOf } = require('./notificationService');
+const paymentService = require('./paymentService');
+const waitlistService = require('./waitlistService');
+const { formatDate, formatDateTime } = require('../utils/dateFormat');
+
+/**
+ * Follow-up Service
+ * Turns a visit's followUpDate into a real follow-up appointment: the
+ * nearest free slot of the same doctor / dentist on or after that date is
+ * reserved for the patient, who is notified (with the follow-up fee) and
+ * confirms it before `confirmBy`. Unconfirmed follow-ups are cancelled by
+ * the expire-follow-ups job (jobs/index.js) and their slot freed. Used by
+ * visitController when a visit is saved, updated or completed.
+ */
+
+// How far past followUpDate to look for a free slot
+const SEARCH_DAYS = parseInt(process.env.FOLLOW_UP_SEARCH_DAYS, 10) || 14;
+
+// The patient has this long to confirm an auto-booked follow-up…
+const CONFIRM_HOURS = parseInt(process.env.FOLLOW_UP_CONFIRM_HOURS, 10) || 48;
+// …and at the latest until this long before it starts
+const CONFIRM_LEAD_HOURS = 12;
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// Time of the unslotted fallback appointment (provider publishes no slots)
+const FALLBACK_TIME = '09:00';
+
+const ACTIVE_STATUSES = ['scheduled', 'confirmed', 'checked_in', 'in_progress'];
+
+function startOfDay(date) {
+  const d = new Date(date);
+  d.setHours(0, 0, 0, 0);
+  return d;
+}
+
+/**
+ * Confirmation deadline of a follow-up starting at `startsAt`: CONFIRM_HOURS
+ * from now, brought forward to CONFIRM_LEAD_HOURS before the start, but
+ * never less than an hour from now.
+ */
+function confirmDeadline(startsAt) {
+  const now = Date.now();
+  const deadline = Math.min(now + CONFIRM_HOURS * HOUR_MS, startsAt.getTime() - CONFIRM_LEAD_HOURS * HOUR_MS);
+  return new Date(Math.min(Math.max(deadline, now + HOUR_MS), startsAt.getTime()));
+}
+
+function providerOf(visit) {
+  if (visit.doctorId) return { doctorId: visit.doctorId };
+  if (visit.dentistId) return { dentistId: visit.dentistId };
+  return null;
+}
+
+/**
+ * Free slots of the provider from followUpDate (or tomorrow, if that is
+ * already past) up to SEARCH_DAYS later, earliest first.
+ *
+ * @param {object} provider - { doctorId } | { dentistId }
+ * @param {Date} followUpDate
+ * @param {number} [limit=3]
+ * @returns {Promise<AvailabilitySlot[]>}
+ */
+exports.findCandidateSlots = async (provider, followUpDate, limit = 3) => {
+  const tomorrow = startOfDay(new Date());
+  tomorrow.setDate(tomorrow.getDate() + 1);
+  const from = startOfDay(followUpDate) < tomorrow ? tomorrow : startOfDay(followUpDate);
+  const to = new Date(from);
+  to.setDate(to.getDate() + SEARCH_DAYS + 1);
+
+  return AvailabilitySlot.find({
+    ...provider,
+    date: { $gte: from, $lt: to },
+    status: 'available',
+    isAvailable: true,
+    $expr: { $lt: ['$currentBookings', '$maxBookings'] }
+  })
+    .sort({ date: 1, startTime: 1 })
+    .limit(limit)
+    .lean();
+};
+
+/**
+ * Reserve the first candidate slot that is still free.
+ */
+async function reserveNearest(provider, followUpDate) {
+  const candidates = await exports.findCandidateSlots(provider, followUpDate);
+  for (const candidate of candidates) {
+    const slot = await AvailabilitySlot.atomicReserve(candidate._id);
+    if (slot) return slot;
+  }
+  return null;
+}
+
+/**
+ * Book the follow-up of a visit that has a followUpDate and no follow-up
+ * appointment yet.
+ *
+ * The nearest free slot is reserved. A provider who publishes no slots at
+ * all gets an unslotted appointment at FALLBACK_TIME on followUpDate
+ * instead (unless that time is taken). The appointment stays 'scheduled'
+ * until the patient confirms, which they must do before `confirmBy`.
+ *
+ * @param {Visit} visit
+ * @returns {Promise<{ appointment: Appointment, fee: object|null }|null>}
+ *          null when nothing could be booked (or it already was)
+ */
+exports.bookFollowUp = async (visit) => {
+  const provider = providerOf(visit);
+  if (!visit.followUpDate || visit.followUpAppointmentId || !provider) return null;
+
+  const slot = await reserveNearest(provider, visit.followUpDate);
+
+  let timing;
+  if (slot) {
+    timing = {
+      slotId: slot._id,
+      appointmentDate: slot.date,
+      appointmentTime: slot.startTime,
+      estimatedDuration: slot.slotDuration,
+      ...(slot.hospitalId && { hospitalId: slot.hospitalId })
+    };
+  } else {
+    const hasSlots = await AvailabilitySlot.exists({
+      ...provider,
+      date: { $gte: startOfDay(new Date()) }
+    });
+    const day = startOfDay(visit.followUpDate);
+    const taken = await Appointment.exists({
+      ...provider,
+      appointmentDate: day,
+      appointmentTime: FALLBACK_TIME,
+      status: { $in: ACTIVE_STATUSES }
+    });
+    if (hasSlots || taken || day < startOfDay(new Date())) return null;
+    timing = {
+      appointmentDate: day,
+      appointmentTime: FALLBACK_TIME,
+      estimatedDuration: 30,
+      ...(visit.hospitalId && { hospitalId: visit.hospitalId })
+    };
+  }
+
+  const startsAt = new Date(timing.appointmentDate);
+  const [hh, mm] = timing.appointmentTime.split(':').map(Number);
+  startsAt.setHours(hh, mm, 0, 0);
+
+  let appointment;
+  try {
+    appointment = await Appointment.create({
+      appointmentType: 'follow_up',
+      ...patientRefOf(visit),
+      ...provider,
+      ...timing,
+      followUpOfVisitId: visit._id,
+      reasonForVisit: visit.followUpNotes
+        || `موعد متابعة — ${visit.diagnosis || visit.chiefComplaint}`,
+      status: 'scheduled',
+      confirmBy: confirmDeadline(startsAt),
+      bookingMethod: 'admin',
+      priority: 'routine',
+      paymentStatus: 'pending'
+    });
+  } catch (error) {
+    if (slot) await AvailabilitySlot.atomicRelease(slot._id);
+    throw error;
+  }
+
+  // Guarded link — a concurrent save of the same visit may have won
+  const linked = await Visit.findOneAndUpdate(
+    { _id: visit._id, followUpAppointmentId: null },
+    { $set: { followUpAppointmentId: appointment._id } },
+    { new: true }
+  );
+  if (!linked) {
+    await Appointment.deleteOne({ _id: appointment._id });
+    if (slot) await AvailabilitySlot.atomicRelease(slot._id);
+    return null;
+  }
+  visit.followUpAppointmentId = appointment._id;
+
+  const fee = await paymentService.expectedFee(appointment);
+  const feeText = fee ? ` رسوم المتابعة: ${fee.amount} ${fee.currency}.` : '';
+  await notifyPatient(patientRefOf(appointment), {
+    type: 'appointment_reminder',
+    title: 'موعد متابعة بانتظار تأكيدك',
+    message: `حجزنا لك موعد متابعة يوم ${formatDate(appointment.appointmentDate)} الساعة ${appointment.appointmentTime}.${feeText} يرجى تأكيد الموعد قبل ${formatDateTime(appointment.confirmBy)} وإلا سيُلغى تلقائياً، أو إلغاؤه إن لم يناسبك.`,
+    priority: 'high',
+    channels: ['push', 'in_app'],
+    relatedId: appointment._id,
+    relatedType: 'appointments'
+  });
+
+  console.log(`📅 [follow-up] Visit ${visit._id} → appointment ${appointment._id} (${formatDate(appointment.appointmentDate)} ${appointment.appointmentTime})`);
+  return { appointment, fee };
+};
+
+/**
+ * Cancel a follow-up appointment that is still ahead (scheduled /
+ * confirmed), free its slot for the waitlist and tell the patient.
+ *
+ * @param {ObjectId} appointmentId
+ * @param {object} cancel - { cancelledBy?, extraFilter?, message }
+ * @returns {Promise<Appointment|null>} the cancelled appointment, or null
+ *          when it was no longer cancellable
+ */
+async function cancelFollowUp(appointmentId, { cancelledBy, extraFilter = {}, message }) {
+  const now = new Date();
+  const appointment = await Appointment.findOneAndUpdate(
+    { _id: appointmentId, status: { $in: ['scheduled', 'confirmed'] }, ...extraFilter },
+    {
+      $set: {
+        status: 'cancelled',
+        cancelledAt: now,
+        cancellationReason: 'other',
+        ...(cancelledBy && { cancelledBy })
+      }
+    },
+    { new: true }
+  );
+  if (!appointment) return null;
+
+  if (appointment.slotId) {
+    await AvailabilitySlot.atomicRelease(appointment.slotId);
+    await waitlistService.offerFreedSlot(appointment.slotId);
+  }
+
+  await notifyPatient(patientRefOf(appointment), {
+    type: 'appointment_cancelled',
+    title: 'إلغاء موعد المتابعة',
+    message,
+    priority: 'medium',
+    channels: ['push', 'in_app'],
+    relatedId: appointment._id,
+    relatedType: 'appointments'
+  });
+  return appointment;
+}
+
+/**
+ * Job body: cancel auto-booked follow-ups the patient did not confirm by
+ * `confirmBy`; their slots go back to the waitlist.
+ *
+ * @returns {Promise<number>} follow-ups cancelled
+ */
+exports.expireUnconfirmed = async () => {
+  const now = new Date();
+  const lapsed = await Appointment.find({
+    followUpOfVisitId: { $ne: null },
+    status: 'scheduled',
+    confirmBy: { $lt: now }
+  })
+    .select('_id appointmentDate appointmentTime')
+    .lean();
+
+  let cancelled = 0;
+  for (const candidate of lapsed) {
+    const appointment = await cancelFollowUp(candidate._id, {
+      extraFilter: { status: 'scheduled', confirmBy: { $lt: now } },
+      message: `أُلغي موعد المتابعة يوم ${formatDate(candidate.appointmentDate)} الساعة ${candidate.appointmentTime} لعدم تأكيده في الوقت المحدد. يمكنك حجز موعد جديد من صفحة المواعيد.`
+    });
+    if (appointment) cancelled += 1;
+  }
+
+  if (cancelled > 0) {
+    console.log(`📅 [follow-up] Cancelled ${cancelled} unconfirmed follow-ups`);
+  }
+  return cancelled;
+};
+
+/**
+ * The visit's followUpDate changed: cancel the follow-up booked for the
+ * old date (unless the patient is already being seen) and book one for the
+ * new date, if any.
+ *
+ * @param {Visit} visit - saved, with the new followUpDate
+ * @param {ObjectId} [cancelledBy] - account making the change
+ * @returns {Promise<{ cancelled: Appointment|null, followUp: object|null }>}
+ *          followUp as from bookFollowUp
+ */
+exports.rescheduleFollowUp = async (visit, cancelledBy) => {
+  let cancelled = null;
+
+  if (visit.followUpAppointmentId) {
+    const current = await Appointment.findById(visit.followUpAppointmentId)
+      .select('status appointmentDate appointmentTime')
+      .lean();
+    if (current && ['checked_in', 'in_progress'].includes(current.status)) {
+      return { cancelled: null, followUp: null };
+    }
+    if (current) {
+      cancelled = await cancelFollowUp(current._id, {
+        cancelledBy,
+        message: visit.followUpDate
+          ? `تم تغيير موعد المتابعة يوم ${formatDate(current.appointmentDate)} الساعة ${current.appointmentTime} من قبل الطبيب — ستصلك تفاصيل الموعد الجديد.`
+          : `ألغى الطبيب موعد المتابعة يوم ${formatDate(current.appointmentDate)} الساعة ${current.appointmentTime}.`
+      });
+    }
+
+    // Guarded unlink — a concurrent change may already have re-pointed it
+    await Visit.updateOne(
+      { _id: visit._id, followUpAppointmentId: visit.followUpAppointmentId },
+      { $set: { followUpAppointmentId: null } }
+    );
+    visit.followUpAppointmentId = null;
+  }
+
+  const followUp = visit.followUpDate ? await exports.bookFollowUp(visit) : null;
+  return { cancelled, followUp };
+};
@@ -0,0 +1,145 @@
+const { Medication, DrugInteraction } = require('../models');
+
+/**
+ * Interaction Service
+ * Checks a prescription's medications against each other and against the
+ * patient's current medications using the DrugInteraction knowledge base
+ * (active-ingredient pairs). Medications are resolved to their active
+ * ingredients through the catalog — by medicationId, or by name when the
+ * doctor typed a free-text drug. Used by prescriptionController.
+ */
+
+function escapeRegex(value) {
+  return String(value).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Catalog entry for a medication line: by medicationId, else by an exact
+ * (case-insensitive) trade / scientific name match.
+ *
+ * @param {{ medicationId?: ObjectId, medicationName?: string }} med
+ * @returns {Promise<Medication|null>}
+ */
+async function findCatalogEntry(med) {
+  if (med.medicationId) {
+    const byId = await Medication.findById(med.medicationId);
+    if (byId) return byId;
+  }
+  const name = (med.medicationName || med.name || '').trim();
+  if (!name) return null;
+  const exact = new RegExp(`^${escapeRegex(name)}$`, 'i');
+  return Medication.findOne({
+    $or: [
+      { tradeName: exact },
+      { scientificName: exact },
+      { arabicTradeName: exact },
+      { arabicScientificName: exact }
+    ]
+  });
+}
+
+/**
+ * Resolve each medication to its normalised active ingredients. A drug the
+ * catalog doesn't know counts as its own name (often the INN already).
+ *
+ * @param {Array<{ medicationId?, medicationName? }>} medications
+ * @param {string} origin - 'prescription' | 'current'
+ * @returns {Promise<Array<{ name, origin, ingredients: string[], catalog }>>}
+ */
+exports.resolveIngredients = async (medications, origin) => Promise.all(
+  medications.map(async (med) => {
+    const catalog = await findCatalogEntry(med);
+    const name = med.medicationName || med.name || catalog?.tradeName;
+    const raw = catalog?.activeIngredients?.length
+      ? catalog.activeIngredients
+      : [catalog?.scientificName || name];
+    const ingredients = [...new Set(raw.map(DrugInteraction.normalizeIngredient).filter(Boolean))];
+    return { name, origin, ingredients, catalog };
+  })
+);
+
+/**
+ * Check a prescription for drug interactions.
+ *
+ * Pairs checked: every two medications of the prescription, and each of
+ * them against each current medication. Knowledge-base hits come first;
+ * a catalog entry's free-text `interactions` list is used for pairs the
+ * knowledge base has nothing on (reported as 'moderate', no advice).
+ *
+ * @param {object} params
+ * @param {Array}    params.medications        - prescription lines
+ *                                               ({ medicationId?, medicationName })
+ * @param {string[]} [params.currentMedications] - Patient.currentMedications
+ * @returns {Promise<{ interactions: object[], blocking: object[], highestSeverity: string|null }>}
+ *   Each interaction: { severity, blocking, medications: [a, b],
+ *   ingredients: [a, b], withCurrentMedication, mechanism, advice: { ar, en },
+ *   interactionId, source: 'knowledge_base' | 'medication_catalog' }
+ */
+exports.checkInteractions = async ({ medications, currentMedications = [] }) => {
+  const entries = [
+    ...await exports.resolveIngredients(medications, 'prescription'),
+    ...await exports.resolveIngredients(
+      currentMedications.filter(Boolean).map(name => ({ medicationName: name })),
+      'current'
+    )
+  ];
+
+  const allIngredients = entries.flatMap(e => e.ingredients);
+  const knowledge = allIngredients.length > 1
+    ? await DrugInteraction.findAmong(allIngredients).lean()
+    : [];
+
+  const interactions = [];
+  const seenPairs = new Set();
+
+  for (let i = 0; i < entries.length; i += 1) {
+    for (let j = i + 1; j < entries.length; j += 1) {
+      const a = entries[i];
+      const b = entries[j];
+      if (a.origin === 'current' && b.origin === 'current') continue;
+
+      knowledge.forEach((rule) => {
+        const forward = a.ingredients.includes(rule.ingredientA) && b.ingredients.includes(rule.ingredientB);
+        const reverse = a.ingredients.includes(rule.ingredientB) && b.ingredients.includes(rule.ingredientA);
+        if (!forward && !reverse) return;
+
+        seenPairs.add(`${i}:${j}`);
+        interactions.push({
+          severity: rule.severity,
+          blocking: DrugInteraction.BLOCKING_SEVERITIES.includes(rule.severity),
+          medications: [a.name, b.name],
+          ingredients: [rule.ingredientA, rule.ingredientB],
+          withCurrentMedication: a.origin === 'current' || b.origin === 'current',
+          mechanism: rule.mechanism,
+          advice: rule.advice,
+          interactionId: rule._id,
+          source: 'knowledge_base'
+        });
+      });
+
+      // Fallback: the catalog's free-text list, either direction
+      if (seenPairs.has(`${i}:${j}`)) continue;
+      const legacy = (a.catalog && a.catalog.findInteractionsWith([b.name, ...b.ingredients]).length > 0)
+        || (b.catalog && b.catalog.findInteractionsWith([a.name, ...a.ingredients]).length > 0);
+      if (legacy) {
+        interactions.push({
+          severity: 'moderate',
+          blocking: false,
+          medications: [a.name, b.name],
+          ingredients: [a.ingredients[0], b.ingredients[0]],
+          withCurrentMedication: a.origin === 'current' || b.origin === 'current',
+          source: 'medication_catalog'
+        });
+      }
+    }
+  }
+
+  interactions.sort((x, y) =>
+    DrugInteraction.severityRank(y.severity) - DrugInteraction.severityRank(x.severity));
+
+  return {
+    interactions,
+    blocking: interactions.filter(w => w.blocking),
+    highestSeverity: interactions[0]?.severity || null
+  };
+};
@@ -0,0 +1,159 @@
+const { LabTest } = require('../models');
+
+/**
+ * Lab Booking Service
+ * Keeps an ordered LabTest in step with the sample-collection appointment
+ * the patient books for it (Appointment.labTestId ↔ LabTest.appointmentId).
+ *
+ *   book        → LabTest ordered → scheduled, lab + scheduledDate filled in
+ *   reschedule  → scheduledDate follows the appointment
+ *   cancel /
+ *   no-show     → LabTest back to ordered so the patient can book again
+ */
+
+function scheduledDateOf(slot) {
+  const at = new Date(slot.date);
+  const [hh, mm] = String(slot.startTime).split(':').map(Number);
+  at.setHours(hh || 0, mm || 0, 0, 0);
+  return at;
+}
+
+function sameRef(a, b) {
+  return !!a && !!b && String(a) === String(b);
+}
+
+/**
+ * Check that a lab test can have a sample-collection appointment booked
+ * in the given laboratory slot by/for this patient.
+ *
+ * @param {string} labTestId
+ * @param {{ patientPersonId?: ObjectId, patientChildId?: ObjectId }} patientRef
+ * @param {object} slot - needs laboratoryId
+ * @returns {Promise<{ status: number, message: string } | null>} error, or null when bookable
+ */
+exports.checkBookable = async (labTestId, patientRef, slot) => {
+  if (!/^[0-9a-fA-F]{24}$/.test(String(labTestId))) {
+    return { status: 400, message: 'معرّف طلب التحليل غير صالح' };
+  }
+  const labTest = await LabTest.findById(labTestId)
+    .select('patientPersonId patientChildId laboratoryId status appointmentId')
+    .lean();
+
+  if (!labTest) {
+    return { status: 404, message: 'طلب التحليل غير موجود' };
+  }
+  const ownsTest = sameRef(labTest.patientPersonId, patientRef.patientPersonId)
+    || sameRef(labTest.patientChildId, patientRef.patientChildId);
+  if (!ownsTest) {
+    return { status: 403, message: 'طلب التحليل لا يخص هذا المريض' };
+  }
+  if (labTest.status !== 'ordered' || labTest.appointmentId) {
+    return { status: 409, message: 'طلب التحليل محجوز له موعد مسبقاً أو تجاوز مرحلة الحجز' };
+  }
+  if (!slot?.laboratoryId) {
+    return { status: 400, message: 'يجب اختيار موعد من مواعيد مختبر' };
+  }
+  if (labTest.laboratoryId && !sameRef(labTest.laboratoryId, slot.laboratoryId)) {
+    return { status: 409, message: 'طلب التحليل موجّه إلى مختبر آخر' };
+  }
+  return null;
+};
+
+/**
+ * Link a freshly created appointment to its lab test. Guarded on the test
+ * still being unbooked, so two concurrent bookings can't both win.
+ *
+ * @param {string} labTestId
+ * @param {object} appointment - created Appointment (laboratoryId, slot date/time)
+ * @returns {Promise<object|null>} updated LabTest, or null if it was taken meanwhile
+ */
+exports.linkAppointment = async (labTestId, appointment) => {
+  const labTest = await LabTest.findOne({
+    _id: labTestId,
+    status: 'ordered',
+    appointmentId: null,
+    laboratoryId: { $in: [null, appointment.laboratoryId] }
+  });
+  if (!labTest) return null;
+
+  const updated = await LabTest.findOneAndUpdate(
+    { _id: labTest._id, status: 'ordered', appointmentId: null },
+    {
+      $set: {
+        status: 'scheduled',
+        appointmentId: appointment._id,
+        laboratoryId: appointment.laboratoryId,
+        laboratorySelectedByPatient: !labTest.laboratoryId,
+        scheduledDate: scheduledDateOf({
+          date: appointment.appointmentDate,
+          startTime: appointment.appointmentTime
+        })
+      }
+    },
+    { new: true }
+  );
+  if (updated) console.log(`🧪 [labBooking] LabTest ${updated.testNumber} scheduled for appointment ${appointment._id}`);
+  return updated;
+};
+
+/**
+ * Follow a rescheduled appointment. The new slot must be at the same
+ * laboratory — callers check that with isSameLaboratory first.
+ *
+ * @param {object} appointment - saved Appointment with the new date/time
+ */
+exports.syncSchedule = async (appointment) => {
+  if (!appointment.labTestId) return;
+  await LabTest.updateOne(
+    { _id: appointment.labTestId, appointmentId: appointment._id, status: 'scheduled' },
+    {
+      $set: {
+        scheduledDate: scheduledDateOf({
+          date: appointment.appointmentDate,
+          startTime: appointment.appointmentTime
+        })
+      }
+    }
+  );
+};
+
+/**
+ * Whether a lab appointment may move to the given slot (same laboratory).
+ */
+exports.isSameLaboratory = (appointment, slot) =>
+  !appointment.labTestId || sameRef(appointment.laboratoryId, slot.laboratoryId);
+
+/**
+ * Put the lab test back to 'ordered' after its appointment was cancelled
+ * or missed. A laboratory the patient picked while booking is cleared so
+ * they can choose another one; a doctor-chosen laboratory stays.
+ * Never throws — the appointment change has already happened.
+ *
+ * @param {object} appointment
+ * @returns {Promise<boolean>} whether a lab test was released
+ */
+exports.releaseForAppointment = async (appointment) => {
+  if (!appointment?.labTestId) return false;
+  try {
+    const labTest = await LabTest.findOne({
+      _id: appointment.labTestId,
+      appointmentId: appointment._id,
+      status: 'scheduled'
+    });
+    if (!labTest) return false;
+
+    labTest.status = 'ordered';
+    labTest.appointmentId = undefined;
+    labTest.scheduledDate = undefined;
+    if (labTest.laboratorySelectedByPatient) {
+      labTest.laboratoryId = undefined;
+      labTest.laboratorySelectedByPatient = false;
+    }
+    await labTest.save();
+    console.log(`🧪 [labBooking] LabTest ${labTest.testNumber} back to ordered`);
+    return true;
+  } catch (error) {
+    console.error('❌ [labBooking] Failed to release lab test:', error.message);
+    return false;
+  }
+};
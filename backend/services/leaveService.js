@@ -0,0 +1,303 @@
+const { AvailabilitySlot, Appointment, WaitlistEntry } = require('../models');
+const { notifyPatient, patientRefOf } = require('./notificationService');
+const scheduleService = require('./scheduleService');
+const labBookingService = require('./labBookingService');
+const paymentService = require('./paymentService');
+const waitlistService = require('./waitlistService');
+const { formatDate } = require('../utils/dateFormat');
+
+/**
+ * Leave Service
+ * Applies and withdraws ScheduleException entries (provider leave and
+ * national holidays) against slots and appointments. Used by
+ * leaveController for both provider and admin routes.
+ */
+
+const CANCELLABLE_STATUSES = ['scheduled', 'confirmed'];
+
+function startOfToday() {
+  const d = new Date();
+  d.setHours(0, 0, 0, 0);
+  return d;
+}
+
+function slotDateTime(slot) {
+  const [h, m] = slot.startTime.split(':').map(Number);
+  const d = new Date(slot.date);
+  d.setHours(h, m, 0, 0);
+  return d;
+}
+
+/**
+ * The provider column of an appointment as a { field: id } clause.
+ */
+function providerOf(appointment) {
+  if (appointment.doctorId) return { doctorId: appointment.doctorId };
+  if (appointment.dentistId) return { dentistId: appointment.dentistId };
+  if (appointment.laboratoryId) return { laboratoryId: appointment.laboratoryId };
+  if (appointment.hospitalId) return { hospitalId: appointment.hospitalId };
+  return null;
+}
+
+/**
+ * The affected window of an exception, clipped so past days are never
+ * touched. Returns null when the whole range is in the past.
+ */
+function effectiveRange(exception) {
+  const today = startOfToday();
+  const from = exception.startDate < today ? today : new Date(exception.startDate);
+  const to = exception.endExclusive;
+  return from < to ? { from, to } : null;
+}
+
+/**
+ * Nearest bookable slot of the same provider to the original appointment
+ * time — before or after the leave, whichever is closer. Slots inside the
+ * leave are already blocked by the time this runs, so they never match.
+ *
+ * @param {Appointment} appointment
+ * @returns {Promise<AvailabilitySlot|null>}
+ */
+exports.findNearestAlternative = async (appointment) => {
+  const provider = providerOf(appointment);
+  if (!provider) return null;
+
+  const target = new Date(appointment.appointmentDate);
+  const base = {
+    ...provider,
+    _id: { $ne: appointment.slotId },
+    status: 'available',
+    isAvailable: true,
+    $expr: { $lt: ['$currentBookings', '$maxBookings'] }
+  };
+  const dayOfTarget = new Date(target);
+  dayOfTarget.setHours(0, 0, 0, 0);
+
+  const [before, after] = await Promise.all([
+    AvailabilitySlot.findOne({ ...base, date: { $gte: startOfToday(), $lt: dayOfTarget } })
+      .sort({ date: -1, startTime: -1 })
+      .lean(),
+    AvailabilitySlot.findOne({ ...base, date: { $gte: dayOfTarget } })
+      .sort({ date: 1, startTime: 1 })
+      .lean()
+  ]);
+
+  const original = new Date(dayOfTarget);
+  const [h, m] = (appointment.appointmentTime || '00:00').split(':').map(Number);
+  original.setHours(h, m, 0, 0);
+
+  const candidates = [before, after].filter(Boolean);
+  if (candidates.length === 0) return null;
+  return candidates.sort((a, b) =>
+    Math.abs(slotDateTime(a) - original) - Math.abs(slotDateTime(b) - original))[0];
+};
+
+/**
+ * Apply an exception:
+ *   1. block every unbooked slot in range, and every slot held for a
+ *      waitlisted patient (the hold is withdrawn, the entry keeps waiting)
+ *   2. cancel booked appointments in range (reason 'doctor_unavailable'),
+ *      release their slots, notify the patient with the nearest alternative
+ *   3. block the slots those cancellations freed
+ * Stamps exception.impact and saves it.
+ *
+ * @param {ScheduleException} exception - hydrated document
+ * @param {ObjectId} actorAccountId - recorded as cancelledBy
+ * @returns {Promise<{ blockedSlots, cancelledAppointments, notifiedPatients, alternatives }>}
+ */
+exports.applyException = async (exception, actorAccountId) => {
+  const range = effectiveRange(exception);
+  const result = {
+    blockedSlots: 0,
+    cancelledAppointments: 0,
+    notifiedPatients: 0,
+    alternatives: []
+  };
+
+  if (range) {
+    const owner = exception.scope === 'national' ? {} : exception.owner;
+    const slotFilter = { ...owner, date: { $gte: range.from, $lt: range.to } };
+
+    // ── 1. Block unbooked slots first so they can't be offered as alternatives
+    const blockUpdate = {
+      $set: {
+        status: 'blocked',
+        isAvailable: false,
+        blockedReason: exception.title,
+        blockedByExceptionId: exception._id
+      }
+    };
+    const firstBlock = await AvailabilitySlot.updateMany(
+      { ...slotFilter, currentBookings: 0, status: { $in: ['available', 'booked'] } },
+      blockUpdate
+    );
+    result.blockedSlots += firstBlock.modifiedCount || 0;
+
+    const bookedSlotIds = await AvailabilitySlot.find({ ...slotFilter, currentBookings: { $gt: 0 } })
+      .distinct('_id');
+
+    // ── 1b. Withdraw waitlist holds in range ──────────────────────────────
+    // The held capacity counts as a booking but has no appointment yet.
+    // Block the slot before passing the hold on, so it can't be offered to
+    // the next patient on release.
+    const holds = await WaitlistEntry.find({ status: 'offered', 'offer.slotId': { $in: bookedSlotIds } });
+    if (holds.length > 0) {
+      const heldBlock = await AvailabilitySlot.updateMany(
+        { _id: { $in: holds.map(h => h.offer.slotId) }, status: { $in: ['available', 'booked'] } },
+        blockUpdate
+      );
+      result.blockedSlots += heldBlock.modifiedCount || 0;
+
+      for (const hold of holds) {
+        const withdrawn = await waitlistService.passOnOffer(hold);
+        if (!withdrawn) continue;  // confirmed meanwhile — cancelled below
+        await notifyPatient(patientRefOf(withdrawn), {
+          type: 'appointment_cancelled',
+          title: 'الموعد المعروض لم يعد متاحاً',
+          message: `الموعد الذي عُرض عليك من قائمة الانتظار لم يعد متاحاً بسبب عدم توفر مقدم الخدمة (${exception.title}). ما زلت في قائمة الانتظار.`,
+          priority: 'medium',
+          channels: ['push', 'in_app'],
+          relatedId: withdrawn._id,
+          relatedType: 'waitlist_entries'
+        });
+      }
+    }
+
+    // ── 2. Cancel booked appointments in range ────────────────────────────
+    const providerClause = exception.scope === 'national'
+      ? [{}]
+      : [{ slotId: { $in: bookedSlotIds } }, owner];
+
+    const appointments = await Appointment.find({
+      appointmentDate: { $gte: range.from, $lt: range.to },
+      status: { $in: CANCELLABLE_STATUSES },
+      $or: providerClause
+    });
+
+    for (const appointment of appointments) {
+      appointment.status = 'cancelled';
+      appointment.cancellationReason = 'doctor_unavailable';
+      appointment.cancelledAt = new Date();
+      appointment.cancelledBy = actorAccountId;
+      appointment.notes = `${appointment.notes || ''}\n[${exception.title}]`.trim();
+      await appointment.save();
+      result.cancelledAppointments += 1;
+
+      if (appointment.slotId) {
+        await AvailabilitySlot.atomicRelease(appointment.slotId);
+      }
+      await labBookingService.releaseForAppointment(appointment);
+      await paymentService.refundCancelledAppointment(appointment, {
+        actorAccountId,
+        reason: exception.title
+      });
+
+      const alternative = await exports.findNearestAlternative(appointment);
+      if (alternative) {
+        appointment.suggestedSlotId = alternative._id;
+        await appointment.save();
+      }
+      result.alternatives.push({
+        appointmentId: appointment._id,
+        suggestedSlotId: alternative?._id || null,
+        suggestedDate: alternative?.date || null,
+        suggestedTime: alternative?.startTime || null
+      });
+
+      const offer = alternative
+        ? ` أقرب موعد بديل متاح: ${formatDate(alternative.date)} الساعة ${alternative.startTime}.`
+        : ' يرجى حجز موعد جديد عند توفر مواعيد.';
+      const notified = await notifyPatient(patientRefOf(appointment), {
+        type: 'appointment_cancelled',
+        title: 'تم إلغاء موعدك',
+        message: `تم إلغاء موعدك بتاريخ ${formatDate(appointment.appointmentDate)} الساعة ${appointment.appointmentTime} بسبب عدم توفر مقدم الخدمة (${exception.title}).${offer}`,
+        priority: 'high',
+        channels: ['push', 'in_app'],
+        relatedId: appointment._id,
+        relatedType: 'appointments'
+      });
+      if (notified > 0) result.notifiedPatients += 1;
+    }
+
+    // ── 3. Block the slots freed by the cancellations ─────────────────────
+    if (bookedSlotIds.length > 0) {
+      const secondBlock = await AvailabilitySlot.updateMany(
+        { _id: { $in: bookedSlotIds }, currentBookings: 0 },
+        blockUpdate
+      );
+      result.blockedSlots += secondBlock.modifiedCount || 0;
+    }
+  }
+
+  exception.impact = {
+    blockedSlots: result.blockedSlots,
+    cancelledAppointments: result.cancelledAppointments,
+    notifiedPatients: result.notifiedPatients,
+    appliedAt: new Date()
+  };
+  await exception.save();
+
+  console.log(`🗓️  [leaveService] ${exception.title}: ${result.blockedSlots} slots blocked, ${result.cancelledAppointments} appointments cancelled`);
+  return result;
+};
+
+/**
+ * Preview of applyException without changing anything.
+ *
+ * @param {ScheduleException} exception - unsaved document is fine
+ * @returns {Promise<{ slotsToBlock: number, appointmentsToCancel: number }>}
+ */
+exports.previewException = async (exception) => {
+  const range = effectiveRange(exception);
+  if (!range) return { slotsToBlock: 0, appointmentsToCancel: 0 };
+
+  const owner = exception.scope === 'national' ? {} : exception.owner;
+  const slotFilter = { ...owner, date: { $gte: range.from, $lt: range.to } };
+  const bookedSlotIds = await AvailabilitySlot.find({ ...slotFilter, currentBookings: { $gt: 0 } })
+    .distinct('_id');
+
+  const [slotsToBlock, appointmentsToCancel] = await Promise.all([
+    AvailabilitySlot.countDocuments({ ...slotFilter, status: { $in: ['available', 'booked'] } }),
+    Appointment.countDocuments({
+      appointmentDate: { $gte: range.from, $lt: range.to },
+      status: { $in: CANCELLABLE_STATUSES },
+      $or: exception.scope === 'national' ? [{}] : [{ slotId: { $in: bookedSlotIds } }, owner]
+    })
+  ]);
+  return { slotsToBlock, appointmentsToCancel };
+};
+
+/**
+ * Withdraw an exception: mark it withdrawn, unblock the future slots it
+ * blocked and refill template slots for the freed days. Appointments it
+ * cancelled stay cancelled — patients were already told.
+ *
+ * @param {ScheduleException} exception
+ * @param {ObjectId} actorAccountId
+ * @returns {Promise<{ unblockedSlots: number, createdSlots: number }>}
+ */
+exports.withdrawException = async (exception, actorAccountId) => {
+  exception.status = 'withdrawn';
+  exception.withdrawnAt = new Date();
+  exception.withdrawnBy = actorAccountId;
+  await exception.save();
+
+  const unblocked = await AvailabilitySlot.updateMany(
+    { blockedByExceptionId: exception._id, date: { $gte: startOfToday() } },
+    {
+      $set: { status: 'available', isAvailable: true },
+      $unset: { blockedReason: 1, blockedByExceptionId: 1 }
+    }
+  );
+
+  let createdSlots = 0;
+  try {
+    createdSlots = await scheduleService.materializeForOwner(
+      exception.scope === 'national' ? null : exception.owner
+    );
+  } catch (err) {
+    console.warn('⚠️  Re-materialisation after withdraw failed (job will retry):', err.message);
+  }
+
+  return { unblockedSlots: unblocked.modifiedCount || 0, createdSlots };
+};
@@ -1,4 +1,5 @@
 const Visit = require('../models/Visit');
+const dosageSchedule = require('../utils/dosageSchedule');
 
 /**
  * Medication Service
@@ -237,59 +238,36 @@ exports.checkMedicationInteractions = async (patientId) => {
  * Helper Functions
  */
 
+/**
+ * Course of a medication line: its stored courseEndDate (prescriptions),
+ * else the end of its schedule — structured, or parsed from the legacy
+ * dosage / frequency / duration text. null when the length is unknown.
+ */
+function courseOf(medication, prescribedDate) {
+  if (medication.courseEndDate) return { endDate: new Date(medication.courseEndDate) };
+  const schedule = medication.schedule || dosageSchedule.parseSchedule(medication);
+  if (schedule.isContinuous) return { continuous: true };
+  const endDate = dosageSchedule.courseEndDate(schedule, prescribedDate);
+  return endDate ? { endDate } : null;
+}
+
 /**
  * Filter active medications based on duration
  */
 function filterActiveMedications(medications) {
   const now = new Date();
-  
-  return medications.filter(med => {
-    // If duration contains "مستمر" or "continuous", it's always active
-    if (med.duration && (
-      med.duration.includes('مستمر') || 
-      med.duration.toLowerCase().includes('continuous') ||
-      med.duration.toLowerCase().includes('ongoing')
-    )) {
-      return true;
-    }
-
-    // If duration contains number of days
-    const daysMatch = med.duration?.match(/(\d+)\s*(يوم|day)/i);
-    if (daysMatch) {
-      const days = parseInt(daysMatch[1]);
-      const prescribedDate = new Date(med.visitDate);
-      const endDate = new Date(prescribedDate);
-      endDate.setDate(endDate.getDate() + days);
-      
-      return now <= endDate;
-    }
 
-    // If duration contains weeks
-    const weeksMatch = med.duration?.match(/(\d+)\s*(أسبوع|week)/i);
-    if (weeksMatch) {
-      const weeks = parseInt(weeksMatch[1]);
-      const prescribedDate = new Date(med.visitDate);
-      const endDate = new Date(prescribedDate);
-      endDate.setDate(endDate.getDate() + (weeks * 7));
-      
-      return now <= endDate;
-    }
+  return medications.filter(med => {
+    const course = courseOf(med, med.visitDate);
 
-    // If duration contains months
-    const monthsMatch = med.duration?.match(/(\d+)\s*(شهر|month)/i);
-    if (monthsMatch) {
-      const months = parseInt(monthsMatch[1]);
-      const prescribedDate = new Date(med.visitDate);
-      const endDate = new Date(prescribedDate);
-      endDate.setMonth(endDate.getMonth() + months);
-      
-      return now <= endDate;
-    }
+    // Continuous ("مستمر" / "continuous") medications are always active
+    if (course?.continuous) return true;
+    if (course?.endDate) return now <= course.endDate;
 
     // ✅ DEFAULT: If no clear duration, assume active if prescribed in last 90 days (3 months)
     const prescribedDate = new Date(med.visitDate);
     const daysSincePrescribed = (now - prescribedDate) / (1000 * 60 * 60 * 24);
-    
+
     return daysSincePrescribed <= 90;  // ← غيرنا من 30 لـ 90 يوم
   });
 }
@@ -300,24 +278,11 @@ function filterActiveMedications(medications) {
 function isMedicationActive(medication, visitDate) {
   const now = new Date();
   const prescribedDate = new Date(visitDate);
+  const course = courseOf(medication, prescribedDate);
 
   // Continuous medications are always active
-  if (medication.duration && (
-    medication.duration.includes('مستمر') ||
-    medication.duration.toLowerCase().includes('continuous')
-  )) {
-    return true;
-  }
-
-  // Check duration in days
-  const daysMatch = medication.duration?.match(/(\d+)\s*(يوم|day)/i);
-  if (daysMatch) {
-    const days = parseInt(daysMatch[1]);
-    const endDate = new Date(prescribedDate);
-    endDate.setDate(endDate.getDate() + days);
-    
-    return now <= endDate;
-  }
+  if (course?.continuous) return true;
+  if (course?.endDate) return now <= course.endDate;
 
   // Default: active if prescribed in last 30 days
   const daysSincePrescribed = (now - prescribedDate) / (1000 * 60 * 60 * 24);
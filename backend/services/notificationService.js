@@ -0,0 +1,103 @@
+const {
+  Account, Children, Notification, Doctor, Dentist
+} = require('../models');
+
+/**
+ * Notification Service
+ * Creates in-app notifications for a patient from any controller or job.
+ * A patient is identified by their ref ({ patientPersonId } or
+ * { patientChildId }); for a child both the child's own account (if any)
+ * and the parent's account are notified. notifyProvider does the same for
+ * a doctor / dentist ({ doctorId } or { dentistId }).
+ */
+
+/**
+ * Accounts that should hear about activity on a patient's record: the
+ * adult's own account, or for a child the child's account (if any) and
+ * the parent's.
+ *
+ * @param {object} patientRef - { patientPersonId } or { patientChildId }
+ * @returns {Promise<object[]>} lean accounts with _id
+ */
+exports.findPatientAccounts = async (patientRef) => {
+  if (patientRef.patientPersonId) {
+    return Account.find({ personId: patientRef.patientPersonId }).select('_id').lean();
+  }
+  const child = await Children.findById(patientRef.patientChildId)
+    .select('parentPersonId')
+    .lean();
+  const or = [{ childId: patientRef.patientChildId }];
+  if (child?.parentPersonId) or.push({ personId: child.parentPersonId });
+  return Account.find({ $or: or }).select('_id').lean();
+};
+
+/**
+ * Notify every account linked to a patient. Fire-and-forget: never throws,
+ * so a notification failure can't undo the operation that triggered it.
+ *
+ * @param {object} patientRef
+ * @param {object} payload - Notification fields: type, title, message,
+ *                           priority?, channels?, relatedId?, relatedType?,
+ *                           expiresAt?
+ * @returns {Promise<number>} notifications created
+ */
+exports.notifyPatient = async (patientRef, payload) => {
+  try {
+    const accounts = await exports.findPatientAccounts(patientRef);
+    if (accounts.length === 0) return 0;
+
+    await Notification.insertMany(accounts.map(acc => ({
+      recipientId: acc._id,
+      recipientType: 'patient',
+      channels: ['in_app'],
+      priority: 'medium',
+      ...payload,
+      message: String(payload.message || '').slice(0, 1000)
+    })));
+    return accounts.length;
+  } catch (err) {
+    console.warn('⚠️  Patient notification failed (non-fatal):', err.message);
+    return 0;
+  }
+};
+
+/**
+ * Notify a doctor's or dentist's account. Fire-and-forget like
+ * notifyPatient.
+ *
+ * @param {object} providerRef - { doctorId } or { dentistId }
+ * @param {object} payload - Notification fields (see notifyPatient)
+ * @returns {Promise<number>} notifications created
+ */
+exports.notifyProvider = async (providerRef, payload) => {
+  try {
+    const provider = providerRef.doctorId
+      ? await Doctor.findById(providerRef.doctorId).select('personId').lean()
+      : await Dentist.findById(providerRef.dentistId).select('personId').lean();
+    if (!provider?.personId) return 0;
+
+    const account = await Account.findOne({ personId: provider.personId }).select('_id').lean();
+    if (!account) return 0;
+
+    await Notification.create({
+      recipientId: account._id,
+      recipientType: providerRef.doctorId ? 'doctor' : 'dentist',
+      channels: ['in_app'],
+      priority: 'medium',
+      ...payload,
+      message: String(payload.message || '').slice(0, 1000)
+    });
+    return 1;
+  } catch (err) {
+    console.warn('⚠️  Provider notification failed (non-fatal):', err.message);
+    return 0;
+  }
+};
+
+/**
+ * Patient ref of a document carrying patientPersonId / patientChildId
+ * (Appointment, Visit, Prescription, ...).
+ */
+exports.patientRefOf = (doc) => (doc.patientPersonId
+  ? { patientPersonId: doc.patientPersonId._id || doc.patientPersonId }
+  : { patientChildId: doc.patientChildId._id || doc.patientChildId });
@@ -0,0 +1,335 @@
+const {
+  Payment, Appointment, Visit, Doctor, Dentist
+} = require('../models');
+const { notifyPatient, patientRefOf } = require('./notificationService');
+const { AppError } = require('../utils/errorHandler');
+
+/**
+ * Payment Service
+ * Records payments and refunds against appointments / visits and keeps
+ * their paymentStatus + paymentMethod summary in step. Used by
+ * paymentController and by every appointment cancellation path (paid
+ * appointments are refunded automatically).
+ */
+
+const PROVIDER_FIELDS = ['doctorId', 'dentistId', 'laboratoryId', 'hospitalId'];
+
+const MAX_RECEIPT_ATTEMPTS = 3;
+
+/**
+ * Fee the provider charges for this appointment / visit, from the Doctor /
+ * Dentist profile (follow-ups use Doctor.followUpFee when set).
+ *
+ * @param {object} target - appointment or visit (doctorId / dentistId ids)
+ * @returns {Promise<{ amount: number, currency: string }|null>} null when unknown
+ */
+exports.expectedFee = async (target) => {
+  const isFollowUp = target.appointmentType === 'follow_up' || target.visitType === 'follow_up';
+
+  if (target.doctorId) {
+    const doctor = await Doctor.findById(target.doctorId._id || target.doctorId)
+      .select('consultationFee followUpFee currency')
+      .lean();
+    if (!doctor) return null;
+    const amount = isFollowUp && doctor.followUpFee != null
+      ? doctor.followUpFee
+      : doctor.consultationFee;
+    return amount != null ? { amount, currency: doctor.currency || 'SYP' } : null;
+  }
+  if (target.dentistId) {
+    const dentist = await Dentist.findById(target.dentistId._id || target.dentistId)
+      .select('consultationFee currency')
+      .lean();
+    return dentist?.consultationFee != null
+      ? { amount: dentist.consultationFee, currency: dentist.currency || 'SYP' }
+      : null;
+  }
+  return null;
+};
+
+/**
+ * Totals per currency.
+ *
+ * @param {object[]} payments
+ * @returns {{ [currency]: { paid: number, refunded: number, balance: number } }}
+ */
+exports.summarize = (payments) => {
+  const totals = {};
+  payments.forEach((p) => {
+    const t = totals[p.currency] || (totals[p.currency] = { paid: 0, refunded: 0, balance: 0 });
+    if (p.kind === 'refund') t.refunded += p.amount;
+    else t.paid += p.amount;
+    t.balance = Number((t.paid - t.refunded).toFixed(2));
+  });
+  return totals;
+};
+
+/**
+ * Payments recorded for an appointment or a visit (a visit also sees the
+ * payments taken for the appointment it came from).
+ */
+exports.findPaymentsFor = ({ appointment, visit }) => {
+  const or = [];
+  if (appointment) or.push({ appointmentId: appointment._id });
+  if (visit) {
+    or.push({ visitId: visit._id });
+    if (visit.appointmentId) or.push({ appointmentId: visit.appointmentId });
+  }
+  return Payment.find({ $or: or }).sort({ paidAt: 1 });
+};
+
+/**
+ * How much of a payment is still refundable (read fresh — the document
+ * passed in may be stale).
+ */
+exports.refundableAmount = async (payment) => {
+  if (payment.kind !== 'payment' || payment.method === 'free') return 0;
+  const current = await Payment.findById(payment._id).select('amount refundedAmount').lean();
+  if (!current) return 0;
+  return Math.max(0, Number((current.amount - (current.refundedAmount || 0)).toFixed(2)));
+};
+
+/**
+ * Atomically add `value` to the payment's refundedAmount, only while it
+ * stays within the amount paid.
+ *
+ * @returns {Promise<boolean>} false when a concurrent refund got there first
+ */
+async function reserveRefund(paymentId, value) {
+  const reserved = await Payment.findOneAndUpdate(
+    {
+      _id: paymentId,
+      kind: 'payment',
+      $expr: { $lte: [{ $add: [{ $ifNull: ['$refundedAmount', 0] }, value] }, '$amount'] }
+    },
+    { $inc: { refundedAmount: value } },
+    { new: true }
+  );
+  return !!reserved;
+}
+
+/**
+ * Re-derive paymentStatus / paymentMethod of the appointment or visit from
+ * its payments.
+ *
+ *   appointment: pending → paid (incl. free) → refunded
+ *   visit:       pending → partially_paid / paid / free → cancelled (refunded)
+ */
+exports.syncStatus = async ({ appointment, visit }) => {
+  const payments = await exports.findPaymentsFor({ appointment, visit });
+  const money = payments.filter(p => p.method !== 'free');
+  const lastPayment = [...payments].reverse().find(p => p.kind === 'payment');
+  const totals = exports.summarize(money);
+  const balance = Object.values(totals).reduce((sum, t) => sum + t.balance, 0);
+  const wasFree = payments.some(p => p.method === 'free');
+
+  let status = 'pending';
+  if (balance > 0) status = 'paid';
+  else if (money.length > 0) status = 'refunded';
+  else if (wasFree) status = 'paid';
+
+  if (appointment) {
+    await Appointment.updateOne(
+      { _id: appointment._id },
+      { $set: { paymentStatus: status, ...(lastPayment && { paymentMethod: lastPayment.method }) } }
+    );
+  }
+
+  if (visit) {
+    let visitStatus = status === 'refunded' ? 'cancelled' : status;
+    if (status === 'paid' && balance === 0 && wasFree) visitStatus = 'free';
+    if (status === 'paid' && balance > 0) {
+      const fee = await exports.expectedFee(visit);
+      if (fee && (totals[fee.currency]?.balance || 0) < fee.amount
+        && Object.keys(totals).every(c => c === fee.currency)) {
+        visitStatus = 'partially_paid';
+      }
+    }
+    await Visit.updateOne(
+      { _id: visit._id },
+      { $set: { paymentStatus: visitStatus, ...(lastPayment && { paymentMethod: lastPayment.method }) } }
+    );
+  }
+  return status;
+};
+
+/**
+ * Save a new Payment, retrying when two receipts raced for the same
+ * receipt number.
+ */
+async function saveWithReceiptNumber(data) {
+  for (let attempt = 1; attempt <= MAX_RECEIPT_ATTEMPTS; attempt += 1) {
+    try {
+      return await new Payment(data).save();
+    } catch (error) {
+      const receiptClash = error.code === 11000 && error.keyPattern?.receiptNumber;
+      if (!receiptClash || attempt === MAX_RECEIPT_ATTEMPTS) throw error;
+    }
+  }
+  return null;
+}
+
+/**
+ * Record money received for an appointment or a visit.
+ *
+ * @param {object} params
+ * @param {object} [params.appointment]
+ * @param {object} [params.visit]
+ * @param {number} params.amount
+ * @param {string} params.currency      - SYP | USD
+ * @param {string} params.method        - cash | card | insurance | free
+ * @param {object} [params.details]     - cardLast4, transactionReference,
+ *                                        insuranceProvider, insurancePolicyNumber,
+ *                                        insuranceClaimNumber, description, notes
+ * @param {ObjectId} params.receivedBy  - account that took the payment
+ * @returns {Promise<object>} saved Payment
+ */
+exports.recordPayment = async ({
+  appointment, visit, amount, currency, method, details = {}, receivedBy
+}) => {
+  const source = visit || appointment;
+  const data = {
+    kind: 'payment',
+    appointmentId: appointment?._id || visit?.appointmentId,
+    visitId: visit?._id || appointment?.visitId,
+    ...patientRefOf(source),
+    amount,
+    currency,
+    method,
+    receivedBy,
+    ...details
+  };
+  PROVIDER_FIELDS.forEach((field) => {
+    if (source[field]) data[field] = source[field]._id || source[field];
+  });
+
+  const payment = await saveWithReceiptNumber(data);
+  await exports.syncStatus({ appointment, visit });
+  console.log(`💵 [payments] ${payment.receiptNumber}: ${amount} ${currency} (${method})`);
+  return payment;
+};
+
+/**
+ * Refund (part of) a payment.
+ *
+ * @param {object} payment - the original kind 'payment' document
+ * @param {object} params
+ * @param {number} [params.amount] - defaults to everything still refundable
+ * @param {string} params.reason
+ * @param {ObjectId} params.actorAccountId
+ * @returns {Promise<object>} the refund Payment
+ * @throws {AppError} 400 NOTHING_REFUNDABLE / REFUND_EXCEEDS_REFUNDABLE,
+ *         409 REFUND_CONFLICT when a concurrent refund took the balance
+ */
+exports.refundPayment = async (payment, { amount, reason, actorAccountId }) => {
+  const refundable = await exports.refundableAmount(payment);
+  const value = amount ?? refundable;
+  if (refundable <= 0) {
+    throw new AppError('لا يوجد مبلغ قابل للاسترداد لهذه الدفعة', 400, 'NOTHING_REFUNDABLE');
+  }
+  if (!(value > 0) || value > refundable) {
+    throw new AppError(
+      `المبلغ القابل للاسترداد هو ${refundable} ${payment.currency}`,
+      400,
+      'REFUND_EXCEEDS_REFUNDABLE'
+    );
+  }
+
+  if (!(await reserveRefund(payment._id, value))) {
+    throw new AppError('تم استرداد جزء من هذه الدفعة للتو. أعد المحاولة', 409, 'REFUND_CONFLICT');
+  }
+
+  let refund;
+  try {
+    refund = await saveWithReceiptNumber({
+      kind: 'refund',
+      refundOf: payment._id,
+      appointmentId: payment.appointmentId,
+      visitId: payment.visitId,
+      patientPersonId: payment.patientPersonId,
+      patientChildId: payment.patientChildId,
+      doctorId: payment.doctorId,
+      dentistId: payment.dentistId,
+      laboratoryId: payment.laboratoryId,
+      hospitalId: payment.hospitalId,
+      amount: value,
+      currency: payment.currency,
+      method: payment.method,
+      insuranceProvider: payment.insuranceProvider,
+      refundReason: reason,
+      receivedBy: actorAccountId
+    });
+  } catch (error) {
+    await Payment.updateOne({ _id: payment._id }, { $inc: { refundedAmount: -value } });
+    throw error;
+  }
+
+  const [appointment, visit] = await Promise.all([
+    payment.appointmentId ? Appointment.findById(payment.appointmentId).select('_id').lean() : null,
+    payment.visitId ? Visit.findById(payment.visitId).select('_id appointmentId doctorId dentistId visitType').lean() : null
+  ]);
+  await exports.syncStatus({ appointment, visit });
+  console.log(`↩️  [payments] ${refund.receiptNumber}: refunded ${value} ${payment.currency} of ${payment.receiptNumber}`);
+  return refund;
+};
+
+/**
+ * Refund everything paid for an appointment that has just been cancelled
+ * and tell the patient. Never throws — the cancellation already happened.
+ *
+ * @param {object} appointment
+ * @param {object} params
+ * @param {ObjectId} params.actorAccountId
+ * @param {string} [params.reason]
+ * @returns {Promise<number>} refunds created
+ */
+exports.refundCancelledAppointment = async (appointment, { actorAccountId, reason } = {}) => {
+  try {
+    const payments = await Payment.find({
+      appointmentId: appointment._id,
+      kind: 'payment',
+      method: { $ne: 'free' }
+    });
+    if (payments.length === 0) return 0;
+
+    const refunds = [];
+    for (const payment of payments) {
+      if (await exports.refundableAmount(payment) > 0) {
+        refunds.push(await exports.refundPayment(payment, {
+          reason: reason || 'إلغاء الموعد',
+          actorAccountId
+        }));
+      }
+    }
+
+    if (refunds.length > 0) {
+      const summary = Object.entries(exports.summarize(refunds))
+        .map(([currency, t]) => `${t.refunded} ${currency}`)
+        .join(' + ');
+      await notifyPatient(patientRefOf(appointment), {
+        type: 'general',
+        title: 'استرداد رسوم الموعد',
+        message: `تم استرداد ${summary} بعد إلغاء موعدك. رقم الإيصال: ${refunds.map(r => r.receiptNumber).join('، ')}`,
+        priority: 'medium',
+        channels: ['push', 'in_app'],
+        relatedId: appointment._id,
+        relatedType: 'appointments'
+      });
+    }
+    return refunds.length;
+  } catch (error) {
+    console.error('❌ [payments] Automatic refund failed:', error.message);
+    return 0;
+  }
+};
+
+/**
+ * Once an appointment turns into a visit, its payments count for the visit
+ * too.
+ */
+exports.linkVisit = async (appointment, visit) => {
+  await Payment.updateMany(
+    { appointmentId: appointment._id, visitId: null },
+    { $set: { visitId: visit._id } }
+  );
+};
@@ -0,0 +1,198 @@
+const { Appointment, AvailabilitySlot } = require('../models');
+
+/**
+ * Queue Service
+ * Per-provider daily waiting-room queue. Checked-in appointments and
+ * walk-ins share one sequence of queue numbers; wait times are estimated
+ * from the provider's slot length for the day.
+ *
+ * Order: emergency, then urgent, then routine — within a priority, by
+ * queue number (arrival order).
+ */
+
+// Used when the provider has no slots today to take the length from
+const DEFAULT_VISIT_MINUTES = parseInt(process.env.QUEUE_DEFAULT_VISIT_MINUTES, 10) || 15;
+
+const PRIORITY_ORDER = { emergency: 0, urgent: 1, routine: 2 };
+
+const MAX_NUMBER_ATTEMPTS = 5;
+
+function startOfDay(date = new Date()) {
+  const d = new Date(date);
+  d.setHours(0, 0, 0, 0);
+  return d;
+}
+
+function addMinutes(date, minutes) {
+  return new Date(date.getTime() + minutes * 60 * 1000);
+}
+
+/**
+ * The queue an appointment belongs to: { doctorId } | { dentistId } |
+ * { laboratoryId }, or null when it has none of them.
+ */
+exports.queueOwnerOf = (appointment) => {
+  const field = Appointment.QUEUE_PROVIDER_FIELDS.find(f => appointment[f]);
+  return field ? { [field]: appointment[field]._id || appointment[field] } : null;
+};
+
+/**
+ * Visit length for a provider's day: the slotDuration of that day's slots,
+ * falling back to DEFAULT_VISIT_MINUTES.
+ */
+exports.visitMinutesFor = async (owner, day = new Date()) => {
+  const slot = await AvailabilitySlot.findOne({
+    ...owner,
+    date: startOfDay(day),
+    slotDuration: { $gt: 0 }
+  })
+    .select('slotDuration')
+    .lean();
+  return slot?.slotDuration || DEFAULT_VISIT_MINUTES;
+};
+
+/**
+ * Give a checked-in appointment the next queue number of its provider's
+ * day. A clash on the unique queue index means another check-in took the
+ * number first, so we simply try the next one.
+ *
+ * @param {object} appointment - Appointment document, already checked in
+ * @returns {Promise<number|null>} the queue number (existing one if already issued)
+ */
+exports.issueQueueNumber = async (appointment) => {
+  if (appointment.queueNumber) return appointment.queueNumber;
+  const owner = exports.queueOwnerOf(appointment);
+  if (!owner) return null;
+
+  for (let attempt = 0; attempt < MAX_NUMBER_ATTEMPTS; attempt += 1) {
+    const last = await Appointment.findOne({
+      ...owner,
+      appointmentDate: appointment.appointmentDate,
+      queueNumber: { $exists: true }
+    })
+      .sort({ queueNumber: -1 })
+      .select('queueNumber')
+      .lean();
+    const next = (last?.queueNumber || 0) + 1;
+
+    try {
+      const updated = await Appointment.findOneAndUpdate(
+        { _id: appointment._id, queueNumber: { $exists: false } },
+        { $set: { queueNumber: next } },
+        { new: true }
+      ).select('queueNumber');
+      appointment.queueNumber = updated ? updated.queueNumber : next;
+      return appointment.queueNumber;
+    } catch (error) {
+      if (error.code !== 11000) throw error;
+    }
+  }
+  throw new Error('تعذر إصدار رقم دور، يرجى المحاولة مرة أخرى');
+};
+
+/**
+ * A provider's queue for one day, with wait estimates.
+ *
+ * @param {object} owner - { doctorId } | { dentistId } | { laboratoryId }
+ * @param {Date}   [day] - defaults to today
+ * @returns {Promise<{
+ *   date: Date, visitMinutes: number,
+ *   nowServing: object[], waiting: object[],
+ *   servedCount: number
+ * }>} waiting entries carry position, estimatedWaitMinutes, estimatedCallTime
+ */
+exports.getQueue = async (owner, day = new Date()) => {
+  const date = startOfDay(day);
+  const nextDay = new Date(date);
+  nextDay.setDate(nextDay.getDate() + 1);
+  const [visitMinutes, tickets] = await Promise.all([
+    exports.visitMinutesFor(owner, date),
+    Appointment.find({
+      ...owner,
+      appointmentDate: { $gte: date, $lt: nextDay },
+      queueNumber: { $exists: true },
+      status: { $in: ['checked_in', 'in_progress', 'completed'] }
+    })
+      .select('patientPersonId patientChildId queueNumber status priority bookingMethod appointmentTime estimatedDuration reasonForVisit checkedInAt calledAt')
+      .populate('patientPersonId', 'firstName lastName')
+      .populate('patientChildId', 'firstName lastName')
+      .lean()
+  ]);
+
+  const now = new Date();
+  const lengthOf = t => t.estimatedDuration || visitMinutes;
+
+  const nowServing = tickets
+    .filter(t => t.status === 'in_progress')
+    .sort((a, b) => new Date(b.calledAt || 0) - new Date(a.calledAt || 0));
+
+  // Time the provider still needs for whoever is inside right now
+  let minutesAhead = nowServing.reduce((sum, t) => {
+    const elapsed = t.calledAt ? (now - new Date(t.calledAt)) / 60000 : 0;
+    return sum + Math.max(0, Math.round(lengthOf(t) - elapsed));
+  }, 0);
+
+  const waiting = tickets
+    .filter(t => t.status === 'checked_in')
+    .sort((a, b) => (PRIORITY_ORDER[a.priority] ?? 2) - (PRIORITY_ORDER[b.priority] ?? 2)
+      || a.queueNumber - b.queueNumber)
+    .map((t, index) => {
+      const entry = {
+        ...t,
+        position: index + 1,
+        estimatedWaitMinutes: minutesAhead,
+        estimatedCallTime: addMinutes(now, minutesAhead)
+      };
+      minutesAhead += lengthOf(t);
+      return entry;
+    });
+
+  return {
+    date,
+    visitMinutes,
+    nowServing,
+    waiting,
+    servedCount: tickets.filter(t => t.status === 'completed').length
+  };
+};
+
+/**
+ * Where one checked-in appointment stands in its queue.
+ *
+ * @returns {Promise<{ queueNumber, position, estimatedWaitMinutes, estimatedCallTime }|null>}
+ */
+exports.getTicketStatus = async (appointment) => {
+  const owner = exports.queueOwnerOf(appointment);
+  if (!owner || !appointment.queueNumber) return null;
+  const queue = await exports.getQueue(owner, appointment.appointmentDate);
+  const entry = queue.waiting.find(t => String(t._id) === String(appointment._id));
+  return {
+    queueNumber: appointment.queueNumber,
+    position: entry?.position ?? 0,
+    estimatedWaitMinutes: entry?.estimatedWaitMinutes ?? 0,
+    estimatedCallTime: entry?.estimatedCallTime ?? null
+  };
+};
+
+/**
+ * Call the next patient in today's queue (checked_in → in_progress).
+ * Skips entries another call took in the meantime.
+ *
+ * @param {object} owner
+ * @returns {Promise<object|null>} the called Appointment, or null if nobody is waiting
+ */
+exports.callNext = async (owner) => {
+  const { waiting } = await exports.getQueue(owner);
+  for (const ticket of waiting) {
+    const called = await Appointment.findOneAndUpdate(
+      { _id: ticket._id, status: 'checked_in' },
+      { $set: { status: 'in_progress', calledAt: new Date() } },
+      { new: true }
+    );
+    if (called) {
+      console.log(`📣 [queue] Called #${called.queueNumber} (appointment ${called._id})`);
+      return called;
+    }
+  }
+  return null;
+};
@@ -0,0 +1,187 @@
+const { Appointment, Patient } = require('../models');
+const { notifyPatient, patientRefOf } = require('./notificationService');
+const labBookingService = require('./labBookingService');
+
+/**
+ * Reminder Service
+ * Appointment reminders and no-show marking, run by the
+ * appointment-reminders and mark-no-shows jobs (jobs/index.js).
+ */
+
+const ACTIVE_STATUSES = ['scheduled', 'confirmed'];
+
+// Auto-booked follow-ups the patient hasn't confirmed yet (confirmBy set,
+// still 'scheduled') get no reminders and are never a no-show — the
+// expire-follow-ups job cancels them instead
+const AWAITING_CONFIRMATION = { status: 'scheduled', confirmBy: { $ne: null } };
+
+const HOUR_MS = 60 * 60 * 1000;
+
+/**
+ * Reminders in the order they are checked. An appointment already inside
+ * a later window only gets that one (booked 3h ahead → only the 2h one).
+ */
+const REMINDERS = [
+  { field: 'twoHoursBeforeSentAt', hours: 2, label: 'بعد ساعتين' },
+  { field: 'dayBeforeSentAt', hours: 24, label: 'غداً' },
+];
+
+// Minutes after the start time before an unchecked appointment is a no-show
+const NO_SHOW_GRACE_MINUTES = parseInt(process.env.NO_SHOW_GRACE_MINUTES, 10) || 60;
+
+// How far back the no-show sweep looks (older ones are left alone)
+const NO_SHOW_LOOKBACK_DAYS = 7;
+
+function startOfDay(date) {
+  const d = new Date(date);
+  d.setHours(0, 0, 0, 0);
+  return d;
+}
+
+function providerLabel(appointment) {
+  if (appointment.laboratoryId) return 'المختبر';
+  if (appointment.dentistId) return 'طبيب الأسنان';
+  return 'الطبيب';
+}
+
+/**
+ * Send every reminder that is due. Each reminder is stamped before the
+ * notification is created, so overlapping runs never send it twice.
+ *
+ * @returns {Promise<{ dayBefore: number, twoHoursBefore: number }>}
+ */
+exports.sendDueReminders = async () => {
+  const now = new Date();
+  const horizon = new Date(now.getTime() + 24 * HOUR_MS);
+
+  const candidates = await Appointment.find({
+    status: { $in: ACTIVE_STATUSES },
+    appointmentDate: { $gte: startOfDay(now), $lte: horizon },
+    $or: [
+      { 'reminders.dayBeforeSentAt': null },
+      { 'reminders.twoHoursBeforeSentAt': null }
+    ],
+    $nor: [AWAITING_CONFIRMATION]
+  });
+
+  const sent = { dayBefore: 0, twoHoursBefore: 0 };
+
+  for (const appointment of candidates) {
+    const startsAt = appointment.appointmentDateTime;
+    if (!startsAt || startsAt <= now) continue;
+    const hoursLeft = (startsAt - now) / HOUR_MS;
+
+    const due = REMINDERS.find(r => hoursLeft <= r.hours);
+    if (!due || appointment.reminders?.[due.field]) continue;
+
+    // Claim the reminder (and any earlier one it supersedes)
+    const stamp = { [`reminders.${due.field}`]: now };
+    if (due.field === 'twoHoursBeforeSentAt' && !appointment.reminders?.dayBeforeSentAt) {
+      stamp['reminders.dayBeforeSentAt'] = now;
+    }
+    const claimed = await Appointment.updateOne(
+      { _id: appointment._id, [`reminders.${due.field}`]: null },
+      { $set: stamp }
+    );
+    if (claimed.modifiedCount === 0) continue;
+
+    await notifyPatient(patientRefOf(appointment), {
+      type: 'appointment_reminder',
+      title: 'تذكير بموعدك',
+      message: `تذكير: لديك موعد مع ${providerLabel(appointment)} ${due.label} الساعة ${appointment.appointmentTime}. يرجى الحضور قبل الموعد بـ 10 دقائق أو إلغاؤه إن لم تتمكن من الحضور.`,
+      priority: due.hours <= 2 ? 'high' : 'medium',
+      channels: ['push', 'in_app', 'sms'],
+      relatedId: appointment._id,
+      relatedType: 'appointments',
+      expiresAt: startsAt
+    });
+
+    if (due.field === 'dayBeforeSentAt') sent.dayBefore += 1;
+    else sent.twoHoursBefore += 1;
+  }
+
+  if (sent.dayBefore + sent.twoHoursBefore > 0) {
+    console.log(`🔔 [reminders] Sent ${sent.dayBefore} day-before and ${sent.twoHoursBefore} two-hour reminders`);
+  }
+  return sent;
+};
+
+/**
+ * Mark appointments the patient never checked in to as no_show once the
+ * grace period after their start time has passed, and count it on the
+ * patient's profile (Patient.noShowCount). Unconfirmed auto-booked
+ * follow-ups are skipped.
+ *
+ * @returns {Promise<number>} appointments marked
+ */
+exports.markNoShows = async () => {
+  const now = new Date();
+  const cutoff = new Date(now.getTime() - NO_SHOW_GRACE_MINUTES * 60 * 1000);
+  const lookback = startOfDay(now);
+  lookback.setDate(lookback.getDate() - NO_SHOW_LOOKBACK_DAYS);
+
+  const candidates = await Appointment.find({
+    status: { $in: ACTIVE_STATUSES },
+    appointmentDate: { $gte: lookback, $lte: cutoff },
+    $nor: [AWAITING_CONFIRMATION]
+  })
+    .select('patientPersonId patientChildId appointmentDate appointmentTime status labTestId')
+    .lean();
+
+  let marked = 0;
+  for (const appointment of candidates) {
+    const startsAt = new Date(appointment.appointmentDate);
+    const [hh, mm] = appointment.appointmentTime.split(':').map(Number);
+    startsAt.setHours(hh, mm, 0, 0);
+    if (startsAt > cutoff) continue;
+
+    const updated = await Appointment.updateOne(
+      { _id: appointment._id, status: { $in: ACTIVE_STATUSES } },
+      { $set: { status: 'no_show', noShowAt: now } }
+    );
+    if (updated.modifiedCount === 0) continue;
+
+    await Patient.recordNoShow(patientRefOf(appointment), startsAt);
+    await labBookingService.releaseForAppointment(appointment);
+    marked += 1;
+  }
+
+  if (marked > 0) {
+    console.log(`🚫 [reminders] Marked ${marked} appointments as no_show`);
+  }
+  return marked;
+};
+
+/**
+ * No-show counters for the patients of a list of appointments, keyed by
+ * patient id (person or child).
+ *
+ * @param {object[]} appointments - need patientPersonId / patientChildId
+ *                                  (ids or populated docs)
+ * @returns {Promise<Map<string, { noShowCount: number, lastNoShowAt: Date|null }>>}
+ */
+exports.getNoShowStats = async (appointments) => {
+  const idOf = (ref) => String(ref?._id || ref);
+  const personIds = [...new Set(appointments.filter(a => a.patientPersonId).map(a => idOf(a.patientPersonId)))];
+  const childIds = [...new Set(appointments.filter(a => a.patientChildId).map(a => idOf(a.patientChildId)))];
+
+  const stats = new Map();
+  if (personIds.length === 0 && childIds.length === 0) return stats;
+
+  const profiles = await Patient.find({
+    $or: [
+      { personId: { $in: personIds } },
+      { childId: { $in: childIds } }
+    ]
+  })
+    .select('personId childId noShowCount lastNoShowAt')
+    .lean();
+
+  profiles.forEach((p) => {
+    stats.set(String(p.personId || p.childId), {
+      noShowCount: p.noShowCount || 0,
+      lastNoShowAt: p.lastNoShowAt || null
+    });
+  });
+  return stats;
+};
@@ -0,0 +1,284 @@
+const { Patient, DrugInteraction } = require('../models');
+const { resolveIngredients } = require('./interactionService');
+
+/**
+ * Safety Screening Service
+ * Cross-checks medications against the patient's record before they are
+ * prescribed or dispensed:
+ *   allergy          — an active ingredient (or its drug class) matches one
+ *                      of Patient.allergies
+ *   contraindication — one of Medication.contraindications matches one of
+ *                      Patient.chronicDiseases
+ * Both kinds stop the action until the prescriber / pharmacist gives an
+ * override reason; controllers record the override in AuditLog. What the
+ * prescriber overrode is kept on the Prescription (`safetyOverride`) and
+ * doesn't stop the pharmacist again. Used by prescriptionController,
+ * dispensingController and pharmacistController.
+ */
+
+// Allergy classes → member ingredients (normalised INN). An allergy
+// recorded as the class name matches every member.
+const ALLERGY_CLASSES = {
+  penicillin: [
+    'amoxicillin', 'ampicillin', 'benzylpenicillin', 'phenoxymethylpenicillin',
+    'flucloxacillin', 'cloxacillin', 'piperacillin',
+  ],
+  cephalosporin: ['cefalexin', 'cefuroxime', 'ceftriaxone', 'cefixime', 'cefazolin'],
+  sulfonamide: ['sulfamethoxazole', 'sulfadiazine', 'sulfasalazine'],
+  sulfa: ['sulfamethoxazole', 'sulfadiazine', 'sulfasalazine'],
+  nsaid: ['ibuprofen', 'diclofenac', 'acetylsalicylic acid', 'naproxen', 'mefenamic acid', 'ketoprofen'],
+  macrolide: ['azithromycin', 'clarithromycin', 'erythromycin'],
+  quinolone: ['ciprofloxacin', 'levofloxacin', 'ofloxacin', 'moxifloxacin'],
+  fluoroquinolone: ['ciprofloxacin', 'levofloxacin', 'ofloxacin', 'moxifloxacin'],
+  opioid: ['tramadol', 'morphine', 'codeine', 'pethidine', 'fentanyl'],
+  statin: ['rosuvastatin', 'atorvastatin', 'simvastatin', 'pravastatin'],
+};
+
+// Arabic terms patients / staff commonly record → English keyword. Matched
+// as whole words, longest phrase first.
+const ARABIC_TERMS = {
+  'بنسلين': 'penicillin',
+  'البنسلين': 'penicillin',
+  'سلفا': 'sulfa',
+  'أسبرين': 'acetylsalicylic acid',
+  'اسبرين': 'acetylsalicylic acid',
+  'مضادات الالتهاب': 'nsaid',
+  'سكري': 'diabetes',
+  'السكري': 'diabetes',
+  'ربو': 'asthma',
+  'الربو': 'asthma',
+  'ارتفاع ضغط الدم': 'hypertension',
+  'ارتفاع الضغط': 'hypertension',
+  'ضغط مرتفع': 'hypertension',
+  'انخفاض ضغط الدم': 'hypotension',
+  'انخفاض الضغط': 'hypotension',
+  'قرحة': 'ulcer',
+  'كلى': 'kidney',
+  'الكلى': 'kidney',
+  'كلوي': 'kidney',
+  'كبد': 'liver',
+  'الكبد': 'liver',
+  'قلب': 'heart',
+  'القلب': 'heart',
+  'صرع': 'epilepsy',
+  'حمل': 'pregnancy',
+  'الحمل': 'pregnancy',
+  'حامل': 'pregnancy',
+  'نزف': 'bleeding',
+  'غدة درقية': 'thyroid',
+};
+
+// English phrases whose words are too general on their own
+const ENGLISH_PHRASES = {
+  'high blood pressure': 'hypertension',
+  'low blood pressure': 'hypotension',
+};
+
+// Words that are the same organ / condition
+const SYNONYMS = {
+  renal: 'kidney',
+  hepatic: 'liver',
+  cardiac: 'heart',
+  seizure: 'epilepsy',
+  seizures: 'epilepsy',
+  peptic: 'ulcer',
+  bronchospasm: 'asthma',
+  nsaids: 'nsaid',
+  penicillins: 'penicillin',
+  cephalosporins: 'cephalosporin',
+  sulfonamides: 'sulfonamide',
+  macrolides: 'macrolide',
+  quinolones: 'quinolone',
+  opioids: 'opioid',
+  statins: 'statin',
+};
+
+// Too general to decide a match on their own
+const STOPWORDS = new Set([
+  'disease', 'diseases', 'disorder', 'severe', 'chronic', 'active', 'acute',
+  'history', 'of', 'the', 'and', 'or', 'with', 'in', 'to', 'failure',
+  'impairment', 'hypersensitivity', 'allergy', 'known', 'patients', 'use',
+  'trimester', 'third', 'first', 'second', 'type', 'high', 'low', 'blood',
+  'pressure', 'level', 'levels', 'elevated', 'reduced', 'increased',
+  'decreased', 'risk',
+]);
+
+// Multi-word terms first so "ارتفاع ضغط الدم" claims its words before any
+// shorter term can
+const ARABIC_PHRASES = Object.entries(ARABIC_TERMS)
+  .map(([ar, en]) => ({ words: ar.split(' '), en }))
+  .sort((a, b) => b.words.length - a.words.length);
+
+/**
+ * A word as written and without a leading conjunction / preposition
+ * ("والربو", "بالسكري", "للكلى").
+ */
+function arabicFormsOf(word) {
+  const forms = [word];
+  if (word.startsWith('لل') && word.length > 3) forms.push(`ال${word.slice(2)}`);
+  if (/^[وفبلك]/.test(word) && word.length > 3) forms.push(word.slice(1));
+  return forms;
+}
+
+/**
+ * English terms for the Arabic words found in a free-text entry. Whole
+ * words only — "عدم تحمل" is not "حمل".
+ */
+function arabicTermsOf(text) {
+  const words = String(text || '')
+    .replace(/[\u064B-\u0652\u0640]/g, '')  // harakat, tatweel
+    .split(/[^\u0621-\u064A]+/)
+    .filter(Boolean)
+    .map(arabicFormsOf);
+  const used = new Array(words.length).fill(false);
+  const terms = [];
+
+  ARABIC_PHRASES.forEach(({ words: phrase, en }) => {
+    for (let i = 0; i + phrase.length <= words.length; i++) {
+      const span = phrase.every((w, j) => !used[i + j] && words[i + j].includes(w));
+      if (!span) continue;
+      phrase.forEach((_, j) => { used[i + j] = true; });
+      terms.push(en);
+    }
+  });
+  return terms;
+}
+
+/**
+ * Lower-case English keywords of a free-text entry (Arabic terms mapped).
+ */
+function keywordsOf(text) {
+  let english = String(text || '').trim().toLowerCase();
+  Object.entries(ENGLISH_PHRASES).forEach(([phrase, term]) => {
+    english = english.split(phrase).join(term);
+  });
+  const value = [english, ...arabicTermsOf(text)].join(' ');
+  return value
+    .replace(/[^a-z0-9\s-]/g, ' ')
+    .split(/\s+/)
+    .filter(Boolean)
+    .map(word => SYNONYMS[word] || word)
+    .filter(word => word.length >= 3 && !STOPWORDS.has(word));
+}
+
+/**
+ * The ingredient / class of a medication an allergy entry points at, or
+ * null when it doesn't match.
+ */
+function allergyMatch(allergy, entry) {
+  const keys = [allergy, ...arabicTermsOf(allergy)].map(DrugInteraction.normalizeIngredient);
+  const words = keywordsOf(allergy);
+  const names = [
+    entry.catalog?.tradeName, entry.catalog?.scientificName,
+    entry.catalog?.arabicTradeName, entry.catalog?.arabicScientificName, entry.name,
+  ].filter(Boolean).map(n => n.toLowerCase());
+
+  const direct = entry.ingredients.find(ing => keys.includes(ing) || words.includes(ing));
+  if (direct) return direct;
+  if (names.some(n => n === String(allergy).trim().toLowerCase())) return entry.ingredients[0] || entry.name;
+
+  for (const word of words) {
+    const members = ALLERGY_CLASSES[word];
+    const hit = members && entry.ingredients.find(ing => members.includes(ing));
+    if (hit) return `${hit} (${word})`;
+  }
+  return null;
+}
+
+/**
+ * Whether a contraindication text and a chronic disease name describe the
+ * same condition (shared keyword after dropping generic words).
+ */
+function conditionsMatch(contraindication, disease) {
+  const a = keywordsOf(contraindication);
+  const b = keywordsOf(disease);
+  return a.some(word => b.includes(word));
+}
+
+/**
+ * Screen medications against a patient's allergies and chronic diseases.
+ *
+ * @param {object} params
+ * @param {Array}  params.medications - { medicationId?, medicationName }
+ * @param {{ allergies?: string[], chronicDiseases?: string[] }|null} params.patient
+ * @returns {Promise<object[]>} warnings:
+ *   { type: 'allergy' | 'contraindication', medicationName, matchedOn,
+ *     reason, message, blocking: true }
+ */
+exports.screenMedications = async ({ medications, patient }) => {
+  const allergies = (patient?.allergies || []).filter(Boolean);
+  const diseases = (patient?.chronicDiseases || []).filter(Boolean);
+  if (allergies.length === 0 && diseases.length === 0) return [];
+
+  const entries = await resolveIngredients(medications, 'prescription');
+  const warnings = [];
+
+  entries.forEach((entry) => {
+    allergies.forEach((allergy) => {
+      const reason = allergyMatch(allergy, entry);
+      if (!reason) return;
+      warnings.push({
+        type: 'allergy',
+        medicationName: entry.name,
+        matchedOn: allergy,
+        reason,
+        message: `المريض لديه حساسية مسجلة من "${allergy}" — ${entry.name} يحتوي على ${reason}`,
+        blocking: true
+      });
+    });
+
+    (entry.catalog?.contraindications || []).forEach((contraindication) => {
+      diseases.forEach((disease) => {
+        if (!conditionsMatch(contraindication, disease)) return;
+        warnings.push({
+          type: 'contraindication',
+          medicationName: entry.name,
+          matchedOn: disease,
+          reason: contraindication,
+          message: `${entry.name} مضاد استطباب في "${contraindication}" والمريض مصاب بـ "${disease}"`,
+          blocking: true
+        });
+      });
+    });
+  });
+
+  return warnings;
+};
+
+/**
+ * Warnings the prescriber has not already overridden on the prescription
+ * (Prescription.safetyOverride) — only these stop the pharmacist.
+ *
+ * @param {object[]} warnings - from screenMedications / screenForPatient
+ * @param {{ warnings?: object[] }|undefined} safetyOverride
+ * @returns {object[]}
+ */
+exports.notOverridden = (warnings, safetyOverride) => {
+  const covered = safetyOverride?.warnings || [];
+  return warnings.filter(w => !covered.some(c =>
+    c.type === w.type && c.medicationName === w.medicationName && c.matchedOn === w.matchedOn));
+};
+
+/**
+ * Allergies + chronic diseases of a patient.
+ *
+ * @param {{ patientPersonId?, patientChildId? }} patientRef
+ * @returns {Promise<{ allergies: string[], chronicDiseases: string[] }|null>}
+ */
+exports.loadPatientProfile = (patientRef) => Patient.findOne(
+  patientRef.patientChildId
+    ? { childId: patientRef.patientChildId }
+    : { personId: patientRef.patientPersonId }
+)
+  .select('allergies chronicDiseases')
+  .lean();
+
+/**
+ * Load the patient's profile and screen — the one-call form the
+ * controllers use.
+ */
+exports.screenForPatient = async (patientRef, medications) => {
+  if (!patientRef?.patientPersonId && !patientRef?.patientChildId) return [];
+  const patient = await exports.loadPatientProfile(patientRef);
+  return exports.screenMedications({ medications, patient });
+};
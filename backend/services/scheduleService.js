@@ -0,0 +1,300 @@
+const {
+  AvailabilitySlot, ScheduleTemplate, ScheduleException, Doctor, Dentist, LabTechnician
+} = require('../models');
+
+/**
+ * Schedule Service
+ * Turns recurring ScheduleTemplate documents into AvailabilitySlot
+ * documents. Used by scheduleTemplateController (on create/update and
+ * manual "materialise now") and by the background job in jobs/index.js.
+ */
+
+function toMinutes(hhmm) {
+  const [h, m] = hhmm.split(':').map(Number);
+  return h * 60 + m;
+}
+
+function toHHMM(minutes) {
+  const hh = Math.floor(minutes / 60).toString().padStart(2, '0');
+  const mm = (minutes % 60).toString().padStart(2, '0');
+  return `${hh}:${mm}`;
+}
+
+function startOfDay(date) {
+  const d = new Date(date);
+  d.setHours(0, 0, 0, 0);
+  return d;
+}
+
+/**
+ * The slot owner a provider account schedules for: { doctorId } |
+ * { dentistId } | { laboratoryId } (lab technicians schedule for their
+ * laboratory). Null when the account has no provider profile.
+ *
+ * @param {object} account - req.user / req.account
+ */
+exports.resolveProviderOwner = async (account) => {
+  const roles = account.roles || [];
+  if (!account.personId) return null;
+
+  if (roles.includes('doctor')) {
+    const doctor = await Doctor.findOne({ personId: account.personId }).select('_id').lean();
+    if (doctor) return { doctorId: doctor._id };
+  }
+  if (roles.includes('dentist')) {
+    const dentist = await Dentist.findOne({ personId: account.personId }).select('_id').lean();
+    if (dentist) return { dentistId: dentist._id };
+  }
+  if (roles.includes('lab_technician')) {
+    const tech = await LabTechnician.findOne({ personId: account.personId })
+      .select('laboratoryId')
+      .lean();
+    if (tech?.laboratoryId) return { laboratoryId: tech.laboratoryId };
+  }
+  return null;
+};
+
+/**
+ * Slot start/end times for one weekly rule, skipping any slot that would
+ * overlap one of the rule's breaks.
+ *
+ * buildRuleSlots({ startTime: '09:00', endTime: '12:00', slotDuration: 60,
+ *                  breaks: [{ startTime: '10:00', endTime: '10:30' }] })
+ *   → [{ startTime: '09:00', endTime: '10:00' },
+ *      { startTime: '10:30', endTime: '11:30' }]
+ *
+ * After a break the grid restarts at the break's end so no time is lost.
+ */
+exports.buildRuleSlots = (rule) => {
+  const duration = rule.slotDuration || 30;
+  const end = toMinutes(rule.endTime);
+  const breaks = (rule.breaks || [])
+    .map(b => ({ start: toMinutes(b.startTime), end: toMinutes(b.endTime) }))
+    .sort((a, b) => a.start - b.start);
+
+  const slots = [];
+  let cursor = toMinutes(rule.startTime);
+  while (cursor + duration <= end) {
+    const slotEnd = cursor + duration;
+    const clash = breaks.find(b => cursor < b.end && b.start < slotEnd);
+    if (clash) {
+      cursor = clash.end;
+      continue;
+    }
+    slots.push({ startTime: toHHMM(cursor), endTime: toHHMM(slotEnd) });
+    cursor = slotEnd;
+  }
+  return slots;
+};
+
+/**
+ * Days in [from, to) covered by the leave / holiday calendar for `owner`
+ * (national holidays included), as a Map of toDateString() → title.
+ *
+ * @param {object|null} owner - { doctorId } | { dentistId } | ... | null
+ * @param {Date} from
+ * @param {Date} to - exclusive
+ */
+exports.loadExceptionDays = async (owner, from, to) => {
+  const exceptions = await ScheduleException.findOverlapping(owner, from, to);
+  const days = new Map();
+  exceptions.forEach((ex) => {
+    const cursor = startOfDay(ex.startDate < from ? from : ex.startDate);
+    for (; cursor <= ex.endDate && cursor < to; cursor.setDate(cursor.getDate() + 1)) {
+      days.set(cursor.toDateString(), ex.title);
+    }
+  });
+  return days;
+};
+
+/**
+ * Whether no slots should be generated for the template on `date`.
+ * Returns the reason string, or null when the date is a working day.
+ *
+ * @param {ScheduleTemplate} template
+ * @param {Date} date
+ * @param {Map} [leaveDays] - from loadExceptionDays()
+ */
+exports.getExceptionReason = (template, date, leaveDays = new Map()) => {
+  const key = date.toDateString();
+  if (leaveDays.has(key)) return leaveDays.get(key);
+  if (template.hasExceptionOn(date)) {
+    const ex = template.exceptions.find(e => new Date(e.date).toDateString() === key);
+    return ex?.reason || 'exception';
+  }
+  return null;
+};
+
+/**
+ * Materialise one template for its rolling window (today → today +
+ * weeksAhead weeks, clipped to effectiveFrom/effectiveUntil).
+ *
+ * Days on the template's own exceptions list or in the leave / holiday
+ * calendar (ScheduleException) are skipped.
+ *
+ * Never duplicates: a generated slot is skipped when an existing slot of
+ * the same owner overlaps it on that date (manual slots included). Slot
+ * times already past today are skipped.
+ *
+ * @param {ScheduleTemplate} template - hydrated document
+ * @param {object} [options]
+ * @param {Date}   [options.now=new Date()]
+ * @returns {Promise<{ created: number, skippedDates: object[], through: Date }>}
+ */
+exports.materializeTemplate = async (template, { now = new Date() } = {}) => {
+  const owner = template.owner;
+  const today = startOfDay(now);
+
+  let from = today;
+  if (template.effectiveFrom && startOfDay(template.effectiveFrom) > from) {
+    from = startOfDay(template.effectiveFrom);
+  }
+  let through = new Date(today);
+  through.setDate(through.getDate() + template.weeksAhead * 7);
+  if (template.effectiveUntil && startOfDay(template.effectiveUntil) < through) {
+    through = startOfDay(template.effectiveUntil);
+    through.setDate(through.getDate() + 1);
+  }
+
+  const skippedDates = [];
+  if (from >= through) {
+    return { created: 0, skippedDates, through };
+  }
+
+  // Existing slots in the window, grouped by day, for overlap checks
+  const [existing, leaveDays] = await Promise.all([
+    AvailabilitySlot.find({
+      ...owner,
+      date: { $gte: from, $lt: through }
+    })
+      .select('date startTime endTime')
+      .lean(),
+    exports.loadExceptionDays(owner, from, through)
+  ]);
+
+  const busyByDay = new Map();
+  existing.forEach((slot) => {
+    const key = startOfDay(slot.date).toDateString();
+    if (!busyByDay.has(key)) busyByDay.set(key, []);
+    busyByDay.get(key).push({ start: toMinutes(slot.startTime), end: toMinutes(slot.endTime) });
+  });
+
+  const nowMinutes = now.getHours() * 60 + now.getMinutes();
+  const slotsToCreate = [];
+
+  for (let cursor = new Date(from); cursor < through; cursor.setDate(cursor.getDate() + 1)) {
+    const day = new Date(cursor);
+    const dayName = day.toLocaleDateString('en-US', { weekday: 'long' });
+    const rules = template.rulesFor(dayName);
+    if (rules.length === 0) continue;
+
+    const exceptionReason = exports.getExceptionReason(template, day, leaveDays);
+    if (exceptionReason) {
+      skippedDates.push({ date: day, reason: exceptionReason });
+      continue;
+    }
+
+    const busy = busyByDay.get(day.toDateString()) || [];
+    const isToday = day.getTime() === today.getTime();
+
+    for (const rule of rules) {
+      for (const { startTime, endTime } of exports.buildRuleSlots(rule)) {
+        const start = toMinutes(startTime);
+        const end = toMinutes(endTime);
+        if (isToday && start <= nowMinutes) continue;
+        if (busy.some(b => start < b.end && b.start < end)) continue;
+
+        busy.push({ start, end });
+        slotsToCreate.push({
+          ...owner,
+          templateId: template._id,
+          date: new Date(day),
+          startTime,
+          endTime,
+          slotDuration: rule.slotDuration,
+          maxBookings: rule.maxBookings,
+          currentBookings: 0,
+          isAvailable: true,
+          status: 'available'
+        });
+      }
+    }
+  }
+
+  let created = 0;
+  if (slotsToCreate.length > 0) {
+    const inserted = await AvailabilitySlot.insertMany(slotsToCreate, { ordered: false });
+    created = inserted.length;
+  }
+
+  await ScheduleTemplate.updateOne(
+    { _id: template._id },
+    { $set: { lastMaterializedAt: new Date(), materializedThrough: through } }
+  );
+
+  return { created, skippedDates, through };
+};
+
+/**
+ * Remove future slots generated from a template that nobody has booked.
+ * Blocked slots are kept so a manual block survives regeneration.
+ *
+ * @param {ObjectId} templateId
+ * @returns {Promise<number>} deleted count
+ */
+exports.clearFutureTemplateSlots = async (templateId) => {
+  const result = await AvailabilitySlot.deleteMany({
+    templateId,
+    date: { $gte: startOfDay(new Date()) },
+    currentBookings: 0,
+    status: 'available'
+  });
+  return result.deletedCount || 0;
+};
+
+/**
+ * Materialise every active template. One failing template is logged and
+ * does not stop the others. Called by the background job.
+ *
+ * @returns {Promise<{ templates: number, created: number, failed: number }>}
+ */
+exports.materializeAllTemplates = async () => {
+  const templates = await ScheduleTemplate.find({ isActive: true });
+
+  let created = 0;
+  let failed = 0;
+  for (const template of templates) {
+    try {
+      const result = await exports.materializeTemplate(template);
+      created += result.created;
+    } catch (error) {
+      failed += 1;
+      console.error(`❌ [scheduleService] Template ${template._id} failed:`, error.message);
+    }
+  }
+
+  console.log(`📅 [scheduleService] ${templates.length} templates → ${created} slots created, ${failed} failed`);
+  return { templates: templates.length, created, failed };
+};
+
+/**
+ * Materialise the active templates of one owner, or of every owner when
+ * owner is null. Used after a leave / holiday is withdrawn so the freed
+ * days fill up without waiting for the next job run.
+ *
+ * @param {object|null} owner
+ * @returns {Promise<number>} slots created
+ */
+exports.materializeForOwner = async (owner) => {
+  if (!owner) {
+    const result = await exports.materializeAllTemplates();
+    return result.created;
+  }
+  const templates = await ScheduleTemplate.find({ ...owner, isActive: true });
+  let created = 0;
+  for (const template of templates) {
+    const result = await exports.materializeTemplate(template);
+    created += result.created;
+  }
+  return created;
+};
@@ -0,0 +1,288 @@
+const crypto = require('crypto');
+const { Appointment, Visit } = require('../models');
+
+/**
+ * Telemedicine Service
+ * Video consultation rooms for appointments of type 'video_consultation'.
+ * The room token is generated when the appointment is confirmed
+ * (Appointment#confirm); this service opens the room with the signalling
+ * adapter, hands out join credentials inside the appointment window and
+ * records who joined and left.
+ *
+ * Signalling adapter — any object with:
+ *   name
+ *   createRoom({ roomToken, appointmentId, opensAt, closesAt })  idempotent
+ *   issueJoinCredentials({ roomToken, role, accountId, displayName, expiresAt })
+ *     → whatever the client needs to connect (room URL, access token, …)
+ *   closeRoom(roomToken)
+ *
+ * TELEMEDICINE_ADAPTER picks a registered adapter (default 'local');
+ * registerAdapter adds one, useAdapter swaps one in (e.g. a stand-in in tests).
+ */
+
+// Patients and providers may enter this long before the start time…
+const JOIN_EARLY_MINUTES = parseInt(process.env.TELEMEDICINE_JOIN_EARLY_MINUTES, 10) || 10;
+// …and until this long after the scheduled end
+const JOIN_LATE_MINUTES = parseInt(process.env.TELEMEDICINE_JOIN_LATE_MINUTES, 10) || 30;
+
+const DEFAULT_DURATION_MINUTES = 30;
+
+const JOINABLE_STATUSES = ['confirmed', 'checked_in', 'in_progress'];
+
+// ── Local adapter ───────────────────────────────────────────────────────────
+// Stand-in for development: keeps rooms in memory and signs a per-participant
+// access token the web client passes back to the local signalling page.
+
+const localRooms = new Map();
+
+const localAdapter = {
+  name: 'local',
+
+  async createRoom({ roomToken, appointmentId, opensAt, closesAt }) {
+    if (!localRooms.has(roomToken)) {
+      localRooms.set(roomToken, { appointmentId: String(appointmentId), opensAt, closesAt });
+    }
+  },
+
+  async issueJoinCredentials({ roomToken, role, accountId, expiresAt }) {
+    const secret = process.env.JWT_SECRET || 'patient360-local-signalling';
+    const accessToken = crypto
+      .createHmac('sha256', secret)
+      .update(`${roomToken}:${accountId}:${role}:${expiresAt.getTime()}`)
+      .digest('hex');
+    const base = process.env.TELEMEDICINE_ROOM_BASE_URL || '/telemedicine/rooms';
+    return {
+      roomUrl: `${base}/${roomToken}`,
+      accessToken,
+      expiresAt
+    };
+  },
+
+  async closeRoom(roomToken) {
+    localRooms.delete(roomToken);
+  }
+};
+
+const adapters = new Map([[localAdapter.name, localAdapter]]);
+let activeAdapter = null;
+
+/**
+ * Make an adapter selectable through TELEMEDICINE_ADAPTER.
+ */
+exports.registerAdapter = (adapter) => {
+  ['createRoom', 'issueJoinCredentials', 'closeRoom'].forEach((fn) => {
+    if (typeof adapter?.[fn] !== 'function') {
+      throw new Error(`Signalling adapter must implement ${fn}()`);
+    }
+  });
+  adapters.set(adapter.name, adapter);
+};
+
+/**
+ * Use a registered adapter (by name) or the given adapter object from now on.
+ */
+exports.useAdapter = (nameOrAdapter) => {
+  if (typeof nameOrAdapter === 'string') {
+    if (!adapters.has(nameOrAdapter)) {
+      throw new Error(`Unknown signalling adapter: ${nameOrAdapter}`);
+    }
+    activeAdapter = adapters.get(nameOrAdapter);
+    return;
+  }
+  exports.registerAdapter(nameOrAdapter);
+  activeAdapter = nameOrAdapter;
+};
+
+exports.getAdapter = () => {
+  if (!activeAdapter) {
+    const name = process.env.TELEMEDICINE_ADAPTER || 'local';
+    activeAdapter = adapters.get(name) || localAdapter;
+  }
+  return activeAdapter;
+};
+
+/**
+ * When the room can be joined: JOIN_EARLY_MINUTES before the start until
+ * JOIN_LATE_MINUTES after the scheduled end.
+ *
+ * @returns {{ opensAt: Date, closesAt: Date }}
+ */
+exports.getJoinWindow = (appointment) => {
+  const startsAt = appointment.appointmentDateTime
+    || new Date(appointment.appointmentDate);
+  const duration = appointment.estimatedDuration || DEFAULT_DURATION_MINUTES;
+  return {
+    opensAt: new Date(startsAt.getTime() - JOIN_EARLY_MINUTES * 60 * 1000),
+    closesAt: new Date(startsAt.getTime() + (duration + JOIN_LATE_MINUTES) * 60 * 1000)
+  };
+};
+
+/**
+ * Why the appointment's room can't be joined right now, or null if it can.
+ *
+ * @param {object} appointment - loaded with +telemedicine.roomToken
+ * @returns {{ status: number, message: string }|null}
+ */
+exports.checkJoinable = (appointment, now = new Date()) => {
+  if (appointment.appointmentType !== 'video_consultation') {
+    return { status: 400, message: 'هذا الموعد ليس استشارة مرئية' };
+  }
+  if (!JOINABLE_STATUSES.includes(appointment.status) || !appointment.telemedicine?.roomToken) {
+    return { status: 409, message: 'غرفة الاستشارة غير متاحة قبل تأكيد الموعد' };
+  }
+  const { opensAt, closesAt } = exports.getJoinWindow(appointment);
+  if (now < opensAt) {
+    return { status: 403, message: `يمكن الدخول إلى الغرفة قبل ${JOIN_EARLY_MINUTES} دقائق من الموعد` };
+  }
+  if (now > closesAt) {
+    return { status: 403, message: 'انتهى وقت هذه الاستشارة' };
+  }
+  return null;
+};
+
+/**
+ * Open the room with the adapter right after confirmation. Never throws —
+ * joining opens it again if this failed.
+ */
+exports.openRoom = async (appointment) => {
+  const roomToken = appointment.telemedicine?.roomToken;
+  if (!roomToken) return;
+  try {
+    const adapter = exports.getAdapter();
+    await adapter.createRoom({
+      roomToken,
+      appointmentId: appointment._id,
+      ...exports.getJoinWindow(appointment)
+    });
+    await Appointment.updateOne(
+      { _id: appointment._id },
+      { $set: { 'telemedicine.adapter': adapter.name } }
+    );
+  } catch (error) {
+    console.error('❌ [telemedicine] Failed to open room:', error.message);
+  }
+};
+
+/**
+ * Join credentials for one participant; records the join. The patient
+ * joining counts as checking in (confirmed → checked_in), so the no-show
+ * sweep leaves an attended call alone.
+ *
+ * @param {object} appointment - passed checkJoinable
+ * @param {object} participant
+ * @param {'patient'|'provider'} participant.role
+ * @param {ObjectId} participant.accountId
+ * @param {string}  [participant.displayName]
+ * @returns {Promise<object>} adapter credentials + adapter name and window
+ */
+exports.joinRoom = async (appointment, { role, accountId, displayName }) => {
+  const adapter = exports.getAdapter();
+  const { roomToken } = appointment.telemedicine;
+  const window = exports.getJoinWindow(appointment);
+
+  await adapter.createRoom({ roomToken, appointmentId: appointment._id, ...window });
+  const credentials = await adapter.issueJoinCredentials({
+    roomToken,
+    role,
+    accountId,
+    displayName,
+    expiresAt: window.closesAt
+  });
+
+  await Appointment.updateOne(
+    { _id: appointment._id },
+    {
+      $set: { 'telemedicine.adapter': adapter.name },
+      $push: { 'telemedicine.attendance': { role, accountId, joinedAt: new Date() } }
+    }
+  );
+  if (role === 'patient') {
+    await Appointment.updateOne(
+      { _id: appointment._id, status: { $in: ['scheduled', 'confirmed'] } },
+      { $set: { status: 'checked_in', checkedInAt: new Date() } }
+    );
+  }
+  console.log(`🎥 [telemedicine] ${role} joined room of appointment ${appointment._id}`);
+
+  return { adapter: adapter.name, ...window, ...credentials };
+};
+
+/**
+ * Record that a participant left (their latest open join). Keeps the
+ * Visit's copy in step when the appointment is already completed.
+ *
+ * Set in place with arrayFilters rather than saving the appointment — a
+ * document loaded with only `telemedicine` would fail the model's
+ * patient check on save.
+ *
+ * @returns {Promise<boolean>} false when there was no open join to close
+ */
+exports.leaveRoom = async (appointmentId, accountId) => {
+  const appointment = await Appointment.findById(appointmentId)
+    .select('telemedicine.attendance visitId')
+    .lean();
+  const attendance = appointment?.telemedicine?.attendance || [];
+  const open = [...attendance].reverse()
+    .find(a => String(a.accountId) === String(accountId) && !a.leftAt);
+  if (!open) return false;
+
+  const result = await Appointment.updateOne(
+    { _id: appointmentId },
+    { $set: { 'telemedicine.attendance.$[open].leftAt': new Date() } },
+    {
+      arrayFilters: [{
+        'open.accountId': open.accountId,
+        'open.joinedAt': open.joinedAt,
+        'open.leftAt': null
+      }]
+    }
+  );
+  // Closed meanwhile (another leave, or completion) — nothing recorded here
+  if (result.modifiedCount === 0) return false;
+
+  if (appointment.visitId) {
+    const updated = await Appointment.findById(appointmentId)
+      .select('telemedicine.attendance')
+      .lean();
+    await Visit.updateOne(
+      { _id: appointment.visitId },
+      { $set: { 'telemedicine.attendance': updated.telemedicine.attendance } }
+    );
+  }
+  return true;
+};
+
+/**
+ * At completion: close the room, end any join still open and return the
+ * `telemedicine` block for the new Visit.
+ *
+ * @param {object} appointment - loaded with +telemedicine.roomToken
+ * @returns {Promise<object|undefined>}
+ */
+exports.finishForVisit = async (appointment) => {
+  if (appointment.appointmentType !== 'video_consultation' || !appointment.telemedicine) {
+    return undefined;
+  }
+  const now = new Date();
+  (appointment.telemedicine.attendance || []).forEach((a) => {
+    if (!a.leftAt) a.leftAt = now;
+  });
+
+  if (appointment.telemedicine.roomToken) {
+    try {
+      await exports.getAdapter().closeRoom(appointment.telemedicine.roomToken);
+    } catch (error) {
+      console.error('❌ [telemedicine] Failed to close room:', error.message);
+    }
+  }
+
+  return {
+    adapter: appointment.telemedicine.adapter,
+    attendance: (appointment.telemedicine.attendance || []).map(a => ({
+      role: a.role,
+      accountId: a.accountId,
+      joinedAt: a.joinedAt,
+      leftAt: a.leftAt
+    }))
+  };
+};
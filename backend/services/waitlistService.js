@@ -0,0 +1,239 @@
+const { AvailabilitySlot, Appointment, WaitlistEntry } = require('../models');
+const { notifyPatient, patientRefOf } = require('./notificationService');
+const { formatDate } = require('../utils/dateFormat');
+
+/**
+ * Waitlist Service
+ * Offers freed slot capacity to waitlisted patients. An offer is a real
+ * hold: the slot's capacity is claimed with atomicReserve on the patient's
+ * behalf, so nobody else can book it until the patient confirms, declines
+ * or the hold lapses (expire-waitlist-holds job).
+ */
+
+function startOfToday() {
+  const d = new Date();
+  d.setHours(0, 0, 0, 0);
+  return d;
+}
+
+function appointmentTypeForSlot(slot) {
+  if (slot.dentistId) return 'dentist';
+  if (slot.laboratoryId) return 'lab_test';
+  return 'doctor';
+}
+
+/**
+ * Offer a slot that just regained capacity to the next waitlisted patient.
+ * Call right after AvailabilitySlot.atomicRelease. Never throws — a
+ * waitlist failure must not undo the cancellation that freed the slot.
+ *
+ * @param {ObjectId} slotId
+ * @returns {Promise<WaitlistEntry|null>} the entry that received the hold
+ */
+exports.offerFreedSlot = async (slotId) => {
+  try {
+    const slot = await AvailabilitySlot.findById(slotId).lean();
+    if (!slot) return null;
+
+    const slotStart = new Date(slot.date);
+    const [h, m] = slot.startTime.split(':').map(Number);
+    slotStart.setHours(h, m, 0, 0);
+    if (slotStart <= new Date()) return null;
+
+    // A few attempts in case another process grabs the entry first
+    for (let attempt = 0; attempt < 3; attempt += 1) {
+      const candidate = await WaitlistEntry.findNextForSlot(slot);
+      if (!candidate) return null;
+
+      // Claim the capacity for the patient; fails if someone booked it
+      const held = await AvailabilitySlot.atomicReserve(slot._id);
+      if (!held) return null;
+
+      const heldUntil = new Date(Date.now() + WaitlistEntry.HOLD_MINUTES * 60 * 1000);
+      const entry = await WaitlistEntry.findOneAndUpdate(
+        { _id: candidate._id, status: 'waiting' },
+        {
+          $set: {
+            status: 'offered',
+            offer: { slotId: slot._id, offeredAt: new Date(), heldUntil }
+          }
+        },
+        { new: true }
+      );
+      if (!entry) {
+        await AvailabilitySlot.atomicRelease(slot._id);
+        continue;
+      }
+
+      await notifyPatient(patientRefOf(entry), {
+        type: 'appointment_reminder',
+        title: 'موعد متاح من قائمة الانتظار',
+        message: `أصبح موعد ${formatDate(slot.date)} الساعة ${slot.startTime} متاحاً لك. يرجى التأكيد قبل ${heldUntil.toTimeString().slice(0, 5)} وإلا سيُعرض على المريض التالي.`,
+        priority: 'high',
+        channels: ['push', 'in_app'],
+        relatedId: entry._id,
+        relatedType: 'waitlist_entries',
+        expiresAt: heldUntil
+      });
+
+      console.log(`⏳ [waitlist] Slot ${slot._id} held for entry ${entry._id} until ${heldUntil.toISOString()}`);
+      return entry;
+    }
+    return null;
+  } catch (error) {
+    console.error('⚠️  Waitlist offer failed (non-fatal):', error.message);
+    return null;
+  }
+};
+
+/**
+ * Give up the current hold of an entry: release the slot, remember it so
+ * it is not offered again, and pass it to the next patient. The entry goes
+ * back to 'waiting' unless its range is over or it lapsed too many times.
+ * Guarded on status 'offered' so it can't race a confirmation.
+ *
+ * @param {WaitlistEntry} entry - status 'offered'
+ * @param {object} [opts]
+ * @param {boolean} [opts.missed=false] - true when the hold lapsed
+ * @returns {Promise<WaitlistEntry|null>} null when the offer was no longer open
+ */
+exports.passOnOffer = async (entry, { missed = false } = {}) => {
+  const slotId = entry.offer?.slotId;
+
+  const missedOffers = entry.missedOffers + (missed ? 1 : 0);
+  const exhausted = missed && missedOffers >= WaitlistEntry.MAX_MISSED_OFFERS;
+  const closed = exhausted || entry.dateTo < startOfToday();
+
+  const update = {
+    $set: {
+      status: closed ? 'expired' : 'waiting',
+      missedOffers,
+      ...(closed && { closedAt: new Date() })
+    },
+    $unset: { offer: 1 }
+  };
+  if (slotId) update.$addToSet = { passedSlotIds: slotId };
+
+  const updated = await WaitlistEntry.findOneAndUpdate(
+    { _id: entry._id, status: 'offered' },
+    update,
+    { new: true }
+  );
+  if (!updated) return null;
+
+  if (slotId) {
+    await AvailabilitySlot.atomicRelease(slotId);
+    await exports.offerFreedSlot(slotId);
+  }
+  return updated;
+};
+
+/**
+ * Confirm a held offer: book the held slot for the patient. The slot's
+ * capacity was already claimed when the offer was made, so no second
+ * atomicReserve happens here. The entry is claimed first (offered →
+ * booked while the hold is still running) so a lapsing hold can't hand
+ * the same seat to the next patient.
+ *
+ * @param {WaitlistEntry} entry - status 'offered'
+ * @param {object} [fields] - optional appointment fields (notes)
+ * @returns {Promise<Appointment|null>} null when the hold is gone
+ */
+exports.confirmOffer = async (entry, fields = {}) => {
+  const claimed = await WaitlistEntry.findOneAndUpdate(
+    { _id: entry._id, status: 'offered', 'offer.heldUntil': { $gt: new Date() } },
+    { $set: { status: 'booked', closedAt: new Date() } },
+    { new: true }
+  );
+  if (!claimed) return null;
+
+  try {
+    const slot = await AvailabilitySlot.findById(claimed.offer.slotId);
+    if (!slot) throw new Error('الموعد المعروض لم يعد موجوداً');
+
+    const provider = {};
+    WaitlistEntry.PROVIDER_FIELDS.forEach((field) => {
+      if (slot[field]) provider[field] = slot[field];
+    });
+
+    const appointment = await Appointment.create({
+      ...patientRefOf(claimed),
+      ...provider,
+      slotId: slot._id,
+      appointmentType: appointmentTypeForSlot(slot),
+      appointmentDate: slot.date,
+      appointmentTime: slot.startTime,
+      estimatedDuration: slot.slotDuration,
+      reasonForVisit: claimed.reasonForVisit,
+      priority: claimed.priority,
+      bookingMethod: 'online',
+      status: 'scheduled',
+      paymentStatus: 'pending',
+      notes: fields.notes?.trim()
+    });
+
+    claimed.appointmentId = appointment._id;
+    await claimed.save();
+    return appointment;
+  } catch (error) {
+    // Put the hold back so the patient can retry until it lapses
+    await WaitlistEntry.updateOne(
+      { _id: claimed._id, status: 'booked', appointmentId: null },
+      { $set: { status: 'offered' }, $unset: { closedAt: 1 } }
+    );
+    throw error;
+  }
+};
+
+/**
+ * Leave the waitlist. A current hold is passed to the next patient.
+ *
+ * @param {WaitlistEntry} entry - open entry
+ * @returns {Promise<boolean>} false when the entry was no longer open
+ */
+exports.cancelEntry = async (entry) => {
+  const updated = await WaitlistEntry.findOneAndUpdate(
+    { _id: entry._id, status: { $in: WaitlistEntry.OPEN_STATUSES } },
+    { $set: { status: 'cancelled', closedAt: new Date() }, $unset: { offer: 1 } }
+  );
+  if (!updated) return false;
+
+  // `updated` is the pre-update document — it still carries the hold
+  if (updated.status === 'offered' && updated.offer?.slotId) {
+    await AvailabilitySlot.atomicRelease(updated.offer.slotId);
+    await exports.offerFreedSlot(updated.offer.slotId);
+  }
+  return true;
+};
+
+/**
+ * Job body: pass on every lapsed hold and expire waiting entries whose
+ * date range is over.
+ *
+ * @returns {Promise<{ lapsed: number, expired: number }>}
+ */
+exports.expireHolds = async () => {
+  const lapsedEntries = await WaitlistEntry.find({
+    status: 'offered',
+    'offer.heldUntil': { $lte: new Date() }
+  });
+
+  let lapsed = 0;
+  for (const entry of lapsedEntries) {
+    try {
+      if (await exports.passOnOffer(entry, { missed: true })) lapsed += 1;
+    } catch (error) {
+      console.error(`❌ [waitlist] Could not pass on hold of entry ${entry._id}:`, error.message);
+    }
+  }
+
+  const expired = await WaitlistEntry.updateMany(
+    { status: 'waiting', dateTo: { $lt: startOfToday() } },
+    { $set: { status: 'expired', closedAt: new Date() } }
+  );
+
+  if (lapsed > 0 || expired.modifiedCount > 0) {
+    console.log(`⏳ [waitlist] ${lapsed} holds lapsed, ${expired.modifiedCount} entries expired`);
+  }
+  return { lapsed, expired: expired.modifiedCount || 0 };
+};
@@ -0,0 +1,31 @@
+/**
+ * Date Formatting Utilities
+ * Dates for patient-facing text (notifications, receipts). Appointment and
+ * slot dates are stored at server-local midnight (Asia/Damascus), so they
+ * are read with the local getters — toISOString() would show the day
+ * before on a server east of UTC.
+ */
+
+const pad = n => String(n).padStart(2, '0');
+
+/**
+ * "2026-03-14"
+ *
+ * @param {Date|string} date
+ * @returns {string}
+ */
+exports.formatDate = (date) => {
+  const d = new Date(date);
+  return `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}`;
+};
+
+/**
+ * "2026-03-14 09:30"
+ *
+ * @param {Date|string} date
+ * @returns {string}
+ */
+exports.formatDateTime = (date) => {
+  const d = new Date(date);
+  return `${exports.formatDate(d)} ${pad(d.getHours())}:${pad(d.getMinutes())}`;
+};
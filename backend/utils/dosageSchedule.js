@@ -0,0 +1,370 @@
+/**
+ * Dosage Schedule Utilities
+ * Structured form of a prescription line's dosage / frequency / duration:
+ *
+ *   { doseAmount, doseUnit, timesPerDay, intervalHours, durationDays,
+ *     isContinuous, prn, maxDosesPerDay, taperSteps: [{ days, timesPerDay,
+ *     doseAmount }] }
+ *
+ * parseSchedule reads it out of the legacy free-text strings ("500mg",
+ * "twice daily", "10 days", "40mg then 20mg"); describeSchedule writes
+ * the strings back for screens that still show text. quantityFor and
+ * courseEndDate work off the structured form. No database access — used
+ * by the Prescription model, doseService and medicationService.
+ */
+
+// Canonical dose units → the words that mean them
+const UNIT_WORDS = {
+  mg: ['mg', 'ملغ', 'مغ'],
+  mcg: ['mcg', 'µg', 'ug', 'ميكروغرام'],
+  g: ['g', 'gm', 'غ', 'غرام'],
+  ml: ['ml', 'مل'],
+  tablet: ['tablet', 'tablets', 'tab', 'tabs', 'قرص', 'أقراص', 'حبة', 'حبات', 'حبوب'],
+  capsule: ['capsule', 'capsules', 'cap', 'caps', 'كبسولة', 'كبسولات'],
+  sachet: ['sachet', 'sachets', 'كيس', 'أكياس'],
+  suppository: ['suppository', 'suppositories', 'تحميلة', 'تحاميل'],
+  puff: ['puff', 'puffs', 'بخة', 'بخات'],
+  drop: ['drop', 'drops', 'نقطة', 'نقاط'],
+  iu: ['iu', 'unit', 'units', 'وحدة', 'وحدات'],
+};
+const DOSE_UNITS = Object.keys(UNIT_WORDS);
+
+// Units counted one by one at the counter
+const COUNT_UNITS = ['tablet', 'capsule', 'sachet', 'suppository'];
+
+// mg per unit of mass
+const MG_PER = { mg: 1, mcg: 0.001, g: 1000 };
+
+// Supply a continuous (chronic) line is dispensed for
+const CONTINUOUS_SUPPLY_DAYS = 30;
+
+const PRN_PATTERN = /\b(prn|as needed|when needed|if needed|sos)\b|عند الحاجة|عند اللزوم/i;
+const CONTINUOUS_PATTERN = /continuous|ongoing|long[- ]term|chronic|indefinite|مستمر|دائم/i;
+const TAPER_SPLIT = /\s*(?:\bthen\b|ثم|،\s*ثم|→)\s*/i;
+// "10 days then stop" — the course just ends, it is not another step
+const END_MARKER = /^(?:stop|discontinue|off)\b|^(?:توقف|التوقف|أوقف|اوقف|إيقاف|ايقاف)/i;
+
+// "twice a week", "3 times weekly", "مرتين في الأسبوع" — counted per week
+const PER_WEEK_PATTERN = /\bweekly\b|\b(?:a|per|each|every)\s+week\b|\/\s*week|أسبوعي|اسبوعي|في الأسبوع|في الاسبوع|بالأسبوع|كل أسبوع|كل اسبوع/i;
+
+// Frequency phrases → doses per day (checked in order)
+const FREQUENCY_WORDS = [
+  [/\b(qid|four times)\b|أربع مرات/i, 4],
+  [/\b(tid|tds|three times|thrice)\b|ثلاث مرات/i, 3],
+  [/\b(bid|bd|twice)\b|مرتين|مرتان/i, 2],
+  [/every other day|alternate days|يوم بعد يوم|كل يومين/i, 0.5],
+  [/\b(od|qd|once|daily|at night|at bedtime|in the morning|nightly)\b|مرة واحدة|مرة يومي|يومياً|يوميا|قبل النوم|صباحاً/i, 1],
+];
+
+function round(value, digits = 2) {
+  return Number(value.toFixed(digits));
+}
+
+// Words a duration can be counted in
+const DURATION_WORDS = [
+  'day', 'days', 'يوم', 'أيام', 'ايام', 'week', 'weeks', 'أسبوع', 'اسبوع',
+  'month', 'months', 'شهر',
+];
+
+// Arabic dual forms — "أسبوعين" is two weeks
+const DUAL_WORDS = {
+  'يومين': '2 يوم', 'يومان': '2 يوم',
+  'أسبوعين': '2 أسبوع', 'أسبوعان': '2 أسبوع', 'اسبوعين': '2 اسبوع', 'اسبوعان': '2 اسبوع',
+  'شهرين': '2 شهر', 'شهران': '2 شهر',
+};
+
+// "حبة" / "a week" — a bare unit word means one of it
+function withAmount(text, unitWords) {
+  const value = String(text || '').toLowerCase().trim().replace(/^an?\s+/, '');
+  return unitWords.includes(value.split(/\s+/)[0]) ? `1 ${value}` : value;
+}
+
+/**
+ * "500mg" → { doseAmount: 500, doseUnit: 'mg' }, "2 tablets" →
+ * { doseAmount: 2, doseUnit: 'tablet' }, "5 مل" → { 5, 'ml' }.
+ *
+ * @param {string} text
+ * @returns {{ doseAmount: number|null, doseUnit: string|null }}
+ */
+exports.parseDose = (text) => {
+  const match = withAmount(text, Object.values(UNIT_WORDS).flat()).match(/([\d.]+)\s*([a-zµ؀-ۿ]+)?/);
+  if (!match || !(parseFloat(match[1]) > 0)) return { doseAmount: null, doseUnit: null };
+  const word = match[2] || '';
+  const doseUnit = DOSE_UNITS.find(unit => UNIT_WORDS[unit].includes(word)) || null;
+  return { doseAmount: parseFloat(match[1]), doseUnit };
+};
+
+/**
+ * mg in one unit of the product, from its catalog strength.
+ * "500mg" → { mg: 500, perMl: null }, "250mg/5ml" → { mg: 250, perMl: 5 }.
+ *
+ * @param {string} strength
+ * @returns {{ mg: number, perMl: number|null }|null} null for IU, %, etc.
+ */
+exports.parseStrength = (strength) => {
+  const match = String(strength || '').toLowerCase()
+    .match(/([\d.]+)\s*(mg|g|mcg|µg|ug)\b(?:\s*\/\s*([\d.]*)\s*ml)?/);
+  if (!match) return null;
+  const unit = DOSE_UNITS.find(u => UNIT_WORDS[u].includes(match[2]));
+  return {
+    mg: parseFloat(match[1]) * MG_PER[unit],
+    perMl: match[3] !== undefined ? (parseFloat(match[3]) || 1) : null
+  };
+};
+
+/**
+ * One dose in mg. Mass units convert directly; ml and counted units need
+ * the product's strength (a bare number counts as units of a solid form).
+ *
+ * @param {number|null} doseAmount
+ * @param {string|null} doseUnit
+ * @param {{ mg: number, perMl: number|null }|null} strength - parseStrength
+ * @returns {number|null}
+ */
+exports.doseInMg = (doseAmount, doseUnit, strength) => {
+  if (!doseAmount) return null;
+  if (MG_PER[doseUnit]) return doseAmount * MG_PER[doseUnit];
+  if (!strength) return null;
+  if (doseUnit === 'ml') return strength.perMl ? (doseAmount / strength.perMl) * strength.mg : null;
+  if (COUNT_UNITS.includes(doseUnit) || !doseUnit) return strength.perMl ? null : doseAmount * strength.mg;
+  return null;
+};
+
+/**
+ * "twice daily" → { timesPerDay: 2 }, "every 8 hours" → { timesPerDay: 3,
+ * intervalHours: 8 }, "twice a week" → { timesPerDay: 2 / 7 }, "every 6
+ * hours as needed" → { prn: true, maxDosesPerDay: 4, ... }.
+ *
+ * @param {string} text
+ * @returns {{ timesPerDay: number|null, intervalHours: number|null,
+ *             prn: boolean, maxDosesPerDay: number|null }}
+ */
+exports.parseFrequency = (text) => {
+  const value = String(text || '').toLowerCase().trim();
+  const prn = PRN_PATTERN.test(value);
+  let timesPerDay = null;
+  let intervalHours = null;
+
+  const everyHours = value.match(/(?:every|q|كل)\s*([\d.]+)\s*(?:h|hours?|hrs?|ساعات|ساعة)/);
+  const timesADay = value.match(/([\d.]+)\s*(?:x|times?|مرات)/);
+  if (everyHours && parseFloat(everyHours[1]) > 0) {
+    intervalHours = parseFloat(everyHours[1]);
+    timesPerDay = round(24 / intervalHours);
+  } else if (PER_WEEK_PATTERN.test(value)) {
+    // Checked before the per-day words — "twice weekly" is not 2 a day
+    const counted = timesADay && parseFloat(timesADay[1]) > 0
+      ? parseFloat(timesADay[1])
+      : (FREQUENCY_WORDS.find(([pattern]) => pattern.test(value)) || [null, 1])[1];
+    timesPerDay = round(counted / 7, 4);
+  } else if (timesADay && parseFloat(timesADay[1]) > 0) {
+    timesPerDay = parseFloat(timesADay[1]);
+  } else {
+    const known = FREQUENCY_WORDS.find(([pattern]) => pattern.test(value));
+    if (known) timesPerDay = round(known[1], 4);
+  }
+
+  return {
+    timesPerDay,
+    intervalHours,
+    prn,
+    maxDosesPerDay: prn ? timesPerDay : null
+  };
+};
+
+/**
+ * "10 days" → { durationDays: 10 }, "2 weeks" → 14, "3 أشهر" → 90,
+ * "أسبوعين" → 14, "continuous" → { isContinuous: true }.
+ *
+ * @param {string} text
+ * @returns {{ durationDays: number|null, isContinuous: boolean }}
+ */
+exports.parseDuration = (text) => {
+  const value = String(text || '').toLowerCase().trim();
+  if (CONTINUOUS_PATTERN.test(value)) return { durationDays: null, isContinuous: true };
+
+  const dual = Object.keys(DUAL_WORDS).find(word => value.includes(word));
+  const counted = dual ? value.replace(dual, DUAL_WORDS[dual]) : value;
+  const match = withAmount(counted, DURATION_WORDS).match(/([\d.]+)\s*([a-z؀-ۿ]+)?/);
+  if (!match || !(parseFloat(match[1]) > 0)) return { durationDays: null, isContinuous: false };
+  const amount = parseFloat(match[1]);
+  const unit = match[2] || '';
+
+  let days = amount;
+  if (/^(weeks?|wks?|أسبوع|أسابيع|اسبوع|اسابيع)$/.test(unit)) days = amount * 7;
+  else if (/^(months?|شهر|أشهر|اشهر|شهور)$/.test(unit)) days = amount * 30;
+  return { durationDays: Math.round(days), isContinuous: false };
+};
+
+/**
+ * Structured schedule from a legacy line. A "then" (ثم) in the dosage,
+ * frequency or duration makes a taper: the parts are paired up in order,
+ * a missing part repeating the previous one ("40mg then 20mg", "once
+ * daily", "5 days then 5 days"). A closing "then stop" (ثم توقف) is not
+ * a step.
+ *
+ * @param {{ dosage?: string, frequency?: string, duration?: string }} line
+ * @returns {object} schedule (see the top of this file), parsedFromText: true
+ */
+exports.parseSchedule = ({ dosage, frequency, duration }) => {
+  const split = text => String(text || '').split(TAPER_SPLIT)
+    .filter(part => part && !END_MARKER.test(part));
+  const doses = split(dosage);
+  const frequencies = split(frequency);
+  const durations = split(duration);
+  const phases = Math.max(doses.length, frequencies.length, durations.length, 1);
+
+  const first = exports.parseFrequency(frequencies[0]);
+  const dose = exports.parseDose(doses[0]);
+  const length = exports.parseDuration(durations[0]);
+  const schedule = {
+    doseAmount: dose.doseAmount,
+    doseUnit: dose.doseUnit,
+    timesPerDay: first.timesPerDay,
+    intervalHours: first.intervalHours,
+    durationDays: length.durationDays,
+    isContinuous: length.isContinuous,
+    prn: first.prn,
+    maxDosesPerDay: first.maxDosesPerDay,
+    taperSteps: [],
+    parsedFromText: true
+  };
+
+  if (phases > 1) {
+    // "5 days each" — one duration for every step
+    const each = durations.length === 1 && /each|لكل|كل مرحلة/i.test(durations[0]);
+    for (let i = 0; i < phases; i += 1) {
+      const pick = (parts) => parts[Math.min(i, parts.length - 1)];
+      const step = {
+        days: exports.parseDuration(each ? durations[0] : pick(durations)).durationDays,
+        timesPerDay: exports.parseFrequency(pick(frequencies)).timesPerDay,
+        doseAmount: exports.parseDose(pick(doses)).doseAmount
+      };
+      schedule.taperSteps.push(step);
+    }
+    if (schedule.taperSteps.every(step => step.days)) {
+      schedule.durationDays = schedule.taperSteps.reduce((sum, step) => sum + step.days, 0);
+    }
+  }
+
+  return schedule;
+};
+
+/**
+ * Doses a day on the schedule (the PRN ceiling for as-needed lines).
+ *
+ * @returns {number|null}
+ */
+exports.dosesPerDay = (schedule) => {
+  if (!schedule) return null;
+  if (schedule.prn && schedule.maxDosesPerDay) return schedule.maxDosesPerDay;
+  if (schedule.timesPerDay) return schedule.timesPerDay;
+  if (schedule.intervalHours) return round(24 / schedule.intervalHours);
+  return null;
+};
+
+/**
+ * The schedule as phases of { days, timesPerDay, doseAmount } — the taper
+ * steps, or one phase covering the whole course.
+ */
+function phasesOf(schedule) {
+  if (schedule.taperSteps?.length > 0) {
+    return schedule.taperSteps.map(step => ({
+      days: step.days,
+      timesPerDay: step.timesPerDay ?? exports.dosesPerDay(schedule),
+      doseAmount: step.doseAmount ?? schedule.doseAmount
+    }));
+  }
+  return [{
+    days: schedule.isContinuous ? CONTINUOUS_SUPPLY_DAYS : schedule.durationDays,
+    timesPerDay: exports.dosesPerDay(schedule),
+    doseAmount: schedule.doseAmount
+  }];
+}
+
+/**
+ * Last day of the course: start + the schedule's days (taper steps added
+ * up). null when the course is continuous or its length is unknown.
+ *
+ * @param {object} schedule
+ * @param {Date} startDate
+ * @returns {Date|null}
+ */
+exports.courseEndDate = (schedule, startDate) => {
+  if (!schedule || schedule.isContinuous || !startDate) return null;
+  const days = schedule.taperSteps?.length > 0
+    ? schedule.taperSteps.reduce((sum, step) => sum + (step.days || 0), 0)
+    : schedule.durationDays;
+  if (!days) return null;
+  const end = new Date(startDate);
+  end.setDate(end.getDate() + days);
+  return end;
+};
+
+/**
+ * Units to dispense for the whole course (a CONTINUOUS_SUPPLY_DAYS supply
+ * for continuous lines), in the unit the product is counted in: tablets /
+ * capsules / sachets / suppositories, or ml for liquids. A dose written in
+ * mg is converted with the catalog strength ("500mg", "250mg/5ml").
+ *
+ * @param {object} schedule
+ * @param {{ mg: number, perMl: number|null }|null} [strength] - parsed strength
+ * @returns {number|null} null when it can't be worked out (PRN without a
+ *          ceiling, unknown length, units that aren't counted)
+ */
+exports.quantityFor = (schedule, strength = null) => {
+  if (!schedule || !schedule.doseUnit) return null;
+
+  let total = 0;
+  for (const phase of phasesOf(schedule)) {
+    if (!phase.days || !phase.timesPerDay || !phase.doseAmount) return null;
+    const doses = phase.days * phase.timesPerDay;
+
+    let perDose;
+    if (COUNT_UNITS.includes(schedule.doseUnit) || schedule.doseUnit === 'ml') {
+      perDose = phase.doseAmount;
+    } else if (MG_PER[schedule.doseUnit] && strength?.mg) {
+      const mg = phase.doseAmount * MG_PER[schedule.doseUnit];
+      perDose = strength.perMl ? (mg / strength.mg) * strength.perMl : mg / strength.mg;
+    } else {
+      return null;
+    }
+    total += doses * perDose;
+  }
+  return Math.ceil(round(total, 4));
+};
+
+/**
+ * Text for the legacy dosage / frequency / duration fields.
+ *
+ * @returns {{ dosage: string|null, frequency: string|null, duration: string|null }}
+ */
+exports.describeSchedule = (schedule) => {
+  const doseText = amount => (amount && schedule.doseUnit ? `${amount} ${schedule.doseUnit}` : null);
+  const frequencyText = (timesPerDay) => {
+    let text = null;
+    if (schedule.intervalHours) text = `every ${schedule.intervalHours} hours`;
+    else if (timesPerDay === 1) text = 'once daily';
+    else if (timesPerDay === 2) text = 'twice daily';
+    else if (timesPerDay) text = `${timesPerDay} times daily`;
+    return text && schedule.prn ? `${text} as needed` : (text || (schedule.prn ? 'as needed' : null));
+  };
+
+  if (schedule.taperSteps?.length > 0) {
+    const join = parts => (parts.every(Boolean) ? parts.join(' then ') : null);
+    return {
+      dosage: join(schedule.taperSteps.map(s => doseText(s.doseAmount ?? schedule.doseAmount))),
+      frequency: join(schedule.taperSteps.map(s => frequencyText(s.timesPerDay ?? schedule.timesPerDay))),
+      duration: join(schedule.taperSteps.map(s => (s.days ? `${s.days} days` : null)))
+    };
+  }
+  return {
+    dosage: doseText(schedule.doseAmount),
+    frequency: frequencyText(schedule.timesPerDay),
+    duration: schedule.isContinuous
+      ? 'continuous'
+      : (schedule.durationDays ? `${schedule.durationDays} days` : null)
+  };
+};
+
+exports.DOSE_UNITS = DOSE_UNITS;
+exports.CONTINUOUS_SUPPLY_DAYS = CONTINUOUS_SUPPLY_DAYS;
@@ -0,0 +1,125 @@
+/**
+ * iCalendar (RFC 5545) Utilities
+ * Builds .ics text for appointment feeds and single-appointment downloads.
+ * Times are emitted in UTC so calendar apps convert them to the viewer's
+ * zone; appointment dates/times are stored in server-local time
+ * (Asia/Damascus).
+ */
+
+const PRODID = '-//Patient 360//Appointments//AR';
+
+/**
+ * Escape a TEXT value: backslash, semicolon, comma and newlines.
+ */
+exports.escapeText = (value) => String(value ?? '')
+  .replace(/\\/g, '\\\\')
+  .replace(/;/g, '\\;')
+  .replace(/,/g, '\\,')
+  .replace(/\r?\n/g, '\\n');
+
+/**
+ * Fold a content line to 75 octets (continuation lines start with a
+ * space). Splits on character boundaries so Arabic text stays valid UTF-8.
+ */
+exports.foldLine = (line) => {
+  const parts = [];
+  let current = '';
+  let bytes = 0;
+  for (const ch of line) {
+    const size = Buffer.byteLength(ch, 'utf8');
+    const limit = parts.length === 0 ? 75 : 74;
+    if (bytes + size > limit) {
+      parts.push(current);
+      current = '';
+      bytes = 0;
+    }
+    current += ch;
+    bytes += size;
+  }
+  parts.push(current);
+  return parts.join('\r\n ');
+};
+
+/**
+ * Date → 20260119T083000Z
+ */
+exports.formatUtc = (date) => new Date(date).toISOString()
+  .replace(/[-:]/g, '')
+  .replace(/\.\d{3}/, '');
+
+/**
+ * Appointment status → VEVENT STATUS.
+ */
+exports.eventStatus = (appointmentStatus) => {
+  if (appointmentStatus === 'cancelled') return 'CANCELLED';
+  if (appointmentStatus === 'scheduled') return 'TENTATIVE';
+  return 'CONFIRMED';
+};
+
+/**
+ * One VEVENT block.
+ *
+ * @param {object} event
+ * @param {string} event.uid          - stable across updates
+ * @param {Date}   event.start
+ * @param {Date}   event.end
+ * @param {string} event.summary
+ * @param {string} [event.description]
+ * @param {string} [event.location]
+ * @param {string} event.status       - TENTATIVE | CONFIRMED | CANCELLED
+ * @param {number} event.sequence     - must grow with every change
+ * @param {Date}   [event.lastModified]
+ * @returns {string[]} unfolded lines
+ */
+exports.buildEvent = (event) => {
+  const lines = [
+    'BEGIN:VEVENT',
+    `UID:${event.uid}`,
+    `DTSTAMP:${exports.formatUtc(new Date())}`,
+    `DTSTART:${exports.formatUtc(event.start)}`,
+    `DTEND:${exports.formatUtc(event.end)}`,
+    `SUMMARY:${exports.escapeText(event.summary)}`,
+    `STATUS:${event.status}`,
+    `SEQUENCE:${event.sequence || 0}`
+  ];
+  if (event.description) lines.push(`DESCRIPTION:${exports.escapeText(event.description)}`);
+  if (event.location) lines.push(`LOCATION:${exports.escapeText(event.location)}`);
+  if (event.lastModified) lines.push(`LAST-MODIFIED:${exports.formatUtc(event.lastModified)}`);
+  if (event.status !== 'CANCELLED') {
+    lines.push(
+      'BEGIN:VALARM',
+      'ACTION:DISPLAY',
+      'TRIGGER:-PT1H',
+      `DESCRIPTION:${exports.escapeText(event.summary)}`,
+      'END:VALARM'
+    );
+  }
+  lines.push('END:VEVENT');
+  return lines;
+};
+
+/**
+ * Full VCALENDAR document with CRLF line endings.
+ *
+ * @param {object[]} events - see buildEvent
+ * @param {object} [opts]
+ * @param {string} [opts.name] - X-WR-CALNAME shown by subscribing apps
+ * @returns {string}
+ */
+exports.buildCalendar = (events, { name } = {}) => {
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${PRODID}`,
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH'
+  ];
+  if (name) {
+    lines.push(`X-WR-CALNAME:${exports.escapeText(name)}`);
+    // Ask subscribing apps to poll roughly every hour
+    lines.push('REFRESH-INTERVAL;VALUE=DURATION:PT1H', 'X-PUBLISHED-TTL:PT1H');
+  }
+  events.forEach((event) => lines.push(...exports.buildEvent(event)));
+  lines.push('END:VCALENDAR');
+  return `${lines.map(exports.foldLine).join('\r\n')}\r\n`;
+};
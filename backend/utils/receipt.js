@@ -0,0 +1,112 @@
+/**
+ * Receipt Utilities
+ * Printable (A5, RTL Arabic) HTML receipts for payments and refunds.
+ * Print straight from the browser (print CSS included) — no PDF library
+ * needed, and no inline script so the helmet CSP stays untouched.
+ */
+
+const { formatDateTime } = require('./dateFormat');
+
+const METHOD_LABELS = {
+  cash: 'نقداً',
+  card: 'بطاقة مصرفية',
+  insurance: 'تأمين صحي',
+  free: 'مجاني (معفى)'
+};
+
+const CURRENCY_LABELS = {
+  SYP: 'ل.س',
+  USD: '$'
+};
+
+/**
+ * Escape text for HTML element content / attribute values.
+ */
+exports.escapeHtml = (value) => String(value ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+/**
+ * 150000 SYP → "150,000 ل.س", 25.5 USD → "25.50 $"
+ */
+exports.formatAmount = (amount, currency) => {
+  const digits = currency === 'USD' ? 2 : 0;
+  const formatted = Number(amount || 0).toLocaleString('en-US', {
+    minimumFractionDigits: digits,
+    maximumFractionDigits: digits
+  });
+  return `${formatted} ${CURRENCY_LABELS[currency] || currency}`;
+};
+
+/**
+ * Full HTML document for one payment or refund.
+ *
+ * @param {object} receipt
+ * @param {object} receipt.payment        - Payment document (lean or hydrated)
+ * @param {string} receipt.patientName
+ * @param {string} [receipt.patientIdentifier] - national ID or CRN
+ * @param {string} [receipt.providerName]  - doctor / dentist / laboratory
+ * @param {string} [receipt.facilityName]  - hospital / clinic
+ * @param {string} [receipt.serviceDescription]
+ * @param {string} [receipt.originalReceiptNumber] - refunds only
+ * @returns {string}
+ */
+exports.buildReceiptHtml = (receipt) => {
+  const { payment } = receipt;
+  const e = exports.escapeHtml;
+  const isRefund = payment.kind === 'refund';
+
+  const rows = [
+    ['رقم الإيصال', payment.receiptNumber],
+    ['التاريخ', formatDateTime(payment.paidAt)],
+    ['المريض', receipt.patientName],
+    ['رقم الهوية', receipt.patientIdentifier],
+    ['مقدم الخدمة', receipt.providerName],
+    ['المنشأة', receipt.facilityName],
+    ['الخدمة', receipt.serviceDescription || payment.description],
+    ['طريقة الدفع', METHOD_LABELS[payment.method] || payment.method],
+    ['شركة التأمين', payment.insuranceProvider],
+    ['رقم البوليصة', payment.insurancePolicyNumber],
+    ['رقم المطالبة', payment.insuranceClaimNumber],
+    ['البطاقة', payment.cardLast4 ? `**** ${payment.cardLast4}` : null],
+    ['مرجع العملية', payment.transactionReference],
+    ['استرداد للإيصال', isRefund ? receipt.originalReceiptNumber : null],
+    ['سبب الاسترداد', isRefund ? payment.refundReason : null]
+  ].filter(([, value]) => value);
+
+  return `<!DOCTYPE html>
+<html dir="rtl" lang="ar">
+<head>
+  <meta charset="UTF-8">
+  <title>${isRefund ? 'إيصال استرداد' : 'إيصال دفع'} ${e(payment.receiptNumber)} - Patient 360°</title>
+  <style>
+    @page { size: A5; margin: 12mm; }
+    body { font-family: 'Segoe UI', Tahoma, sans-serif; color: #2d3748; margin: 0; padding: 24px; direction: rtl; }
+    .receipt { max-width: 520px; margin: 0 auto; border: 1px solid #cbd5e0; border-radius: 8px; padding: 24px; }
+    h1 { margin: 0; font-size: 22px; text-align: center; }
+    h2 { margin: 6px 0 20px; font-size: 16px; text-align: center; color: ${isRefund ? '#c53030' : '#2f855a'}; }
+    table { width: 100%; border-collapse: collapse; font-size: 14px; }
+    td { padding: 6px 4px; border-bottom: 1px solid #edf2f7; }
+    td.label { color: #718096; width: 40%; }
+    .total { margin-top: 20px; font-size: 20px; font-weight: bold; text-align: center; }
+    .footer { margin-top: 24px; font-size: 12px; color: #a0aec0; text-align: center; }
+    @media print { body { padding: 0; } .receipt { border: none; } }
+  </style>
+</head>
+<body>
+  <div class="receipt">
+    <h1>🏥 Patient 360°</h1>
+    <h2>${isRefund ? 'إيصال استرداد' : 'إيصال دفع'}</h2>
+    <table>
+${rows.map(([label, value]) => `      <tr><td class="label">${e(label)}</td><td>${e(value)}</td></tr>`).join('\n')}
+    </table>
+    <div class="total">${isRefund ? 'المبلغ المسترد' : 'المبلغ المدفوع'}: ${e(exports.formatAmount(payment.amount, payment.currency))}</div>
+    <div class="footer">هذا الإيصال صادر إلكترونياً ولا يحتاج إلى توقيع</div>
+  </div>
+</body>
+</html>
+`;
+};